@@ -5,14 +5,29 @@ const path = require('path');
 const fs = require('fs');
 const express = require('express');
 const multer = require('multer');
+const auth = require('./lib/auth');
+const history = require('./lib/history');
+const trash = require('./lib/trash');
+const archive = require('./lib/archive');
+const uploads = require('./lib/uploads');
+const search = require('./lib/search');
+const characterCard = require('./lib/card');
+const backup = require('./lib/backup');
+const backupSchedule = require('./lib/backup-schedule');
+const sync = require('./lib/sync');
+const pty = require('./lib/pty');
+const jobs = require('./lib/jobs');
+const terminalStore = require('./lib/terminal-store');
+const ws = require('./lib/ws');
+const supervisor = require('./lib/supervisor');
+const logs = require('./lib/logs');
+const updater = require('./lib/updater');
+const du = require('./lib/du');
+const dupes = require('./lib/dupes');
+const transfer = require('./lib/transfer');
 
 const MODULE_NAME = 'termux-file-manager';
 
-// ===== In-memory file edit history (세션 동안만 유지) =====
-// Map<filePath, Array<{ content: string, timestamp: number, size: number }>>
-const fileHistory = new Map();
-const MAX_HISTORY_PER_FILE = 30; // 파일당 최대 히스토리 수
-
 function formatTimeAgo(ts) {
     const diff = Math.floor((Date.now() - ts) / 1000);
     if (diff < 60) return `${diff}초 전`;
@@ -21,22 +36,6 @@ function formatTimeAgo(ts) {
     return `${Math.floor(diff / 86400)}일 전`;
 }
 
-function pushHistory(filePath, content) {
-    if (!fileHistory.has(filePath)) {
-        fileHistory.set(filePath, []);
-    }
-    const history = fileHistory.get(filePath);
-    history.push({
-        content,
-        timestamp: Date.now(),
-        size: Buffer.byteLength(content, 'utf-8'),
-    });
-    // 오래된 항목 제거
-    if (history.length > MAX_HISTORY_PER_FILE) {
-        history.splice(0, history.length - MAX_HISTORY_PER_FILE);
-    }
-}
-
 // Safety: restrict navigation to allowed directories
 function getSafeRoot() {
     return process.env.HOME || '/data/data/com.termux/files/home';
@@ -48,6 +47,22 @@ const ALLOWED_ROOTS = [
     '/storage',
 ];
 
+// 홈, /storage 와 그 아래 저장장치 자체(/storage/emulated/0, /storage/XXXX-XXXX)
+function isTopLevel(absPath) {
+    if (ALLOWED_ROOTS.includes(absPath)) return true;
+    const parts = absPath.split('/').filter(Boolean);
+    if (parts[0] !== 'storage') return false;
+    return parts.length <= (parts[1] === 'emulated' || parts[1] === 'self' ? 3 : 2);
+}
+
+// 지우면 휴지통까지 통째로 사라지는 곳은 휴지통으로도, 영구로도 지우지 않음
+function checkDeletable(absPath) {
+    if (isTopLevel(absPath)) throw new Error(`최상위 폴더는 지울 수 없습니다: ${absPath}`);
+    if (trash.containsTrash(absPath)) throw new Error(`휴지통이 들어 있는 폴더는 지울 수 없습니다: ${absPath}`);
+}
+
+const isStringList = v => Array.isArray(v) && v.every(x => typeof x === 'string');
+
 function resolveSafe(requestedPath) {
     const home = getSafeRoot();
 
@@ -84,12 +99,77 @@ const upload = multer({ storage, limits: { fileSize: 500 * 1024 * 1024 } }); //
 
 /**
  * @param {express.Express} app - SillyTavern Express app
+ * @param {{ standalone?: boolean }} [opts] server-worker.js 로 단독 실행할 때 standalone: true
  */
-function init(app) {
+function init(app, opts = {}) {
+    // 단독 실행이면 이후 콘솔 출력은 ~/.st-filemanager/service-logs/fm.log 에도 남음 (플러그인이면 ST 콘솔 그대로)
+    logs.start({ capture: !!opts.standalone });
     console.log(`[${MODULE_NAME}] Initializing Termux File Manager plugin...`);
 
     const router = express.Router();
 
+    // 터미널 WebSocket 을 받을 수 있게 http 서버를 잡아 둠 (아래 TERMINAL 참고)
+    router.use((req, _res, next) => {
+        _attachTerminalWs(req);
+        next();
+    });
+
+    // ===== AUTH (로그인 전에도 접근 가능한 라우트) =====
+    router.get('/auth/status', (req, res) => {
+        res.json(auth.status(req));
+    });
+
+    // 최초 비밀번호 설정 — 같은 기기(localhost)에서만 가능
+    router.post('/auth/setup', express.json(), (req, res) => {
+        try {
+            if (auth.isConfigured()) {
+                return res.status(400).json({ error: '이미 비밀번호가 설정되어 있습니다' });
+            }
+            if (!auth.isLoopback(req)) {
+                return res.status(403).json({ error: '최초 설정은 이 기기(localhost)에서만 할 수 있습니다' });
+            }
+            auth.setPassword(req.body.password);
+            const result = auth.login(req, req.body.password);
+            res.setHeader('Set-Cookie', auth.sessionCookie(result.token));
+            res.json({ ok: true, token: result.token });
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    router.post('/auth/login', express.json(), (req, res) => {
+        const result = auth.login(req, req.body.password || '');
+        if (!result.ok) {
+            if (result.retryAfter) res.setHeader('Retry-After', String(result.retryAfter));
+            return res.status(result.retryAfter ? 429 : 401).json({ error: result.error, retryAfter: result.retryAfter });
+        }
+        res.setHeader('Set-Cookie', auth.sessionCookie(result.token));
+        res.json({ ok: true, token: result.token });
+    });
+
+    router.post('/auth/logout', (_req, res) => {
+        res.setHeader('Set-Cookie', auth.clearCookie());
+        res.json({ ok: true });
+    });
+
+    // 여기부터 아래의 모든 라우트는 로그인 필요
+    router.use(auth.middleware);
+
+    router.post('/auth/password', express.json(), (req, res) => {
+        try {
+            if (auth.isConfigured() && !auth.verifyPassword(req.body.current || '')) {
+                return res.status(400).json({ error: '현재 비밀번호가 틀렸습니다' });
+            }
+            auth.setPassword(req.body.password);
+            // 서명 키가 바뀌었으므로 이 기기에는 새 세션을 발급
+            const result = auth.login(req, req.body.password);
+            res.setHeader('Set-Cookie', auth.sessionCookie(result.token));
+            res.json({ ok: true, token: result.token });
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+        }
+    });
+
     // ===== LIST directory =====
     router.post('/list', express.json(), (req, res) => {
         try {
@@ -144,59 +224,144 @@ function init(app) {
     });
 
     // ===== DOWNLOAD file =====
+    // GET /download?path=...&inline=1 — Range(이어받기/탐색), ETag/If-None-Match, UTF-8 파일명 지원.
+    // 브라우저가 직접 받으므로 큰 파일도 메모리에 올리지 않고, <audio>/<video> 에서 바로 재생됩니다.
+    function contentDisposition(type, name) {
+        const fallback = name.replace(/[^\x20-\x7e]|["\\%]/g, '_');
+        const encoded = encodeURIComponent(name).replace(/['()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+        return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+    }
+
+    // 브라우저 안에서 바로 열어도 되는 형식만 inline. HTML/SVG 등은 FM 주소에서 스크립트가 돌 수 있으므로 항상 내려받기
+    const INLINE_EXTS = new Set(['.png', '.jpg', '.jpeg', '.gif', '.webp', '.bmp', '.avif',
+        '.mp3', '.m4a', '.ogg', '.opus', '.wav', '.flac', '.aac', '.mp4', '.webm', '.mkv', '.mov', '.pdf']);
+    // 글 파일은 text/plain 으로만
+    const INLINE_TEXT_EXTS = new Set(['.txt', '.log', '.md', '.json', '.jsonl', '.csv', '.yaml', '.yml']);
+
+    function sendDownload(res, requestedPath, inline) {
+        const filePath = resolveSafe(requestedPath);
+        if (!fs.existsSync(filePath) || fs.statSync(filePath).isDirectory()) {
+            return res.status(400).json({ error: 'Not a valid file' });
+        }
+        const name = path.basename(filePath);
+        const ext = path.extname(name).toLowerCase();
+        const asText = inline && INLINE_TEXT_EXTS.has(ext);
+        const disposition = inline && (asText || INLINE_EXTS.has(ext)) ? 'inline' : 'attachment';
+        res.sendFile(filePath, {
+            dotfiles: 'allow',
+            cacheControl: false,
+            headers: {
+                'Content-Disposition': contentDisposition(disposition, name),
+                ...(asText ? { 'Content-Type': 'text/plain; charset=utf-8' } : {}),
+                // 로그인한 사용자만 볼 수 있는 파일이므로 공유 캐시에는 남기지 않고, ETag로 재검증
+                'Cache-Control': 'private, no-cache',
+                'X-Content-Type-Options': 'nosniff',
+                'Content-Security-Policy': 'sandbox',
+            },
+        }, (err) => {
+            if (err && !res.headersSent) res.status(err.status || 500).json({ error: err.message });
+        });
+    }
+
+    router.get('/download', (req, res) => {
+        try {
+            sendDownload(res, req.query.path || '', req.query.inline === '1' || req.query.inline === 'true');
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    // 예전 클라이언트 호환용
     router.post('/download', express.json(), (req, res) => {
         try {
-            const filePath = resolveSafe(req.body.path);
-            if (!fs.existsSync(filePath) || fs.statSync(filePath).isDirectory()) {
-                return res.status(400).json({ error: 'Not a valid file' });
-            }
-            res.download(filePath);
+            sendDownload(res, req.body.path, false);
         } catch (err) {
             res.status(400).json({ error: err.message });
         }
     });
 
-    // ===== DOWNLOAD folder as zip =====
-    router.post('/download-zip', express.json(), (req, res) => {
+    // ===== DOWNLOAD folder / selection as archive =====
+    // 임시 파일 없이 바로 응답으로 스트리밍합니다. format: 'zip'(기본) | 'tar.gz'
+    router.post('/download-zip', express.json(), async (req, res) => {
+        let sources;
+        let format;
         try {
-            const { execSync } = require('child_process');
-            const targetPath = resolveSafe(req.body.path);
-            if (!fs.existsSync(targetPath)) {
-                return res.status(404).json({ error: 'Path not found' });
-            }
-            const stat = fs.statSync(targetPath);
-            if (!stat.isDirectory()) {
-                return res.status(400).json({ error: 'Not a directory. Use download for files.' });
-            }
+            const paths = Array.isArray(req.body.paths) && req.body.paths.length ? req.body.paths : [req.body.path];
+            sources = archiveSources(paths);
+            format = req.body.format === 'tar.gz' ? 'tar.gz' : 'zip';
+        } catch (err) {
+            return res.status(400).json({ error: err.message });
+        }
+        const baseName = sources.length === 1 ? sources[0].name : path.basename(path.dirname(sources[0].abs)) || 'files';
+        res.attachment(baseName + archive.extensionFor(format));
+        res.type(format === 'zip' ? 'application/zip' : 'application/gzip');
+        try {
+            await archive.createArchive(format, sources, res);
+        } catch (err) {
+            console.error(`[${MODULE_NAME}] Archive download failed:`, err.message);
+            // 이미 일부를 보냈으므로 연결을 끊어 브라우저가 불완전한 파일임을 알게 함
+            res.destroy(err);
+        }
+    });
+
+    // ===== ARCHIVE (zip / tar.gz 만들기, 목록, 풀기) =====
+    function archiveSources(paths) {
+        if (!Array.isArray(paths) || paths.length === 0 || !paths[0]) throw new Error('No paths provided');
+        return paths.map(p => {
+            const abs = resolveSafe(p);
+            if (!fs.existsSync(abs)) throw new Error(`Path not found: ${p}`);
+            return { abs, name: path.basename(abs) };
+        });
+    }
 
-            const folderName = path.basename(targetPath);
-            const tmpDir = path.join(getSafeRoot(), '.st-filemanager-tmp');
-            fs.mkdirSync(tmpDir, { recursive: true });
-            const zipName = `${folderName}_${Date.now()}.tar.gz`;
-            const zipPath = path.join(tmpDir, zipName);
-
-            // Create tar.gz archive
-            const parentDir = path.dirname(targetPath);
-            execSync(`tar -czf "${zipPath}" -C "${parentDir}" "${folderName}"`, {
-                encoding: 'utf-8',
-                timeout: 300000, // 5 min timeout for large folders
+    router.post('/archive/create', express.json(), async (req, res) => {
+        let tmpPath;
+        try {
+            const sources = archiveSources(req.body.paths);
+            const destDir = resolveSafe(req.body.dest || path.dirname(sources[0].abs));
+            fs.mkdirSync(destDir, { recursive: true });
+            let name = (req.body.name || (sources.length === 1 ? sources[0].name : 'archive')).replace(/[\/\\]/g, '_');
+            // 이름에 확장자가 있으면 그 형식으로 만들어 이름과 내용이 어긋나지 않게, 없으면 format 대로 붙임
+            const format = archive.formatFromName(name) || (req.body.format === 'tar.gz' ? 'tar.gz' : 'zip');
+            if (!archive.formatFromName(name)) name += archive.extensionFor(format);
+            if (fs.existsSync(path.join(destDir, name))) name = trash.uniqueName(destDir, name);
+            const destPath = path.join(destDir, name);
+            // 만드는 중인 압축 파일이 자기 자신을 담지 않도록 임시 이름으로 쓰고 마지막에 rename
+            tmpPath = path.join(destDir, `.${name}.${Date.now().toString(36)}.partial`);
+            await archive.createArchive(format, sources, fs.createWriteStream(tmpPath), {
+                filter: (abs) => abs !== tmpPath,
             });
+            fs.renameSync(tmpPath, destPath);
+            res.json({ success: true, path: destPath, name, format, size: fs.statSync(destPath).size });
+        } catch (err) {
+            if (tmpPath) { try { fs.unlinkSync(tmpPath); } catch (e) {} }
+            res.status(400).json({ error: err.message });
+        }
+    });
 
-            res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(folderName)}.tar.gz"`);
-            res.setHeader('Content-Type', 'application/gzip');
+    router.post('/archive/list', express.json(), async (req, res) => {
+        try {
+            const filePath = resolveSafe(req.body.path);
+            const { format, entries } = await archive.listArchive(filePath);
+            const totalSize = entries.reduce((s, e) => s + (e.size || 0), 0);
+            res.json({ path: filePath, format, entries, totalSize });
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+        }
+    });
 
-            const fileStream = fs.createReadStream(zipPath);
-            fileStream.pipe(res);
-            fileStream.on('end', () => {
-                // Clean up temp file
-                try { fs.unlinkSync(zipPath); } catch (e) {}
-            });
-            fileStream.on('error', (err) => {
-                try { fs.unlinkSync(zipPath); } catch (e) {}
-                if (!res.headersSent) {
-                    res.status(500).json({ error: err.message });
-                }
+    // conflict: 'overwrite'(기존 파일은 히스토리에 남기고 덮어쓰기) | 'skip'
+    router.post('/archive/extract', express.json(), async (req, res) => {
+        try {
+            const filePath = resolveSafe(req.body.path);
+            const targetDir = resolveSafe(req.body.targetPath || path.dirname(filePath));
+            const only = Array.isArray(req.body.entries) && req.body.entries.length ? req.body.entries : undefined;
+            const result = await archive.extractArchive(filePath, targetDir, {
+                only,
+                overwrite: req.body.conflict !== 'skip',
+                onBeforeWrite: (dest) => history.snapshot(dest, 'extract'),
             });
+            res.json({ success: true, targetPath: targetDir, ...result });
         } catch (err) {
             res.status(400).json({ error: err.message });
         }
@@ -255,6 +420,9 @@ function init(app) {
                     const destDir = path.dirname(destResolved);
                     fs.mkdirSync(destDir, { recursive: true });
 
+                    // 같은 이름 파일을 덮어쓰면 기존 내용을 히스토리에 저장
+                    history.snapshot(destResolved, 'upload');
+
                     // Copy instead of rename (safer across filesystems / special chars)
                     fs.copyFileSync(file.path, destResolved);
                     // Clean up temp file
@@ -275,20 +443,72 @@ function init(app) {
         }
     });
 
+    // ===== RESUMABLE UPLOAD (큰 파일 분할 업로드, 끊기면 이어받기) =====
+    // init → chunk(여러 번, offset 순서대로) → complete. 중간에 끊기면 같은 파일로 init 하면 이어감.
+    function uploadRoute(handler) {
+        return async (req, res) => {
+            try {
+                res.json(await handler(req));
+            } catch (err) {
+                const body = { error: err.message };
+                if (typeof err.offset === 'number') body.offset = err.offset;
+                res.status(err.status || 400).json(body);
+            }
+        };
+    }
+
+    router.post('/upload/init', express.json(), uploadRoute((req) => {
+        const targetDir = resolveSafe(req.body.targetPath || '');
+        const relPath = String(req.body.relativePath || '').replace(/\0/g, '').normalize('NFC');
+        if (!relPath) throw new Error('No file name');
+        const dest = path.resolve(targetDir, relPath);
+        if (!dest.startsWith(targetDir + path.sep)) throw new Error('Path escape blocked');
+        return uploads.init({ dest, size: req.body.size, lastModified: req.body.lastModified });
+    }));
+
+    router.post('/upload/chunk', express.raw({ type: () => true, limit: uploads.MAX_CHUNK_SIZE }), uploadRoute((req) => {
+        return uploads.writeChunk(req.query.uploadId, req.query.offset, req.body, req.get('X-Chunk-Sha256'));
+    }));
+
+    router.post('/upload/status', express.json(), uploadRoute((req) => uploads.status(req.body.uploadId)));
+
+    router.post('/upload/complete', express.json(), uploadRoute(async (req) => {
+        const r = await uploads.complete(req.body.uploadId, {
+            sha256: req.body.sha256,
+            onBeforeWrite: (dest) => history.snapshot(dest, 'upload'),
+        });
+        return { success: true, ...r };
+    }));
+
+    router.post('/upload/cancel', express.json(), uploadRoute((req) => {
+        uploads.cancel(req.body.uploadId);
+        return { success: true };
+    }));
+
+    // 하루 넘게 방치된 업로드 세션 정리
+    setTimeout(() => { try { uploads.gc(); } catch (e) {} }, 15000).unref();
+    setInterval(() => { try { uploads.gc(); } catch (e) {} }, 3600 * 1000).unref();
+
     // ===== DELETE file/folder =====
+    // 기본은 휴지통으로 이동. permanent: true 이거나 휴지통 안의 항목이면 영구 삭제
+    function deletePath(targetPath, permanent) {
+        checkDeletable(targetPath);
+        if (permanent || trash.isTrashPath(targetPath)) {
+            fs.rmSync(targetPath, { recursive: true, force: true });
+            return { permanent: true };
+        }
+        const meta = trash.moveToTrash(targetPath);
+        return { permanent: false, trashId: meta.id };
+    }
+
     router.post('/delete', express.json(), (req, res) => {
         try {
             const targetPath = resolveSafe(req.body.path);
             if (!fs.existsSync(targetPath)) {
                 return res.status(404).json({ error: 'Path not found' });
             }
-            const stat = fs.statSync(targetPath);
-            if (stat.isDirectory()) {
-                fs.rmSync(targetPath, { recursive: true, force: true });
-            } else {
-                fs.unlinkSync(targetPath);
-            }
-            res.json({ success: true });
+            const result = deletePath(targetPath, !!req.body.permanent);
+            res.json({ success: true, ...result, trashFull: !result.permanent && trash.usage().over });
         } catch (err) {
             res.status(400).json({ error: err.message });
         }
@@ -305,12 +525,115 @@ function init(app) {
         }
     });
 
+    // ===== TRANSFER (복사/이동 작업) =====
+    // 겹치는 항목을 치울 때도 휴지통으로
+    transfer.init({ remove: p => deletePath(p, false) });
+
+    // 작업이 끝날 때까지 기다렸다가 한 번에 답함 — 실패한 항목이 있으면 첫 오류를 그대로 돌려줌
+    async function runTransfer(opts) {
+        const job = await transfer.wait(transfer.start(opts).id);
+        if (job.errorCount) throw new Error(job.errors[0].error);
+        return job;
+    }
+
+    // body: { op: 'copy'|'move', paths: [...], dest: 폴더, conflict?: 'skip'|'overwrite'|'rename'|'ask' }
+    router.post('/transfer', express.json(), (req, res) => {
+        try {
+            const paths = Array.isArray(req.body.paths) ? req.body.paths : [];
+            if (!paths.length) throw new Error('옮길 항목을 고르세요');
+            const items = paths.map(p => ({ src: resolveSafe(p) }));
+            for (const i of items) {
+                if (ALLOWED_ROOTS.includes(i.src)) throw new Error(`최상위 폴더는 옮길 수 없습니다: ${i.src}`);
+            }
+            const destDir = resolveSafe(req.body.dest || '');
+            res.json(transfer.start({ op: req.body.op, items, destDir, conflict: req.body.conflict }));
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    router.get('/transfer/jobs', (req, res) => {
+        res.json({ jobs: transfer.list() });
+    });
+
+    // SSE — ?id=작업. progress / ask / exit 를 흘려보냄 (브라우저가 끊어도 작업은 계속)
+    router.get('/transfer/stream', (req, res) => {
+        const id = String(req.query.id || '');
+        const job = transfer.get(id);
+        if (!job) return res.status(404).end('작업 없음');
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no',
+        });
+        const send = (msg) => {
+            try { res.write(`data: ${JSON.stringify(msg)}\n\n`); } catch (e) {}
+        };
+        if (!transfer.isActive(job)) {
+            send({ type: 'exit', job });
+            return res.end();
+        }
+        send({ type: job.status === 'waiting' ? 'ask' : 'progress', job });
+        const on = type => (j) => {
+            if (j.id !== id) return;
+            send({ type, job: transfer.summary(j) });
+            if (type === 'exit') res.end();
+        };
+        const onProgress = on('progress');
+        const onAsk = on('ask');
+        const onExit = on('exit');
+        transfer.events.on('progress', onProgress);
+        transfer.events.on('ask', onAsk);
+        transfer.events.on('exit', onExit);
+        const ping = setInterval(() => {
+            try { res.write(': ping\n\n'); } catch (e) {}
+        }, 15000);
+        res.on('close', () => {
+            clearInterval(ping);
+            transfer.events.off('progress', onProgress);
+            transfer.events.off('ask', onAsk);
+            transfer.events.off('exit', onExit);
+        });
+    });
+
+    // body: { id, action: 'skip'|'overwrite'|'rename', applyToAll? }
+    router.post('/transfer/answer', express.json(), (req, res) => {
+        try {
+            res.json(transfer.answer(req.body.id, req.body.action, !!req.body.applyToAll));
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    router.post('/transfer/cancel', express.json(), (req, res) => {
+        try {
+            res.json(transfer.cancel(req.body.id));
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    router.post('/transfer/clear', (req, res) => {
+        res.json({ cleared: transfer.clearFinished() });
+    });
+
     // ===== MOVE / RENAME =====
-    router.post('/move', express.json(), (req, res) => {
+    // 항목 하나를 to 경로로 (장치가 달라도 됨). 같은 이름이 있으면 overwrite: true 일 때만 덮어씀
+    router.post('/move', express.json(), async (req, res) => {
         try {
             const src = resolveSafe(req.body.from);
             const dest = resolveSafe(req.body.to);
-            fs.renameSync(src, dest);
+            if (!fs.existsSync(src)) {
+                return res.status(404).json({ error: '원본을 찾을 수 없습니다.' });
+            }
+            const existing = fs.existsSync(dest) ? fs.lstatSync(dest) : null;
+            const srcStat = fs.lstatSync(src);
+            // 대소문자만 바꾸는 경우는 같은 항목이라 충돌 아님
+            if (existing && !req.body.overwrite && !(existing.ino === srcStat.ino && existing.dev === srcStat.dev)) {
+                return res.status(409).json({ error: '같은 이름이 이미 있습니다.' });
+            }
+            await runTransfer({ op: 'move', items: [{ src, name: path.basename(dest) }], destDir: path.dirname(dest), conflict: 'overwrite' });
             res.json({ success: true });
         } catch (err) {
             res.status(400).json({ error: err.message });
@@ -318,7 +641,8 @@ function init(app) {
     });
 
     // ===== COPY file/folder =====
-    router.post('/copy', express.json(), (req, res) => {
+    // 항목 하나를 to 경로로 복사. 같은 이름이 있으면 conflict (기본 overwrite — 폴더는 합침)
+    router.post('/copy', express.json(), async (req, res) => {
         try {
             const src = resolveSafe(req.body.from);
             const dest = resolveSafe(req.body.to);
@@ -326,18 +650,10 @@ function init(app) {
             if (!fs.existsSync(src)) {
                 return res.status(404).json({ error: '원본을 찾을 수 없습니다.' });
             }
-
-            const stat = fs.statSync(src);
-            if (stat.isDirectory()) {
-                // Recursive directory copy
-                const { execSync } = require('child_process');
-                execSync(`cp -r "${src}" "${dest}"`);
-            } else {
-                // Ensure dest directory exists
-                fs.mkdirSync(path.dirname(dest), { recursive: true });
-                fs.copyFileSync(src, dest);
-            }
-            res.json({ success: true });
+            // 여기서는 물어볼 곳이 없으니 ask 는 받지 않음
+            const conflict = ['skip', 'overwrite', 'rename'].includes(req.body.conflict) ? req.body.conflict : 'overwrite';
+            const job = await runTransfer({ op: 'copy', items: [{ src, name: path.basename(dest) }], destDir: path.dirname(dest), conflict });
+            res.json({ success: true, dest: job.done[0] ? job.done[0].dest : null });
         } catch (err) {
             res.status(400).json({ error: err.message });
         }
@@ -373,12 +689,7 @@ function init(app) {
                 return res.status(400).json({ error: 'Cannot write to a directory' });
             }
             // 기존 파일이 있으면 히스토리에 저장
-            if (fs.existsSync(filePath)) {
-                try {
-                    const prevContent = fs.readFileSync(filePath, 'utf-8');
-                    pushHistory(filePath, prevContent);
-                } catch (e) { /* 읽기 실패 시 무시 */ }
-            }
+            history.snapshot(filePath, 'write');
             // 부모 디렉토리 확인
             fs.mkdirSync(path.dirname(filePath), { recursive: true });
             fs.writeFileSync(filePath, req.body.content, 'utf-8');
@@ -389,16 +700,16 @@ function init(app) {
         }
     });
 
-    // ===== FILE EDIT HISTORY (세션 내 되돌리기) =====
+    // ===== FILE EDIT HISTORY (디스크 저장, 재시작 후에도 유지) =====
     router.post('/history', express.json(), (req, res) => {
         try {
             const filePath = resolveSafe(req.body.path);
-            const history = fileHistory.get(filePath) || [];
             // 내용 제외한 메타데이터만 반환
-            const items = history.map((h, idx) => ({
+            const items = history.list(filePath).map((h, idx) => ({
                 index: idx,
                 timestamp: h.timestamp,
                 size: h.size,
+                source: h.source,
                 timeAgo: formatTimeAgo(h.timestamp),
             }));
             res.json({ path: req.body.path, count: items.length, items: items.reverse() });
@@ -410,21 +721,16 @@ function init(app) {
     router.post('/history-restore', express.json(), (req, res) => {
         try {
             const filePath = resolveSafe(req.body.path);
-            const idx = req.body.index;
-            const history = fileHistory.get(filePath);
-            if (!history || idx < 0 || idx >= history.length) {
+            const version = history.read(filePath, req.body.index);
+            if (!version) {
                 return res.status(400).json({ error: '해당 히스토리가 없습니다' });
             }
             // 현재 내용을 히스토리에 먼저 저장 (복원도 되돌릴 수 있게)
-            if (fs.existsSync(filePath)) {
-                try {
-                    const current = fs.readFileSync(filePath, 'utf-8');
-                    pushHistory(filePath, current);
-                } catch (e) { /* ignore */ }
-            }
-            fs.writeFileSync(filePath, history[idx].content, 'utf-8');
+            history.snapshot(filePath, 'restore');
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.writeFileSync(filePath, version.content);
             const stat = fs.statSync(filePath);
-            res.json({ success: true, size: stat.size, content: history[idx].content });
+            res.json({ success: true, size: stat.size, content: version.binary ? '' : version.content.toString('utf-8'), binary: version.binary });
         } catch (err) {
             res.status(400).json({ error: err.message });
         }
@@ -434,12 +740,17 @@ function init(app) {
     router.post('/history-content', express.json(), (req, res) => {
         try {
             const filePath = resolveSafe(req.body.path);
-            const idx = req.body.index;
-            const history = fileHistory.get(filePath);
-            if (!history || idx < 0 || idx >= history.length) {
+            const version = history.read(filePath, req.body.index);
+            if (!version) {
                 return res.status(400).json({ error: '해당 히스토리가 없습니다' });
             }
-            res.json({ content: history[idx].content, size: history[idx].size, timestamp: history[idx].timestamp });
+            res.json({
+                content: version.binary ? '' : version.content.toString('utf-8'),
+                binary: version.binary,
+                size: version.size,
+                timestamp: version.timestamp,
+                source: version.source,
+            });
         } catch (err) {
             res.status(400).json({ error: err.message });
         }
@@ -455,6 +766,7 @@ function init(app) {
             const results = [];
             const maxResults = 100;
             const maxDepth = 8;
+            const showHidden = !!req.body.hidden;
 
             function searchDir(dir, depth) {
                 if (depth > maxDepth || results.length >= maxResults) return;
@@ -479,7 +791,7 @@ function init(app) {
                                 size, mtime,
                             });
                         }
-                        if (item.isDirectory() && !item.name.startsWith('.') && item.name !== 'node_modules') {
+                        if (item.isDirectory() && (showHidden || !item.name.startsWith('.')) && item.name !== 'node_modules') {
                             searchDir(path.join(dir, item.name), depth + 1);
                         }
                     }
@@ -493,6 +805,180 @@ function init(app) {
         }
     });
 
+    // ===== CONTENT SEARCH (파일 내용 검색, SSE 스트리밍) =====
+    // GET /search/content?path=&query=&regex=1&case=1&include=*.jsonl&exclude=&maxSize=(MB)&context=1&hidden=1
+    // 이벤트: match(결과 하나) / progress / done / error
+    router.get('/search/content', async (req, res) => {
+        const q = req.query;
+        let basePath;
+        try {
+            basePath = resolveSafe(q.path || '');
+            if (!String(q.query || '').trim()) throw new Error('검색어를 입력하세요');
+        } catch (err) {
+            return res.status(400).json({ error: err.message });
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no',
+        });
+        const send = (data) => res.write(`data: ${JSON.stringify(data)}\n\n`);
+        let aborted = false;
+        req.on('close', () => { aborted = true; });
+
+        const flag = (v) => v === '1' || v === 'true';
+        try {
+            const stats = await search.searchContent(basePath, {
+                query: String(q.query),
+                regex: flag(q.regex),
+                caseSensitive: flag(q.case),
+                include: q.include,
+                exclude: q.exclude,
+                maxFileSize: Number(q.maxSize) > 0 ? Number(q.maxSize) * 1024 * 1024 : undefined,
+                maxResults: Number(q.maxResults) || undefined,
+                context: Number(q.context) || 0,
+                hidden: flag(q.hidden),
+                isAborted: () => aborted,
+                onMatch: (m) => send({ type: 'match', ...m }),
+                onProgress: (p) => send({ type: 'progress', ...p }),
+            });
+            send({ type: 'done', basePath, ...stats });
+        } catch (err) {
+            send({ type: 'error', error: err.message });
+        }
+        res.end();
+    });
+
+    // ===== DISK USAGE (용량 분석) =====
+    // SSE: { type: 'progress', dirs, files, bytes, current } … { type: 'done', ...summary }
+    // 이미 끝까지 분석한 폴더(또는 그 안)는 refresh=1 이 아니면 캐시로 바로 응답
+    router.get('/du', async (req, res) => {
+        let root;
+        try {
+            root = resolveSafe(req.query.path || '');
+        } catch (err) {
+            return res.status(400).json({ error: err.message });
+        }
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no',
+        });
+        const send = (data) => res.write(`data: ${JSON.stringify(data)}\n\n`);
+        let aborted = false;
+        req.on('close', () => { aborted = true; });
+        try {
+            let result = req.query.refresh === '1' ? null : await du.summary(root);
+            if (!result || result.aborted) {
+                result = await du.scan(root, {
+                    isAborted: () => aborted,
+                    onProgress: (p) => send({ type: 'progress', ...p }),
+                });
+            }
+            send({ type: 'done', ...result });
+        } catch (err) {
+            send({ type: 'error', error: err.message });
+        }
+        res.end();
+    });
+
+    // 트리맵에서 한 단계 들어갈 때 (분석한 결과 안에서만)
+    router.get('/du/node', async (req, res) => {
+        try {
+            const result = await du.summary(resolveSafe(req.query.path || ''));
+            if (!result) return res.status(404).json({ error: '분석 결과가 없습니다. 먼저 분석하세요.' });
+            res.json(result);
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    // body: { paths: [...], permanent?: bool } — 기본은 휴지통으로 (공간을 비우려면 permanent)
+    router.post('/du/cleanup', express.json(), (req, res) => {
+        try {
+            const paths = Array.isArray(req.body.paths) ? req.body.paths : [];
+            if (!paths.length) throw new Error('정리할 항목을 고르세요');
+            const self = path.resolve(__dirname);
+            const removed = [];
+            const errors = [];
+            for (const p of paths) {
+                try {
+                    const target = resolveSafe(p);
+                    if (ALLOWED_ROOTS.includes(target)) throw new Error('최상위 폴더는 정리할 수 없습니다');
+                    if (target === self || self.startsWith(target + path.sep) || target.startsWith(self + path.sep)) throw new Error('파일매니저 자신은 정리할 수 없습니다');
+                    if (!fs.existsSync(target)) throw new Error('이미 없음');
+                    deletePath(target, !!req.body.permanent);
+                    removed.push({ path: target, ...du.forget(target) });
+                } catch (e) {
+                    errors.push({ path: p, error: e.message });
+                }
+            }
+            res.json({ success: errors.length === 0, removed, errors, freed: removed.reduce((n, r) => n + r.size, 0), permanent: !!req.body.permanent });
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    // ===== DUPLICATES (중복 파일) =====
+    // body: { paths?: [...], kind?: 'all'|'images'|'png'|'chats', minSize?, images?: bool, threshold? }
+    // paths 가 없으면 홈과 /storage 전체
+    router.post('/dupes/start', express.json(), (req, res) => {
+        try {
+            const paths = Array.isArray(req.body.paths) && req.body.paths.length ? req.body.paths : ALLOWED_ROOTS;
+            const roots = paths.map(p => resolveSafe(p)).filter(p => fs.existsSync(p));
+            res.json(dupes.start(roots, req.body));
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    // id 가 없으면 가장 최근 작업 (없으면 job: null)
+    router.get('/dupes/job', (req, res) => {
+        res.json({ job: dupes.get(req.query.id) });
+    });
+
+    router.post('/dupes/cancel', express.json(), (req, res) => {
+        try {
+            res.json(dupes.cancel(req.body.id));
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    // body: { id, groups: [{ group, keep }], permanent? } — 그룹마다 keep 번째 파일만 남기고 나머지를 지움
+    router.post('/dupes/resolve', express.json(), async (req, res) => {
+        try {
+            const picks = Array.isArray(req.body.groups) ? req.body.groups : [];
+            if (!picks.length) throw new Error('정리할 그룹을 고르세요');
+            const removed = [];
+            const errors = [];
+            for (const pick of picks) {
+                try {
+                    const { remove } = await dupes.plan(req.body.id, pick.group, pick.keep);
+                    const done = [];
+                    for (const f of remove) {
+                        try {
+                            deletePath(resolveSafe(f.path), !!req.body.permanent);
+                            done.push(f.path);
+                            removed.push({ path: f.path, size: f.size });
+                        } catch (e) {
+                            errors.push({ path: f.path, error: e.message });
+                        }
+                    }
+                    dupes.markRemoved(req.body.id, pick.group, pick.keep, done);
+                } catch (e) {
+                    errors.push({ group: pick.group, error: e.message });
+                }
+            }
+            res.json({ success: errors.length === 0, removed, errors, freed: removed.reduce((n, r) => n + r.size, 0), permanent: !!req.body.permanent });
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+        }
+    });
+
     // ===== FILE INFO (상세 정보) =====
     router.post('/info', express.json(), (req, res) => {
         try {
@@ -545,36 +1031,136 @@ function init(app) {
         }
     });
 
+    // ===== CHARACTER CARD (PNG 캐릭터 카드 읽기/편집) =====
+    function readPngFile(filePath) {
+        if (path.extname(filePath).toLowerCase() !== '.png') throw new Error('PNG 카드만 지원합니다');
+        const stat = fs.statSync(filePath);
+        if (stat.size > 20 * 1024 * 1024) throw new Error('파일이 너무 큽니다 (>20MB)');
+        return fs.readFileSync(filePath);
+    }
+
+    router.post('/card/read', express.json(), (req, res) => {
+        try {
+            const filePath = resolveSafe(req.body.path);
+            const { card, spec, sources } = characterCard.readCard(readPngFile(filePath));
+            if (!card) return res.status(400).json({ error: '캐릭터 카드 데이터가 없는 PNG입니다' });
+            res.json({ path: filePath, card, spec, sources });
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    // 이미지 데이터는 그대로 두고 chara/ccv3 텍스트 청크만 교체. 이전 PNG 는 히스토리에 남김
+    router.post('/card/write', express.json({ limit: '20mb' }), (req, res) => {
+        try {
+            const filePath = resolveSafe(req.body.path);
+            const next = characterCard.writeCard(readPngFile(filePath), req.body.card);
+            history.snapshot(filePath, 'card');
+            const tmp = `${filePath}.${process.pid}.tmp`;
+            fs.writeFileSync(tmp, next);
+            fs.renameSync(tmp, filePath);
+            res.json({ success: true, size: next.length });
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+        }
+    });
+
     // ===== BATCH DELETE (일괄 삭제) =====
     router.post('/batch-delete', express.json(), (req, res) => {
         try {
             const paths = req.body.paths || [];
+            // 하나라도 지울 수 없는 곳이면 아무것도 지우지 않음
+            for (const p of paths) checkDeletable(resolveSafe(p));
             const results = [];
             const errors = [];
             for (const p of paths) {
                 try {
                     const targetPath = resolveSafe(p);
-                    if (fs.statSync(targetPath).isDirectory()) {
-                        fs.rmSync(targetPath, { recursive: true, force: true });
-                    } else {
-                        fs.unlinkSync(targetPath);
-                    }
+                    if (!fs.existsSync(targetPath)) throw new Error('Path not found');
+                    deletePath(targetPath, !!req.body.permanent);
                     results.push(p);
                 } catch (err) {
                     errors.push({ path: p, error: err.message });
                 }
             }
-            res.json({ success: true, deleted: results, errors });
+            res.json({ success: true, deleted: results, errors, trashFull: !req.body.permanent && trash.usage().over });
         } catch (err) {
             res.status(400).json({ error: err.message });
         }
     });
 
-    // ===== Find SillyTavern root =====
-    function findSTRoot() {
-        const home = getSafeRoot();
-        // Check common locations
-        const candidates = [
+    // ===== TRASH (휴지통) =====
+    router.post('/trash/list', express.json(), (_req, res) => {
+        try {
+            const items = trash.list().map(({ trashRoot, ...item }) => ({
+                ...item,
+                timeAgo: formatTimeAgo(item.deletedAt),
+            }));
+            const { totalSize, limit, over } = trash.usage();
+            res.json({ items, totalSize, limit, over, settings: trash.getSettings() });
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    // conflict: 'rename'(기본, "이름 (1).ext") | 'overwrite'(기존 항목은 휴지통으로) | 'skip'
+    router.post('/trash/restore', express.json(), (req, res) => {
+        try {
+            const ids = req.body.ids || (req.body.id ? [req.body.id] : []);
+            const targetDir = req.body.targetPath ? resolveSafe(req.body.targetPath) : undefined;
+            const restored = [];
+            const errors = [];
+            for (const id of ids) {
+                try {
+                    restored.push(trash.restore(id, { conflict: req.body.conflict, targetDir }));
+                } catch (err) {
+                    errors.push({ id, error: err.message });
+                }
+            }
+            res.json({ success: true, restored, errors });
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    router.post('/trash/purge', express.json(), (req, res) => {
+        try {
+            const ids = req.body.ids || [];
+            const purged = ids.filter(id => trash.purge(id));
+            res.json({ success: true, purged });
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    router.post('/trash/empty', express.json(), (_req, res) => {
+        try {
+            res.json({ success: true, count: trash.empty() });
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    // 보존 기간(일) / 최대 용량(MB, 넘으면 경고만) — 0이면 제한 없음
+    router.post('/trash/settings', express.json(), (req, res) => {
+        try {
+            const settings = trash.saveSettings(req.body || {});
+            const removed = trash.enforce();
+            res.json({ success: true, settings, removed });
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    // 시작할 때 한 번, 이후 하루마다 보존 정책 적용
+    setTimeout(() => { try { trash.enforce(); } catch (e) {} }, 10000).unref();
+    setInterval(() => { try { trash.enforce(); } catch (e) {} }, 24 * 3600 * 1000).unref();
+
+    // ===== Find SillyTavern root =====
+    function findSTRoot() {
+        const home = getSafeRoot();
+        // Check common locations
+        const candidates = [
             path.join(home, 'SillyTavern'),
             path.join(home, 'sillytavern'),
             path.join(home, 'ST'),
@@ -588,307 +1174,388 @@ function init(app) {
         return null;
     }
 
+    // ===== Find Chat Library root =====
+    function findLibraryRoot() {
+        const home = getSafeRoot();
+        for (const name of ['chat-library', 'Chat-Library', 'perpage']) {
+            const p = path.join(home, name);
+            if (fs.existsSync(p)) return p;
+        }
+        return null;
+    }
+
     // ===== BACKUP SillyTavern data =====
+    // body: { users?: ['default-user'], categories?: ['chats','characters','worlds','settings'], config?: bool, format?: 'tar.gz'|'zip' }
+    // 아무것도 안 주면 예전처럼 data 전체 + config.yaml
     router.post('/backup', express.json(), async (req, res) => {
+        const stRoot = findSTRoot();
+        if (!stRoot) {
+            return res.status(400).json({ error: 'SillyTavern 폴더를 찾을 수 없습니다. ~/SillyTavern 경로를 확인하세요.' });
+        }
+        const scope = { users: req.body.users, categories: req.body.categories, config: req.body.config };
+        let destDir;
+        // 잘못된 요청(없는 사용자·범위, 허용 밖 경로)은 만들기 전에 400
         try {
-            const { execSync } = require('child_process');
-            const stRoot = findSTRoot();
-            if (!stRoot) {
-                return res.status(400).json({ error: 'SillyTavern 폴더를 찾을 수 없습니다. ~/SillyTavern 경로를 확인하세요.' });
+            for (const key of ['users', 'categories']) {
+                if (scope[key] != null && !isStringList(scope[key])) throw new Error(`${key} 는 문자열 배열이어야 합니다`);
             }
+            if (!backup.resolveScope(stRoot, scope).sources.length) throw new Error('백업할 파일이 없습니다.');
+            destDir = req.body.dest ? resolveSafe(req.body.dest) : getSafeRoot();
+        } catch (err) {
+            return res.status(400).json({ error: err.message });
+        }
+        try {
+            const result = await backup.createBackup(stRoot, scope, { destDir, format: req.body.format });
+            res.json({ success: true, stRoot, ...result });
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
 
-            const backupName = `st-backup-${new Date().toISOString().replace(/[:.]/g, '-')}.tar.gz`;
-            const backupPath = path.join(getSafeRoot(), backupName);
+    router.post('/backup/scopes', express.json(), (_req, res) => {
+        const stRoot = findSTRoot();
+        if (!stRoot) return res.status(400).json({ error: 'SillyTavern 폴더를 찾을 수 없습니다.' });
+        res.json({ stRoot, users: backup.listUsers(stRoot), categories: Object.keys(backup.CATEGORIES) });
+    });
 
-            const targets = [];
-            if (fs.existsSync(path.join(stRoot, 'data'))) targets.push('data');
-            if (fs.existsSync(path.join(stRoot, 'config.yaml'))) targets.push('config.yaml');
+    // 백업 파일 안 내용(manifest, 폴더별 개수/크기) 보기. verify: true 면 해시 검증까지
+    router.post('/backup/inspect', express.json(), async (req, res) => {
+        try {
+            const backupFile = resolveSafe(req.body.path);
+            res.json(await backup.inspect(backupFile, { verify: !!req.body.verify }));
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+        }
+    });
 
-            if (targets.length === 0) {
-                return res.status(400).json({ error: 'SillyTavern에 data/config가 없습니다.' });
+    // ===== RESTORE from backup =====
+    // body: { path, paths?: ['data/default-user/chats', ...], dryRun?: bool }
+    // dryRun 이면 아무것도 쓰지 않고 현재 파일과 비교한 결과(new/changed/same)만 돌려줌
+    router.post('/restore', express.json(), async (req, res) => {
+        const stRoot = findSTRoot();
+        if (!stRoot) {
+            return res.status(400).json({ error: 'SillyTavern 폴더를 찾을 수 없습니다.' });
+        }
+        let backupFile;
+        try {
+            backupFile = resolveSafe(req.body.path);
+            if (req.body.paths != null && !isStringList(req.body.paths)) throw new Error('paths 는 문자열 배열이어야 합니다');
+        } catch (err) {
+            return res.status(400).json({ error: err.message });
+        }
+        if (!fs.existsSync(backupFile)) {
+            return res.status(404).json({ error: '백업 파일을 찾을 수 없습니다.' });
+        }
+        try {
+            const only = req.body.paths && req.body.paths.length ? req.body.paths : undefined;
+            if (req.body.dryRun) {
+                return res.json({ dryRun: true, stRoot, ...(await backup.diff(backupFile, stRoot, { only })) });
             }
-
-            execSync(`tar -czf "${backupPath}" ${targets.join(' ')}`, { cwd: stRoot });
-            res.json({ success: true, backupPath, backupName, stRoot });
+            // tar.gz / zip 모두 가능, 압축 안의 경로가 SillyTavern 폴더 밖을 가리키면 건너뜀
+            const result = await backup.restore(backupFile, stRoot, { only });
+            res.json({ success: true, message: '복원 완료! SillyTavern을 재시작하세요.', extracted: result.extracted, skipped: result.skipped, snapshots: result.snapshots });
         } catch (err) {
             res.status(500).json({ error: err.message });
         }
     });
 
-    // ===== RESTORE from backup =====
-    router.post('/restore', express.json(), (req, res) => {
+    // ===== SCHEDULED BACKUP =====
+    // 설정: { enabled, cron: '0 4 * * *', destDir, scope: { users, categories, config }, format, keepDaily, keepWeekly, skipUnchanged, mirror, mirrorUser }
+    backupSchedule.start({ findSTRoot });
+
+    router.post('/backup/schedule', express.json(), (_req, res) => {
         try {
-            const { execSync } = require('child_process');
-            const backupFile = resolveSafe(req.body.path);
-            const stRoot = findSTRoot();
-            if (!stRoot) {
-                return res.status(400).json({ error: 'SillyTavern 폴더를 찾을 수 없습니다.' });
-            }
+            res.json(backupSchedule.status());
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    router.post('/backup/schedule/save', express.json(), (req, res) => {
+        try {
+            const patch = { ...req.body };
+            if (patch.destDir) patch.destDir = resolveSafe(patch.destDir);
+            backupSchedule.saveSettings(patch);
+            res.json({ success: true, ...backupSchedule.status() });
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    // 지금 바로 한 번 실행. force: true 면 바뀐 게 없어도 백업
+    router.post('/backup/schedule/run', express.json(), async (req, res) => {
+        try {
+            const run = await backupSchedule.runOnce({ trigger: 'manual', force: !!req.body.force });
+            res.json({ success: run.status !== 'error', run });
+        } catch (err) {
+            res.status(409).json({ error: err.message });
+        }
+    });
+
+    router.post('/backup/runs', express.json(), (_req, res) => {
+        res.json({ runs: backupSchedule.listRuns() });
+    });
 
-            if (!fs.existsSync(backupFile)) {
-                return res.status(404).json({ error: '백업 파일을 찾을 수 없습니다.' });
+    // ===== SYNC (폴더 동기화) =====
+    // 쌍: { id, name, source, target, mode: 'mirror'|'two-way', compare: 'mtime'|'size'|'hash',
+    //       conflict: 'newer'|'source'|'target'|'keep-both'|'skip', propagateDeletes, exclude, schedule: { enabled, cron } }
+    sync.start({ remove: p => deletePath(p, false) });
+
+    router.get('/sync/pairs', (_req, res) => {
+        res.json(sync.status());
+    });
+
+    // 새 쌍을 만들 때 채워 넣을 기본값 — ST 사용자 폴더와 저장장치마다의 Backup 폴더
+    router.get('/sync/suggest', (_req, res) => {
+        const stRoot = findSTRoot();
+        const user = stRoot ? path.join(stRoot, 'data', 'default-user') : null;
+        const targets = [];
+        let mounts = [];
+        try { mounts = fs.readdirSync('/storage'); } catch (e) {}
+        for (const name of mounts) {
+            if (name === 'self') continue;
+            const mount = name === 'emulated' ? '/storage/emulated/0' : path.join('/storage', name);
+            // Backup 폴더 바로 아래는 자동 백업(st-auto-backups) 등 다른 파일과 섞이므로 동기화 전용 하위 폴더로
+            const target = path.join(mount, 'Backup', 'SillyTavern-sync');
+            if (fs.existsSync(mount)) targets.push({ path: target, exists: fs.existsSync(target), sd: name !== 'emulated' });
+        }
+        res.json({ source: user && fs.existsSync(user) ? user : null, targets });
+    });
+
+    router.post('/sync/pairs/save', express.json(), (req, res) => {
+        try {
+            const patch = { ...req.body };
+            if (patch.source !== undefined) patch.source = resolveSafe(patch.source);
+            if (patch.target !== undefined) patch.target = resolveSafe(patch.target);
+            if (patch.source !== undefined && !fs.existsSync(patch.source)) throw new Error('원본 폴더가 없습니다');
+            res.json({ success: true, pair: sync.savePair(patch) });
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    router.post('/sync/pairs/delete', express.json(), (req, res) => {
+        try {
+            sync.deletePair(req.body.id);
+            res.json({ success: true });
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    // 실행하지 않고 만들/고칠/지울 파일만 보여 줌
+    router.post('/sync/preview', express.json(), async (req, res) => {
+        try {
+            res.json(await sync.preview(req.body.id));
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    router.post('/sync/run', express.json(), async (req, res) => {
+        try {
+            const run = await sync.run(req.body.id, { trigger: 'manual' });
+            res.json({ success: run.status !== 'error', run });
+        } catch (err) {
+            res.status(409).json({ error: err.message });
+        }
+    });
+
+    router.get('/sync/runs', (req, res) => {
+        res.json({ runs: sync.listRuns(req.query.id) });
+    });
+
+    // ===== SERVICES (SillyTavern / 도서관 프로세스 관리) =====
+    supervisor.start({ findSTRoot, findLibraryRoot });
+
+    router.get('/services', (_req, res) => {
+        res.json({ services: supervisor.status() });
+    });
+
+    for (const action of ['start', 'stop', 'restart']) {
+        router.post(`/services/${action}`, express.json(), async (req, res) => {
+            try {
+                const fn = { start: supervisor.startService, stop: supervisor.stopService, restart: supervisor.restartService }[action];
+                res.json({ success: true, service: await fn(req.body.name) });
+            } catch (err) {
+                res.status(400).json({ error: err.message });
             }
+        });
+    }
 
-            execSync(`tar -xzf "${backupFile}" --overwrite`, { cwd: stRoot });
-            res.json({ success: true, message: '복원 완료! SillyTavern을 재시작하세요.' });
+    // body: { name, autoRestart?, healthUrl? } — healthUrl 을 비우면 기본값(포트로 계산)
+    router.post('/services/options', express.json(), (req, res) => {
+        try {
+            res.json({ success: true, service: supervisor.setOptions(req.body.name, req.body) });
         } catch (err) {
-            res.status(500).json({ error: err.message });
+            res.status(400).json({ error: err.message });
         }
     });
 
-    // ===== UPDATE (git pull) =====
-    router.post('/update', express.json(), (req, res) => {
+    // ===== LOGS (SillyTavern / 도서관 / 파일매니저 출력) =====
+    router.get('/logs', (_req, res) => {
+        res.json({ sources: logs.listSources(), levels: logs.LEVELS });
+    });
+
+    // query: source, gen(0~3), before(바이트 위치, 이전 페이지), limit, level(최소 수준), q, regex=1
+    router.get('/logs/read', (req, res) => {
         try {
-            const { execSync } = require('child_process');
-            const target = req.body.target; // 'fm' or 'st'
-            let cwd;
-            let log = '';
+            const q = req.query;
+            res.json(logs.readLines(String(q.source || ''), { gen: q.gen, before: q.before, limit: q.limit, level: q.level, q: q.q, regex: q.regex === '1' }));
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+        }
+    });
 
-            if (target === 'fm') {
-                // Update file manager itself
-                cwd = path.resolve(__dirname);
-                log += '📂 파일매니저 업데이트 중...\n';
-                log += '$ git pull\n';
-                try {
-                    log += execSync('git pull', { cwd, encoding: 'utf-8', timeout: 30000 });
-                } catch (e) {
-                    log += e.stdout || '';
-                    log += e.stderr || '';
-                }
-                log += '\n$ npm install\n';
-                try {
-                    log += execSync('npm install --production 2>&1', { cwd, encoding: 'utf-8', timeout: 60000 });
-                } catch (e) {
-                    log += e.stdout || '';
-                    log += e.stderr || '';
-                }
-                // Schedule restart
-                res.json({ success: true, log });
-                setTimeout(() => process.exit(0), 1500); // pm2 or user restarts
-                return;
-            } else if (target === 'st') {
-                // Update SillyTavern
-                const stRoot = findSTRoot();
-                if (!stRoot) {
-                    return res.status(400).json({ error: 'SillyTavern 폴더를 찾을 수 없습니다.' });
-                }
-                cwd = stRoot;
-                log += '🎭 SillyTavern 업데이트 중...\n';
-                log += '$ git pull\n';
-                try {
-                    log += execSync('git pull', { cwd, encoding: 'utf-8', timeout: 30000 });
-                } catch (e) {
-                    log += e.stdout || '';
-                    log += e.stderr || '';
-                }
-                log += '\n$ npm install\n';
-                try {
-                    log += execSync('npm install --production 2>&1', { cwd, encoding: 'utf-8', timeout: 120000 });
-                } catch (e) {
-                    log += e.stdout || '';
-                    log += e.stderr || '';
-                }
-                res.json({ success: true, log });
-                return;
-            } else if (target === 'st-start') {
-                // Start SillyTavern via start.sh or node server.js
-                const stRoot = findSTRoot();
-                if (!stRoot) {
-                    return res.status(400).json({ error: 'SillyTavern 폴더를 찾을 수 없습니다.' });
-                }
-                cwd = stRoot;
-                log += '🚀 SillyTavern 시작 중...\n';
+    // SSE: 먼저 { type: 'history', lines, nextBefore, size } 를 보내고, 이후 새 줄마다 { type: 'lines', lines }
+    // 파일이 넘겨지거나 비워지면 { type: 'reset' }
+    router.get('/logs/tail', (req, res) => {
+        const q = req.query;
+        const source = String(q.source || '');
+        const opts = { level: q.level, q: q.q, regex: q.regex === '1' };
+        let history;
+        try {
+            history = logs.readLines(source, { ...opts, limit: q.lines || 200 });
+        } catch (err) {
+            return res.status(400).json({ error: err.message });
+        }
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no',
+        });
+        const send = (msg) => {
+            try { res.write(`data: ${JSON.stringify(msg)}\n\n`); } catch (e) {}
+        };
+        send({ type: 'history', ...history });
+        const stop = logs.follow(source, { ...opts, from: history.size },
+            (lines) => send({ type: 'lines', lines }),
+            () => send({ type: 'reset' }));
+        const ping = setInterval(() => {
+            try { res.write(': ping\n\n'); } catch (e) {}
+        }, 25000);
+        req.on('close', () => {
+            stop();
+            clearInterval(ping);
+        });
+    });
 
-                // Check if already running
-                try {
-                    const check = execSync('pgrep -f "node.*server.js" 2>/dev/null || true', { encoding: 'utf-8', shell: true }).trim();
-                    if (check) {
-                        log += '⚠️ SillyTavern이 이미 실행 중인 것 같습니다 (PID: ' + check + ')\n';
-                    }
-                } catch (e) {}
+    router.get('/logs/download', (req, res) => {
+        try {
+            sendDownload(res, logs.logFile(String(req.query.source || ''), req.query.gen), false);
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+        }
+    });
 
-                const startScript = fs.existsSync(path.join(stRoot, 'start.sh')) ? 'bash start.sh' : 'node server.js';
-                log += `$ ${startScript}\n`;
-                try {
-                    const home = getSafeRoot();
-                    const pidFile = path.join(home, '.sillytavern.pid');
-                    execSync(`cd "${stRoot}" && nohup ${startScript} > /dev/null 2>&1 & echo $! > "${pidFile}"`, {
-                        encoding: 'utf-8', timeout: 5000, shell: true
-                    });
-                    let pid = '';
-                    try { pid = fs.readFileSync(pidFile, 'utf-8').trim(); } catch (e) {}
-                    log += `✅ SillyTavern 시작됨! (PID: ${pid})\n`;
-                    log += '접속: http://localhost:8000\n';
-                } catch (e) {
-                    log += '❌ 시작 실패: ' + (e.message || '') + '\n';
-                }
-                res.json({ success: true, log });
-                return;
-            } else if (target === 'st-stop') {
-                // Stop SillyTavern
-                log += '⏹ SillyTavern 종료 중...\n';
-                const home = getSafeRoot();
-                const pidFile = path.join(home, '.sillytavern.pid');
-                try {
-                    let killed = false;
-                    if (fs.existsSync(pidFile)) {
-                        const pid = fs.readFileSync(pidFile, 'utf-8').trim();
-                        if (pid) {
-                            try {
-                                execSync(`kill ${pid} 2>/dev/null`, { encoding: 'utf-8', timeout: 3000 });
-                                log += `✅ PID ${pid} 종료됨\n`;
-                                killed = true;
-                            } catch (e) {}
-                        }
-                        try { fs.unlinkSync(pidFile); } catch (e) {}
-                    }
-                    if (!killed) {
-                        execSync('pkill -f "node.*server.js" 2>/dev/null || true', { encoding: 'utf-8', timeout: 5000, shell: true });
-                        log += '✅ SillyTavern 종료됨\n';
-                    }
-                } catch (e) {
-                    log += e.stdout || '';
-                    log += e.stderr || '';
-                    log += '종료 시도 완료\n';
-                }
-                res.json({ success: true, log });
-                return;
-            } else if (target === 'library') {
-                // Update chat-library
-                const home = getSafeRoot();
-                const libCandidates = ['chat-library', 'Chat-Library', 'perpage'];
-                let libRoot = null;
-                for (const name of libCandidates) {
-                    const p = path.join(home, name);
-                    if (fs.existsSync(p)) { libRoot = p; break; }
-                }
-                if (!libRoot) {
-                    return res.status(400).json({ error: '도서관 폴더를 찾을 수 없습니다. ~/chat-library 또는 ~/perpage 경로를 확인하세요.' });
-                }
-                log += '📚 도서관 업데이트 중...\n';
-                log += '$ git pull\n';
-                try {
-                    log += execSync('git pull', { cwd: libRoot, encoding: 'utf-8', timeout: 30000 });
-                } catch (e) { log += (e.stdout || '') + (e.stderr || ''); }
-                log += '\n$ npm install\n';
-                try {
-                    log += execSync('npm install --production 2>&1', { cwd: libRoot, encoding: 'utf-8', timeout: 60000 });
-                } catch (e) { log += (e.stdout || '') + (e.stderr || ''); }
-                res.json({ success: true, log });
-                return;
-            } else if (target === 'library-start') {
-                // Start chat-library
-                const home = getSafeRoot();
-                const libCandidates = ['chat-library', 'Chat-Library', 'perpage'];
-                let libRoot = null;
-                for (const name of libCandidates) {
-                    const p = path.join(home, name);
-                    if (fs.existsSync(p)) { libRoot = p; break; }
-                }
-                if (!libRoot) {
-                    return res.status(400).json({ error: '도서관 폴더를 찾을 수 없습니다.' });
-                }
+    // ===== UPDATE (git) =====
+    // 미리 보기(check) → 업데이트(apply, stash + fast-forward) → 필요하면 되돌리기(rollback)
+    updater.configure({ fmRoot: path.resolve(__dirname), findSTRoot, findLibraryRoot });
 
-                // Determine start command (library.js 우선 탐색)
-                let startCmd = 'npm start';
-                if (fs.existsSync(path.join(libRoot, 'library.js'))) {
-                    startCmd = 'node library.js';
-                } else if (fs.existsSync(path.join(libRoot, 'server.js'))) {
-                    startCmd = 'node server.js';
-                } else if (fs.existsSync(path.join(libRoot, 'index.js'))) {
-                    startCmd = 'node index.js';
-                }
+    router.get('/updates/targets', async (_req, res) => {
+        try {
+            res.json(await updater.listTargets());
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+        }
+    });
 
-                // 로그 파일 경로
-                const libLogFile = path.join(home, 'chat-library.log');
+    router.post('/updates/check', express.json(), async (req, res) => {
+        try {
+            res.json(await updater.check(req.body.target));
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+        }
+    });
 
-                log += `🚀 도서관 시작 중... (${libRoot})\n`;
-                log += `$ ${startCmd}\n`;
-                log += `📋 로그 파일: ${libLogFile}\n`;
+    // 업데이트/되돌리기 뒤 처리 — 파일매니저는 스스로 재시작(standalone.js 가 다시 띄움), ST/도서관은 관리 중이면 재시작
+    async function afterUpdate(target, restart, log) {
+        if (target === 'fm') {
+            log.push('🔄 파일매니저를 다시 시작합니다');
+            setTimeout(() => process.exit(0), 1500);
+        } else if (restart && (target === 'st' || target === 'library') && supervisor.status(target).pid) {
+            const svc = await supervisor.restartService(target);
+            log.push(`🔁 ${svc.label} 재시작 (PID ${svc.pid})`);
+        }
+    }
 
-                // Check if already running
-                try {
-                    const check = execSync(`pgrep -f "node.*(library|chat-library|perpage)" 2>/dev/null || true`, { encoding: 'utf-8' }).trim();
-                    if (check) {
-                        log += `⚠️ 이미 실행 중인 것 같습니다 (PID: ${check})\n`;
-                    }
-                } catch (e) {}
+    // body: { target, stash?: true, restart?: true }
+    router.post('/updates/apply', express.json(), async (req, res) => {
+        try {
+            const r = await updater.apply(req.body.target, { stash: req.body.stash !== false });
+            const log = [r.log];
+            if (r.updated) await afterUpdate(req.body.target, req.body.restart !== false, log);
+            res.json({ success: true, ...r, log: log.join('\n') });
+        } catch (err) {
+            res.status(400).json({ error: err.message, log: err.log });
+        }
+    });
 
-                try {
-                    // Use nohup + shell for reliable background launch on Termux
-                    // 로그를 ~/chat-library.log 에 저장
-                    const pidFile = path.join(home, '.chat-library.pid');
-                    execSync(`cd "${libRoot}" && nohup ${startCmd} >> "${libLogFile}" 2>&1 & echo $! > "${pidFile}"`, {
-                        encoding: 'utf-8', timeout: 5000, shell: true
-                    });
-                    let pid = '';
-                    try { pid = fs.readFileSync(pidFile, 'utf-8').trim(); } catch (e) {}
-                    log += `✅ 도서관 시작됨! (PID: ${pid})\n`;
-                    log += `💡 터먹스에서 로그 보기: tail -f ~/chat-library.log\n`;
-                } catch (e) {
-                    log += '❌ 시작 실패: ' + (e.message || '') + '\n';
-                }
-                res.json({ success: true, log });
-                return;
-            } else if (target === 'library-stop') {
-                log += '⏹ 도서관 종료 중...\n';
-                const home = getSafeRoot();
-                const pidFile = path.join(home, '.chat-library.pid');
+    router.post('/updates/rollback', express.json(), async (req, res) => {
+        try {
+            const r = await updater.rollback(req.body.target);
+            const log = [r.log];
+            await afterUpdate(req.body.target, req.body.restart !== false, log);
+            res.json({ success: true, ...r, log: log.join('\n') });
+        } catch (err) {
+            res.status(400).json({ error: err.message, log: err.log });
+        }
+    });
 
-                try {
-                    // Try PID file first
-                    let killed = false;
-                    if (fs.existsSync(pidFile)) {
-                        const pid = fs.readFileSync(pidFile, 'utf-8').trim();
-                        if (pid) {
-                            try {
-                                execSync(`kill ${pid} 2>/dev/null`, { encoding: 'utf-8', timeout: 3000 });
-                                log += `✅ PID ${pid} 종료됨\n`;
-                                killed = true;
-                            } catch (e) {
-                                log += `PID ${pid} 이미 종료되었거나 없음\n`;
-                            }
-                        }
-                        try { fs.unlinkSync(pidFile); } catch (e) {}
-                    }
+    router.get('/updates/history', (req, res) => {
+        res.json({ history: updater.listHistory(req.query.target ? String(req.query.target) : null) });
+    });
 
-                    // Also try pkill as fallback
-                    if (!killed) {
-                        try {
-                            execSync(`pkill -f "node.*(library|chat-library|perpage)" 2>/dev/null || true`, { encoding: 'utf-8', timeout: 3000, shell: true });
-                            log += '✅ 도서관 프로세스 종료됨\n';
-                        } catch (e) {
-                            log += '프로세스를 찾을 수 없습니다\n';
-                        }
-                    }
-                } catch (e) {
-                    log += (e.stdout || '') + (e.stderr || '');
-                    log += '종료 시도 완료\n';
-                }
-                res.json({ success: true, log });
-                return;
-            } else if (target === 'library-log') {
-                // View chat-library log
-                const home = getSafeRoot();
-                const libLogFile = path.join(home, 'chat-library.log');
-                const lines = parseInt(req.body.lines) || 100;
-
-                if (!fs.existsSync(libLogFile)) {
-                    return res.json({ success: true, log: '📋 로그 파일이 아직 없습니다.\n도서관을 먼저 실행해 주세요.' });
-                }
+    const SERVICE_TARGETS = {
+        'st-start': ['st', 'start'],
+        'st-stop': ['st', 'stop'],
+        'library-start': ['library', 'start'],
+        'library-stop': ['library', 'stop'],
+        'library-log': ['library', 'log'],
+    };
 
+    // 예전 방식 호환: target 하나로 업데이트/서비스 조작을 하고 결과를 log 문자열로 돌려줌
+    router.post('/update', express.json(), async (req, res) => {
+        try {
+            const target = req.body.target; // 'fm' | 'st' | 'library' | SERVICE_TARGETS
+            let log = '';
+
+            if (target === 'fm' || target === 'st' || target === 'library') {
+                let r;
                 try {
-                    const content = fs.readFileSync(libLogFile, 'utf-8');
-                    const allLines = content.split('\n');
-                    const tail = allLines.slice(-lines).join('\n');
-                    log += `📋 chat-library.log (최근 ${Math.min(lines, allLines.length)}줄)\n`;
-                    log += '─'.repeat(40) + '\n';
-                    log += tail;
+                    r = await updater.apply(target);
                 } catch (e) {
-                    log += '❌ 로그 읽기 실패: ' + (e.message || '') + '\n';
+                    return res.json({ success: false, log: e.log || `❌ ${e.message}` });
                 }
-                res.json({ success: true, log });
-                return;
+                const lines = [r.log];
+                if (r.updated) await afterUpdate(target, true, lines);
+                return res.json({ success: true, log: lines.join('\n') });
+            } else if (SERVICE_TARGETS[target]) {
+                // 예전 버튼/스크립트 호환 — 실제 처리는 서비스 관리자(/services)가 함
+                const [name, action] = SERVICE_TARGETS[target];
+                const label = supervisor.DEFINITIONS[name].label;
+                if (action === 'log') {
+                    const { lines } = logs.readLines(name, { limit: parseInt(req.body.lines) || 100 });
+                    log += `📋 ${name}.log (최근 ${lines.length}줄)\n` + '─'.repeat(40) + '\n';
+                    log += lines.length ? lines.map(l => l.text).join('\n') : '로그가 아직 없습니다.\n';
+                    return res.json({ success: true, log });
+                }
+                if (action === 'stop') {
+                    // 관리 밖에서 띄운 프로세스는 pid 를 모르므로 끌 수 없음 — 꺼졌다고 말하지 않음
+                    const before = supervisor.status(name);
+                    if (!before.pid && before.status !== 'backoff') {
+                        await supervisor.stopService(name);
+                        const why = before.status === 'external' ? '파일매니저 밖에서 실행 중이라 여기서 끌 수 없습니다' : '관리 중인 프로세스 없음';
+                        return res.json({ success: false, log: `⚠️ ${label}: ${why}\n`, service: supervisor.status(name) });
+                    }
+                }
+                const fn = action === 'start' ? supervisor.startService : supervisor.stopService;
+                const svc = await fn(name);
+                log += action === 'start'
+                    ? `✅ ${label} 시작됨 (PID: ${svc.pid})\n$ ${svc.command}\n`
+                    : `✅ ${label} 종료됨\n`;
+                return res.json({ success: true, log, service: svc });
             }
 
             res.status(400).json({ error: 'Invalid target' });
@@ -904,14 +1571,44 @@ function init(app) {
     });
 
     // ===== TERMINAL =====
-    const { spawn: _termSpawn } = require('child_process');
+    // 셸은 PTY 에 붙여 띄우고(lib/pty), 출력은 WebSocket(/terminal/ws) 또는 SSE(/terminal/stream)로 보냄
+    // 탭 목록/작업 폴더/출력 기록은 lib/terminal-store 에 남겨서 FM 이 재시작돼도 되살림
     const _terminals = {};
     let _termIdCounter = 0;
+    const TERM_SCROLLBACK = 512 * 1024; // 다시 접속했을 때 보내 줄 최근 출력 (문자 수)
+    const TERM_RESTORE_TAIL = 64 * 1024; // 재시작 후 되살린 탭에 미리 채워 둘 지난 출력 (bytes)
 
-    function _createTerminal(cwd) {
-        const id = String(++_termIdCounter);
+    function _termCwd(term) {
+        if (term.alive) term.cwd = term.proc.getCwd() || term.cwd;
+        return term.cwd;
+    }
+
+    function _saveTerminalState() {
+        try {
+            terminalStore.saveState({
+                sessions: Object.values(_terminals).filter(t => t.alive).map(t => ({
+                    id: t.id, cwd: _termCwd(t), log: t.log.name, createdAt: t.createdAt,
+                })),
+                execSessions: _termSessions,
+            });
+        } catch (e) {
+            console.error(`[${MODULE_NAME}] 터미널 상태 저장 실패: ${e.message}`);
+        }
+    }
+
+    function _termBroadcast(term, msg) {
+        const json = JSON.stringify(msg);
+        for (const c of term.clients) {
+            try { c.write(`data: ${json}\n\n`); } catch (e) { /* client disconnected */ }
+        }
+        for (const s of term.sockets) s.send(json);
+    }
+
+    // restore: 재시작 전에 저장해 둔 { id, cwd, log, createdAt } — 같은 번호/기록 파일로 이어서 띄움
+    function _createTerminal(cwd, cols, rows, restore) {
+        const id = restore ? String(restore.id) : String(++_termIdCounter);
         const homeDir = process.env.HOME || '/data/data/com.termux/files/home';
-        const safeCwd = cwd || homeDir;
+        const safeCwd = cwd && fs.existsSync(cwd) ? cwd : homeDir;
         const isTermux = fs.existsSync('/data/data/com.termux');
 
         // Find the shell
@@ -929,16 +1626,8 @@ function init(app) {
 
         const envVars = {
             ...process.env,
-            TERM: 'dumb',
             HOME: homeDir,
-            PS1: '\\u@termux:\\w$ ',
-            PS2: '> ',
             LANG: process.env.LANG || 'en_US.UTF-8',
-            COLUMNS: '120',
-            LINES: '40',
-            // Force line-buffered output
-            PYTHONUNBUFFERED: '1',
-            NODE_DISABLE_COLORS: '1',
         };
 
         // On Termux, set proper PATH
@@ -948,93 +1637,74 @@ function init(app) {
             envVars.LD_LIBRARY_PATH = process.env.LD_LIBRARY_PATH || '/data/data/com.termux/files/usr/lib';
         }
 
-        console.log(`[${MODULE_NAME}] Spawning terminal #${id}: shell=${shell}, cwd=${safeCwd}`);
-
-        const proc = _termSpawn(shell, [], {
-            cwd: safeCwd,
-            env: envVars,
-            stdio: ['pipe', 'pipe', 'pipe'],
-        });
+        // bash/zsh 는 로그인 셸로 띄워야 ~/.profile, ~/.bash_profile 을 읽음
+        const args = /\/(bash|zsh)$/.test(shell) ? ['-l'] : [];
+        const proc = pty.spawnPty(shell, args, { cwd: safeCwd, env: envVars, cols, rows });
+        console.log(`[${MODULE_NAME}] Spawning terminal #${id}: shell=${shell}, cwd=${safeCwd}, pty=${proc.backend}`);
 
         const term = {
             id,
             proc,
-            buffer: [],
+            backend: proc.backend,
+            buffer: '',
             clients: [],
+            sockets: new Set(),
             cwd: safeCwd,
             alive: true,
-            initialized: false,
+            createdAt: restore ? restore.createdAt : Date.now(),
+            restored: !!restore,
+            log: terminalStore.openLog(restore && restore.log ? restore.log : terminalStore.newLogName(id)),
         };
 
-        const push = (data) => {
-            const text = data.toString('utf-8');
-            term.buffer.push(text);
-            // Trim buffer
-            if (term.buffer.length > 5000) term.buffer = term.buffer.slice(-3000);
-            // Send to SSE clients
-            for (const c of term.clients) {
-                try {
-                    c.write(`data: ${JSON.stringify({ type: 'output', data: text })}\n\n`);
-                } catch (e) { /* client disconnected */ }
-            }
+        if (restore && restore.log) {
+            try {
+                term.buffer = terminalStore.readLogTail(restore.log, TERM_RESTORE_TAIL).text;
+            } catch (e) {}
+        }
+
+        const push = (text) => {
+            term.buffer += text;
+            if (term.buffer.length > TERM_SCROLLBACK) term.buffer = term.buffer.slice(-TERM_SCROLLBACK * 3 / 4);
+            term.log.write(text);
+            _termBroadcast(term, { type: 'output', data: text });
         };
 
-        if (proc.stdout) {
-            proc.stdout.on('data', (chunk) => {
-                push(chunk);
-            });
-        }
-        if (proc.stderr) {
-            proc.stderr.on('data', (chunk) => {
-                push(chunk);
-            });
-        }
+        push(restore
+            ? `\r\n\x1b[2m=== 터미널 #${id} · 파일매니저 재시작 후 다시 연결됨 (${safeCwd}) ===\x1b[0m\r\n`
+            : `\x1b[2m=== 터미널 #${id} · ${shell} · ${proc.backend === 'pipe' ? 'PTY 없음 (파이프)' : 'pty: ' + proc.backend} ===\x1b[0m\r\n`);
+        proc.on('data', push);
 
         proc.on('error', (err) => {
             console.error(`[${MODULE_NAME}] Terminal #${id} error: ${err.message}`);
             term.alive = false;
             const msg = `\r\n[오류: ${err.message}]\r\n`;
-            push(msg);
-            for (const c of term.clients) {
-                try { c.write(`data: ${JSON.stringify({ type: 'error', data: msg })}\n\n`); } catch (e) {}
-            }
+            term.buffer += msg;
+            _termBroadcast(term, { type: 'error', data: msg });
         });
 
         proc.on('exit', (code, signal) => {
             console.log(`[${MODULE_NAME}] Terminal #${id} exited: code=${code}, signal=${signal}`);
             term.alive = false;
             const msg = `\r\n[프로세스 종료: code=${code}, signal=${signal || 'none'}]\r\n`;
-            term.buffer.push(msg);
-            for (const c of term.clients) {
-                try { c.write(`data: ${JSON.stringify({ type: 'exit', code, signal, data: msg })}\n\n`); } catch (e) {}
-            }
+            term.buffer += msg;
+            term.log.write(msg);
+            term.log.close();
+            _termBroadcast(term, { type: 'exit', code, signal, data: msg });
+            // FM 자체가 종료되는 중이면 저장하지 않음 — 다음 시작 때 탭을 되살려야 하므로
+            if (!_termShuttingDown) _saveTerminalState();
         });
 
-        // Force shell initialization - send commands that produce visible output
-        setTimeout(() => {
-            if (proc && term.alive && proc.stdin.writable) {
-                // Set prompt and show initial info
-                const initCmds = [
-                    'export PS1="$ "',
-                    'echo "=== 터미널 #' + id + ' 연결됨 ==="',
-                    'echo "셸: ' + shell + '"',
-                    'echo "경로: $(pwd)"',
-                    'echo "---"',
-                    '',
-                ].join('\n') + '\n';
-                proc.stdin.write(initCmds);
-            }
-        }, 200);
-
         _terminals[id] = term;
+        _termIdCounter = Math.max(_termIdCounter, Number(id) || 0);
+        _saveTerminalState();
         return term;
     }
 
-    // Spawn
+    // Spawn — body: { cwd?, cols?, rows? }
     router.post('/terminal/spawn', express.json(), (req, res) => {
         try {
-            const term = _createTerminal(req.body.cwd || '');
-            res.json({ id: term.id, alive: true });
+            const term = _createTerminal(req.body.cwd || '', req.body.cols, req.body.rows);
+            res.json({ id: term.id, alive: true, backend: term.backend });
         } catch (e) {
             console.error(`[${MODULE_NAME}] Terminal spawn error:`, e);
             res.status(500).json({ error: e.message });
@@ -1044,33 +1714,43 @@ function init(app) {
     // List
     router.get('/terminal/list', (_req, res) => {
         res.json({
+            backend: pty.backendName(),
             terminals: Object.values(_terminals).map(t => ({
-                id: t.id, alive: t.alive, cwd: t.cwd
+                id: t.id, alive: t.alive, cwd: _termCwd(t), backend: t.backend, cols: t.proc.cols, rows: t.proc.rows,
+                createdAt: t.createdAt, restored: t.restored, log: t.log.name,
             }))
         });
     });
 
-    // Input — write to stdin
+    // Resize — body: { id, cols, rows }
+    router.post('/terminal/resize', express.json(), (req, res) => {
+        const term = _terminals[req.body.id];
+        if (!term) return res.status(404).json({ error: '터미널 없음' });
+        if (!term.alive) return res.json({ error: '터미널 종료됨' });
+        term.proc.resize(req.body.cols, req.body.rows);
+        res.json({ ok: true, cols: term.proc.cols, rows: term.proc.rows });
+    });
+
+    // Input — 키 입력을 그대로 PTY 에 씀 (WebSocket 이 안 될 때 쓰는 경로)
     router.post('/terminal/input', express.json(), (req, res) => {
         const term = _terminals[req.body.id];
         if (!term) return res.status(404).json({ error: '터미널 없음' });
         if (!term.alive) return res.json({ error: '터미널 종료됨' });
         try {
-            if (!term.proc.stdin.writable) {
-                return res.json({ error: 'stdin이 쓸 수 없는 상태' });
-            }
-            term.proc.stdin.write(req.body.data);
+            term.proc.write(String(req.body.data ?? ''));
             res.json({ ok: true });
         } catch (e) {
             res.json({ error: '입력 실패: ' + e.message });
         }
     });
 
-    // Execute a command and return result directly
-    // This is the primary execution mode — tracks cwd per session
-    const _termSessions = {}; // sessionId -> { cwd }
+    // Execute a command as a background job (lib/jobs) — tracks cwd per session
+    // body: { command, sessionId?, cwd?, wait?: 초 }
+    // 바로 { jobId, cwd } 를 돌려주고, 출력은 SSE(/terminal/stream?job=ID, 또는 sessionId 터미널의 스트림)로 흘려보냄
+    // wait 를 주면 그 시간까지 끝나기를 기다렸다가 예전처럼 { output, code } 도 함께 돌려줌 (서버는 막지 않음)
+    const _termSessions = terminalStore.loadState().execSessions; // sessionId -> { cwd, prevCwd }
 
-    router.post('/terminal/exec', express.json(), (req, res) => {
+    router.post('/terminal/exec', express.json(), async (req, res) => {
         const cmd = req.body.command || '';
         const sessionId = String(req.body.sessionId || 'default');
         const homeDir = process.env.HOME || '/data/data/com.termux/files/home';
@@ -1101,11 +1781,10 @@ function init(app) {
         console.log(`[${MODULE_NAME}] exec [session=${sessionId}] cwd=${session.cwd} cmd=${cmd.substring(0, 100)}`);
 
         try {
-            const { execSync: _es } = require('child_process');
             const trimCmd = cmd.trim();
 
             // Handle pure cd command
-            const cdMatch = trimCmd.match(/^cd(?:\s+(.*))?$/);
+            const cdMatch = trimCmd.match(/^cd(?:\s+([^&;|]*))?$/);
             if (cdMatch) {
                 let target = (cdMatch[1] || '').trim().replace(/^["']|["']$/g, '');
                 if (!target || target === '~') target = homeDir;
@@ -1121,6 +1800,7 @@ function init(app) {
                         session.prevCwd = session.cwd;
                         session.cwd = resolved;
                         console.log(`[${MODULE_NAME}] cd -> ${session.cwd}`);
+                        _saveTerminalState();
                         res.json({ output: '', code: 0, cwd: session.cwd });
                     } else {
                         res.json({ output: `-bash: cd: ${target}: No such file or directory\n`, code: 1, cwd: session.cwd });
@@ -1149,33 +1829,55 @@ function init(app) {
                 effectiveCmd = cdChainMatch[2];
             }
 
-            // Execute the command in the session's cwd
-            // Force cd to session.cwd before running to guarantee correct directory
-            let output;
-            const wrappedCmd = `cd "${session.cwd}" && ${effectiveCmd}`;
-            try {
-                output = _es(wrappedCmd, {
-                    cwd: session.cwd,
-                    encoding: 'utf-8',
-                    timeout: 60000,
-                    env: {
-                        ...process.env,
-                        HOME: homeDir,
-                        TERM: 'dumb',
-                    },
-                    shell: true,
-                    maxBuffer: 10 * 1024 * 1024,
-                });
-                res.json({ output: output || '', code: 0, cwd: session.cwd });
-            } catch (e) {
-                const errOutput = (e.stdout || '') + (e.stderr || '');
-                res.json({ output: errOutput || e.message, code: e.status || 1, cwd: session.cwd });
-            }
+            if (cdChainMatch) _saveTerminalState();
+            const job = jobs.run(effectiveCmd, {
+                cwd: session.cwd,
+                sessionId,
+                env: { ...process.env, HOME: homeDir, TERM: 'dumb' },
+            });
+            const waitSec = Math.min(Number(req.body.wait) || 0, 600);
+            if (!waitSec) return res.json({ jobId: job.id, status: job.status, cwd: session.cwd });
+
+            const done = await jobs.wait(job.id, waitSec * 1000);
+            res.json({
+                jobId: job.id,
+                status: done.status,
+                output: jobs.output(job.id) || '',
+                code: done.status === 'running' ? null : (done.exitCode ?? 1),
+                cwd: session.cwd,
+            });
         } catch (e) {
             res.json({ output: 'Error: ' + e.message + '\n', code: 1, cwd: session.cwd });
         }
     });
 
+    // 작업 출력은 같은 sessionId 를 가진 터미널의 스트림에도 흘려보냄
+    jobs.events.on('output', (job, stream, text) => {
+        const term = job.sessionId && _terminals[job.sessionId];
+        if (term) _termBroadcast(term, { type: 'job-output', jobId: job.id, stream, data: text });
+    });
+    jobs.events.on('exit', (job) => {
+        console.log(`[${MODULE_NAME}] job #${job.id} ${job.status}: code=${job.exitCode}, ${((job.finishedAt - job.startedAt) / 1000).toFixed(1)}s`);
+        const term = job.sessionId && _terminals[job.sessionId];
+        if (term) _termBroadcast(term, { type: 'job-exit', job: jobs.get(job.id) });
+    });
+
+    // ===== JOBS =====
+    // 실행 중/끝난 작업 목록 (종료 코드, 걸린 시간). ?sessionId= 로 거를 수 있음
+    router.get('/jobs', (req, res) => {
+        res.json({ jobs: jobs.list({ sessionId: req.query.sessionId }) });
+    });
+
+    router.get('/jobs/output', (req, res) => {
+        const job = jobs.get(req.query.id);
+        if (!job) return res.status(404).json({ error: '작업 없음' });
+        res.json({ job, output: jobs.output(req.query.id) });
+    });
+
+    router.post('/jobs/clear', express.json(), (_req, res) => {
+        res.json({ success: true, count: jobs.clearFinished() });
+    });
+
     // Reset session cwd
     router.post('/terminal/reset-session', express.json(), (req, res) => {
         const sessionId = req.body.sessionId || 'default';
@@ -1183,34 +1885,89 @@ function init(app) {
         res.json({ ok: true });
     });
 
-    // Signal
+    // Signal — PTY 에서는 SIGINT 등을 제어 문자로 보내야 포그라운드 프로그램(셸 아래 실행 중인 것)에 전달됨
+    const _termSignalKeys = { SIGINT: '\x03', SIGQUIT: '\x1c', SIGTSTP: '\x1a' };
+    function _termSignal(term, sig) {
+        if (term.backend !== 'pipe' && _termSignalKeys[sig]) term.proc.write(_termSignalKeys[sig]);
+        else term.proc.kill(sig);
+    }
+
+    // body: { id, signal } 또는 { jobId, signal } — 작업이면 그 프로세스 그룹 전체에 보냄
     router.post('/terminal/signal', express.json(), (req, res) => {
+        if (req.body.jobId) {
+            try {
+                const job = jobs.signal(req.body.jobId, req.body.signal || 'SIGINT');
+                return res.json({ ok: true, signal: req.body.signal || 'SIGINT', job });
+            } catch (e) {
+                return res.json({ error: e.message });
+            }
+        }
         const term = _terminals[req.body.id];
         if (!term?.alive) return res.json({ error: '터미널 없음' });
         const sig = req.body.signal || 'SIGINT';
         try {
-            // Try process group
-            process.kill(-term.proc.pid, sig);
+            _termSignal(term, sig);
         } catch (e) {
-            try { term.proc.kill(sig); } catch (e2) {}
+            return res.json({ error: e.message });
         }
         res.json({ ok: true, signal: sig });
     });
 
-    // Kill
+    // Kill — SIGHUP 으로 셸과 그 아래 작업을 정리하고, 안 죽으면 1초 뒤 SIGKILL
     router.post('/terminal/kill', express.json(), (req, res) => {
         const term = _terminals[req.body.id];
         if (term) {
-            try { process.kill(-term.proc.pid, 'SIGKILL'); } catch (e) {}
-            try { term.proc.kill('SIGKILL'); } catch (e) {}
-            term.alive = false;
+            term.proc.kill('SIGHUP');
+            if (term.alive) setTimeout(() => { if (term.alive) term.proc.kill('SIGKILL'); }, 1000).unref();
+            for (const s of term.sockets) s.close(1000, 'killed');
             delete _terminals[req.body.id];
+            _saveTerminalState();
         }
         res.json({ ok: true });
     });
 
-    // SSE stream
+    // SSE stream of one job — history(지금까지 출력) → output … → exit 후 닫힘
+    function _streamJob(req, res, jobId) {
+        const job = jobs.get(jobId);
+        if (!job) return res.status(404).end('작업 없음');
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no',
+        });
+        const send = (msg) => {
+            try { res.write(`data: ${JSON.stringify(msg)}\n\n`); } catch (e) {}
+        };
+        send({ type: 'history', data: jobs.output(jobId), job });
+        if (job.status !== 'running') {
+            send({ type: 'exit', job });
+            return res.end();
+        }
+        const onOutput = (j, stream, text) => {
+            if (j.id === jobId) send({ type: 'output', stream, data: text });
+        };
+        const onExit = (j) => {
+            if (j.id !== jobId) return;
+            send({ type: 'exit', job: jobs.get(jobId) });
+            res.end();
+        };
+        jobs.events.on('output', onOutput);
+        jobs.events.on('exit', onExit);
+        const ping = setInterval(() => {
+            try { res.write(': ping\n\n'); } catch (e) {}
+        }, 15000);
+        // 브라우저가 끊어도 작업은 계속 돌아감 — 구독만 해제
+        res.on('close', () => {
+            clearInterval(ping);
+            jobs.events.off('output', onOutput);
+            jobs.events.off('exit', onExit);
+        });
+    }
+
+    // SSE stream — ?id=터미널 또는 ?job=작업
     router.get('/terminal/stream', (req, res) => {
+        if (req.query.job) return _streamJob(req, res, String(req.query.job));
         const id = req.query.id;
         const term = _terminals[id];
         if (!term) return res.status(404).end('터미널 없음');
@@ -1223,10 +1980,7 @@ function init(app) {
         });
 
         // Send existing buffer as history
-        if (term.buffer.length > 0) {
-            const history = term.buffer.join('');
-            res.write(`data: ${JSON.stringify({ type: 'history', data: history })}\n\n`);
-        }
+        res.write(`data: ${JSON.stringify({ type: 'history', data: term.buffer, backend: term.backend })}\n\n`);
 
         if (!term.alive) {
             res.write(`data: ${JSON.stringify({ type: 'exit', code: null, data: '[이미 종료된 세션]' })}\n\n`);
@@ -1246,6 +2000,121 @@ function init(app) {
         req.on('close', () => clearInterval(ping));
     });
 
+    // WebSocket — 키 입력/출력/크기 변경을 한 연결로 주고받음
+    // 보내는 것: { type: 'input', data } | { type: 'resize', cols, rows } | { type: 'signal', signal }
+    // 받는 것: history(처음 한 번) / output / exit / error — SSE 와 같은 모양
+    // init 에는 http 서버가 안 넘어오므로, 첫 요청이 들어올 때 그 소켓의 서버에 upgrade 핸들러를 붙임
+    const _wsServers = new WeakSet();
+    let _wsPath = null;
+
+    function _onTerminalSocket(term, conn) {
+        term.sockets.add(conn);
+        conn.send(JSON.stringify({ type: 'history', data: term.buffer, backend: term.backend }));
+        if (!term.alive) conn.send(JSON.stringify({ type: 'exit', code: null, data: '[이미 종료된 세션]' }));
+        conn.on('message', (raw) => {
+            let msg;
+            try { msg = JSON.parse(raw); } catch (e) { return; }
+            if (!term.alive) return;
+            if (msg.type === 'input' && typeof msg.data === 'string') term.proc.write(msg.data);
+            else if (msg.type === 'resize') term.proc.resize(msg.cols, msg.rows);
+            else if (msg.type === 'signal') _termSignal(term, msg.signal || 'SIGINT');
+        });
+        const ping = setInterval(() => conn.ping(), 25000);
+        conn.on('close', () => {
+            clearInterval(ping);
+            term.sockets.delete(conn);
+        });
+    }
+
+    function _attachTerminalWs(req) {
+        const server = req.socket && req.socket.server;
+        if (!server || _wsServers.has(server)) return;
+        _wsServers.add(server);
+        _wsPath = req.baseUrl + '/terminal/ws';
+        server.on('upgrade', (upReq, socket, head) => {
+            const url = new URL(upReq.url, 'http://localhost');
+            if (url.pathname !== _wsPath) return; // 다른 WebSocket(SillyTavern 등)은 건드리지 않음
+            if (!auth.sameOrigin(upReq)) return ws.reject(socket, 403, 'Forbidden');
+            if (!auth.checkRequest(upReq)) return ws.reject(socket, 401, 'Unauthorized');
+            const term = _terminals[url.searchParams.get('id')];
+            if (!term) return ws.reject(socket, 404, 'Not Found');
+            const conn = ws.accept(upReq, socket, head);
+            if (conn) _onTerminalSocket(term, conn);
+        });
+    }
+
+    // ===== TERMINAL LOGS / HISTORY =====
+    // 지난 세션 출력 기록 목록 — active: 지금 열려 있는 탭의 기록
+    router.get('/terminal/logs', (_req, res) => {
+        const active = new Set(Object.values(_terminals).filter(t => t.alive).map(t => t.log.name));
+        res.json({ logs: terminalStore.listLogs(active) });
+    });
+
+    // ?name=&strip=1(색상/제어 문자 제거)&bytes=(끝에서 읽을 크기)
+    router.get('/terminal/logs/read', (req, res) => {
+        try {
+            const r = terminalStore.readLogTail(req.query.name, Math.min(Number(req.query.bytes) || 256 * 1024, 8 * 1024 * 1024));
+            res.json({ ...r, text: req.query.strip ? terminalStore.stripAnsi(r.text) : r.text });
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    router.get('/terminal/logs/download', (req, res) => {
+        try {
+            sendDownload(res, terminalStore.logPath(req.query.name), false);
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    router.post('/terminal/logs/delete', express.json(), (req, res) => {
+        try {
+            if (Object.values(_terminals).some(t => t.alive && t.log.name === req.body.name)) {
+                return res.status(409).json({ error: '열려 있는 탭의 기록은 지울 수 없습니다' });
+            }
+            terminalStore.deleteLog(req.body.name);
+            res.json({ success: true });
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    // 입력줄 명령 히스토리 — 서버에 두어 여러 기기에서 같이 씀
+    router.get('/terminal/history', (_req, res) => {
+        res.json({ history: terminalStore.loadHistory() });
+    });
+
+    router.post('/terminal/history/add', express.json(), (req, res) => {
+        try {
+            res.json({ success: true, count: terminalStore.addHistory(req.body.command).length });
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    router.post('/terminal/history/clear', express.json(), (_req, res) => {
+        terminalStore.clearHistory();
+        res.json({ success: true });
+    });
+
+    // 재시작 전에 열려 있던 탭을 같은 번호, 마지막 작업 폴더로 다시 띄움
+    let _termShuttingDown = false;
+    for (const saved of terminalStore.loadState().sessions) {
+        try {
+            _createTerminal(saved.cwd, undefined, undefined, saved);
+        } catch (e) {
+            console.error(`[${MODULE_NAME}] 터미널 #${saved.id} 복원 실패: ${e.message}`);
+        }
+    }
+    terminalStore.pruneLogs(new Set(Object.values(_terminals).map(t => t.log.name)));
+    // 작업 폴더(cd) 변화는 주기적으로, 종료 직전에 한 번 더 저장
+    setInterval(_saveTerminalState, 30 * 1000).unref();
+    process.on('exit', () => {
+        _termShuttingDown = true;
+        _saveTerminalState();
+    });
+
     // Mount router
     app.use('/api/plugins/termux-file-manager', router);
     console.log(`[${MODULE_NAME}] File Manager API ready at /api/plugins/termux-file-manager`);
@@ -0,0 +1,833 @@
+// TermuxFM 압축 파일 (ZIP / tar / tar.gz)
+// 외부 tar/zip 명령 없이 Node 내장 zlib만으로 만들고, 목록을 보고, 풉니다.
+// 쓰기는 스트리밍이라 큰 폴더도 임시 파일 없이 바로 응답으로 내보낼 수 있습니다.
+// ZIP64(4GB 초과 / 엔트리 65535개 초과)는 지원하지 않습니다.
+
+const path = require('path');
+const fs = require('fs');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { pipeline, finished } = require('stream/promises');
+const { crc32 } = require('./crc32');
+
+// 이미 압축된 형식은 deflate 해도 거의 안 줄어서 그대로(store) 저장 — 폰 CPU 절약
+const STORE_EXTS = new Set(['.png', '.jpg', '.jpeg', '.webp', '.gif', '.zip', '.gz', '.tgz', '.7z', '.rar', '.xz', '.bz2',
+    '.mp3', '.m4a', '.ogg', '.opus', '.flac', '.mp4', '.mkv', '.webm', '.avi', '.mov', '.apk', '.epub']);
+
+const ZIP_LIMIT = 0xffffffff;
+
+// 쓰기 버퍼가 차면 drain 까지 기다림 (응답 스트림이 끊겼으면 에러)
+function writeAsync(out, buf) {
+    return new Promise((resolve, reject) => {
+        if (out.destroyed || out.writableEnded) return reject(new Error('출력 스트림이 닫혔습니다'));
+        const onError = (err) => { out.off('drain', onDrain); reject(err); };
+        const onDrain = () => { out.off('error', onError); resolve(); };
+        if (out.write(buf)) return resolve();
+        out.once('drain', onDrain);
+        out.once('error', onError);
+    });
+}
+
+function dosDateTime(date) {
+    const d = date instanceof Date ? date : new Date(date);
+    const year = Math.max(1980, d.getFullYear());
+    return {
+        time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+    };
+}
+
+function fromDosDateTime(date, time) {
+    return new Date(1980 + (date >> 9), ((date >> 5) & 15) - 1, date & 31, time >> 11, (time >> 5) & 63, (time & 31) * 2);
+}
+
+// ===== ZIP 쓰기 =====
+class ZipWriter {
+    constructor(out) {
+        this.out = out;
+        this.offset = 0;
+        this.entries = [];
+    }
+
+    async _write(buf) {
+        this.offset += buf.length;
+        if (this.offset > ZIP_LIMIT) throw new Error('ZIP 파일이 4GB를 넘습니다. tar.gz 형식을 사용하세요.');
+        await writeAsync(this.out, buf);
+    }
+
+    _localHeader(nameBuf, flags, method, dt, crc, csize, usize) {
+        const h = Buffer.alloc(30);
+        h.writeUInt32LE(0x04034b50, 0);
+        h.writeUInt16LE(20, 4);
+        h.writeUInt16LE(flags, 6);
+        h.writeUInt16LE(method, 8);
+        h.writeUInt16LE(dt.time, 10);
+        h.writeUInt16LE(dt.date, 12);
+        h.writeUInt32LE(crc, 14);
+        h.writeUInt32LE(csize, 18);
+        h.writeUInt32LE(usize, 22);
+        h.writeUInt16LE(nameBuf.length, 26);
+        h.writeUInt16LE(0, 28);
+        return Buffer.concat([h, nameBuf]);
+    }
+
+    // 크기/CRC를 미리 아는 작은 내용 (데이터 디스크립터 없이 기록 — EPUB mimetype 등)
+    async addBuffer(name, buf, { mtime = new Date(), store = false, mode = 0o644 } = {}) {
+        const nameBuf = Buffer.from(name, 'utf-8');
+        const data = store ? buf : zlib.deflateRawSync(buf);
+        const method = store ? 0 : 8;
+        const dt = dosDateTime(mtime);
+        const crc = crc32(buf);
+        const offset = this.offset;
+        await this._write(this._localHeader(nameBuf, 0x0800, method, dt, crc, data.length, buf.length));
+        await this._write(data);
+        this.entries.push({ nameBuf, flags: 0x0800, method, dt, crc, csize: data.length, usize: buf.length, offset, attr: ((0o100000 | mode) << 16) >>> 0 });
+    }
+
+    async addDirectory(name, mtime = new Date()) {
+        const dirName = name.endsWith('/') ? name : name + '/';
+        const nameBuf = Buffer.from(dirName, 'utf-8');
+        const dt = dosDateTime(mtime);
+        const offset = this.offset;
+        await this._write(this._localHeader(nameBuf, 0x0800, 0, dt, 0, 0, 0));
+        this.entries.push({ nameBuf, flags: 0x0800, method: 0, dt, crc: 0, csize: 0, usize: 0, offset, attr: (((0o40755) << 16) | 0x10) >>> 0 });
+    }
+
+    // 파일 내용은 스트리밍 — 크기/CRC는 뒤에 데이터 디스크립터로 기록 (flag bit 3)
+    async addFile(absPath, name, stat, { hash = false } = {}) {
+        const digest = hash ? crypto.createHash('sha256') : null;
+        const nameBuf = Buffer.from(name, 'utf-8');
+        const store = STORE_EXTS.has(path.extname(name).toLowerCase());
+        const method = store ? 0 : 8;
+        const flags = 0x0808;
+        const dt = dosDateTime(stat.mtime);
+        const offset = this.offset;
+        await this._write(this._localHeader(nameBuf, flags, method, dt, 0, 0, 0));
+
+        let crc = 0;
+        let usize = 0;
+        let csize = 0;
+        const src = fs.createReadStream(absPath);
+        if (store) {
+            for await (const chunk of src) {
+                crc = crc32(chunk, crc);
+                if (digest) digest.update(chunk);
+                usize += chunk.length;
+                csize += chunk.length;
+                await this._write(chunk);
+            }
+        } else {
+            const deflate = zlib.createDeflateRaw({ level: 6 });
+            // 받는 쪽이 끊겨 deflate 가 닫혀도 drain 을 기다리다 멈추지 않게
+            const drained = () => new Promise((resolve) => {
+                const done = () => { deflate.off('drain', done); deflate.off('close', done); resolve(); };
+                deflate.on('drain', done);
+                deflate.on('close', done);
+            });
+            const feed = (async () => {
+                try {
+                    for await (const chunk of src) {
+                        if (deflate.destroyed) break;
+                        crc = crc32(chunk, crc);
+                        if (digest) digest.update(chunk);
+                        usize += chunk.length;
+                        if (!deflate.write(chunk)) await drained();
+                    }
+                    if (!deflate.destroyed) deflate.end();
+                } catch (err) {
+                    deflate.destroy(err);
+                }
+            })();
+            try {
+                for await (const out of deflate) {
+                    csize += out.length;
+                    await this._write(out);
+                }
+            } catch (err) {
+                deflate.destroy();
+                src.destroy();
+                await feed;
+                throw err;
+            }
+            await feed;
+        }
+        if (usize > ZIP_LIMIT) throw new Error(`${name}: 4GB를 넘는 파일은 ZIP에 넣을 수 없습니다`);
+
+        const dd = Buffer.alloc(16);
+        dd.writeUInt32LE(0x08074b50, 0);
+        dd.writeUInt32LE(crc, 4);
+        dd.writeUInt32LE(csize, 8);
+        dd.writeUInt32LE(usize, 12);
+        await this._write(dd);
+        this.entries.push({ nameBuf, flags, method, dt, crc, csize, usize, offset, attr: ((0o100000 | (stat.mode & 0o777)) << 16) >>> 0 });
+        return { size: usize, sha256: digest ? digest.digest('hex') : undefined };
+    }
+
+    async finish() {
+        if (this.entries.length > 0xffff) throw new Error('ZIP 엔트리가 65535개를 넘습니다. tar.gz 형식을 사용하세요.');
+        const cdStart = this.offset;
+        for (const e of this.entries) {
+            const h = Buffer.alloc(46);
+            h.writeUInt32LE(0x02014b50, 0);
+            h.writeUInt16LE((3 << 8) | 20, 4); // made by: Unix
+            h.writeUInt16LE(20, 6);
+            h.writeUInt16LE(e.flags, 8);
+            h.writeUInt16LE(e.method, 10);
+            h.writeUInt16LE(e.dt.time, 12);
+            h.writeUInt16LE(e.dt.date, 14);
+            h.writeUInt32LE(e.crc, 16);
+            h.writeUInt32LE(e.csize, 20);
+            h.writeUInt32LE(e.usize, 24);
+            h.writeUInt16LE(e.nameBuf.length, 28);
+            h.writeUInt32LE(e.attr, 38);
+            h.writeUInt32LE(e.offset, 42);
+            await this._write(Buffer.concat([h, e.nameBuf]));
+        }
+        const eocd = Buffer.alloc(22);
+        eocd.writeUInt32LE(0x06054b50, 0);
+        eocd.writeUInt16LE(this.entries.length, 8);
+        eocd.writeUInt16LE(this.entries.length, 10);
+        eocd.writeUInt32LE(this.offset - cdStart, 12);
+        eocd.writeUInt32LE(cdStart, 16);
+        await this._write(eocd);
+    }
+}
+
+// ===== TAR 쓰기 =====
+function writeOctal(buf, value, offset, length) {
+    if (value > 0o77777777777 && length === 12) {
+        // GNU base-256 (8GB 넘는 파일)
+        buf[offset] = 0x80;
+        let v = BigInt(value);
+        for (let i = offset + length - 1; i > offset; i--) {
+            buf[i] = Number(v & 0xffn);
+            v >>= 8n;
+        }
+        return;
+    }
+    buf.write(value.toString(8).padStart(length - 1, '0') + '\0', offset, length, 'ascii');
+}
+
+function tarHeader({ name, size = 0, mtime = new Date(), mode = 0o644, type = '0' }) {
+    const h = Buffer.alloc(512);
+    h.write(name, 0, 100, 'utf-8');
+    writeOctal(h, mode & 0o7777, 100, 8);
+    writeOctal(h, 0, 108, 8);
+    writeOctal(h, 0, 116, 8);
+    writeOctal(h, size, 124, 12);
+    writeOctal(h, Math.floor(new Date(mtime).getTime() / 1000), 136, 12);
+    h.fill(0x20, 148, 156);
+    h.write(type, 156, 1, 'ascii');
+    h.write('ustar\0', 257, 6, 'ascii');
+    h.write('00', 263, 2, 'ascii');
+    let sum = 0;
+    for (let i = 0; i < 512; i++) sum += h[i];
+    h.write(sum.toString(8).padStart(6, '0') + '\0 ', 148, 8, 'ascii');
+    return h;
+}
+
+// "길이 key=value\n" — 길이에는 자기 자릿수도 포함
+function paxRecord(key, value) {
+    const body = ` ${key}=${value}\n`;
+    let len = Buffer.byteLength(body);
+    let total = len + String(len).length;
+    if (String(total).length !== String(len).length) total = len + String(total).length;
+    return Buffer.from(total + body, 'utf-8');
+}
+
+class TarWriter {
+    constructor(out) {
+        this.out = out;
+    }
+
+    async _pad(size) {
+        const rem = size % 512;
+        if (rem) await writeAsync(this.out, Buffer.alloc(512 - rem));
+    }
+
+    // 100바이트 넘는 이름이나 한글 이름은 PAX 확장 헤더로
+    async _header(opts) {
+        const nameBytes = Buffer.byteLength(opts.name);
+        if (nameBytes > 100 || /[^\x20-\x7e]/.test(opts.name)) {
+            const rec = paxRecord('path', opts.name);
+            await writeAsync(this.out, tarHeader({ name: 'PaxHeader', size: rec.length, type: 'x' }));
+            await writeAsync(this.out, rec);
+            await this._pad(rec.length);
+            opts = { ...opts, name: opts.name.replace(/[^\x20-\x7e]/g, '_').slice(-100) };
+        }
+        await writeAsync(this.out, tarHeader(opts));
+    }
+
+    async addBuffer(name, buf, { mtime = new Date(), mode = 0o644 } = {}) {
+        await this._header({ name, size: buf.length, mtime, mode, type: '0' });
+        await writeAsync(this.out, buf);
+        await this._pad(buf.length);
+    }
+
+    async addDirectory(name, mtime = new Date()) {
+        await this._header({ name: name.endsWith('/') ? name : name + '/', mtime, mode: 0o755, type: '5' });
+    }
+
+    async addFile(absPath, name, stat, { hash = false } = {}) {
+        const digest = hash ? crypto.createHash('sha256') : null;
+        await this._header({ name, size: stat.size, mtime: stat.mtime, mode: stat.mode, type: '0' });
+        let written = 0;
+        for await (const chunk of fs.createReadStream(absPath, { end: stat.size > 0 ? stat.size - 1 : 0 })) {
+            if (stat.size === 0) break;
+            written += chunk.length;
+            if (digest) digest.update(chunk);
+            await writeAsync(this.out, chunk);
+        }
+        // 읽는 도중 파일이 줄어들면 헤더 크기에 맞춰 0으로 채움
+        if (written < stat.size) {
+            const fill = Buffer.alloc(stat.size - written);
+            if (digest) digest.update(fill);
+            await writeAsync(this.out, fill);
+        }
+        await this._pad(stat.size);
+        return { size: stat.size, sha256: digest ? digest.digest('hex') : undefined };
+    }
+
+    async finish() {
+        await writeAsync(this.out, Buffer.alloc(1024));
+    }
+}
+
+/**
+ * 압축 파일 작성기를 엽니다.
+ * @param {'zip'|'tar'|'tar.gz'} format
+ * @param {import('stream').Writable} dest 응답 스트림 또는 파일 스트림
+ */
+function createWriter(format, dest) {
+    let writer;
+    let done;
+    if (format === 'zip') {
+        writer = new ZipWriter(dest);
+    } else if (format === 'tar.gz' || format === 'tgz') {
+        const gz = zlib.createGzip();
+        done = pipeline(gz, dest);
+        writer = new TarWriter(gz);
+    } else if (format === 'tar') {
+        writer = new TarWriter(dest);
+    } else {
+        throw new Error(`지원하지 않는 압축 형식: ${format}`);
+    }
+
+    return {
+        addBuffer: (name, buf, opts) => writer.addBuffer(name, buf, opts),
+        addDirectory: (name, mtime) => writer.addDirectory(name, mtime),
+        addFile: (absPath, name, stat, opts) => writer.addFile(absPath, name, stat, opts),
+
+        /**
+         * 파일 또는 폴더를 통째로 추가합니다. 폴더 심볼릭 링크는 따라가지 않습니다.
+         * @param {string} absPath
+         * @param {string} name 압축 파일 안에서의 이름
+         * @param {{ filter?: (abs: string, name: string, stat: fs.Stats) => boolean, onFile?: Function, hash?: boolean }} opts
+         *   hash=true 면 onFile 의 마지막 인자에 sha256 이 들어감
+         */
+        async addPath(absPath, name, opts = {}) {
+            let stat = fs.lstatSync(absPath);
+            if (stat.isSymbolicLink()) {
+                try { stat = fs.statSync(absPath); } catch (e) { return; }
+                if (stat.isDirectory()) return;
+            }
+            if (opts.filter && !opts.filter(absPath, name, stat)) return;
+            if (stat.isDirectory()) {
+                await writer.addDirectory(name, stat.mtime);
+                const children = fs.readdirSync(absPath).sort();
+                for (const child of children) {
+                    await this.addPath(path.join(absPath, child), `${name}/${child}`, opts);
+                }
+            } else if (stat.isFile()) {
+                const r = await writer.addFile(absPath, name, stat, { hash: !!opts.hash });
+                if (opts.onFile) opts.onFile(absPath, name, stat, r);
+            }
+        },
+
+        async finish() {
+            await writer.finish();
+            if (done) {
+                writer.out.end();
+                await done;
+            } else {
+                dest.end();
+                await finished(dest);
+            }
+        },
+    };
+}
+
+/**
+ * @param {'zip'|'tar'|'tar.gz'} format
+ * @param {Array<{ abs: string, name: string }>} sources
+ * @param {import('stream').Writable} dest
+ */
+async function createArchive(format, sources, dest, opts = {}) {
+    const w = createWriter(format, dest);
+    for (const s of sources) await w.addPath(s.abs, s.name, opts);
+    await w.finish();
+}
+
+// ===== 읽기 =====
+function detectFormat(file) {
+    const fd = fs.openSync(file, 'r');
+    const head = Buffer.alloc(512);
+    let n;
+    try { n = fs.readSync(fd, head, 0, 512, 0); } finally { fs.closeSync(fd); }
+    if (n >= 4 && head.readUInt32LE(0) === 0x04034b50) return 'zip';
+    if (n >= 4 && head.readUInt32LE(0) === 0x06054b50) return 'zip'; // 빈 zip
+    if (n >= 2 && head[0] === 0x1f && head[1] === 0x8b) return 'tar.gz';
+    if (n >= 262 && head.toString('ascii', 257, 262) === 'ustar') return 'tar';
+    throw new Error('지원하지 않는 압축 형식입니다 (zip, tar, tar.gz만 가능)');
+}
+
+// UTF-8 플래그가 없는 한국어 윈도우 ZIP은 CP949(EUC-KR)일 가능성이 높음
+function decodeName(buf, utf8) {
+    if (utf8) return buf.toString('utf-8');
+    try { return new TextDecoder('utf-8', { fatal: true }).decode(buf); } catch (e) {}
+    try { return new TextDecoder('euc-kr').decode(buf); } catch (e) {}
+    return buf.toString('latin1');
+}
+
+async function readZipEntries(file) {
+    const fh = await fs.promises.open(file, 'r');
+    try {
+        const { size } = await fh.stat();
+        const tailLen = Math.min(size, 0xffff + 22);
+        const tail = Buffer.alloc(tailLen);
+        await fh.read(tail, 0, tailLen, size - tailLen);
+        let eocd = -1;
+        for (let i = tailLen - 22; i >= 0; i--) {
+            if (tail.readUInt32LE(i) === 0x06054b50) { eocd = i; break; }
+        }
+        if (eocd < 0) throw new Error('ZIP 중앙 디렉토리를 찾을 수 없습니다 (손상된 파일?)');
+        const count = tail.readUInt16LE(eocd + 10);
+        const cdSize = tail.readUInt32LE(eocd + 12);
+        const cdOffset = tail.readUInt32LE(eocd + 16);
+        if (count === 0xffff || cdOffset === 0xffffffff) throw new Error('ZIP64 형식은 지원하지 않습니다');
+        const cd = Buffer.alloc(cdSize);
+        await fh.read(cd, 0, cdSize, cdOffset);
+
+        const entries = [];
+        let p = 0;
+        for (let i = 0; i < count && p + 46 <= cd.length; i++) {
+            if (cd.readUInt32LE(p) !== 0x02014b50) throw new Error('ZIP 중앙 디렉토리가 손상되었습니다');
+            const flags = cd.readUInt16LE(p + 8);
+            const nameLen = cd.readUInt16LE(p + 28);
+            const extraLen = cd.readUInt16LE(p + 30);
+            const commentLen = cd.readUInt16LE(p + 32);
+            const madeBy = cd.readUInt16LE(p + 4) >> 8;
+            const attr = cd.readUInt32LE(p + 38);
+            const name = decodeName(cd.subarray(p + 46, p + 46 + nameLen), (flags & 0x800) !== 0);
+            const unixMode = madeBy === 3 ? attr >>> 16 : 0;
+            entries.push({
+                name,
+                flags,
+                method: cd.readUInt16LE(p + 10),
+                mtime: fromDosDateTime(cd.readUInt16LE(p + 14), cd.readUInt16LE(p + 12)),
+                crc: cd.readUInt32LE(p + 16),
+                compressedSize: cd.readUInt32LE(p + 20),
+                size: cd.readUInt32LE(p + 24),
+                offset: cd.readUInt32LE(p + 42),
+                isDirectory: name.endsWith('/') || (attr & 0x10) !== 0,
+                isSymlink: (unixMode & 0o170000) === 0o120000,
+                mode: unixMode & 0o777,
+            });
+            p += 46 + nameLen + extraLen + commentLen;
+        }
+        return entries;
+    } finally {
+        await fh.close();
+    }
+}
+
+async function zipEntryStream(file, entry) {
+    if (entry.flags & 0x1) throw new Error('암호화된 ZIP 엔트리는 지원하지 않습니다');
+    const fh = await fs.promises.open(file, 'r');
+    const lh = Buffer.alloc(30);
+    try { await fh.read(lh, 0, 30, entry.offset); } finally { await fh.close(); }
+    if (lh.readUInt32LE(0) !== 0x04034b50) throw new Error(`${entry.name}: 로컬 헤더가 손상되었습니다`);
+    const start = entry.offset + 30 + lh.readUInt16LE(26) + lh.readUInt16LE(28);
+    if (entry.compressedSize === 0) return require('stream').Readable.from([]);
+    const raw = fs.createReadStream(file, { start, end: start + entry.compressedSize - 1 });
+    if (entry.method === 0) return raw;
+    if (entry.method === 8) {
+        const inflate = zlib.createInflateRaw();
+        raw.on('error', err => inflate.destroy(err));
+        return raw.pipe(inflate);
+    }
+    raw.destroy();
+    throw new Error(`${entry.name}: 지원하지 않는 압축 방식 (${entry.method})`);
+}
+
+function parseOctal(buf, offset, length) {
+    if (buf[offset] & 0x80) {
+        let v = 0;
+        for (let i = offset + 1; i < offset + length; i++) v = v * 256 + buf[i];
+        return v;
+    }
+    const s = buf.toString('ascii', offset, offset + length).replace(/[\0 ]+/g, ' ').trim();
+    return s ? parseInt(s, 8) || 0 : 0;
+}
+
+function readCString(buf, offset, length) {
+    const end = buf.indexOf(0, offset);
+    return buf.toString('utf-8', offset, end >= 0 && end < offset + length ? end : offset + length);
+}
+
+function parsePax(buf) {
+    const out = {};
+    let p = 0;
+    while (p < buf.length) {
+        const sp = buf.indexOf(0x20, p);
+        if (sp < 0) break;
+        const len = parseInt(buf.toString('ascii', p, sp), 10);
+        if (!len) break;
+        const rec = buf.toString('utf-8', sp + 1, p + len - 1);
+        const eq = rec.indexOf('=');
+        if (eq > 0) out[rec.slice(0, eq)] = rec.slice(eq + 1);
+        p += len;
+    }
+    return out;
+}
+
+/**
+ * tar(.gz)를 처음부터 끝까지 훑으면서 엔트리마다 onEntry를 부릅니다.
+ * onEntry가 { write(buf), end() } 싱크를 돌려주면 그 엔트리 내용을 넘겨줍니다.
+ */
+async function walkTar(file, gzipped, onEntry) {
+    const input = fs.createReadStream(file);
+    let stream = input;
+    if (gzipped) {
+        stream = zlib.createGunzip();
+        input.on('error', err => stream.destroy(err));
+        input.pipe(stream);
+    }
+
+    let buf = Buffer.alloc(0);
+    let state = 'header';
+    let remaining = 0;
+    let padding = 0;
+    let sink = null;
+    let pending = {}; // 다음 엔트리에 적용할 PAX / GNU longname
+    let collect = null; // PAX/longname 데이터 수집용
+
+    const startData = async (size, s) => {
+        sink = s;
+        remaining = size;
+        padding = (512 - (size % 512)) % 512;
+        state = 'data';
+        if (size === 0) await endData();
+    };
+    const endData = async () => {
+        if (sink) await sink.end();
+        sink = null;
+        state = padding ? 'pad' : 'header';
+    };
+
+    try {
+        for await (const chunk of stream) {
+            buf = buf.length ? Buffer.concat([buf, chunk]) : chunk;
+            let pos = 0;
+            while (pos < buf.length) {
+                if (state === 'header') {
+                    if (buf.length - pos < 512) break;
+                    const h = buf.subarray(pos, pos + 512);
+                    pos += 512;
+                    if (h.every(b => b === 0)) continue; // 끝 표시 블록
+                    const type = String.fromCharCode(h[156] || 48);
+                    let name = readCString(h, 0, 100);
+                    if (h.toString('ascii', 257, 262) === 'ustar') {
+                        const prefix = readCString(h, 345, 155);
+                        if (prefix) name = `${prefix}/${name}`;
+                    }
+                    let size = parseOctal(h, 124, 12);
+                    if (type === 'x' || type === 'g' || type === 'L') {
+                        const parts = [];
+                        collect = type;
+                        await startData(size, {
+                            write: (b) => { parts.push(Buffer.from(b)); },
+                            end: () => {
+                                const data = Buffer.concat(parts);
+                                if (collect === 'x') Object.assign(pending, parsePax(data));
+                                else if (collect === 'L') pending.path = readCString(data, 0, data.length);
+                                collect = null;
+                            },
+                        });
+                        continue;
+                    }
+                    if (pending.path) name = pending.path;
+                    if (pending.size) size = parseInt(pending.size, 10);
+                    pending = {};
+                    const entry = {
+                        name,
+                        size: type === '5' ? 0 : size,
+                        mode: parseOctal(h, 100, 8),
+                        mtime: new Date(parseOctal(h, 136, 12) * 1000),
+                        isDirectory: type === '5',
+                        isSymlink: type === '1' || type === '2',
+                        isFile: type === '0' || type === '7' || type === '\0',
+                    };
+                    const s = await onEntry(entry);
+                    await startData(type === '5' || entry.isSymlink ? 0 : size, entry.isFile ? s : null);
+                } else if (state === 'data') {
+                    const n = Math.min(remaining, buf.length - pos);
+                    if (sink && n > 0) await sink.write(buf.subarray(pos, pos + n));
+                    pos += n;
+                    remaining -= n;
+                    if (remaining === 0) await endData();
+                } else {
+                    const n = Math.min(padding, buf.length - pos);
+                    pos += n;
+                    padding -= n;
+                    if (padding === 0) state = 'header';
+                }
+            }
+            buf = buf.subarray(pos);
+        }
+        if (state === 'data' && remaining > 0) throw new Error('압축 파일이 중간에 잘렸습니다');
+    } finally {
+        // 중간에 멈추면 쓰던 엔트리를 치우고 (임시 파일·파일 핸들) 읽던 파일도 닫음
+        if (sink && sink.abort) await sink.abort();
+        stream.destroy();
+        input.destroy();
+    }
+}
+
+function publicEntry(e) {
+    return { name: e.name.replace(/^\.\//, ''), size: e.size, isDirectory: e.isDirectory, isSymlink: !!e.isSymlink, mtime: e.mtime ? e.mtime.toISOString() : null };
+}
+
+/**
+ * 압축을 풀지 않고 목록만 봅니다.
+ * @returns {Promise<{ format: string, entries: object[] }>}
+ */
+async function listArchive(file) {
+    const format = detectFormat(file);
+    if (format === 'zip') {
+        const entries = await readZipEntries(file);
+        return { format, entries: entries.map(publicEntry) };
+    }
+    const entries = [];
+    await walkTar(file, format === 'tar.gz', (e) => { entries.push(publicEntry(e)); return null; });
+    return { format, entries };
+}
+
+// zip-slip 방지: 압축 안의 이름이 대상 폴더 밖을 가리키면 거부
+function safeJoin(root, name) {
+    const clean = name.replace(/\\/g, '/');
+    if (clean.startsWith('/') || /^[a-zA-Z]:/.test(clean)) throw new Error(`절대 경로 엔트리 차단: ${name}`);
+    const resolved = path.resolve(root, clean);
+    if (resolved !== root && !resolved.startsWith(root + path.sep)) throw new Error(`경로 이탈 차단: ${name}`);
+    return resolved;
+}
+
+// 이미 있는 심볼릭 링크 폴더를 타고 밖으로 나가는 것도 차단
+function assertInside(realRoot, dir) {
+    const real = fs.realpathSync(dir);
+    if (real !== realRoot && !real.startsWith(realRoot + path.sep)) throw new Error(`심볼릭 링크를 통한 경로 이탈 차단: ${dir}`);
+}
+
+// 폴더를 만들기 전에 — 이미 있는 가장 깊은 상위 경로로 확인해야 링크 너머에 폴더가 생기지 않음
+function assertExistingInside(realRoot, dir) {
+    let p = dir;
+    while (!fs.lstatSync(p, { throwIfNoEntry: false })) p = path.dirname(p);
+    assertInside(realRoot, p);
+}
+
+function matchesOnly(only, name) {
+    if (!only) return true;
+    const n = name.replace(/^\.\//, '');
+    return only.some(o => n === o || n === o.replace(/\/$/, '') || (o.endsWith('/') && n.startsWith(o)) || n.startsWith(o + '/'));
+}
+
+/**
+ * 압축 풀기.
+ * @param {string} file 압축 파일
+ * @param {string} destDir 풀 위치 (없으면 생성)
+ * @param {{ only?: string[], overwrite?: boolean, onBeforeWrite?: (dest: string) => void,
+ *           mapName?: (name: string) => string|null }} opts
+ *   only: 이 이름들(폴더면 하위 포함)만 풀기, overwrite=false면 있는 파일은 건너뜀,
+ *   mapName: 엔트리 이름을 바꾸거나 null로 제외
+ * @returns {Promise<{ format: string, extracted: number, bytes: number, skipped: Array<{ name: string, reason: string }> }>}
+ */
+async function extractArchive(file, destDir, opts = {}) {
+    const format = detectFormat(file);
+    const root = path.resolve(destDir);
+    fs.mkdirSync(root, { recursive: true });
+    const realRoot = fs.realpathSync(root);
+    const overwrite = opts.overwrite !== false;
+    const result = { format, extracted: 0, bytes: 0, skipped: [] };
+
+    // 엔트리 하나를 어디에 쓸지 결정 — 쓰지 않을 거면 null
+    const prepare = (entry) => {
+        if (!matchesOnly(opts.only, entry.name)) return null;
+        const name = opts.mapName ? opts.mapName(entry.name.replace(/^\.\//, '')) : entry.name;
+        if (!name) return null;
+        let dest;
+        try {
+            dest = safeJoin(root, name);
+        } catch (err) {
+            result.skipped.push({ name: entry.name, reason: err.message });
+            return null;
+        }
+        if (dest === root) return null;
+        if (entry.isSymlink) {
+            result.skipped.push({ name: entry.name, reason: '심볼릭 링크는 풀지 않습니다' });
+            return null;
+        }
+        try {
+            const dir = entry.isDirectory ? dest : path.dirname(dest);
+            assertExistingInside(realRoot, dir);
+            fs.mkdirSync(dir, { recursive: true });
+            assertInside(realRoot, dir);
+        } catch (err) {
+            result.skipped.push({ name: entry.name, reason: err.message });
+            return null;
+        }
+        if (entry.isDirectory) return null;
+        if (fs.existsSync(dest)) {
+            if (!overwrite) {
+                result.skipped.push({ name: entry.name, reason: '이미 있음' });
+                return null;
+            }
+            try {
+                if (fs.lstatSync(dest).isSymbolicLink() || fs.statSync(dest).isDirectory()) {
+                    result.skipped.push({ name: entry.name, reason: '같은 이름의 폴더/링크가 있음' });
+                    return null;
+                }
+            } catch (e) {}
+            if (opts.onBeforeWrite) opts.onBeforeWrite(dest);
+        }
+        return dest;
+    };
+
+    const fileSink = async (dest, entry) => {
+        const tmp = `${dest}.partial-${process.pid}`;
+        const fh = await fs.promises.open(tmp, 'w', entry.mode ? (entry.mode & 0o777) | 0o600 : 0o644);
+        let crc = 0;
+        return {
+            crc: () => crc,
+            write: async (b) => { crc = crc32(b, crc); await fh.write(b); },
+            end: async () => {
+                await fh.close();
+                fs.renameSync(tmp, dest);
+                if (entry.mtime) { try { fs.utimesSync(dest, entry.mtime, entry.mtime); } catch (e) {} }
+                result.extracted++;
+                result.bytes += entry.size;
+            },
+            abort: async () => { try { await fh.close(); } catch (e) {} try { fs.unlinkSync(tmp); } catch (e) {} },
+        };
+    };
+
+    if (format === 'zip') {
+        for (const entry of await readZipEntries(file)) {
+            const dest = prepare(entry);
+            if (!dest) continue;
+            const sink = await fileSink(dest, entry);
+            try {
+                for await (const chunk of await zipEntryStream(file, entry)) await sink.write(chunk);
+                if (sink.crc() !== entry.crc) throw new Error(`${entry.name}: CRC 불일치 (손상된 파일)`);
+                await sink.end();
+            } catch (err) {
+                await sink.abort();
+                result.skipped.push({ name: entry.name, reason: err.message });
+            }
+        }
+    } else {
+        // zip 처럼 엔트리 하나가 실패하면 그 엔트리만 건너뛰고 계속 (압축 파일 자체가 깨졌으면 walkTar 가 던짐)
+        await walkTar(file, format === 'tar.gz', async (entry) => {
+            const dest = prepare(entry);
+            if (!dest) return null;
+            let sink;
+            try {
+                sink = await fileSink(dest, entry);
+            } catch (err) {
+                result.skipped.push({ name: entry.name, reason: err.message });
+                return null;
+            }
+            let failed = false;
+            const fail = async (err) => {
+                failed = true;
+                await sink.abort();
+                result.skipped.push({ name: entry.name, reason: err.message });
+            };
+            return {
+                write: async (b) => { if (!failed) await sink.write(b).catch(fail); },
+                end: async () => { if (!failed) await sink.end().catch(fail); },
+                abort: async () => { if (!failed) await sink.abort(); },
+            };
+        });
+    }
+    return result;
+}
+
+/**
+ * 압축 파일 안의 파일 하나를 통째로 읽습니다 (백업 manifest 등 작은 파일용).
+ */
+async function readEntry(file, name) {
+    const format = detectFormat(file);
+    if (format === 'zip') {
+        const entry = (await readZipEntries(file)).find(e => e.name === name);
+        if (!entry) return null;
+        const parts = [];
+        for await (const chunk of await zipEntryStream(file, entry)) parts.push(chunk);
+        return Buffer.concat(parts);
+    }
+    let found = null;
+    await walkTar(file, format === 'tar.gz', (entry) => {
+        if (entry.name.replace(/^\.\//, '') !== name) return null;
+        const parts = [];
+        return { write: (b) => { parts.push(Buffer.from(b)); }, end: () => { found = Buffer.concat(parts); } };
+    });
+    return found;
+}
+
+/**
+ * 압축을 풀지 않고 파일 엔트리마다 크기와 SHA-256 을 계산합니다 (manifest 없는 예전 백업 비교용).
+ * @returns {Promise<Map<string, { size: number, sha256: string }>>}
+ */
+async function hashEntries(file) {
+    const format = detectFormat(file);
+    const out = new Map();
+    if (format === 'zip') {
+        for (const entry of await readZipEntries(file)) {
+            if (entry.isDirectory || entry.isSymlink) continue;
+            const h = crypto.createHash('sha256');
+            for await (const chunk of await zipEntryStream(file, entry)) h.update(chunk);
+            out.set(entry.name.replace(/^\.\//, ''), { size: entry.size, sha256: h.digest('hex') });
+        }
+        return out;
+    }
+    await walkTar(file, format === 'tar.gz', (entry) => {
+        const h = crypto.createHash('sha256');
+        const name = entry.name.replace(/^\.\//, '');
+        return { write: (b) => { h.update(b); }, end: () => { out.set(name, { size: entry.size, sha256: h.digest('hex') }); } };
+    });
+    return out;
+}
+
+function formatFromName(name) {
+    const n = name.toLowerCase();
+    if (n.endsWith('.zip')) return 'zip';
+    if (n.endsWith('.tar.gz') || n.endsWith('.tgz')) return 'tar.gz';
+    if (n.endsWith('.tar')) return 'tar';
+    return null;
+}
+
+function extensionFor(format) {
+    return format === 'zip' ? '.zip' : format === 'tar' ? '.tar' : '.tar.gz';
+}
+
+module.exports = {
+    createWriter,
+    createArchive,
+    detectFormat,
+    listArchive,
+    extractArchive,
+    readEntry,
+    hashEntries,
+    walkTar,
+    formatFromName,
+    extensionFor,
+};
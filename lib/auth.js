@@ -0,0 +1,241 @@
+// TermuxFM 인증
+// 비밀번호(또는 PIN)는 scrypt 해시로 ~/.st-filemanager/auth.json 에 저장하고,
+// 로그인하면 HMAC 서명된 세션 토큰을 쿠키(또는 Bearer 헤더)로 돌려줍니다.
+// 파일매니저 라우터(index.js)와 도서관 서버(server.js)가 같은 설정 파일을 공유하므로
+// 한 번 로그인하면 두 서버 모두 통과합니다.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { statePath, loadJson, saveJson } = require('./store');
+
+const AUTH_FILE = statePath('auth.json');
+const COOKIE_NAME = 'tfm_session';
+const SESSION_TTL = 7 * 24 * 3600 * 1000; // 7일
+const MIN_PASSWORD_LENGTH = 4; // 숫자 4자리 PIN 허용
+const MAX_FAILS = 5; // 이 횟수만큼 틀리면 잠금
+const LOCK_BASE_MS = 5 * 60 * 1000; // 첫 잠금 5분, 이후 두 배씩
+const LOCK_MAX_MS = 60 * 60 * 1000;
+
+// Map<ip, { fails: number, lockouts: number, lockedUntil: number }>
+const attempts = new Map();
+
+let cached = null;
+let cachedMtime = 0;
+
+function loadConfig() {
+    // 다른 프로세스(도서관 ↔ 파일매니저)가 비밀번호를 바꿀 수 있으므로 mtime으로 다시 읽음
+    try {
+        const mtime = fs.statSync(AUTH_FILE).mtimeMs;
+        if (!cached || mtime !== cachedMtime) {
+            cached = loadJson(AUTH_FILE, null);
+            cachedMtime = mtime;
+        }
+    } catch (e) {
+        cached = null;
+        cachedMtime = 0;
+    }
+    return cached;
+}
+
+function isConfigured() {
+    const cfg = loadConfig();
+    return !!(cfg && cfg.hash && cfg.salt && cfg.secret);
+}
+
+function hashPassword(password, salt) {
+    return crypto.scryptSync(String(password), Buffer.from(salt, 'hex'), 64).toString('hex');
+}
+
+function safeEqual(a, b) {
+    const ba = Buffer.from(String(a));
+    const bb = Buffer.from(String(b));
+    return ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
+}
+
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw new Error(`비밀번호는 ${MIN_PASSWORD_LENGTH}자 이상이어야 합니다`);
+    }
+}
+
+// 비밀번호를 바꾸면 서명 키도 새로 만들어 기존 세션을 모두 무효화
+function setPassword(password) {
+    validatePassword(password);
+    const prev = loadConfig() || {};
+    const salt = crypto.randomBytes(16).toString('hex');
+    saveJson(AUTH_FILE, {
+        kdf: 'scrypt',
+        salt,
+        hash: hashPassword(password, salt),
+        secret: crypto.randomBytes(32).toString('hex'),
+        createdAt: prev.createdAt || Date.now(),
+        updatedAt: Date.now(),
+    }, 0o600);
+    cached = null;
+}
+
+function verifyPassword(password) {
+    const cfg = loadConfig();
+    if (!cfg || !cfg.hash) return false;
+    return safeEqual(hashPassword(password, cfg.salt), cfg.hash);
+}
+
+function sign(data, secret) {
+    return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+function issueToken() {
+    const cfg = loadConfig();
+    const now = Date.now();
+    const payload = Buffer.from(JSON.stringify({ iat: now, exp: now + SESSION_TTL })).toString('base64url');
+    return `${payload}.${sign(payload, cfg.secret)}`;
+}
+
+function verifyToken(token) {
+    const cfg = loadConfig();
+    if (!cfg || !token || typeof token !== 'string') return false;
+    const [payload, sig] = token.split('.');
+    if (!payload || !sig || !safeEqual(sign(payload, cfg.secret), sig)) return false;
+    try {
+        const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+        return typeof data.exp === 'number' && data.exp > Date.now();
+    } catch (e) {
+        return false;
+    }
+}
+
+function parseCookies(header) {
+    const out = {};
+    for (const part of String(header || '').split(';')) {
+        const idx = part.indexOf('=');
+        if (idx < 0) continue;
+        const key = part.slice(0, idx).trim();
+        if (key) {
+            try { out[key] = decodeURIComponent(part.slice(idx + 1).trim()); } catch (e) {}
+        }
+    }
+    return out;
+}
+
+function getToken(req) {
+    const authz = req.headers.authorization || '';
+    if (authz.startsWith('Bearer ')) return authz.slice(7).trim();
+    return parseCookies(req.headers.cookie)[COOKIE_NAME] || null;
+}
+
+function clientIp(req) {
+    return (req.socket && req.socket.remoteAddress) || 'unknown';
+}
+
+function isLoopback(req) {
+    const ip = clientIp(req);
+    return ip === '127.0.0.1' || ip === '::1' || ip === '::ffff:127.0.0.1';
+}
+
+// 비밀번호 설정 전에는 같은 기기(localhost)에서 온 요청만 허용
+function checkRequest(req) {
+    if (!isConfigured()) return isLoopback(req);
+    return verifyToken(getToken(req));
+}
+
+// 브라우저가 보낸 WebSocket 은 Origin 이 붙음 — 다른 사이트 페이지가 쿠키를 실어 터미널에 붙지 못하게 Host 와 같은지 확인
+// (Origin 이 없으면 브라우저가 아닌 클라이언트라 쿠키를 몰래 실을 수 없으므로 통과)
+function sameOrigin(req) {
+    const origin = req.headers.origin;
+    if (!origin) return true;
+    try {
+        const o = new URL(origin);
+        return o.host === new URL(`${o.protocol}//${req.headers.host}`).host; // 대소문자·기본 포트 차이는 URL 이 맞춰 줌
+    } catch (e) {
+        return false;
+    }
+}
+
+function sessionCookie(token) {
+    return `${COOKIE_NAME}=${encodeURIComponent(token)}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${Math.floor(SESSION_TTL / 1000)}`;
+}
+
+function clearCookie() {
+    return `${COOKIE_NAME}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`;
+}
+
+function lockStatus(ip) {
+    const a = attempts.get(ip);
+    if (a && a.lockedUntil > Date.now()) {
+        return { locked: true, retryAfter: Math.ceil((a.lockedUntil - Date.now()) / 1000) };
+    }
+    return { locked: false, retryAfter: 0 };
+}
+
+/**
+ * 비밀번호 로그인 시도. 실패가 MAX_FAILS번 쌓이면 IP를 잠급니다.
+ * @returns {{ ok: boolean, token?: string, error?: string, retryAfter?: number }}
+ */
+function login(req, password) {
+    const ip = clientIp(req);
+    const lock = lockStatus(ip);
+    if (lock.locked) {
+        return { ok: false, error: `로그인 시도가 너무 많습니다. ${lock.retryAfter}초 후 다시 시도하세요.`, retryAfter: lock.retryAfter };
+    }
+    if (!isConfigured()) {
+        return { ok: false, error: '비밀번호가 아직 설정되지 않았습니다' };
+    }
+    if (verifyPassword(password)) {
+        attempts.delete(ip);
+        return { ok: true, token: issueToken() };
+    }
+    const a = attempts.get(ip) || { fails: 0, lockouts: 0, lockedUntil: 0 };
+    a.fails++;
+    if (a.fails >= MAX_FAILS) {
+        a.lockouts++;
+        a.fails = 0;
+        a.lockedUntil = Date.now() + Math.min(LOCK_BASE_MS * 2 ** (a.lockouts - 1), LOCK_MAX_MS);
+        console.warn(`[auth] ${ip} 로그인 ${MAX_FAILS}회 실패 — 잠금`);
+    }
+    attempts.set(ip, a);
+    const after = lockStatus(ip);
+    if (after.locked) {
+        return { ok: false, error: `로그인 시도가 너무 많습니다. ${after.retryAfter}초 후 다시 시도하세요.`, retryAfter: after.retryAfter };
+    }
+    return { ok: false, error: `비밀번호가 틀렸습니다 (${MAX_FAILS - a.fails}회 남음)` };
+}
+
+function status(req) {
+    const configured = isConfigured();
+    return {
+        configured,
+        authenticated: checkRequest(req),
+        setupAllowed: !configured && isLoopback(req),
+        locked: lockStatus(clientIp(req)).locked,
+    };
+}
+
+// Express 미들웨어 — 이 뒤에 등록된 모든 라우트를 보호
+function middleware(req, res, next) {
+    if (checkRequest(req)) return next();
+    res.status(401).json({ error: '로그인이 필요합니다', authRequired: true, configured: isConfigured() });
+}
+
+// 도서관 서버처럼 자체 UI가 없는 곳에서 쓰는 최소 로그인 페이지
+function loginPageHtml(loginUrl) {
+    return `<!DOCTYPE html><html lang="ko"><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"><title>로그인</title>
+<style>body{margin:0;height:100vh;display:flex;align-items:center;justify-content:center;background:#0a0e17;color:#e2e8f0;font-family:sans-serif}form{background:#111827;border:1px solid #1e293b;border-radius:14px;padding:24px;width:280px}input{width:100%;box-sizing:border-box;padding:8px 12px;margin:12px 0;border:1px solid #1e293b;border-radius:8px;background:#1a2236;color:#e2e8f0}button{width:100%;padding:8px;border:0;border-radius:8px;background:#0e7490;color:#fff;cursor:pointer}#err{color:#f87171;font-size:12px;min-height:16px}</style></head>
+<body><form id="f"><h3>🔒 로그인</h3><input type="password" id="pw" placeholder="비밀번호" autofocus><div id="err"></div><button>로그인</button></form>
+<script>document.getElementById('f').onsubmit=async e=>{e.preventDefault();const r=await fetch(${JSON.stringify(loginUrl)},{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({password:document.getElementById('pw').value})});const d=await r.json().catch(()=>({}));if(d.ok)location.reload();else document.getElementById('err').textContent=d.error||'로그인 실패';};</script></body></html>`;
+}
+
+module.exports = {
+    COOKIE_NAME,
+    isConfigured,
+    setPassword,
+    verifyPassword,
+    checkRequest,
+    isLoopback,
+    sameOrigin,
+    login,
+    status,
+    sessionCookie,
+    clearCookie,
+    middleware,
+    loginPageHtml,
+};
@@ -0,0 +1,305 @@
+// TermuxFM 자동 백업 스케줄러
+// cron 시각마다 SillyTavern 백업을 destDir/st-auto-backups 에 만들고, 일별/주별로 정해진 개수만 남깁니다.
+// mirror 를 켜면 사용자 폴더의 chats/characters 등을 destDir 에 그대로 복사해 두어서
+// 도서관(server.js findDataRoot)이 /storage/emulated/0/Backup 같은 위치에서 바로 읽을 수 있습니다.
+// 마지막 백업 이후 범위 안 파일이 하나도 안 바뀌었으면 건너뜁니다. 사본은 따로, 사본 폴더들이 바뀌었을 때만 갱신합니다.
+// ST 플러그인으로 같은 프로세스에서 돌기 때문에 폴더 훑기/복사는 모두 비동기로 합니다.
+//   ~/.st-filemanager/backup-schedule.json — 설정
+//   ~/.st-filemanager/backup-runs.json     — { lastRunAt, lastFingerprint, lastMirror: { user, destDir, fingerprint }, runs: [...] }
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { HOME, statePath, loadJson, saveJson } = require('./store');
+const cron = require('./cron');
+const backup = require('./backup');
+
+const SETTINGS_FILE = statePath('backup-schedule.json');
+const RUNS_FILE = statePath('backup-runs.json');
+const ARCHIVE_DIR_NAME = 'st-auto-backups';
+const ARCHIVE_PREFIX = 'st-auto';
+const MAX_RUNS = 50;
+const MIRROR_DIRS = ['chats', 'group chats', 'characters', 'thumbnails', 'user/images', 'worlds'];
+
+function defaultDestDir() {
+    try {
+        if (fs.statSync('/storage/emulated/0').isDirectory()) return '/storage/emulated/0/Backup';
+    } catch (e) {}
+    return path.join(HOME, 'ST-backup');
+}
+
+const DEFAULT_SETTINGS = {
+    enabled: false,
+    cron: '0 4 * * *',
+    destDir: null, // null 이면 defaultDestDir()
+    scope: { users: [], categories: [], config: true },
+    format: 'tar.gz',
+    keepDaily: 7,
+    keepWeekly: 4,
+    skipUnchanged: true,
+    mirror: false,
+    mirrorUser: 'default-user',
+};
+
+function getSettings() {
+    const s = { ...DEFAULT_SETTINGS, ...loadJson(SETTINGS_FILE, {}) };
+    if (!s.destDir) s.destDir = defaultDestDir();
+    return s;
+}
+
+/**
+ * 설정 일부를 바꿉니다. cron 이 잘못되면 에러.
+ */
+function saveSettings(patch) {
+    const next = { ...loadJson(SETTINGS_FILE, {}) };
+    if (patch.enabled !== undefined) next.enabled = !!patch.enabled;
+    if (patch.cron !== undefined) {
+        cron.parse(patch.cron);
+        next.cron = String(patch.cron).trim();
+    }
+    if (patch.destDir !== undefined) next.destDir = patch.destDir || null;
+    if (patch.scope !== undefined) {
+        next.scope = {
+            users: Array.isArray(patch.scope.users) ? patch.scope.users : [],
+            categories: Array.isArray(patch.scope.categories) ? patch.scope.categories : [],
+            config: patch.scope.config !== false,
+        };
+    }
+    if (patch.format !== undefined) next.format = patch.format === 'zip' ? 'zip' : 'tar.gz';
+    for (const k of ['keepDaily', 'keepWeekly']) {
+        if (patch[k] !== undefined) next[k] = Math.max(0, Math.floor(Number(patch[k]) || 0));
+    }
+    if (patch.skipUnchanged !== undefined) next.skipUnchanged = !!patch.skipUnchanged;
+    if (patch.mirror !== undefined) next.mirror = !!patch.mirror;
+    if (patch.mirrorUser !== undefined) next.mirrorUser = String(patch.mirrorUser || 'default-user');
+    saveJson(SETTINGS_FILE, next);
+    reschedule();
+    return getSettings();
+}
+
+function loadRuns() {
+    return { lastRunAt: null, lastFingerprint: null, lastMirror: null, runs: [], ...loadJson(RUNS_FILE, {}) };
+}
+
+// 범위 안 모든 파일의 (경로, 크기, 수정 시각) 해시 — 내용은 읽지 않으므로 빠름
+async function fingerprint(sources) {
+    const h = crypto.createHash('sha1');
+    const walk = async (abs, rel) => {
+        let st;
+        try { st = await fs.promises.stat(abs); } catch (e) { return; }
+        if (st.isDirectory()) {
+            let names = [];
+            try { names = (await fs.promises.readdir(abs)).sort(); } catch (e) {}
+            for (const n of names) await walk(path.join(abs, n), `${rel}/${n}`);
+        } else if (st.isFile()) {
+            h.update(`${rel}\0${st.size}\0${Math.floor(st.mtimeMs)}\n`);
+        }
+    };
+    for (const s of sources) await walk(s.abs, s.name);
+    return h.digest('hex');
+}
+
+// 사본으로 옮기는 폴더들 — 백업 범위와 달라서 바뀌었는지도 따로 봄
+function mirrorSources(stRoot, user) {
+    return MIRROR_DIRS.map(rel => ({ abs: path.join(stRoot, 'data', user, rel), name: rel }));
+}
+
+// 크기나 수정 시각이 다른 파일만 복사 (지우지는 않음 — 도서관 쪽 사본은 누적)
+async function mirrorUserData(stRoot, user, destDir) {
+    let copied = 0;
+    const copyTree = async (src, dest) => {
+        let st;
+        try { st = await fs.promises.stat(src); } catch (e) { return; }
+        if (st.isDirectory()) {
+            await fs.promises.mkdir(dest, { recursive: true });
+            for (const n of await fs.promises.readdir(src)) await copyTree(path.join(src, n), path.join(dest, n));
+            return;
+        }
+        if (!st.isFile()) return;
+        try {
+            const d = await fs.promises.stat(dest);
+            if (d.size === st.size && Math.floor(d.mtimeMs / 1000) === Math.floor(st.mtimeMs / 1000)) return;
+        } catch (e) {}
+        await pipeline(fs.createReadStream(src), fs.createWriteStream(dest));
+        await fs.promises.utimes(dest, st.atime, st.mtime);
+        copied++;
+    };
+    for (const s of mirrorSources(stRoot, user)) await copyTree(s.abs, path.join(destDir, s.name));
+    return copied;
+}
+
+// 날짜별 최신 1개씩 keepDaily 일치, 주(월요일 시작)별 최신 1개씩 keepWeekly 주치를 남기고 나머지 삭제
+function rotate(archiveDir, keepDaily, keepWeekly) {
+    let files = [];
+    try {
+        files = fs.readdirSync(archiveDir)
+            .filter(n => n.startsWith(ARCHIVE_PREFIX + '-') && !n.endsWith('.partial'))
+            .map(n => ({ name: n, mtime: fs.statSync(path.join(archiveDir, n)).mtimeMs }))
+            .sort((a, b) => b.mtime - a.mtime);
+    } catch (e) {
+        return [];
+    }
+    const keep = new Set();
+    const pick = (keyOf, limit) => {
+        const seen = new Set();
+        for (const f of files) {
+            if (seen.size >= limit) break;
+            const key = keyOf(new Date(f.mtime));
+            if (seen.has(key)) continue;
+            seen.add(key);
+            keep.add(f.name);
+        }
+    };
+    pick(d => d.toDateString(), keepDaily);
+    pick(d => {
+        const monday = new Date(d);
+        monday.setHours(0, 0, 0, 0);
+        monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+        return monday.toDateString();
+    }, keepWeekly);
+    if (files.length) keep.add(files[0].name); // 방금 만든 것은 항상 남김
+
+    const removed = [];
+    for (const f of files) {
+        if (keep.has(f.name)) continue;
+        try {
+            fs.unlinkSync(path.join(archiveDir, f.name));
+            removed.push(f.name);
+        } catch (e) {}
+    }
+    return removed;
+}
+
+let findSTRoot = () => null;
+let running = false;
+let timer = null;
+
+function recordRun(run, patch = {}) {
+    const state = { ...loadRuns(), ...patch };
+    state.runs = [run, ...state.runs].slice(0, MAX_RUNS);
+    saveJson(RUNS_FILE, state);
+}
+
+/**
+ * 백업을 한 번 실행합니다.
+ * @param {{ trigger?: 'schedule'|'manual', force?: boolean }} opts force=true 면 안 바뀌어도 백업
+ */
+async function runOnce({ trigger = 'manual', force = false } = {}) {
+    if (running) throw new Error('이미 백업이 진행 중입니다');
+    running = true;
+    const settings = getSettings();
+    const run = { startedAt: new Date().toISOString(), trigger, status: 'ok' };
+    try {
+        const stRoot = findSTRoot();
+        if (!stRoot) throw new Error('SillyTavern 폴더를 찾을 수 없습니다');
+        const { sources } = backup.resolveScope(stRoot, settings.scope);
+        const fp = await fingerprint(sources);
+        const prev = loadRuns();
+
+        let lastMirror = prev.lastMirror;
+        if (settings.mirror && settings.mirrorUser) {
+            const mirrorFp = await fingerprint(mirrorSources(stRoot, settings.mirrorUser));
+            const same = lastMirror && lastMirror.user === settings.mirrorUser && lastMirror.destDir === settings.destDir
+                && lastMirror.fingerprint === mirrorFp;
+            if (force || !same) {
+                run.mirrored = await mirrorUserData(stRoot, settings.mirrorUser, settings.destDir);
+                lastMirror = { user: settings.mirrorUser, destDir: settings.destDir, fingerprint: mirrorFp };
+            }
+        }
+        if (settings.skipUnchanged && !force && prev.lastFingerprint === fp) {
+            run.status = 'skipped';
+            run.message = '마지막 백업 이후 바뀐 파일이 없음';
+        } else {
+            const archiveDir = path.join(settings.destDir, ARCHIVE_DIR_NAME);
+            const r = await backup.createBackup(stRoot, settings.scope, { destDir: archiveDir, format: settings.format, prefix: ARCHIVE_PREFIX });
+            run.backupPath = r.backupPath;
+            run.backupName = r.backupName;
+            run.fileCount = r.fileCount;
+            run.size = r.size;
+            run.removed = rotate(archiveDir, settings.keepDaily, settings.keepWeekly);
+        }
+        run.finishedAt = new Date().toISOString();
+        recordRun(run, { lastRunAt: run.finishedAt, lastFingerprint: run.status === 'ok' ? fp : prev.lastFingerprint, lastMirror });
+    } catch (err) {
+        run.status = 'error';
+        run.error = err.message;
+        run.finishedAt = new Date().toISOString();
+        // 실패해도 lastRunAt 을 남겨서 같은 시각에 계속 재시도하지 않게 함
+        recordRun(run, { lastRunAt: run.finishedAt });
+        console.error(`[backup-schedule] 백업 실패: ${err.message}`);
+    } finally {
+        running = false;
+        reschedule();
+    }
+    return run;
+}
+
+// 다음 실행 예정 시각 — 마지막 실행(없으면 설정 저장 시각) 이후 첫 cron 시각.
+// 폰이 잠들어 있어 시각을 놓쳤으면 이미 지난 시각이 나오므로 깨어나는 즉시 따라잡음
+function nextDue(settings = getSettings()) {
+    if (!settings.enabled) return null;
+    const runs = loadRuns();
+    let base = runs.lastRunAt ? Date.parse(runs.lastRunAt) : null;
+    if (!base) {
+        try { base = fs.statSync(SETTINGS_FILE).mtimeMs; } catch (e) { base = Date.now(); }
+    }
+    return cron.nextRun(settings.cron, base);
+}
+
+function reschedule() {
+    if (timer) clearTimeout(timer);
+    timer = null;
+    let due;
+    try { due = nextDue(); } catch (e) { return; }
+    if (!due) return;
+    // 시계 변경/절전 대비로 최대 10분마다 다시 확인
+    const delay = Math.max(1000, Math.min(due.getTime() - Date.now(), 10 * 60 * 1000));
+    timer = setTimeout(() => {
+        timer = null;
+        const d = nextDue();
+        if (d && d.getTime() <= Date.now() && !running) {
+            runOnce({ trigger: 'schedule' }).catch(() => {});
+        } else {
+            reschedule();
+        }
+    }, delay);
+    if (timer.unref) timer.unref();
+}
+
+/**
+ * 스케줄러 시작.
+ * @param {{ findSTRoot: () => string|null }} deps
+ */
+function start(deps) {
+    findSTRoot = deps.findSTRoot;
+    reschedule();
+}
+
+function status() {
+    const settings = getSettings();
+    const runs = loadRuns();
+    let next = null;
+    try { next = nextDue(settings); } catch (e) {}
+    return {
+        settings,
+        running,
+        nextRun: next ? next.toISOString() : null,
+        lastRunAt: runs.lastRunAt,
+        lastRun: runs.runs[0] || null,
+    };
+}
+
+function listRuns() {
+    return loadRuns().runs;
+}
+
+module.exports = {
+    getSettings,
+    saveSettings,
+    runOnce,
+    start,
+    status,
+    listRuns,
+    rotate,
+};
@@ -0,0 +1,267 @@
+// TermuxFM SillyTavern 백업/복원
+// 범위(사용자별, 채팅/캐릭터/월드/설정)를 골라 tar.gz(또는 zip)로 묶고,
+// 마지막 엔트리로 backup-manifest.json(파일별 크기와 SHA-256)을 넣습니다.
+// 복원 전에 manifest 와 현재 파일을 비교(dry-run)해서 무엇이 덮어써질지 볼 수 있고,
+// 원하는 경로만 골라 복원할 수 있습니다.
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const archive = require('./archive');
+const history = require('./history');
+
+const MANIFEST_NAME = 'backup-manifest.json';
+
+// data/<사용자>/ 아래 분류별 폴더/파일
+const CATEGORIES = {
+    chats: ['chats', 'group chats', 'groups'],
+    characters: ['characters', 'thumbnails'],
+    worlds: ['worlds'],
+    settings: ['settings.json', 'OpenAI Settings', 'TextGen Settings', 'KoboldAI Settings', 'NovelAI Settings',
+        'instruct', 'context', 'sysprompt', 'reasoning', 'themes', 'QuickReplies', 'movingUI', 'user'],
+};
+
+// data/ 아래에서 _storage, _cache 같은 내부 폴더를 뺀 사용자 목록
+function listUsers(stRoot) {
+    let names = [];
+    try { names = fs.readdirSync(path.join(stRoot, 'data'), { withFileTypes: true }); } catch (e) {}
+    return names.filter(d => d.isDirectory() && !d.name.startsWith('_') && !d.name.startsWith('.')).map(d => d.name).sort();
+}
+
+/**
+ * 백업 범위를 실제 파일 목록으로 바꿉니다.
+ * @param {string} stRoot
+ * @param {{ users?: string[], categories?: string[], config?: boolean }} scope
+ *   users/categories 를 둘 다 비우면 data 전체(예전 동작). config 기본값은 true
+ */
+function resolveScope(stRoot, scope = {}) {
+    const users = Array.isArray(scope.users) && scope.users.length ? scope.users : null;
+    const categories = Array.isArray(scope.categories) && scope.categories.length ? scope.categories : null;
+    const sources = [];
+    const add = (rel) => {
+        if (fs.existsSync(path.join(stRoot, rel))) sources.push({ abs: path.join(stRoot, rel), name: rel.split(path.sep).join('/') });
+    };
+
+    if (!users && !categories) {
+        add('data');
+    } else {
+        const known = listUsers(stRoot);
+        for (const user of users || known) {
+            if (!known.includes(user)) throw new Error(`없는 사용자: ${user}`);
+            if (!categories) {
+                add(path.join('data', user));
+                continue;
+            }
+            for (const cat of categories) {
+                if (!CATEGORIES[cat]) throw new Error(`알 수 없는 범위: ${cat}`);
+                for (const rel of CATEGORIES[cat]) add(path.join('data', user, rel));
+            }
+        }
+    }
+    if (scope.config !== false) add('config.yaml');
+    return { sources, users, categories, config: scope.config !== false };
+}
+
+/**
+ * 백업 파일을 만듭니다.
+ * @param {string} stRoot
+ * @param {object} scope resolveScope 참고
+ * @param {{ destDir: string, format?: 'tar.gz'|'zip', prefix?: string }} opts
+ * @returns {Promise<{ backupPath: string, backupName: string, fileCount: number, totalSize: number, size: number }>}
+ */
+async function createBackup(stRoot, scope, opts) {
+    const resolved = resolveScope(stRoot, scope);
+    if (!resolved.sources.length) throw new Error('백업할 파일이 없습니다.');
+    const format = opts.format === 'zip' ? 'zip' : 'tar.gz';
+    const label = [...(resolved.users || []), ...(resolved.categories || [])].join('-').replace(/[^\w.-]+/g, '_');
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const backupName = `${opts.prefix || 'st-backup'}${label ? '-' + label : ''}-${stamp}${archive.extensionFor(format)}`;
+    fs.mkdirSync(opts.destDir, { recursive: true });
+    const backupPath = path.join(opts.destDir, backupName);
+    const tmpPath = `${backupPath}.partial`;
+
+    const manifest = {
+        type: 'st-backup',
+        version: 1,
+        createdAt: new Date().toISOString(),
+        stRoot,
+        scope: { users: resolved.users, categories: resolved.categories, config: resolved.config },
+        fileCount: 0,
+        totalSize: 0,
+        files: {},
+    };
+    try {
+        const w = archive.createWriter(format, fs.createWriteStream(tmpPath));
+        for (const s of resolved.sources) {
+            await w.addPath(s.abs, s.name, {
+                hash: true,
+                onFile: (_abs, name, stat, r) => {
+                    manifest.files[name] = { size: r.size, sha256: r.sha256, mtime: Math.floor(stat.mtimeMs) };
+                    manifest.fileCount++;
+                    manifest.totalSize += r.size;
+                },
+            });
+        }
+        await w.addBuffer(MANIFEST_NAME, Buffer.from(JSON.stringify(manifest), 'utf-8'));
+        await w.finish();
+        fs.renameSync(tmpPath, backupPath);
+    } catch (err) {
+        try { fs.unlinkSync(tmpPath); } catch (e) {}
+        throw err;
+    }
+    return { backupPath, backupName, fileCount: manifest.fileCount, totalSize: manifest.totalSize, size: fs.statSync(backupPath).size };
+}
+
+async function readManifest(file) {
+    const buf = await archive.readEntry(file, MANIFEST_NAME);
+    if (!buf) return null;
+    try {
+        const m = JSON.parse(buf.toString('utf-8'));
+        return m && m.type === 'st-backup' ? m : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// data/default-user/chats/A/x.jsonl → data/default-user/chats, config.yaml → config.yaml
+function groupOf(p) {
+    const parts = p.split('/');
+    return parts.slice(0, Math.min(3, parts.length - 1)).join('/') || p;
+}
+
+function inScope(only, p) {
+    return !only || only.some(o => p === o || p.startsWith(o.replace(/\/$/, '') + '/'));
+}
+
+// manifest 가 있으면 그대로, 없는 예전 백업은 압축 안을 직접 해시
+async function archiveFiles(file) {
+    const manifest = await readManifest(file);
+    if (manifest) return { manifest, files: manifest.files };
+    const files = {};
+    for (const [name, v] of await archive.hashEntries(file)) {
+        if (name !== MANIFEST_NAME) files[name] = v;
+    }
+    return { manifest: null, files };
+}
+
+/**
+ * 백업 파일 내용 보기. verify=true 면 압축 안 실제 내용을 manifest 해시와 대조합니다.
+ */
+async function inspect(file, { verify = false } = {}) {
+    const { format, entries } = await archive.listArchive(file);
+    const manifest = await readManifest(file);
+    const files = entries.filter(e => !e.isDirectory && e.name !== MANIFEST_NAME).map(e => ({ path: e.name, size: e.size, mtime: e.mtime }));
+    const groups = {};
+    for (const f of files) {
+        const g = groups[groupOf(f.path)] || (groups[groupOf(f.path)] = { group: groupOf(f.path), count: 0, size: 0 });
+        g.count++;
+        g.size += f.size;
+    }
+    const result = {
+        format,
+        manifest: manifest ? { ...manifest, files: undefined } : null,
+        fileCount: files.length,
+        totalSize: files.reduce((s, f) => s + f.size, 0),
+        groups: Object.values(groups).sort((a, b) => a.group.localeCompare(b.group)),
+        files,
+    };
+    if (verify) {
+        if (!manifest) {
+            result.verification = { ok: null, message: 'manifest 가 없는 예전 백업이라 검증할 수 없습니다' };
+        } else {
+            const actual = await archive.hashEntries(file);
+            const mismatched = [];
+            const missing = [];
+            for (const [name, v] of Object.entries(manifest.files)) {
+                const a = actual.get(name);
+                if (!a) missing.push(name);
+                else if (a.sha256 !== v.sha256 || a.size !== v.size) mismatched.push(name);
+            }
+            result.verification = { ok: !mismatched.length && !missing.length, checked: Object.keys(manifest.files).length, mismatched, missing };
+        }
+    }
+    return result;
+}
+
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const h = crypto.createHash('sha256');
+        fs.createReadStream(filePath).on('data', c => h.update(c)).on('error', reject).on('end', () => resolve(h.digest('hex')));
+    });
+}
+
+/**
+ * 복원 미리보기: 백업 안 파일을 현재 SillyTavern 파일과 비교합니다. 아무것도 쓰지 않습니다.
+ * status: new(현재 없음) / changed(덮어써짐) / same(같음)
+ * @param {string} file 백업 파일
+ * @param {string} stRoot
+ * @param {{ only?: string[] }} opts only: 이 경로(폴더면 하위 포함)만 비교
+ */
+async function diff(file, stRoot, { only } = {}) {
+    const { manifest, files } = await archiveFiles(file);
+    const root = path.resolve(stRoot);
+    const summary = { new: 0, changed: 0, same: 0, blocked: 0 };
+    const groups = {};
+    const changes = [];
+    for (const [name, v] of Object.entries(files)) {
+        if (!inScope(only, name)) continue;
+        const live = path.resolve(root, name);
+        let status;
+        let liveSize;
+        if (!live.startsWith(root + path.sep)) {
+            status = 'blocked';
+        } else {
+            let stat = null;
+            try { stat = fs.statSync(live); } catch (e) {}
+            if (!stat) status = 'new';
+            else if (!stat.isFile() || stat.size !== v.size) status = 'changed';
+            else status = (await hashFile(live)) === v.sha256 ? 'same' : 'changed';
+            if (status === 'changed') liveSize = stat.isFile() ? stat.size : null;
+        }
+        summary[status]++;
+        const key = groupOf(name);
+        const g = groups[key] || (groups[key] = { group: key, new: 0, changed: 0, same: 0, blocked: 0 });
+        g[status]++;
+        if (status !== 'same') changes.push({ path: name, status, size: v.size, liveSize });
+    }
+    return {
+        hasManifest: !!manifest,
+        createdAt: manifest ? manifest.createdAt : null,
+        summary,
+        groups: Object.values(groups).sort((a, b) => a.group.localeCompare(b.group)),
+        changes,
+    };
+}
+
+/**
+ * 백업을 SillyTavern 폴더에 풉니다. only 를 주면 그 경로만.
+ * 내용이 달라 덮어써질 파일(diff 의 changed)은 쓰기 전에 🕒 히스토리에 남깁니다 — 같은 파일은 기록하지 않음.
+ * @returns {Promise<{ format: string, extracted: number, bytes: number, skipped: object[], snapshots: number }>}
+ */
+async function restore(file, stRoot, { only } = {}) {
+    const root = path.resolve(stRoot);
+    const { changes } = await diff(file, stRoot, { only });
+    const changed = new Set(changes.filter(c => c.status === 'changed').map(c => path.resolve(root, c.path)));
+    let snapshots = 0;
+    const result = await archive.extractArchive(file, stRoot, {
+        only,
+        overwrite: true,
+        mapName: (name) => (name === MANIFEST_NAME ? null : name),
+        onBeforeWrite: (dest) => {
+            if (changed.has(dest) && history.snapshot(dest, 'restore')) snapshots++;
+        },
+    });
+    return { ...result, snapshots };
+}
+
+module.exports = {
+    MANIFEST_NAME,
+    CATEGORIES,
+    listUsers,
+    resolveScope,
+    createBackup,
+    readManifest,
+    inspect,
+    diff,
+    restore,
+};
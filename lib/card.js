@@ -0,0 +1,139 @@
+// SillyTavern 캐릭터 카드 (PNG) 읽기/쓰기
+// 카드 JSON은 PNG 텍스트 청크에 base64로 들어 있습니다.
+//   tEXt "chara" — V1/V2 (chara_card_v2)
+//   tEXt "ccv3"  — V3 (chara_card_v3), 있으면 이쪽이 우선
+// 쓸 때는 기존 chara/ccv3 청크만 빼고 새로 넣으며, 이미지 데이터(IDAT 등)는 그대로 둡니다.
+
+const zlib = require('zlib');
+const { crc32 } = require('./crc32');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const CARD_KEYWORDS = ['chara', 'ccv3'];
+// V2 카드는 V1 호환을 위해 data 안의 필드를 최상위에도 복사해 둠
+const V1_FIELDS = ['name', 'description', 'personality', 'scenario', 'first_mes', 'mes_example'];
+
+function readChunks(buf) {
+    if (buf.length < 8 || !buf.subarray(0, 8).equals(PNG_SIGNATURE)) throw new Error('PNG 파일이 아닙니다');
+    const chunks = [];
+    let pos = 8;
+    while (pos + 12 <= buf.length) {
+        const length = buf.readUInt32BE(pos);
+        const type = buf.toString('latin1', pos + 4, pos + 8);
+        if (pos + 12 + length > buf.length) throw new Error(`PNG 청크가 잘렸습니다 (${type})`);
+        chunks.push({ type, data: buf.subarray(pos + 8, pos + 8 + length), start: pos, end: pos + 12 + length });
+        pos += 12 + length;
+        if (type === 'IEND') break;
+    }
+    if (!chunks.length || chunks[chunks.length - 1].type !== 'IEND') throw new Error('PNG IEND 청크가 없습니다');
+    return chunks;
+}
+
+// tEXt / zTXt / iTXt → { keyword, text }
+function decodeTextChunk(chunk) {
+    const sep = chunk.data.indexOf(0);
+    if (sep < 0) return null;
+    const keyword = chunk.data.toString('latin1', 0, sep);
+    if (chunk.type === 'tEXt') return { keyword, text: chunk.data.toString('latin1', sep + 1) };
+    if (chunk.type === 'zTXt') return { keyword, text: zlib.inflateSync(chunk.data.subarray(sep + 2)).toString('latin1') };
+    if (chunk.type === 'iTXt') {
+        const compressed = chunk.data[sep + 1] === 1;
+        const langEnd = chunk.data.indexOf(0, sep + 3);
+        const transEnd = chunk.data.indexOf(0, langEnd + 1);
+        if (langEnd < 0 || transEnd < 0) return null;
+        const raw = chunk.data.subarray(transEnd + 1);
+        return { keyword, text: (compressed ? zlib.inflateSync(raw) : raw).toString('utf-8') };
+    }
+    return null;
+}
+
+function decodeCardText(text) {
+    const trimmed = text.trim();
+    // 일부 도구는 base64 없이 JSON 을 그대로 넣음
+    const json = trimmed.startsWith('{') ? trimmed : Buffer.from(trimmed, 'base64').toString('utf-8');
+    return JSON.parse(json);
+}
+
+function makeTextChunk(keyword, text) {
+    const data = Buffer.concat([Buffer.from(keyword, 'latin1'), Buffer.from([0]), Buffer.from(text, 'latin1')]);
+    const head = Buffer.alloc(8);
+    head.writeUInt32BE(data.length, 0);
+    head.write('tEXt', 4, 'latin1');
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(Buffer.concat([head.subarray(4), data])), 0);
+    return Buffer.concat([head, data, crc]);
+}
+
+function specOf(card) {
+    if (card && card.spec === 'chara_card_v3') return 'v3';
+    if (card && card.spec === 'chara_card_v2') return 'v2';
+    return 'v1';
+}
+
+/**
+ * PNG 에서 카드 JSON 을 꺼냅니다.
+ * @param {Buffer} buf PNG 파일 내용
+ * @returns {{ card: object|null, spec: string|null, sources: string[] }}
+ *   card: ccv3 가 있으면 그것, 없으면 chara. sources: 파일에 들어 있던 키워드 목록
+ */
+function readCard(buf) {
+    const found = {};
+    for (const chunk of readChunks(buf)) {
+        if (chunk.type !== 'tEXt' && chunk.type !== 'iTXt' && chunk.type !== 'zTXt') continue;
+        const t = decodeTextChunk(chunk);
+        if (t && CARD_KEYWORDS.includes(t.keyword.toLowerCase())) found[t.keyword.toLowerCase()] = t.text;
+    }
+    const sources = Object.keys(found);
+    const keyword = found.ccv3 ? 'ccv3' : found.chara ? 'chara' : null;
+    if (!keyword) return { card: null, spec: null, sources };
+    let card;
+    try {
+        card = decodeCardText(found[keyword]);
+    } catch (err) {
+        throw new Error(`카드 데이터(${keyword})를 해석할 수 없습니다: ${err.message}`);
+    }
+    return { card, spec: specOf(card), sources };
+}
+
+function syncV1Fields(card) {
+    if (!card.data || typeof card.data !== 'object') return card;
+    for (const f of V1_FIELDS) {
+        if (card.data[f] !== undefined) card[f] = card.data[f];
+    }
+    if (card.data.tags !== undefined && card.tags !== undefined) card.tags = card.data.tags;
+    return card;
+}
+
+/**
+ * 카드 JSON 을 PNG 에 다시 넣습니다. SillyTavern 과 같이 chara(V2) 와 ccv3(V3) 를 함께 기록합니다.
+ * @param {Buffer} buf 원본 PNG
+ * @param {object} card 카드 JSON
+ * @returns {Buffer} 새 PNG
+ */
+function writeCard(buf, card) {
+    if (!card || typeof card !== 'object' || Array.isArray(card)) throw new Error('카드 JSON 이 올바르지 않습니다');
+    const chunks = readChunks(buf);
+    syncV1Fields(card);
+
+    const v2 = card.spec === 'chara_card_v3' ? { ...card, spec: 'chara_card_v2', spec_version: '2.0' } : card;
+    const parts = [PNG_SIGNATURE];
+    for (const chunk of chunks) {
+        if (chunk.type === 'IEND') {
+            parts.push(makeTextChunk('chara', Buffer.from(JSON.stringify(v2), 'utf-8').toString('base64')));
+            if (card.data) {
+                const v3 = { ...card, spec: 'chara_card_v3', spec_version: '3.0' };
+                parts.push(makeTextChunk('ccv3', Buffer.from(JSON.stringify(v3), 'utf-8').toString('base64')));
+            }
+        } else if (chunk.type === 'tEXt' || chunk.type === 'iTXt' || chunk.type === 'zTXt') {
+            const t = decodeTextChunk(chunk);
+            if (t && CARD_KEYWORDS.includes(t.keyword.toLowerCase())) continue;
+        }
+        parts.push(buf.subarray(chunk.start, chunk.end));
+    }
+    return Buffer.concat(parts);
+}
+
+module.exports = {
+    readChunks,
+    readCard,
+    writeCard,
+};
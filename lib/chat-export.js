@@ -0,0 +1,403 @@
+// 채팅 내보내기 — HTML(그림까지 한 파일에), Markdown, 텍스트, EPUB
+// 채팅은 chat-reader 로 몇백 줄씩 나눠 읽고, 고른 스와이프(select)를 본문으로 바꾼 뒤 글을 정리(clean)해서 만듭니다.
+// EPUB 과 여러 채팅 묶음(zip)은 archive 의 ZIP 쓰기를 그대로 씁니다.
+
+const fs = require('fs');
+const path = require('path');
+const { Writable } = require('stream');
+const archive = require('./archive');
+const chatReader = require('./chat-reader');
+
+const READ_CHUNK = 1000;
+const MAX_IMAGE = 8 * 1024 * 1024; // 이보다 큰 그림은 넣지 않고 자리만 표시
+const DEFAULT_PER = 200; // split=count 일 때 한 장(chapter)의 메시지 수
+
+const FORMATS = {
+    html: { ext: '.html', type: 'text/html; charset=utf-8' },
+    md: { ext: '.md', type: 'text/markdown; charset=utf-8' },
+    txt: { ext: '.txt', type: 'text/plain; charset=utf-8' },
+    epub: { ext: '.epub', type: 'application/epub+zip' },
+};
+
+const IMAGE_TYPES = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.webp': 'image/webp', '.gif': 'image/gif' };
+
+function escapeHtml(s) {
+    return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// XML 에 쓸 수 없는 제어 문자 — 그대로 두면 엄격한 EPUB 리더가 장(chapter)을 열지 못함
+function escapeXml(s) {
+    return escapeHtml(String(s).replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]/g, ''));
+}
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+function dayOf(t) {
+    const d = new Date(t);
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function timeOf(t) {
+    const d = new Date(t);
+    return `${dayOf(t)} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+// 파일 이름에 못 쓰는 글자만 바꿈
+function safeName(s) {
+    return String(s).replace(/[\\/:*?"<>|\x00-\x1f]/g, '_').trim() || 'chat';
+}
+
+/**
+ * 메시지의 extra.image (ST 는 "/user/images/캐릭터/파일.png" 같은 주소나 data: URL) → 도서관 안의 실제 파일
+ * @returns {{ data?: string, file?: string }|null}
+ */
+function resolveImage(ref, roots) {
+    if (!ref || typeof ref !== 'string') return null;
+    if (ref.startsWith('data:image/')) return { data: ref };
+    if (/^[a-z]+:/i.test(ref)) return null;
+    let rel = ref.split(/[?#]/)[0];
+    try { rel = decodeURIComponent(rel); } catch (e) {} // "50%.png" 처럼 인코딩되지 않은 % 는 그대로
+    rel = rel.replace(/\\/g, '/').replace(/^\/+/, '');
+    const tries = [rel];
+    const at = rel.indexOf('images/');
+    if (at > 0) tries.push(rel.slice(at));
+    if (rel.startsWith('user/images/')) tries.push(path.posix.join('user/images', rel.slice(12)));
+    for (const root of roots) {
+        const base = path.resolve(root);
+        for (const r of tries) {
+            const fp = path.resolve(base, r);
+            if (!fp.startsWith(base + path.sep)) continue;
+            try { if (fs.statSync(fp).isFile()) return { file: fp }; } catch (e) {}
+        }
+    }
+    return null;
+}
+
+// 그림 파일 → { buf, type } (없거나 너무 크면 null)
+async function loadImage(img) {
+    if (!img) return null;
+    if (img.data) {
+        const m = /^data:(image\/[a-z+.-]+);base64,(.*)$/is.exec(img.data);
+        if (!m) return null;
+        const buf = Buffer.from(m[2], 'base64');
+        return buf.length <= MAX_IMAGE ? { buf, type: m[1].toLowerCase() } : null;
+    }
+    const type = IMAGE_TYPES[path.extname(img.file).toLowerCase()];
+    if (!type) return null;
+    try {
+        const st = await fs.promises.stat(img.file);
+        if (st.size > MAX_IMAGE) return null;
+        return { buf: await fs.promises.readFile(img.file), type };
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * 내보낼 메시지 목록
+ * @param {{ path: string }} chat
+ * @param {{ clean: (t: string) => string, user?: boolean, select?: Map<number, number>, charName: string, roots: string[] }} opts
+ *   user=false 면 사용자 메시지 빼기, select 는 메시지번호 → 본문으로 쓸 스와이프 번호
+ */
+async function loadMessages(chat, opts) {
+    const messages = [];
+    let header = null;
+    const total = (await chatReader.lineIndex(chat.path)).starts.length;
+    for (let from = 0; from < total; from += READ_CHUNK) {
+        const { lines } = await chatReader.readLines(chat.path, from, from + READ_CHUNK);
+        for (const { index, data } of lines) {
+            if (!data) continue;
+            if (index === 0 && chatReader.isHeader(data)) { header = data; continue; }
+            if (opts.user === false && data.is_user) continue;
+            const k = opts.select ? opts.select.get(index) : undefined;
+            const m = (k != null && chatReader.selectSwipe(data, k)) || data;
+            const text = opts.clean(typeof m.mes === 'string' ? m.mes : '');
+            const image = m.extra && m.extra.image ? resolveImage(m.extra.image, opts.roots) : null;
+            if (!text && !image) continue;
+            messages.push({
+                index,
+                name: m.name || (m.is_user ? 'User' : opts.charName),
+                is_user: !!m.is_user,
+                text,
+                date: chatReader.parseDate(m.send_date || m.create_date),
+                image,
+                imageTitle: m.extra && m.extra.title || '',
+            });
+        }
+    }
+    return { header, messages };
+}
+
+// 본문 글 → HTML 문단 (*행동* / **강조** 만 살림). xhtml 이면 EPUB 용으로 <br/>
+function textToHtml(text, xhtml) {
+    const br = xhtml ? '<br/>' : '<br>';
+    const esc = xhtml ? escapeXml : escapeHtml;
+    return text.split(/\n{2,}/).map(p => {
+        const h = esc(p)
+            .replace(/\*\*([^*\n]+)\*\*/g, '<strong>$1</strong>')
+            .replace(/\*([^*\n]+)\*/g, '<em>$1</em>')
+            .replace(/\n/g, br);
+        return `<p>${h}</p>`;
+    }).join('\n');
+}
+
+/**
+ * split=date 면 날짜가 바뀔 때마다, 아니면 per 개씩 장을 나눔
+ * @returns {Array<{ title: string, messages: object[] }>}
+ */
+function chapters(messages, split, per) {
+    const out = [];
+    if (split === 'date') {
+        let cur = null;
+        for (const m of messages) {
+            const day = m.date != null ? dayOf(m.date) : null;
+            if (!cur || (day && day !== cur.day)) {
+                cur = { day: day || (cur && cur.day), title: day || '날짜 없음', messages: [] };
+                out.push(cur);
+            }
+            cur.messages.push(m);
+        }
+    } else {
+        per = Math.max(1, per || DEFAULT_PER);
+        for (let i = 0; i < messages.length; i += per) {
+            const part = messages.slice(i, i + per);
+            out.push({ title: `${i + 1}–${i + part.length}`, messages: part });
+        }
+    }
+    return out.length ? out : [{ title: '1', messages: [] }];
+}
+
+const HTML_STYLE = `
+body{margin:0;background:#f4f1ea;color:#222;font:16px/1.7 -apple-system,"Noto Sans KR","Malgun Gothic",sans-serif}
+main{max-width:760px;margin:0 auto;padding:24px 16px 64px}
+h1{font-size:1.5em;margin:0 0 4px}.sub{color:#777;font-size:.9em;margin-bottom:24px}
+h2{font-size:1.05em;color:#777;border-bottom:1px solid #ddd;padding-bottom:4px;margin:32px 0 16px}
+.msg{display:flex;gap:12px;margin:0 0 18px}
+.av{flex:0 0 44px;height:44px;border-radius:50%;background:#ccc center/cover no-repeat;color:#fff;font-weight:bold;display:flex;align-items:center;justify-content:center}
+.body{flex:1;min-width:0;background:#fff;border-radius:10px;padding:10px 14px;box-shadow:0 1px 2px rgba(0,0,0,.08)}
+.user .body{background:#e8f0fb}
+.name{font-weight:bold}.date{color:#999;font-size:.8em;margin-left:8px}
+.body p{margin:.4em 0;white-space:normal;word-break:break-word}
+.body img{max-width:100%;border-radius:6px;margin-top:6px}
+em{color:#666}
+@media print{body{background:#fff}.body{box-shadow:none;border:1px solid #ddd}.msg{break-inside:avoid}}
+`;
+
+async function renderHtml(info, messages, opts) {
+    const avatar = await loadImage(info.avatar ? { file: info.avatar } : null);
+    const avatarCss = avatar ? `.av.char{background-image:url(data:${avatar.type};base64,${avatar.buf.toString('base64')});color:transparent}` : '';
+    const parts = [];
+    parts.push(`<!DOCTYPE html>\n<html lang="ko"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">`);
+    parts.push(`<title>${escapeHtml(info.title)}</title><style>${HTML_STYLE}${avatarCss}</style></head><body><main>`);
+    parts.push(`<h1>${escapeHtml(info.title)}</h1><div class="sub">${escapeHtml(info.charName)} · 메시지 ${messages.length}개</div>`);
+    for (const ch of chapters(messages, opts.split, opts.per)) {
+        if (opts.split) parts.push(`<h2>${escapeHtml(ch.title)}</h2>`);
+        for (const m of ch.messages) {
+            let img = '';
+            if (m.image) {
+                const im = await loadImage(m.image);
+                img = im ? `<img src="data:${im.type};base64,${im.buf.toString('base64')}" alt="${escapeHtml(m.imageTitle)}">` : `<p><em>[그림: ${escapeHtml(m.imageTitle || '찾을 수 없음')}]</em></p>`;
+            }
+            parts.push(`<div class="msg ${m.is_user ? 'user' : 'char'}"><div class="av ${m.is_user ? 'user' : 'char'}">${escapeHtml(m.name.slice(0, 1))}</div>`
+                + `<div class="body"><span class="name">${escapeHtml(m.name)}</span>${m.date != null ? `<span class="date">${timeOf(m.date)}</span>` : ''}`
+                + `${textToHtml(m.text, false)}${img}</div></div>`);
+        }
+    }
+    parts.push('</main></body></html>\n');
+    return Buffer.from(parts.join('\n'), 'utf-8');
+}
+
+// 그림은 data: 주소로 넣어 .md 파일 하나만 옮겨도 보이게 (기기 경로로 링크하면 다른 곳에서 깨짐)
+async function renderMarkdown(info, messages, opts) {
+    const parts = [`# ${info.title}`, '', `> ${info.charName} · 메시지 ${messages.length}개`, ''];
+    for (const ch of chapters(messages, opts.split, opts.per)) {
+        if (opts.split) parts.push(`## ${ch.title}`, '');
+        for (const m of ch.messages) {
+            parts.push(`**${m.name}**${m.date != null ? ` · ${timeOf(m.date)}` : ''}`, '');
+            if (m.text) parts.push(m.text, '');
+            if (m.image) {
+                const im = await loadImage(m.image);
+                parts.push(im ? `![${m.imageTitle.replace(/[[\]]/g, '')}](data:${im.type};base64,${im.buf.toString('base64')})` : `*[그림: ${m.imageTitle || '찾을 수 없음'}]*`, '');
+            }
+            parts.push('---', '');
+        }
+    }
+    return Buffer.from(parts.join('\n'), 'utf-8');
+}
+
+function renderText(info, messages, opts) {
+    const parts = [info.title, '='.repeat(Math.min(40, info.title.length * 2)), ''];
+    for (const ch of chapters(messages, opts.split, opts.per)) {
+        if (opts.split) parts.push(`[ ${ch.title} ]`, '');
+        for (const m of ch.messages) {
+            parts.push(`${m.name}${m.date != null ? ` (${timeOf(m.date)})` : ''}:`);
+            if (m.text) parts.push(m.text);
+            if (m.image) parts.push(`[그림: ${m.imageTitle || path.basename(m.image.file || '첨부')}]`);
+            parts.push('');
+        }
+    }
+    return Buffer.from(parts.join('\n'), 'utf-8');
+}
+
+// 응답 대신 메모리에 모으는 출력 (EPUB 을 묶음 zip 안에 넣을 때)
+function bufferSink() {
+    const chunks = [];
+    const sink = new Writable({ write(chunk, enc, cb) { chunks.push(chunk); cb(); } });
+    sink.result = () => Buffer.concat(chunks);
+    return sink;
+}
+
+function xhtmlPage(title, body) {
+    return `<?xml version="1.0" encoding="utf-8"?>\n<!DOCTYPE html>\n<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="ko" xml:lang="ko">`
+        + `<head><meta charset="utf-8"/><title>${escapeXml(title)}</title><link rel="stylesheet" type="text/css" href="style.css"/></head>`
+        + `<body>${body}</body></html>\n`;
+}
+
+const EPUB_STYLE = `
+body{font-family:serif;line-height:1.7}
+h1,h2{text-align:center}
+.msg{margin:0 0 1em}
+.name{font-weight:bold}.date{color:#888;font-size:.8em;margin-left:.5em}
+.user .name{color:#2a5d9f}
+p{margin:.3em 0;text-indent:0}
+img{max-width:100%}
+.cover{text-align:center}.cover img{max-height:60vh}
+`;
+
+async function renderEpub(info, messages, opts) {
+    const sink = bufferSink();
+    const zip = archive.createWriter('zip', sink);
+    const mtime = new Date();
+    // mimetype 은 맨 앞에, 압축 없이 (EPUB 규칙)
+    await zip.addBuffer('mimetype', Buffer.from('application/epub+zip'), { store: true, mtime });
+    await zip.addBuffer('META-INF/container.xml', Buffer.from('<?xml version="1.0" encoding="utf-8"?>\n'
+        + '<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">'
+        + '<rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles></container>\n'), { mtime });
+
+    const manifest = [];
+    const images = new Map(); // 원본 파일/데이터 → epub 안 이름
+    const addImage = async (img) => {
+        const key = img.file || img.data;
+        if (images.has(key)) return images.get(key);
+        const im = await loadImage(img);
+        if (!im) { images.set(key, null); return null; }
+        const ext = Object.keys(IMAGE_TYPES).find(e => IMAGE_TYPES[e] === im.type) || '.img';
+        const name = `images/img${images.size + 1}${ext}`;
+        await zip.addBuffer(`OEBPS/${name}`, im.buf, { store: true, mtime });
+        manifest.push({ id: `img${images.size + 1}`, href: name, type: im.type });
+        images.set(key, name);
+        return name;
+    };
+
+    let coverName = null;
+    if (info.avatar) coverName = await addImage({ file: info.avatar });
+    const coverItem = coverName ? manifest[manifest.length - 1] : null;
+
+    const spine = [];
+    const toc = [];
+    const titleBody = `<div class="cover"><h1>${escapeXml(info.title)}</h1><p>${escapeXml(info.charName)}</p>`
+        + `${coverName ? `<img src="${coverName}" alt=""/>` : ''}</div>`;
+    await zip.addBuffer('OEBPS/title.xhtml', Buffer.from(xhtmlPage(info.title, titleBody)), { mtime });
+    manifest.push({ id: 'title', href: 'title.xhtml', type: 'application/xhtml+xml' });
+    spine.push('title');
+
+    const chs = chapters(messages, opts.split || 'count', opts.per);
+    for (let i = 0; i < chs.length; i++) {
+        const ch = chs[i];
+        const body = [`<h2>${escapeXml(ch.title)}</h2>`];
+        for (const m of ch.messages) {
+            let img = '';
+            if (m.image) {
+                const name = await addImage(m.image);
+                img = name ? `<p><img src="${name}" alt="${escapeXml(m.imageTitle)}"/></p>` : `<p><em>[그림: ${escapeXml(m.imageTitle || '찾을 수 없음')}]</em></p>`;
+            }
+            body.push(`<div class="msg ${m.is_user ? 'user' : 'char'}"><p><span class="name">${escapeXml(m.name)}</span>`
+                + `${m.date != null ? `<span class="date">${timeOf(m.date)}</span>` : ''}</p>${textToHtml(m.text, true)}${img}</div>`);
+        }
+        const href = `ch${i + 1}.xhtml`;
+        await zip.addBuffer(`OEBPS/${href}`, Buffer.from(xhtmlPage(ch.title, body.join('\n'))), { mtime });
+        manifest.push({ id: `ch${i + 1}`, href, type: 'application/xhtml+xml' });
+        spine.push(`ch${i + 1}`);
+        toc.push({ href, title: ch.title });
+    }
+
+    const nav = `<nav epub:type="toc" id="toc"><h1>차례</h1><ol>${toc.map(t => `<li><a href="${t.href}">${escapeXml(t.title)}</a></li>`).join('')}</ol></nav>`;
+    await zip.addBuffer('OEBPS/nav.xhtml', Buffer.from(xhtmlPage('차례', nav)), { mtime });
+    // EPUB 2 만 읽는 리더용 차례
+    const ncx = `<?xml version="1.0" encoding="utf-8"?>\n<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">`
+        + `<head><meta name="dtb:uid" content="${escapeXml(info.id)}"/></head><docTitle><text>${escapeXml(info.title)}</text></docTitle><navMap>`
+        + toc.map((t, i) => `<navPoint id="np${i + 1}" playOrder="${i + 1}"><navLabel><text>${escapeXml(t.title)}</text></navLabel><content src="${t.href}"/></navPoint>`).join('')
+        + '</navMap></ncx>\n';
+    await zip.addBuffer('OEBPS/toc.ncx', Buffer.from(ncx), { mtime });
+    await zip.addBuffer('OEBPS/style.css', Buffer.from(EPUB_STYLE), { mtime });
+
+    const opf = `<?xml version="1.0" encoding="utf-8"?>\n<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="uid" xml:lang="ko">`
+        + `<metadata xmlns:dc="http://purl.org/dc/elements/1.1/"><dc:identifier id="uid">${escapeXml(info.id)}</dc:identifier>`
+        + `<dc:title>${escapeXml(info.title)}</dc:title><dc:creator>${escapeXml(info.charName)}</dc:creator><dc:language>ko</dc:language>`
+        + `<meta property="dcterms:modified">${mtime.toISOString().replace(/\.\d+Z$/, 'Z')}</meta>`
+        + `${coverItem ? `<meta name="cover" content="${coverItem.id}"/>` : ''}</metadata><manifest>`
+        + '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>'
+        + '<item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>'
+        + '<item id="css" href="style.css" media-type="text/css"/>'
+        + manifest.map(m => `<item id="${m.id}" href="${m.href}" media-type="${m.type}"${m === coverItem ? ' properties="cover-image"' : ''}/>`).join('')
+        + `</manifest><spine toc="ncx">${spine.map(id => `<itemref idref="${id}"/>`).join('')}</spine></package>\n`;
+    await zip.addBuffer('OEBPS/content.opf', Buffer.from(opf), { mtime });
+    await zip.finish();
+    return sink.result();
+}
+
+/**
+ * 채팅 하나를 원하는 형식으로
+ * @param {{ path: string, file: string, name: string }} chat
+ * @param {'html'|'md'|'txt'|'epub'} format
+ * @param {{ clean: Function, user?: boolean, select?: Map<number, number>, split?: 'date'|'count', per?: number,
+ *   charName: string, avatar?: string|null, roots: string[] }} opts
+ * @returns {Promise<{ buffer: Buffer, filename: string, type: string, count: number }>}
+ */
+async function render(chat, format, opts) {
+    const fmt = FORMATS[format];
+    if (!fmt) throw new Error(`지원하지 않는 형식: ${format} (html, md, txt, epub)`);
+    const { header, messages } = await loadMessages(chat, opts);
+    const info = {
+        title: chat.name,
+        charName: (header && header.character_name) || opts.charName,
+        avatar: opts.avatar || null,
+        id: `urn:chat-library:${encodeURIComponent(opts.charName)}:${encodeURIComponent(chat.file)}`,
+    };
+    let buffer;
+    if (format === 'html') buffer = await renderHtml(info, messages, opts);
+    else if (format === 'md') buffer = await renderMarkdown(info, messages, opts);
+    else if (format === 'txt') buffer = renderText(info, messages, opts);
+    else buffer = await renderEpub(info, messages, opts);
+    return { buffer, filename: safeName(chat.name) + fmt.ext, type: fmt.type, count: messages.length };
+}
+
+/**
+ * 캐릭터의 채팅 전부를 한 형식으로 만들어 zip 하나로 스트리밍 (채팅 하나씩 만들고 바로 씀)
+ * @param {Array<{ path: string, file: string, name: string }>} chats
+ * @param {import('stream').Writable} out
+ */
+async function renderAll(chats, format, opts, out) {
+    if (!FORMATS[format]) throw new Error(`지원하지 않는 형식: ${format} (html, md, txt, epub)`);
+    const zip = archive.createWriter('zip', out);
+    const used = new Set();
+    for (const chat of chats) {
+        // 스와이프 선택은 채팅 하나에만 의미가 있어서 묶음에서는 쓰지 않음
+        const r = await render(chat, format, { ...opts, select: null });
+        let name = r.filename;
+        for (let n = 2; used.has(name); n++) name = r.filename.replace(/(\.[^.]+)$/, ` (${n})$1`);
+        used.add(name);
+        await zip.addBuffer(name, r.buffer, { store: format === 'epub', mtime: new Date(chat.modified || Date.now()) });
+    }
+    await zip.finish();
+}
+
+module.exports = {
+    FORMATS,
+    render,
+    renderAll,
+    resolveImage,
+    safeName,
+};
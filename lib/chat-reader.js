@@ -0,0 +1,193 @@
+// 채팅 파일(.jsonl) 부분 읽기
+// 파일을 한 번 훑어 줄마다 시작/끝 바이트 위치만 기억하고(JSON 은 풀지 않음), 필요한 구간의 줄만 읽어 풉니다.
+// 몇십 MB 짜리 채팅도 한 페이지(수십 개)만 읽으면 되고, 파일 크기/수정 시각이 그대로면 위치 색인을 재사용합니다.
+// 메시지 번호 = 비어 있지 않은 줄의 순서 (0번은 보통 헤더). 풀 수 없는 줄도 번호는 차지합니다.
+
+const fs = require('fs');
+
+const CHUNK = 1024 * 1024;
+const MAX_CACHED = 20;
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+const cache = new Map(); // 경로 → { size, mtime, starts, ends }
+
+function isBlankByte(b) {
+    return b === 32 || b === 9 || b === 13;
+}
+
+/**
+ * 줄 위치 색인. 파일이 그대로면 캐시에서
+ * @returns {Promise<{ size: number, mtime: number, starts: number[], ends: number[] }>}
+ */
+async function lineIndex(file) {
+    const st = await fs.promises.stat(file);
+    const hit = cache.get(file);
+    if (hit && hit.size === st.size && hit.mtime === st.mtimeMs) {
+        cache.delete(file);
+        cache.set(file, hit);
+        return hit;
+    }
+    const starts = [];
+    const ends = [];
+    const fh = await fs.promises.open(file, 'r');
+    try {
+        const buf = Buffer.allocUnsafe(CHUNK);
+        let pos = 0;
+        let lineStart = 0;
+        let blank = true;
+        for (;;) {
+            const { bytesRead } = await fh.read(buf, 0, CHUNK, pos);
+            if (!bytesRead) break;
+            let i = 0;
+            while (i < bytesRead) {
+                // 줄 첫머리의 공백만 보고, 나머지는 indexOf 로 다음 줄바꿈까지 건너뜀
+                if (blank) {
+                    while (i < bytesRead && buf[i] !== 10 && isBlankByte(buf[i])) i++;
+                    if (i < bytesRead && buf[i] !== 10) blank = false;
+                }
+                const nl = buf.indexOf(10, i);
+                if (nl === -1 || nl >= bytesRead) break;
+                if (!blank) {
+                    starts.push(lineStart);
+                    ends.push(pos + nl);
+                }
+                lineStart = pos + nl + 1;
+                blank = true;
+                i = nl + 1;
+            }
+            pos += bytesRead;
+        }
+        if (!blank) {
+            starts.push(lineStart);
+            ends.push(pos);
+        }
+    } finally {
+        await fh.close();
+    }
+    const idx = { size: st.size, mtime: st.mtimeMs, starts, ends };
+    cache.set(file, idx);
+    if (cache.size > MAX_CACHED) cache.delete(cache.keys().next().value);
+    return idx;
+}
+
+/**
+ * from 번째부터 to 번째 앞까지 줄을 읽어 풉니다.
+ * @param {{ raw?: boolean }} [opts] raw 면 원래 줄 글도 함께 (내보낼 때 안 바뀐 줄은 그대로 쓰려고)
+ * @returns {Promise<{ total: number, lines: Array<{ index: number, data: object|null, raw?: string }> }>} 풀 수 없는 줄은 data: null
+ */
+async function readLines(file, from, to, opts = {}) {
+    const idx = await lineIndex(file);
+    const total = idx.starts.length;
+    from = Math.max(0, Math.min(total, from));
+    to = Math.max(from, Math.min(total, to));
+    if (from === to) return { total, lines: [] };
+    const start = idx.starts[from];
+    const buf = Buffer.alloc(idx.ends[to - 1] - start);
+    const fh = await fs.promises.open(file, 'r');
+    try {
+        let got = 0;
+        while (got < buf.length) {
+            const { bytesRead } = await fh.read(buf, got, buf.length - got, start + got);
+            if (!bytesRead) break;
+            got += bytesRead;
+        }
+    } finally {
+        await fh.close();
+    }
+    const lines = [];
+    for (let i = from; i < to; i++) {
+        const text = buf.toString('utf-8', idx.starts[i] - start, idx.ends[i] - start);
+        let data = null;
+        try { data = JSON.parse(text); } catch (e) {}
+        const line = { index: i, data: data && typeof data === 'object' ? data : null };
+        if (opts.raw) line.raw = text.replace(/\r$/, '');
+        lines.push(line);
+    }
+    return { total, lines };
+}
+
+// ST 의 send_date: ISO, 숫자(ms/초), 또는 "June 5, 2024 3:45pm"
+function parseDate(v) {
+    if (v == null || v === '') return null;
+    if (typeof v === 'number') return v < 1e12 ? v * 1000 : v;
+    const s = String(v).trim();
+    const m = /^([a-z]+)\s+(\d{1,2}),?\s+(\d{4})(?:\s+(\d{1,2}):(\d{2})\s*(am|pm)?)?$/i.exec(s);
+    if (m) {
+        const month = MONTHS.findIndex(x => x.startsWith(m[1].toLowerCase().slice(0, 3)));
+        if (month >= 0) {
+            let h = m[4] ? +m[4] : 0;
+            if (m[6]) h = (h % 12) + (m[6].toLowerCase() === 'pm' ? 12 : 0);
+            return new Date(+m[3], month, +m[2], h, m[5] ? +m[5] : 0).getTime();
+        }
+    }
+    const t = Date.parse(s);
+    return isNaN(t) ? null : t;
+}
+
+function isHeader(d) {
+    return !!d && d.mes === undefined && (d.user_name !== undefined || d.character_name !== undefined || d.chat_metadata !== undefined);
+}
+
+/**
+ * 채팅 요약: 첫 줄 헤더, 메시지 수, 첫/마지막 메시지 날짜 (앞뒤 몇 줄만 읽음)
+ */
+async function meta(file) {
+    const idx = await lineIndex(file);
+    const total = idx.starts.length;
+    const SPAN = 5;
+    const head = (await readLines(file, 0, SPAN + 1)).lines;
+    const header = head.length && isHeader(head[0].data) ? head[0].data : null;
+    const dateOf = l => l.data ? parseDate(l.data.send_date || l.data.create_date) : null;
+    const first = head.filter(l => !isHeader(l.data)).map(dateOf).find(d => d != null);
+    const tail = (await readLines(file, Math.max(header ? 1 : 0, total - SPAN), total)).lines.reverse();
+    const last = tail.map(dateOf).find(d => d != null);
+    return {
+        size: idx.size,
+        modified: new Date(idx.mtime).toISOString(),
+        lines: total,
+        messageCount: total - (header ? 1 : 0),
+        firstIndex: header ? 1 : 0,
+        header,
+        firstDate: first != null ? new Date(first).toISOString() : null,
+        lastDate: last != null ? new Date(last).toISOString() : null,
+    };
+}
+
+/**
+ * k 번째 스와이프를 고른 메시지 (ST 가 스와이프를 넘길 때처럼 mes, swipe_id, 날짜/생성 정보를 바꿈). 원본은 그대로
+ * @returns {object|null} 그런 스와이프가 없으면 null
+ */
+function selectSwipe(m, k) {
+    if (!m || !Array.isArray(m.swipes) || !Number.isInteger(k) || k < 0 || k >= m.swipes.length) return null;
+    const out = { ...m, mes: m.swipes[k], swipe_id: k };
+    const info = Array.isArray(m.swipe_info) ? m.swipe_info[k] : null;
+    if (info && typeof info === 'object') {
+        for (const key of ['send_date', 'gen_started', 'gen_finished', 'extra']) {
+            if (info[key] !== undefined) out[key] = info[key];
+        }
+    }
+    return out;
+}
+
+/**
+ * "3:2,7:0" → Map { 3 → 2, 7 → 0 } (메시지 번호:스와이프 번호)
+ */
+function parseSelection(s) {
+    const sel = new Map();
+    for (const part of String(s || '').split(',')) {
+        const m = /^\s*(\d+)\s*:\s*(\d+)\s*$/.exec(part);
+        if (m) sel.set(+m[1], +m[2]);
+        else if (part.trim()) throw new Error(`스와이프 선택은 "메시지번호:스와이프번호" 형식: ${part.trim()}`);
+    }
+    return sel;
+}
+
+module.exports = {
+    lineIndex,
+    readLines,
+    meta,
+    parseDate,
+    isHeader,
+    selectSwipe,
+    parseSelection,
+};
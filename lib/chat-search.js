@@ -0,0 +1,587 @@
+// 채팅 도서관 전체 검색
+// 모든 채팅(.jsonl)의 메시지(mes, clean() 을 거친 글)로 역색인을 만들어 ~/.chat-library-search.json 에 남깁니다.
+// 색인은 채팅 단위 — 낱말마다 "어느 채팅에 나오는지" 만 기억하고(휴대폰 메모리 절약),
+// 검색할 때 후보 채팅만 읽어 메시지별로 다시 확인하고 점수(BM25)를 매깁니다.
+// 한글/한자/가나는 띄어쓰기와 조사 때문에 낱말 단위가 안 맞아서 글자 1-gram + 2-gram 으로, 라틴 문자는 단어로 자릅니다.
+// 검색어: 띄어 쓴 낱말은 모두 포함(AND), A OR B, -제외, "정확한 구절", 영어 접두어는 word*
+
+const fs = require('fs');
+const libraryIndex = require('./library-index');
+const { parseDate } = require('./chat-reader');
+
+const VERSION = 2;
+const SAVE_DELAY_MS = 5000;
+const CACHE_BYTES = 24 * 1024 * 1024; // 검색 때 읽은 채팅 메시지를 이만큼 메모리에 남김
+const SNIPPET_BEFORE = 50;
+const SNIPPET_AFTER = 110;
+const MAX_LIMIT = 200;
+// 후보 채팅은 채팅 단위 BM25 로 줄 세워 요청한 페이지가 찰 때까지만 읽음 (흔한 낱말 하나로 도서관 전체를 다시 읽지 않게)
+const MIN_SCAN_CHATS = 20; // 결과가 한 페이지 넘게 모여도 이만큼은 읽어서 순위를 고르게
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const CJK = 'ㄱ-ㅎㅏ-ㅣ가-힣\\u3040-\\u30ff\\u3400-\\u9fff';
+const RUN_RE = new RegExp(`([${CJK}]+)|([a-z0-9_\\u00c0-\\u024f\\u0400-\\u04ff]+)`, 'g');
+
+const state = {
+    file: null,
+    clean: t => t || '',
+    dict: new Map(), // 낱말 → id
+    words: [], // id → 낱말
+    postings: [], // id → Set(채팅 번호)
+    chats: new Map(), // 번호 → { path, char, file, size, mtime, msgs, len, terms: Uint32Array(오름차순 id), tfs: Uint32Array(채팅 안 횟수) }
+    byPath: new Map(), // 경로 → 번호
+    nextId: 0,
+    totalMsgs: 0,
+    totalLen: 0,
+    syncing: null,
+    progress: null,
+    cache: new Map(), // 경로 → { mtime, size, bytes, messages }
+    cacheBytes: 0,
+    saveTimer: null,
+};
+
+function normalize(s) {
+    return String(s || '').normalize('NFC').toLowerCase();
+}
+
+// 색인용 낱말: 한글 등은 글자 하나와 이웃한 두 글자, 라틴 문자는 단어. out 에 낱말별 횟수를 더함
+function indexTerms(text, out) {
+    const add = w => out.set(w, (out.get(w) || 0) + 1);
+    for (const m of normalize(text).matchAll(RUN_RE)) {
+        if (m[1]) {
+            const s = m[1];
+            for (let i = 0; i < s.length; i++) {
+                add(s[i]);
+                if (i + 1 < s.length) add(s.slice(i, i + 2));
+            }
+        } else {
+            add(m[2]);
+        }
+    }
+    return out;
+}
+
+// [[id, 횟수]…] → id 오름차순 두 배열 (tfOf 에서 이진 탐색)
+function packTerms(pairs) {
+    pairs.sort((a, b) => a[0] - b[0]);
+    return { terms: Uint32Array.from(pairs, p => p[0]), tfs: Uint32Array.from(pairs, p => p[1]) };
+}
+
+// 채팅 안에서 낱말 id 가 나온 횟수
+function tfOf(c, id) {
+    let lo = 0;
+    let hi = c.terms.length - 1;
+    while (lo <= hi) {
+        const mid = (lo + hi) >> 1;
+        if (c.terms[mid] === id) return c.tfs[mid];
+        if (c.terms[mid] < id) lo = mid + 1;
+        else hi = mid - 1;
+    }
+    return 0;
+}
+
+// 검색어에서 후보 채팅을 고를 낱말 (모두 들어 있어야 함). 두 글자 이상 한글이면 2-gram 만
+function queryTerms(text) {
+    const out = [];
+    for (const m of normalize(text).matchAll(RUN_RE)) {
+        if (m[1]) {
+            const s = m[1];
+            if (s.length === 1) out.push(s);
+            for (let i = 0; i + 1 < s.length; i++) out.push(s.slice(i, i + 2));
+        } else {
+            out.push(m[2]);
+        }
+    }
+    return [...new Set(out)];
+}
+
+function escapeRe(s) {
+    return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function escapeHtml(s) {
+    return s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// YYYY-MM-DD 는 이 기기 시간대의 그날 처음/끝
+function dayBound(s, end) {
+    const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(s).trim());
+    if (!m) return parseDate(s);
+    const t = new Date(+m[1], +m[2] - 1, +m[3]).getTime();
+    return end ? t + 24 * 3600 * 1000 - 1 : t;
+}
+
+// chat-reader 와 같은 번호 매김 (비어 있지 않은 줄 순서, 풀 수 없는 줄도 번호는 차지) — 뷰어의 메시지 번호와 맞춤
+async function readMessages(chat) {
+    const text = await fs.promises.readFile(chat.path, 'utf-8');
+    const messages = [];
+    let index = 0;
+    for (const line of text.split('\n')) {
+        if (!line.trim()) continue;
+        const i = index++;
+        let m;
+        try { m = JSON.parse(line); } catch (e) { continue; }
+        if (!m || typeof m !== 'object') continue;
+        messages.push({
+            index: i,
+            name: m.name || (m.is_user ? 'User' : chat.char),
+            is_user: !!m.is_user,
+            text: state.clean(m.mes || '').normalize('NFC'),
+            date: parseDate(m.send_date || m.create_date),
+        });
+    }
+    return messages;
+}
+
+async function cachedMessages(chat) {
+    const hit = state.cache.get(chat.path);
+    if (hit && hit.mtime === chat.mtime && hit.size === chat.size) {
+        // 최근에 쓴 것을 뒤로 (LRU)
+        state.cache.delete(chat.path);
+        state.cache.set(chat.path, hit);
+        return hit.messages;
+    }
+    if (hit) {
+        state.cache.delete(chat.path);
+        state.cacheBytes -= hit.bytes;
+    }
+    const messages = await readMessages(chat);
+    const bytes = messages.reduce((n, m) => n + m.text.length * 2 + 64, 0);
+    state.cache.set(chat.path, { mtime: chat.mtime, size: chat.size, bytes, messages });
+    state.cacheBytes += bytes;
+    for (const [p, c] of state.cache) {
+        if (state.cacheBytes <= CACHE_BYTES || p === chat.path) break;
+        state.cache.delete(p);
+        state.cacheBytes -= c.bytes;
+    }
+    return messages;
+}
+
+function termId(word) {
+    let id = state.dict.get(word);
+    if (id === undefined) {
+        id = state.words.length;
+        state.dict.set(word, id);
+        state.words.push(word);
+        state.postings.push(new Set());
+    }
+    return id;
+}
+
+function removeChat(no) {
+    const c = state.chats.get(no);
+    if (!c) return;
+    for (const id of c.terms) state.postings[id].delete(no);
+    state.totalMsgs -= c.msgs;
+    state.totalLen -= c.len;
+    state.chats.delete(no);
+    state.byPath.delete(c.path);
+}
+
+function addChat(entry, messages) {
+    const no = state.nextId++;
+    const counts = new Map();
+    let len = 0;
+    for (const m of messages) {
+        if (!m.text) continue;
+        indexTerms(m.text, counts);
+        len += m.text.length;
+    }
+    const { terms, tfs } = packTerms([...counts].map(([w, n]) => [termId(w), n]));
+    for (const id of terms) state.postings[id].add(no);
+    state.chats.set(no, { ...entry, msgs: messages.length, len, terms, tfs });
+    state.byPath.set(entry.path, no);
+    state.totalMsgs += messages.length;
+    state.totalLen += len;
+}
+
+/**
+ * 도서관 색인과 맞춰 새로 생기거나 바뀐 채팅만 다시 색인합니다. 돌고 있으면 같은 작업을 기다림
+ */
+function sync() {
+    if (state.syncing) return state.syncing;
+    state.syncing = (async () => {
+        const { characters } = libraryIndex.get();
+        const want = new Map();
+        for (const [char, c] of Object.entries(characters)) {
+            for (const chat of c.chats) {
+                if (!want.has(chat.path)) want.set(chat.path, { path: chat.path, char, file: chat.file, size: chat.size, mtime: Date.parse(chat.modified) });
+            }
+        }
+        let changed = false;
+        for (const [p, no] of state.byPath) {
+            if (!want.has(p)) {
+                removeChat(no);
+                changed = true;
+            }
+        }
+        const todo = [...want.values()].filter((e) => {
+            const no = state.byPath.get(e.path);
+            const c = no === undefined ? null : state.chats.get(no);
+            return !c || c.size !== e.size || c.mtime !== e.mtime || c.char !== e.char;
+        });
+        state.progress = { done: 0, total: todo.length };
+        for (const e of todo) {
+            try {
+                const messages = await readMessages(e);
+                if (state.byPath.has(e.path)) removeChat(state.byPath.get(e.path));
+                addChat(e, messages);
+                changed = true;
+            } catch (err) {}
+            state.progress.done++;
+            // 큰 도서관도 서버가 멈추지 않게 한 채팅마다 양보
+            await new Promise(r => setImmediate(r));
+        }
+        state.progress = null;
+        if (changed) scheduleSave();
+    })().finally(() => {
+        state.syncing = null;
+    });
+    return state.syncing;
+}
+
+/**
+ * 검색어를 풀어 { groups: [[낱말…] (OR)] (AND), not: [낱말…] } 로 만듭니다.
+ */
+function parseQuery(q) {
+    const parts = [];
+    const re = /(-?)"([^"]*)"|(\S+)/g;
+    let m;
+    while ((m = re.exec(String(q || '')))) {
+        if (m[3] === 'OR' || m[3] === '|') {
+            parts.push('OR');
+            continue;
+        }
+        const neg = m[1] === '-' || (m[3] && m[3].startsWith('-') && m[3].length > 1);
+        const raw = m[2] !== undefined ? m[2] : neg ? m[3].slice(1) : m[3];
+        const term = makeTerm(raw, m[2] !== undefined);
+        if (term) parts.push({ term, neg });
+    }
+    const groups = [];
+    const not = [];
+    let joinNext = false;
+    for (const p of parts) {
+        if (p === 'OR') {
+            joinNext = groups.length > 0;
+            continue;
+        }
+        if (p.neg) not.push(p.term);
+        else if (joinNext) groups[groups.length - 1].push(p.term);
+        else groups.push([p.term]);
+        joinNext = false;
+    }
+    return { groups, not };
+}
+
+function makeTerm(raw, phrase) {
+    const text = raw.normalize('NFC').trim();
+    if (!text) return null;
+    const prefix = !phrase && /^[a-z0-9_]+\*$/i.test(text);
+    const word = prefix ? text.slice(0, -1) : text;
+    const tokens = queryTerms(word);
+    if (!tokens.length) return null;
+    let source;
+    if (!phrase && /^[a-z0-9_À-ɏЀ-ӿ]+$/i.test(word)) {
+        // 라틴 단어는 단어 경계로 (GPT는 처럼 한글이 바로 붙어도 됨)
+        source = `(?<![a-z0-9_])${escapeRe(word)}${prefix ? '' : '(?![a-z0-9_])'}`;
+    } else {
+        source = word.split(/\s+/).map(escapeRe).join('\\s+');
+    }
+    return { text: word, phrase, prefix, tokens, re: new RegExp(source, 'giu') };
+}
+
+// 낱말이 나오는 채팅들 (접두어면 그 접두어로 시작하는 낱말 전부)
+function chatsFor(term) {
+    let result = null;
+    for (const tok of term.tokens) {
+        let set;
+        if (term.prefix) {
+            set = new Set();
+            for (const [w, id] of state.dict) {
+                if (w.startsWith(tok)) for (const no of state.postings[id]) set.add(no);
+            }
+        } else {
+            const id = state.dict.get(tok);
+            set = id === undefined ? new Set() : state.postings[id];
+        }
+        result = result ? new Set([...result].filter(no => set.has(no))) : new Set(set);
+        if (!result.size) break;
+    }
+    return result || new Set();
+}
+
+function countMatches(re, text) {
+    re.lastIndex = 0;
+    let n = 0;
+    while (re.exec(text)) n++;
+    return n;
+}
+
+// 첫 일치 앞뒤를 잘라 <mark> 로 표시 (HTML 이스케이프됨)
+function makeSnippet(text, terms) {
+    const ranges = [];
+    for (const t of terms) {
+        t.re.lastIndex = 0;
+        let m;
+        while ((m = t.re.exec(text))) {
+            if (!m[0].length) {
+                t.re.lastIndex++;
+                continue;
+            }
+            ranges.push([m.index, m.index + m[0].length]);
+        }
+    }
+    ranges.sort((a, b) => a[0] - b[0]);
+    const first = ranges.length ? ranges[0][0] : 0;
+    let start = Math.max(0, first - SNIPPET_BEFORE);
+    let end = Math.min(text.length, first + SNIPPET_AFTER);
+    const sp = text.lastIndexOf(' ', start);
+    if (start > 0 && sp >= 0 && start - sp < 15) start = sp + 1;
+    let out = start > 0 ? '…' : '';
+    let pos = start;
+    for (const [a, b] of ranges) {
+        if (b <= pos || a >= end) continue;
+        const s = Math.max(a, pos);
+        out += escapeHtml(text.slice(pos, s)) + '<mark>' + escapeHtml(text.slice(s, Math.min(b, end))) + '</mark>';
+        pos = Math.min(b, end);
+    }
+    out += escapeHtml(text.slice(pos, end)) + (end < text.length ? '…' : '');
+    return out.replace(/\n+/g, ' ');
+}
+
+/**
+ * 검색합니다.
+ * @param {string} q 검색어
+ * @param {{ char?: string|string[], tags?: string[], tagMap?: object, from?: string, to?: string, role?: 'user'|'char', limit?: number, offset?: number }} [opts]
+ *   tags 는 모두 붙은 캐릭터만 (tagMap 은 .chat-library-tags.json 내용), from/to 는 YYYY-MM-DD (to 는 그날 끝까지)
+ *   후보 채팅은 채팅 단위 점수순으로 offset + limit 개가 찰 때까지만 읽음 — 다 못 읽었으면 partial: true 이고
+ *   total 은 그때까지 찾은 수(최소값). 뒤 페이지(offset)를 달라고 하면 그만큼 더 읽으므로 빠지는 결과는 없음
+ * @returns {Promise<object>} { total, candidates, matchedChats, scanned, partial, more, hits: [{ char, file, chat, index, name, is_user, date, score, snippet }] }
+ */
+async function search(q, opts = {}) {
+    const started = Date.now();
+    await sync();
+    const { groups, not } = parseQuery(q);
+    if (!groups.length) throw new Error('검색어를 입력하세요');
+    const charList = [].concat(opts.char || []).filter(Boolean);
+    const chars = charList.length ? new Set(charList) : null;
+    const tags = [].concat(opts.tags || []).filter(Boolean);
+    const from = opts.from ? dayBound(opts.from, false) : null;
+    const to = opts.to ? dayBound(opts.to, true) : null;
+    if ((opts.from && from == null) || (opts.to && to == null)) throw new Error('날짜는 YYYY-MM-DD 형식으로');
+    const role = opts.role === 'user' || opts.role === 'char' ? opts.role : null;
+    const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(opts.limit) || 50));
+    const offset = Math.max(0, parseInt(opts.offset) || 0);
+
+    // 1) 채팅 단위로 후보 고르기
+    let candidates = null;
+    for (const g of groups) {
+        const union = new Set();
+        for (const t of g) for (const no of chatsFor(t)) union.add(no);
+        candidates = candidates ? new Set([...candidates].filter(no => union.has(no))) : union;
+    }
+    const tagMap = opts.tagMap || {};
+    const chosen = [...candidates].map(no => state.chats.get(no)).filter((c) => {
+        if (!c) return false;
+        if (chars && !chars.has(c.char)) return false;
+        if (tags.length && !tags.every(t => (tagMap[c.char] || []).includes(t))) return false;
+        // 파일이 마지막으로 바뀐 때보다 뒤의 메시지는 없음
+        if (from != null && c.mtime < from) return false;
+        return true;
+    });
+
+    // 2) 후보 채팅을 읽어 메시지마다 확인 + 점수
+    const n = Math.max(1, state.chats.size);
+    const avgLen = state.totalMsgs ? state.totalLen / state.totalMsgs : 1;
+    const idf = new Map();
+    for (const g of groups) {
+        for (const t of g) {
+            const df = chatsFor(t).size;
+            idf.set(t, Math.log(1 + (n - df + 0.5) / (df + 0.5)));
+        }
+    }
+    const positive = groups.flat();
+
+    // 채팅 단위 BM25 (색인에 남긴 낱말 횟수로) — 점수 높은 채팅부터 읽음
+    const avgChatLen = state.chats.size ? state.totalLen / state.chats.size : 1;
+    const chatTf = (c, t) => {
+        if (t.prefix) return 1;
+        let tf = Infinity;
+        for (const tok of t.tokens) {
+            const id = state.dict.get(tok);
+            tf = Math.min(tf, id === undefined ? 0 : tfOf(c, id));
+        }
+        return tf === Infinity ? 0 : tf;
+    };
+    const ranked = chosen.map((c) => {
+        let score = 0;
+        for (const t of positive) {
+            const tf = chatTf(c, t);
+            if (tf) score += idf.get(t) * tf * (BM25_K1 + 1) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * c.len / avgChatLen));
+        }
+        return { c, score };
+    }).sort((a, b) => b.score - a.score || b.c.mtime - a.c.mtime);
+
+    const hits = [];
+    let scanned = 0;
+    for (const { c } of ranked) {
+        if (scanned >= MIN_SCAN_CHATS && hits.length >= offset + limit) break;
+        scanned++;
+        let messages;
+        try { messages = await cachedMessages(c); } catch (e) { continue; }
+        for (const m of messages) {
+            if (!m.text) continue;
+            if (role && m.is_user !== (role === 'user')) continue;
+            if ((from != null || to != null) && (m.date == null || (from != null && m.date < from) || (to != null && m.date > to))) continue;
+            let score = 0;
+            let ok = true;
+            for (const g of groups) {
+                let any = false;
+                for (const t of g) {
+                    const tf = countMatches(t.re, m.text);
+                    if (!tf) continue;
+                    any = true;
+                    const norm = tf * (BM25_K1 + 1) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * m.text.length / avgLen));
+                    score += idf.get(t) * norm * (t.phrase ? 1.5 : 1);
+                }
+                if (!any) {
+                    ok = false;
+                    break;
+                }
+            }
+            if (!ok || not.some(t => countMatches(t.re, m.text))) continue;
+            hits.push({ c, m, score });
+        }
+    }
+    hits.sort((a, b) => b.score - a.score || (b.m.date || 0) - (a.m.date || 0));
+    const partial = scanned < chosen.length;
+    return {
+        query: q,
+        total: hits.length,
+        candidates: chosen.length, // 색인(채팅 단위)으로 낱말이 다 들어 있는 채팅 수 — 다 읽지 않아도 정확
+        matchedChats: new Set(hits.map(h => h.c)).size,
+        scanned,
+        partial,
+        more: partial || offset + limit < hits.length, // 다음 페이지(offset + limit)를 달라고 하면 더 나올 수 있음
+        offset,
+        tookMs: Date.now() - started,
+        indexed: { chats: state.chats.size, terms: state.dict.size },
+        hits: hits.slice(offset, offset + limit).map(({ c, m, score }) => ({
+            char: c.char,
+            file: c.file,
+            chat: c.file.replace('.jsonl', ''),
+            index: m.index,
+            name: m.name,
+            is_user: m.is_user,
+            date: m.date ? new Date(m.date).toISOString() : null,
+            score: Math.round(score * 1000) / 1000,
+            snippet: makeSnippet(m.text, positive),
+        })),
+    };
+}
+
+function scheduleSave() {
+    if (!state.file || state.saveTimer) return;
+    state.saveTimer = setTimeout(() => {
+        state.saveTimer = null;
+        save();
+    }, SAVE_DELAY_MS);
+    state.saveTimer.unref();
+}
+
+// 낱말 사전은 지금 쓰는 것만 골라 다시 번호를 매겨 저장
+function save() {
+    if (!state.file) return;
+    const words = [];
+    const remap = new Map();
+    const chats = [];
+    for (const c of state.chats.values()) {
+        const ids = new Uint32Array(c.terms.length);
+        c.terms.forEach((id, i) => {
+            let nid = remap.get(id);
+            if (nid === undefined) {
+                nid = words.length;
+                remap.set(id, nid);
+                words.push(state.words[id]);
+            }
+            ids[i] = nid;
+        });
+        chats.push({ path: c.path, char: c.char, file: c.file, size: c.size, mtime: c.mtime, msgs: c.msgs, len: c.len,
+            terms: Buffer.from(ids.buffer).toString('base64'), tfs: Buffer.from(c.tfs.buffer, c.tfs.byteOffset, c.tfs.byteLength).toString('base64') });
+    }
+    const tmp = `${state.file}.${process.pid}.tmp`;
+    try {
+        fs.writeFileSync(tmp, JSON.stringify({ version: VERSION, words, chats, savedAt: Date.now() }), 'utf-8');
+        fs.renameSync(tmp, state.file);
+    } catch (e) {
+        try { fs.unlinkSync(tmp); } catch (er) {}
+        console.error(`  ⚠️ 검색 색인 저장 실패: ${e.message}`);
+    }
+}
+
+/**
+ * 저장된 검색 색인을 불러옵니다. 바뀐 채팅은 다음 sync() 때 다시 색인
+ * @param {{ file?: string, clean?: (text: string) => string }} opts clean 은 server.js 의 CLEANUP 규칙
+ */
+function open(opts = {}) {
+    state.file = opts.file || null;
+    if (opts.clean) state.clean = opts.clean;
+    let saved = null;
+    try {
+        if (state.file && fs.existsSync(state.file)) saved = JSON.parse(fs.readFileSync(state.file, 'utf-8'));
+    } catch (e) {}
+    if (!saved || saved.version !== VERSION) return;
+    for (const w of saved.words) termId(w);
+    const u32 = (b64) => {
+        const buf = Buffer.from(b64, 'base64');
+        return new Uint32Array(buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.length));
+    };
+    for (const c of saved.chats) {
+        const ids = u32(c.terms);
+        const counts = u32(c.tfs);
+        // 저장할 때 번호를 다시 매겼으므로 다시 정렬
+        const { terms, tfs } = packTerms(Array.from(ids, (id, i) => [id, counts[i]]));
+        const no = state.nextId++;
+        for (const id of terms) state.postings[id].add(no);
+        state.chats.set(no, { path: c.path, char: c.char, file: c.file, size: c.size, mtime: c.mtime, msgs: c.msgs, len: c.len, terms, tfs });
+        state.byPath.set(c.path, no);
+        state.totalMsgs += c.msgs;
+        state.totalLen += c.len;
+    }
+}
+
+/**
+ * 검색 색인을 처음부터 다시 만듭니다 (/api/reindex).
+ */
+async function rebuild() {
+    if (state.syncing) await state.syncing;
+    state.dict = new Map();
+    state.words = [];
+    state.postings = [];
+    state.chats = new Map();
+    state.byPath = new Map();
+    state.totalMsgs = 0;
+    state.totalLen = 0;
+    state.cache.clear();
+    state.cacheBytes = 0;
+    await sync();
+    return stats();
+}
+
+function stats() {
+    return {
+        chats: state.chats.size,
+        messages: state.totalMsgs,
+        terms: state.dict.size,
+        indexing: state.progress,
+        file: state.file,
+    };
+}
+
+module.exports = {
+    open,
+    sync,
+    search,
+    rebuild,
+    stats,
+};
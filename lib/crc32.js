@@ -0,0 +1,21 @@
+// CRC-32 (IEEE 802.3) — ZIP 엔트리와 PNG 청크 검증에 사용
+
+const TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    TABLE[n] = c >>> 0;
+}
+
+/**
+ * @param {Buffer} buf
+ * @param {number} [prev] 이전 청크까지의 CRC (이어서 계산할 때)
+ * @returns {number} 부호 없는 32비트 CRC
+ */
+function crc32(buf, prev = 0) {
+    let c = (prev ^ 0xffffffff) >>> 0;
+    for (let i = 0; i < buf.length; i++) c = TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
+}
+
+module.exports = { crc32 };
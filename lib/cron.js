@@ -0,0 +1,102 @@
+// 아주 작은 cron 표현식 해석기 (분 시 일 월 요일, 로컬 시간)
+// 지원: *, 숫자, 목록(1,15), 범위(1-5), 간격(*/15, 0-30/10), 요일 0/7=일요일
+// 일과 요일이 둘 다 * 가 아니면 둘 중 하나만 맞아도 실행 (일반 cron 과 같음)
+// 별칭: @hourly @daily @weekly @monthly
+
+const ALIASES = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+};
+
+const FIELDS = [
+    { name: '분', min: 0, max: 59 },
+    { name: '시', min: 0, max: 23 },
+    { name: '일', min: 1, max: 31 },
+    { name: '월', min: 1, max: 12 },
+    { name: '요일', min: 0, max: 7 },
+];
+
+function parseField(text, { name, min, max }) {
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const m = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+        if (!m) throw new Error(`cron ${name} 필드 오류: ${part}`);
+        let lo = min;
+        let hi = max;
+        if (m[1] !== '*') {
+            const [a, b] = m[1].split('-').map(Number);
+            lo = a;
+            hi = b === undefined ? (m[2] ? max : a) : b;
+        }
+        const step = m[2] ? Number(m[2]) : 1;
+        if (lo < min || hi > max || lo > hi || step < 1) throw new Error(`cron ${name} 범위 오류: ${part}`);
+        for (let v = lo; v <= hi; v += step) values.add(v);
+    }
+    return values;
+}
+
+/**
+ * @param {string} expr 예: "0 4 * * *" (매일 04:00)
+ * @returns {{ minutes: Set<number>, hours: Set<number>, days: Set<number>, months: Set<number>, weekdays: Set<number>, anyDay: boolean, anyWeekday: boolean }}
+ */
+function parse(expr) {
+    const text = ALIASES[String(expr).trim()] || String(expr).trim();
+    const parts = text.split(/\s+/);
+    if (parts.length !== 5) throw new Error('cron 표현식은 "분 시 일 월 요일" 5개 필드여야 합니다');
+    const [minutes, hours, days, months, weekdays] = parts.map((p, i) => parseField(p, FIELDS[i]));
+    if (weekdays.has(7)) weekdays.add(0);
+    return { minutes, hours, days, months, weekdays, anyDay: parts[2] === '*', anyWeekday: parts[4] === '*' };
+}
+
+function dayMatches(c, d) {
+    const dom = c.days.has(d.getDate());
+    const dow = c.weekdays.has(d.getDay());
+    if (c.anyDay && c.anyWeekday) return true;
+    if (c.anyDay) return dow;
+    if (c.anyWeekday) return dom;
+    return dom || dow;
+}
+
+/**
+ * from 이후(같은 분 제외) 첫 실행 시각.
+ * @param {string|object} expr cron 문자열 또는 parse() 결과
+ * @param {Date|number} [from]
+ * @returns {Date|null} 4년 안에 없으면 null (예: 2월 30일)
+ */
+function nextRun(expr, from = Date.now()) {
+    const c = typeof expr === 'string' ? parse(expr) : expr;
+    const d = new Date(from);
+    d.setSeconds(0, 0);
+    d.setMinutes(d.getMinutes() + 1);
+    const limit = d.getTime() + 4 * 366 * 86400000;
+    while (d.getTime() < limit) {
+        if (!c.months.has(d.getMonth() + 1)) {
+            d.setMonth(d.getMonth() + 1, 1);
+            d.setHours(0, 0, 0, 0);
+            continue;
+        }
+        if (!dayMatches(c, d)) {
+            d.setDate(d.getDate() + 1);
+            d.setHours(0, 0, 0, 0);
+            continue;
+        }
+        if (!c.hours.has(d.getHours())) {
+            d.setHours(d.getHours() + 1, 0, 0, 0);
+            continue;
+        }
+        if (!c.minutes.has(d.getMinutes())) {
+            d.setMinutes(d.getMinutes() + 1, 0, 0);
+            continue;
+        }
+        return d;
+    }
+    return null;
+}
+
+module.exports = {
+    parse,
+    nextRun,
+};
@@ -0,0 +1,244 @@
+// TermuxFM 디스크 사용량 분석
+// 폴더를 비동기로 훑어 폴더별 합계를 메모리에 캐시하고, 큰 폴더/파일과 정리해도 되는 곳을 찾아 줍니다.
+// 캐시된 결과로 트리맵을 한 단계씩 내려가 볼 수 있고(node), 정리한 뒤에는 다시 훑지 않고 합계만 고칩니다(forget).
+// 심볼릭 링크는 따라가지 않음 — Termux 의 ~/storage/shared 가 /storage/emulated/0 을 가리켜서 두 번 세게 됨
+
+const path = require('path');
+const fs = require('fs');
+
+const MAX_CHILDREN = 40; // 폴더마다 기억하는 큰 항목 수 (나머지는 "기타" 로 합침)
+const TOP_FILES = 50;
+const TOP_DIRS = 30;
+const KEEP_BACKUPS = 2; // st-backup-* 중 최근 것은 정리 대상에서 뺌
+const PROGRESS_INTERVAL_MS = 300;
+// 안을 하나하나 기억할 필요 없는 폴더 (합계만)
+const OPAQUE_DIRS = new Set(['node_modules', '.git']);
+const BACKUP_FILE_RE = /^st-backup-.*\.(tar\.gz|tgz|zip)$/;
+
+const cache = new Map(); // 절대 경로 → { path, size, files, dirs, ownSize, children, more, scannedAt }
+const scans = new Map(); // 분석 시작 폴더 → 요약 (큰 파일, 정리 대상 등)
+const running = new Set();
+
+// 알려진 정리 대상인지 (폴더)
+function reclaimKindForDir(full, name, insideOpaque) {
+    if (insideOpaque) return null;
+    if (name === '.st-filemanager-tmp') return { kind: 'tmp', label: '업로드 임시 파일', note: '끊긴 업로드의 남은 조각' };
+    if (name === 'node_modules') return { kind: 'node_modules', label: 'node_modules', note: 'npm install 로 다시 받을 수 있음' };
+    // SillyTavern/data/<사용자>/thumbnails, backups
+    const parts = full.split(path.sep);
+    if (parts.length >= 3 && parts[parts.length - 3] === 'data') {
+        if (name === 'thumbnails') return { kind: 'st-thumbnails', label: 'ST 썸네일', note: 'SillyTavern 이 필요할 때 다시 만듦' };
+        if (name === 'backups') return { kind: 'st-backups', label: 'ST 자동 채팅 백업', note: '채팅을 저장할 때마다 쌓이는 사본' };
+    }
+    return null;
+}
+
+function pushTop(list, item, max, key) {
+    if (list.length >= max && item[key] <= list[list.length - 1][key]) return;
+    list.push(item);
+    list.sort((a, b) => b[key] - a[key]);
+    if (list.length > max) list.pop();
+}
+
+async function fsStats(p) {
+    if (!fs.promises.statfs) return null;
+    try {
+        const s = await fs.promises.statfs(p);
+        return { total: s.blocks * s.bsize, free: s.bavail * s.bsize };
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * 폴더를 훑어 합계를 캐시합니다.
+ * @param {string} root 절대 경로
+ * @param {{ onProgress?: (p: { dirs: number, files: number, bytes: number, current: string }) => void, isAborted?: () => boolean }} [opts]
+ * @returns {Promise<object>} summary(root)
+ */
+async function scan(root, opts = {}) {
+    if (running.has(root)) throw new Error('이미 이 폴더를 분석하고 있습니다');
+    const isAborted = opts.isAborted || (() => false);
+    const started = Date.now();
+    const ctx = { dirs: 0, files: 0, bytes: 0, errors: 0, largestFiles: [], largestDirs: [], reclaimable: [], backups: [], lastProgress: 0 };
+    running.add(root);
+
+    const walk = async (dir, insideOpaque) => {
+        const info = { path: dir, size: 0, files: 0, dirs: 0, ownSize: 0, children: [], more: null, opaque: insideOpaque, scannedAt: Date.now() };
+        let handle;
+        try {
+            handle = await fs.promises.opendir(dir);
+        } catch (e) {
+            ctx.errors++;
+            return info;
+        }
+        const entries = [];
+        for await (const ent of handle) {
+            if (isAborted()) break;
+            const full = path.join(dir, ent.name);
+            if (ent.isDirectory()) {
+                const opaque = insideOpaque || OPAQUE_DIRS.has(ent.name);
+                const child = await walk(full, opaque);
+                info.size += child.size;
+                info.files += child.files;
+                info.dirs += 1 + child.dirs;
+                entries.push({ name: ent.name, size: child.size, files: child.files, isDir: true });
+                const kind = reclaimKindForDir(full, ent.name, insideOpaque);
+                if (kind && child.size > 0) ctx.reclaimable.push({ path: full, ...kind, size: child.size, files: child.files });
+            } else if (ent.isFile()) {
+                let st;
+                try {
+                    st = await fs.promises.lstat(full);
+                } catch (e) {
+                    continue;
+                }
+                info.size += st.size;
+                info.ownSize += st.size;
+                info.files++;
+                ctx.files++;
+                ctx.bytes += st.size;
+                entries.push({ name: ent.name, size: st.size, isDir: false, mtime: st.mtimeMs });
+                if (!insideOpaque) pushTop(ctx.largestFiles, { path: full, size: st.size, mtime: st.mtimeMs }, TOP_FILES, 'size');
+                if (BACKUP_FILE_RE.test(ent.name)) ctx.backups.push({ path: full, size: st.size, mtime: st.mtimeMs });
+            }
+            // 심볼릭 링크/소켓 등은 건너뜀
+        }
+        ctx.dirs++;
+        entries.sort((a, b) => b.size - a.size);
+        info.children = entries.slice(0, MAX_CHILDREN);
+        if (entries.length > MAX_CHILDREN) {
+            const rest = entries.slice(MAX_CHILDREN);
+            info.more = { count: rest.length, size: rest.reduce((n, e) => n + e.size, 0) };
+        }
+        if (!insideOpaque || OPAQUE_DIRS.has(path.basename(dir))) cache.set(dir, info);
+        if (!insideOpaque) pushTop(ctx.largestDirs, { path: dir, ownSize: info.ownSize, size: info.size, files: info.files }, TOP_DIRS, 'ownSize');
+        if (opts.onProgress && Date.now() - ctx.lastProgress > PROGRESS_INTERVAL_MS) {
+            ctx.lastProgress = Date.now();
+            opts.onProgress({ dirs: ctx.dirs, files: ctx.files, bytes: ctx.bytes, current: dir });
+        }
+        return info;
+    };
+
+    try {
+        const st = await fs.promises.stat(root);
+        if (!st.isDirectory()) throw new Error('폴더만 분석할 수 있습니다');
+        // 다시 훑으면 예전 캐시는 버림
+        for (const p of cache.keys()) {
+            if (p === root || p.startsWith(root + path.sep)) cache.delete(p);
+        }
+        await walk(root, false);
+    } finally {
+        running.delete(root);
+    }
+
+    // 최근 백업 몇 개는 남기고 나머지만 정리 대상으로
+    ctx.backups.sort((a, b) => b.mtime - a.mtime);
+    for (const b of ctx.backups.slice(KEEP_BACKUPS)) {
+        ctx.reclaimable.push({ path: b.path, kind: 'old-backup', label: '오래된 백업', note: `최근 ${KEEP_BACKUPS}개 외의 st-backup 파일`, size: b.size, files: 1, mtime: b.mtime });
+    }
+    // node_modules 안의 node_modules 등 겹치는 항목 제거
+    ctx.reclaimable.sort((a, b) => a.path.localeCompare(b.path));
+    const reclaimable = ctx.reclaimable.filter((r, i, all) => !all.slice(0, i).some(p => r.path.startsWith(p.path + path.sep)));
+    reclaimable.sort((a, b) => b.size - a.size);
+
+    scans.set(root, {
+        root,
+        scannedAt: started,
+        durationMs: Date.now() - started,
+        aborted: isAborted(),
+        errors: ctx.errors,
+        largestFiles: ctx.largestFiles,
+        largestDirs: ctx.largestDirs.filter(d => d.ownSize > 0),
+        reclaimable,
+    });
+    return summary(root);
+}
+
+/**
+ * 캐시된 폴더 하나 (트리맵 한 단계). 캐시에 없으면 null
+ */
+function node(p) {
+    const n = cache.get(p);
+    if (!n) return null;
+    return { path: n.path, size: n.size, files: n.files, dirs: n.dirs, children: n.children, more: n.more, opaque: n.opaque, scannedAt: n.scannedAt };
+}
+
+// p 를 포함하는 가장 가까운 분석 결과
+function scanFor(p) {
+    let best = null;
+    for (const s of scans.values()) {
+        if ((p === s.root || p.startsWith(s.root + path.sep)) && (!best || s.root.length > best.root.length)) best = s;
+    }
+    return best;
+}
+
+async function summary(root) {
+    const s = scans.get(root) || scanFor(root);
+    const n = node(root);
+    if (!s || !n) return null;
+    const inside = p => p === root || p.startsWith(root + path.sep);
+    return {
+        ...n,
+        root: s.root,
+        scannedAt: s.scannedAt,
+        durationMs: s.durationMs,
+        aborted: s.aborted,
+        errors: s.errors,
+        largestFiles: s.largestFiles.filter(f => inside(f.path)),
+        largestDirs: s.largestDirs.filter(d => inside(d.path)),
+        reclaimable: s.reclaimable.filter(r => inside(r.path)),
+        fs: await fsStats(root),
+    };
+}
+
+/**
+ * 지운 경로를 캐시에서 빼고, 위쪽 폴더들의 합계를 그만큼 줄입니다.
+ */
+function forget(p) {
+    let removed = null;
+    for (const key of [...cache.keys()]) {
+        if (key === p || key.startsWith(p + path.sep)) {
+            if (key === p) removed = cache.get(key);
+            cache.delete(key);
+        }
+    }
+    const parent = cache.get(path.dirname(p));
+    const entry = parent && parent.children.find(c => c.name === path.basename(p));
+    const size = removed ? removed.size : entry ? entry.size : 0;
+    const files = removed ? removed.files : entry ? (entry.files || 1) : 0;
+    if (parent && entry) parent.children.splice(parent.children.indexOf(entry), 1);
+    for (let dir = path.dirname(p); ; dir = path.dirname(dir)) {
+        const n = cache.get(dir);
+        if (n) {
+            n.size = Math.max(0, n.size - size);
+            n.files = Math.max(0, n.files - files);
+            const up = cache.get(path.dirname(dir));
+            const e = up && up.children.find(c => c.name === path.basename(dir));
+            if (e) {
+                e.size = n.size;
+                e.files = n.files;
+                up.children.sort((x, y) => y.size - x.size);
+            }
+        }
+        if (dir === path.dirname(dir)) break;
+    }
+    for (const s of scans.values()) {
+        const gone = x => x.path === p || x.path.startsWith(p + path.sep);
+        s.largestFiles = s.largestFiles.filter(f => !gone(f));
+        s.largestDirs = s.largestDirs.filter(d => !gone(d));
+        s.reclaimable = s.reclaimable.filter(r => !gone(r));
+    }
+    return { size, files };
+}
+
+function isRunning(root) {
+    return running.has(root);
+}
+
+module.exports = {
+    scan,
+    node,
+    summary,
+    forget,
+    isRunning,
+};
@@ -0,0 +1,496 @@
+// TermuxFM 중복 파일 찾기
+// 크기가 같은 파일끼리 → 앞·뒤 조각 해시가 같은 것끼리 → 전체 해시가 같은 것끼리 좁혀 가므로
+// 대부분의 파일은 한 바이트도 읽지 않고 걸러집니다.
+// 원하면 PNG 는 지각 해시(dHash)로 "보기에 같은" 이미지도 묶음 — 카드 데이터만 다르거나 다시 저장한 같은 그림.
+// JPEG/WebP 는 디코더가 없어 정확히 같은 파일만 찾습니다.
+// 한 번에 하나만 돌고(휴대폰 CPU), 진행 상황은 작업(job)으로 남아 있어 창을 닫았다 열어도 이어서 볼 수 있습니다.
+
+const path = require('path');
+const fs = require('fs');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { readChunks } = require('./card');
+
+const PARTIAL_BYTES = 64 * 1024; // 앞/뒤 조각 크기
+const MAX_IMAGE_PIXELS = 16 * 1000 * 1000; // 이보다 큰 PNG 는 지각 해시 생략 (메모리)
+const DEFAULT_THRESHOLD = 4; // 64비트 dHash 중 다른 비트 수가 이 이하면 비슷한 이미지
+const MAX_JOBS = 5;
+const PROGRESS_INTERVAL_MS = 300;
+// 사본이 있어도 정상인 곳, 파일매니저 자신의 상태(휴지통 포함)
+const SKIP_DIRS = new Set(['node_modules', '.git', '.st-filemanager', '.st-filemanager-tmp']);
+const IMAGE_EXTS = ['.png', '.jpg', '.jpeg', '.webp', '.gif'];
+
+const KIND_EXTS = {
+    all: null,
+    images: IMAGE_EXTS,
+    png: ['.png'],
+    chats: ['.jsonl'],
+};
+
+const jobs = new Map();
+let counter = 0;
+
+// ===== 해시 =====
+
+function sha1(buf) {
+    return crypto.createHash('sha1').update(buf).digest('hex');
+}
+
+// 앞 64KB + 뒤 64KB (작은 파일은 통째로)
+async function partialHash(file, size) {
+    const fh = await fs.promises.open(file, 'r');
+    try {
+        if (size <= PARTIAL_BYTES * 2) {
+            const buf = Buffer.alloc(size);
+            await fh.read(buf, 0, size, 0);
+            return sha1(buf);
+        }
+        const buf = Buffer.alloc(PARTIAL_BYTES * 2);
+        await fh.read(buf, 0, PARTIAL_BYTES, 0);
+        await fh.read(buf, PARTIAL_BYTES, PARTIAL_BYTES, size - PARTIAL_BYTES);
+        return sha1(buf);
+    } finally {
+        await fh.close();
+    }
+}
+
+function fullHash(file) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha1');
+        fs.createReadStream(file)
+            .on('data', chunk => hash.update(chunk))
+            .on('error', reject)
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+// ===== PNG 지각 해시 (dHash) =====
+
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+}
+
+/**
+ * PNG 를 9x8 회색조로 줄여 옆 칸과 밝기를 비교한 64비트 해시 (16자리 hex).
+ * 인터레이스 PNG, 너무 큰 이미지 등 읽을 수 없으면 null
+ */
+function pngDHash(buf) {
+    const chunks = readChunks(buf);
+    const ihdr = chunks.find(c => c.type === 'IHDR');
+    if (!ihdr) return null;
+    const width = ihdr.data.readUInt32BE(0);
+    const height = ihdr.data.readUInt32BE(4);
+    const depth = ihdr.data[8];
+    const colorType = ihdr.data[9];
+    const channels = PNG_CHANNELS[colorType];
+    if (!channels || ihdr.data[12] !== 0 || !width || !height || width * height > MAX_IMAGE_PIXELS) return null;
+    if (depth !== 8 && depth !== 16 && !(channels === 1 && depth < 8)) return null;
+    const plte = chunks.find(c => c.type === 'PLTE');
+    const trns = chunks.find(c => c.type === 'tRNS');
+    if (colorType === 3 && !plte) return null;
+
+    const raw = zlib.inflateSync(Buffer.concat(chunks.filter(c => c.type === 'IDAT').map(c => c.data)));
+    const stride = Math.ceil(width * channels * depth / 8);
+    const bpp = Math.max(1, channels * depth / 8);
+    if (raw.length < (stride + 1) * height) return null;
+
+    const sums = new Float64Array(72);
+    const counts = new Uint32Array(72);
+    const binX = new Uint8Array(width);
+    for (let x = 0; x < width; x++) binX[x] = Math.min(8, Math.floor(x * 9 / width));
+    const sample = depth === 16
+        ? (row, i) => row[i * 2]
+        : depth === 8
+            ? (row, i) => row[i]
+            : (row, i) => {
+                const bit = i * depth;
+                const v = (row[bit >> 3] >> (8 - depth - (bit & 7))) & ((1 << depth) - 1);
+                return colorType === 3 ? v : Math.round(v * 255 / ((1 << depth) - 1));
+            };
+
+    let prev = Buffer.alloc(stride);
+    for (let y = 0; y < height; y++) {
+        const start = y * (stride + 1);
+        const filter = raw[start];
+        const row = raw.subarray(start + 1, start + 1 + stride);
+        for (let i = 0; i < stride; i++) {
+            const a = i >= bpp ? row[i - bpp] : 0;
+            const b = prev[i];
+            const c = i >= bpp ? prev[i - bpp] : 0;
+            if (filter === 1) row[i] = (row[i] + a) & 0xff;
+            else if (filter === 2) row[i] = (row[i] + b) & 0xff;
+            else if (filter === 3) row[i] = (row[i] + ((a + b) >> 1)) & 0xff;
+            else if (filter === 4) row[i] = (row[i] + paeth(a, b, c)) & 0xff;
+        }
+        prev = row;
+        const binY = Math.min(7, Math.floor(y * 8 / height)) * 9;
+        for (let x = 0; x < width; x++) {
+            let r, g, bl, alpha = 255;
+            const base = x * channels;
+            if (colorType === 3) {
+                const idx = sample(row, x);
+                r = plte.data[idx * 3]; g = plte.data[idx * 3 + 1]; bl = plte.data[idx * 3 + 2];
+                if (trns && idx < trns.data.length) alpha = trns.data[idx];
+            } else if (channels <= 2) {
+                r = g = bl = sample(row, base);
+                if (channels === 2) alpha = sample(row, base + 1);
+            } else {
+                r = sample(row, base); g = sample(row, base + 1); bl = sample(row, base + 2);
+                if (channels === 4) alpha = sample(row, base + 3);
+            }
+            // 투명한 곳은 흰 배경 위에 놓은 것으로
+            const lum = (r * 299 + g * 587 + bl * 114) / 1000;
+            const bin = binY + binX[x];
+            sums[bin] += (lum * alpha + 255 * (255 - alpha)) / 255;
+            counts[bin]++;
+        }
+    }
+
+    let hi = 0, lo = 0;
+    for (let r = 0; r < 8; r++) {
+        for (let c = 0; c < 8; c++) {
+            const i = r * 9 + c;
+            const left = counts[i] ? sums[i] / counts[i] : 0;
+            const right = counts[i + 1] ? sums[i + 1] / counts[i + 1] : 0;
+            const bit = left < right ? 1 : 0;
+            const n = r * 8 + c;
+            if (n < 32) hi = (hi << 1) | bit;
+            else lo = (lo << 1) | bit;
+        }
+    }
+    return (hi >>> 0).toString(16).padStart(8, '0') + (lo >>> 0).toString(16).padStart(8, '0');
+}
+
+function popcount(n) {
+    n -= (n >>> 1) & 0x55555555;
+    n = (n & 0x33333333) + ((n >>> 2) & 0x33333333);
+    return (((n + (n >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
+function hammingHex(a, b) {
+    return popcount((parseInt(a.slice(0, 8), 16) ^ parseInt(b.slice(0, 8), 16)) >>> 0)
+        + popcount((parseInt(a.slice(8), 16) ^ parseInt(b.slice(8), 16)) >>> 0);
+}
+
+// ===== 찾기 =====
+
+// 남길 사본 추천: 가장 오래된 것 (처음 올린 원본), 같으면 경로가 짧은 것
+function suggestKeep(files) {
+    let best = 0;
+    files.forEach((f, i) => {
+        const b = files[best];
+        if (f.mtime < b.mtime || (f.mtime === b.mtime && f.path.length < b.path.length)) best = i;
+    });
+    return best;
+}
+
+/**
+ * roots 아래에서 같은 파일을 찾습니다.
+ * @param {string[]} roots 절대 경로 (겹치면 바깥쪽만)
+ * @param {{ kind?: 'all'|'images'|'png'|'chats', minSize?: number, images?: boolean, threshold?: number,
+ *   onProgress?: (p: { phase: string, done: number, total: number, files: number, current: string }) => void,
+ *   isAborted?: () => boolean, files?: {path: string, size: number, mtime: number}[] }} [opts]
+ *   images 가 true 면 PNG 지각 해시로 비슷한 이미지도 묶음.
+ *   files 를 주면 roots 를 훑지 않고 그 목록만 비교 (이미 색인해 둔 목록이 있을 때 — 하드링크는 가려내지 않음)
+ * @returns {Promise<{ groups: object[], files: number, bytes: number, wasted: number, errors: number, aborted: boolean }>}
+ *   groups: { kind: 'exact'|'similar', hash?, size?, distance?, files: {path, size, mtime, hash?}[], keep, wasted }
+ */
+async function find(roots, opts = {}) {
+    const isAborted = opts.isAborted || (() => false);
+    const exts = KIND_EXTS[opts.kind || 'all'];
+    if (exts === undefined) throw new Error(`알 수 없는 종류: ${opts.kind}`);
+    const minSize = Math.max(1, Number(opts.minSize) || 1);
+    const threshold = Math.max(0, Math.min(16, opts.threshold != null ? Number(opts.threshold) : DEFAULT_THRESHOLD));
+    const ctx = { files: 0, bytes: 0, errors: 0, lastProgress: 0 };
+    const progress = (phase, done, total, current, force) => {
+        if (!opts.onProgress || (!force && Date.now() - ctx.lastProgress < PROGRESS_INTERVAL_MS)) return;
+        ctx.lastProgress = Date.now();
+        opts.onProgress({ phase, done, total, files: ctx.files, current });
+    };
+
+    const sorted = [...new Set(roots.map(r => path.resolve(r)))].sort();
+    const tops = sorted.filter((r, i) => !sorted.slice(0, i).some(o => r.startsWith(o + path.sep)));
+
+    // 1. 훑기 — 크기별로 모음. 하드링크는 한 번만
+    const bySize = new Map();
+    const pngs = [];
+    const seen = new Set();
+    const add = (file) => {
+        const ext = path.extname(file.path).toLowerCase();
+        if (exts && !exts.includes(ext)) return;
+        if (file.size < minSize) return;
+        ctx.files++;
+        ctx.bytes += file.size;
+        if (!bySize.has(file.size)) bySize.set(file.size, []);
+        bySize.get(file.size).push(file);
+        if (opts.images && ext === '.png') pngs.push(file);
+    };
+    const walk = async (dir) => {
+        let handle;
+        try {
+            handle = await fs.promises.opendir(dir);
+        } catch (e) {
+            ctx.errors++;
+            return;
+        }
+        for await (const ent of handle) {
+            if (isAborted()) break;
+            const full = path.join(dir, ent.name);
+            if (ent.isDirectory()) {
+                if (!SKIP_DIRS.has(ent.name)) await walk(full);
+                continue;
+            }
+            if (!ent.isFile()) continue;
+            if (exts && !exts.includes(path.extname(ent.name).toLowerCase())) continue;
+            let st;
+            try {
+                st = await fs.promises.lstat(full);
+            } catch (e) {
+                continue;
+            }
+            if (st.size < minSize) continue;
+            const inode = `${st.dev}:${st.ino}`;
+            if (seen.has(inode)) continue;
+            seen.add(inode);
+            add({ path: full, size: st.size, mtime: st.mtimeMs });
+            progress('walk', ctx.files, 0, dir);
+        }
+    };
+    if (opts.files) {
+        for (const f of opts.files) add({ path: f.path, size: f.size, mtime: f.mtime });
+    } else {
+        for (const root of tops) {
+            if (isAborted()) break;
+            await walk(root);
+        }
+    }
+
+    // 2. 앞/뒤 조각 해시 → 3. 전체 해시
+    const narrow = async (groups, phase, hashFn) => {
+        const total = groups.reduce((n, g) => n + g.length, 0);
+        let done = 0;
+        const out = [];
+        for (const group of groups) {
+            const byHash = new Map();
+            for (const f of group) {
+                if (isAborted()) return out;
+                try {
+                    const h = await hashFn(f);
+                    if (!byHash.has(h)) byHash.set(h, []);
+                    byHash.get(h).push(f);
+                    f.hash = h;
+                } catch (e) {
+                    ctx.errors++;
+                }
+                progress(phase, ++done, total, f.path);
+            }
+            for (const g of byHash.values()) if (g.length > 1) out.push(g);
+        }
+        return out;
+    };
+    const sameSize = [...bySize.values()].filter(g => g.length > 1);
+    const samePartial = await narrow(sameSize, 'partial', f => partialHash(f.path, f.size));
+    // 조각이 파일 전체였으면 그 해시가 곧 전체 해시
+    const needFull = samePartial.filter(g => g[0].size > PARTIAL_BYTES * 2);
+    const exact = samePartial.filter(g => g[0].size <= PARTIAL_BYTES * 2);
+    exact.push(...await narrow(needFull, 'full', f => fullHash(f.path)));
+
+    const groups = exact.map(files => ({ kind: 'exact', hash: files[0].hash, size: files[0].size, files }));
+
+    // 4. 비슷한 이미지 — 정확히 같은 사본들은 대표 하나로 비교하고, 묶이면 그룹째 합침
+    if (opts.images && pngs.length > 1 && !isAborted()) {
+        const exactOf = new Map();
+        groups.forEach(g => g.files.forEach(f => exactOf.set(f.path, g)));
+        const reps = [];
+        let done = 0;
+        for (const f of pngs) {
+            if (isAborted()) break;
+            const g = exactOf.get(f.path);
+            if (!g || g.files[0] === f) {
+                try {
+                    const buf = await fs.promises.readFile(f.path);
+                    const dhash = pngDHash(buf);
+                    if (dhash) reps.push({ file: f, dhash, group: g || null });
+                } catch (e) {
+                    ctx.errors++;
+                }
+            }
+            progress('image', ++done, pngs.length, f.path);
+        }
+        // union-find
+        const parent = reps.map((_, i) => i);
+        const findRoot = i => (parent[i] === i ? i : (parent[i] = findRoot(parent[i])));
+        for (let i = 0; i < reps.length; i++) {
+            for (let j = i + 1; j < reps.length; j++) {
+                if (hammingHex(reps[i].dhash, reps[j].dhash) > threshold) continue;
+                const a = findRoot(i), b = findRoot(j);
+                if (a !== b) parent[b] = a;
+            }
+        }
+        const clusters = new Map();
+        reps.forEach((r, i) => {
+            const root = findRoot(i);
+            if (!clusters.has(root)) clusters.set(root, []);
+            clusters.get(root).push(r);
+        });
+        const merged = new Set();
+        for (const members of clusters.values()) {
+            if (members.length < 2) continue;
+            let distance = 0;
+            for (let i = 0; i < members.length; i++) {
+                for (let j = i + 1; j < members.length; j++) distance = Math.max(distance, hammingHex(members[i].dhash, members[j].dhash));
+            }
+            const files = [];
+            for (const m of members) {
+                if (m.group) {
+                    merged.add(m.group);
+                    files.push(...m.group.files);
+                } else {
+                    files.push(m.file);
+                }
+            }
+            for (const m of members) for (const f of (m.group ? m.group.files : [m.file])) f.dhash = m.dhash;
+            groups.push({ kind: 'similar', distance, files });
+        }
+        for (let i = groups.length - 1; i >= 0; i--) if (merged.has(groups[i])) groups.splice(i, 1);
+    }
+
+    for (const g of groups) {
+        g.files.sort((a, b) => a.path.localeCompare(b.path));
+        g.keep = suggestKeep(g.files);
+        g.wasted = g.files.reduce((n, f, i) => n + (i === g.keep ? 0 : f.size), 0);
+    }
+    groups.sort((a, b) => b.wasted - a.wasted);
+    return {
+        groups,
+        files: ctx.files,
+        bytes: ctx.bytes,
+        wasted: groups.reduce((n, g) => n + g.wasted, 0),
+        errors: ctx.errors,
+        aborted: isAborted(),
+    };
+}
+
+// ===== 작업 =====
+
+function jobSummary(job, withResult) {
+    return {
+        id: job.id,
+        roots: job.roots,
+        options: job.options,
+        status: job.status,
+        progress: job.progress,
+        error: job.error,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        durationMs: (job.finishedAt || Date.now()) - job.startedAt,
+        result: withResult ? job.result : undefined,
+    };
+}
+
+/**
+ * 중복 찾기 작업을 시작합니다 (하나씩만).
+ * @param {string[]} roots
+ * @param {object} options find() 의 opts 중 kind, minSize, images, threshold
+ */
+function start(roots, options = {}) {
+    if ([...jobs.values()].some(j => j.status === 'running')) throw new Error('이미 중복 찾기가 진행 중입니다');
+    if (!roots.length) throw new Error('찾을 폴더가 없습니다');
+    const opts = { kind: options.kind || 'all', minSize: Number(options.minSize) || 1, images: !!options.images, threshold: options.threshold != null ? Number(options.threshold) : DEFAULT_THRESHOLD };
+    if (KIND_EXTS[opts.kind] === undefined) throw new Error(`알 수 없는 종류: ${opts.kind}`);
+    const job = {
+        id: String(++counter),
+        roots,
+        options: opts,
+        status: 'running',
+        progress: { phase: 'walk', done: 0, total: 0, files: 0, current: '' },
+        error: null,
+        cancelled: false,
+        startedAt: Date.now(),
+        finishedAt: null,
+        result: null,
+    };
+    jobs.set(job.id, job);
+    const ids = [...jobs.keys()];
+    for (const id of ids.slice(0, Math.max(0, ids.length - MAX_JOBS))) jobs.delete(id);
+
+    find(roots, { ...opts, isAborted: () => job.cancelled, onProgress: p => { job.progress = p; } })
+        .then(result => {
+            job.result = result;
+            job.status = job.cancelled ? 'cancelled' : 'done';
+        })
+        .catch(err => {
+            job.error = err.message;
+            job.status = 'error';
+        })
+        .finally(() => {
+            job.finishedAt = Date.now();
+        });
+    return jobSummary(job, false);
+}
+
+/**
+ * @param {string} [id] 없으면 가장 최근 작업
+ */
+function get(id) {
+    const job = id ? jobs.get(String(id)) : [...jobs.values()].pop();
+    return job ? jobSummary(job, true) : null;
+}
+
+function cancel(id) {
+    const job = jobs.get(String(id));
+    if (!job) throw new Error('작업을 찾을 수 없습니다');
+    job.cancelled = true;
+    return jobSummary(job, false);
+}
+
+/**
+ * 그룹 번호/남길 파일 번호로 실제 경로를 고릅니다. 정확히 같은 그룹은 지우기 직전에 내용을 다시 확인합니다.
+ * @returns {Promise<{ keep: object, remove: object[] }>}
+ */
+async function plan(id, groupIndex, keepIndex) {
+    const job = jobs.get(String(id));
+    if (!job || !job.result) throw new Error('끝난 작업을 찾을 수 없습니다');
+    const group = job.result.groups[groupIndex];
+    if (!group) throw new Error('그룹을 찾을 수 없습니다');
+    const keep = group.files[keepIndex];
+    if (!keep) throw new Error('남길 파일을 고르세요');
+    if (!fs.existsSync(keep.path)) throw new Error(`남길 파일이 없습니다: ${keep.path}`);
+    const remove = group.files.filter((f, i) => i !== keepIndex && !f.removed);
+    if (group.kind === 'exact') {
+        if ((await fullHash(keep.path)) !== group.hash) throw new Error(`남길 파일이 바뀌었습니다: ${keep.path}`);
+        for (const f of remove) {
+            if ((await fullHash(f.path).catch(() => null)) !== group.hash) throw new Error(`파일이 바뀌었습니다 — 다시 찾아 주세요: ${f.path}`);
+        }
+    }
+    return { group, keep, remove };
+}
+
+// 지운 파일 표시 (다시 찾지 않고 목록만 고침)
+function markRemoved(id, groupIndex, keepIndex, paths) {
+    const job = jobs.get(String(id));
+    const group = job && job.result && job.result.groups[groupIndex];
+    if (!group) return;
+    for (const f of group.files) if (paths.includes(f.path)) f.removed = true;
+    group.keep = keepIndex;
+    const before = group.wasted;
+    group.wasted = group.files.reduce((n, f, i) => n + (i === group.keep || f.removed ? 0 : f.size), 0);
+    group.resolved = group.files.filter(f => !f.removed).length <= 1;
+    job.result.wasted -= before - group.wasted;
+}
+
+module.exports = {
+    KIND_EXTS,
+    find,
+    pngDHash,
+    start,
+    get,
+    cancel,
+    plan,
+    markRemoved,
+};
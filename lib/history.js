@@ -0,0 +1,209 @@
+// TermuxFM 편집 히스토리 (디스크 저장)
+// 파일이 덮어써지기 직전 내용을 ~/.st-filemanager/history 에 보관합니다.
+//   objects/<해시 앞 2자리>/<sha256>.gz  — 내용 주소 방식, gzip 압축 (같은 내용은 한 번만 저장)
+//   files/<sha1(경로)>.json              — { path, versions: [{ hash, timestamp, size, source }] }
+// 재시작(/restart, /update)해도 되돌리기 기록이 남습니다.
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { statePath, ensureDir, loadJson, saveJson } = require('./store');
+
+const HISTORY_DIR = statePath('history');
+const OBJECTS_DIR = path.join(HISTORY_DIR, 'objects');
+const FILES_DIR = path.join(HISTORY_DIR, 'files');
+
+const MAX_HISTORY_PER_FILE = 30; // 파일당 최대 버전 수
+const MAX_TOTAL_BYTES = 200 * 1024 * 1024; // 전체 저장소 최대 크기 (압축 후)
+const MAX_AGE_MS = 90 * 24 * 3600 * 1000; // 90일 지난 버전은 정리
+const MAX_SNAPSHOT_SIZE = 5 * 1024 * 1024; // 이보다 큰 파일은 히스토리에 남기지 않음
+
+function indexFile(filePath) {
+    const key = crypto.createHash('sha1').update(filePath).digest('hex');
+    return path.join(FILES_DIR, `${key}.json`);
+}
+
+function objectFile(hash) {
+    return path.join(OBJECTS_DIR, hash.slice(0, 2), `${hash}.gz`);
+}
+
+function loadIndex(filePath) {
+    const idx = loadJson(indexFile(filePath), null);
+    return idx && idx.path === filePath ? idx : { path: filePath, versions: [] };
+}
+
+function saveIndex(idx) {
+    const file = indexFile(idx.path);
+    if (idx.versions.length === 0) {
+        try { fs.unlinkSync(file); } catch (e) {}
+        return;
+    }
+    saveJson(file, idx);
+}
+
+function isBinary(buf) {
+    return buf.subarray(0, 8000).includes(0);
+}
+
+/**
+ * 내용을 새 버전으로 기록합니다. 직전 버전과 같으면 건너뜁니다.
+ * @param {string} filePath 절대 경로
+ * @param {Buffer|string} content
+ * @param {string} source 'write' | 'upload' | 'move' | 'copy' | 'restore' ...
+ */
+function push(filePath, content, source = 'write') {
+    const buf = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf-8');
+    if (buf.length > MAX_SNAPSHOT_SIZE) return false;
+    const hash = crypto.createHash('sha256').update(buf).digest('hex');
+    const idx = loadIndex(filePath);
+    const last = idx.versions[idx.versions.length - 1];
+    if (last && last.hash === hash) return false;
+
+    const obj = objectFile(hash);
+    if (!fs.existsSync(obj)) {
+        ensureDir(path.dirname(obj));
+        const tmp = `${obj}.${process.pid}.tmp`;
+        fs.writeFileSync(tmp, zlib.gzipSync(buf));
+        fs.renameSync(tmp, obj);
+    }
+    idx.versions.push({ hash, timestamp: Date.now(), size: buf.length, source });
+    // 오래된 항목 제거
+    if (idx.versions.length > MAX_HISTORY_PER_FILE) {
+        idx.versions.splice(0, idx.versions.length - MAX_HISTORY_PER_FILE);
+    }
+    saveIndex(idx);
+    schedulePrune();
+    return true;
+}
+
+/**
+ * 파일이 덮어써지기 전에 현재 내용을 기록합니다. 없는 파일/디렉토리/큰 파일은 무시.
+ */
+function snapshot(filePath, source) {
+    try {
+        const stat = fs.statSync(filePath);
+        if (!stat.isFile() || stat.size > MAX_SNAPSHOT_SIZE) return false;
+        return push(filePath, fs.readFileSync(filePath), source);
+    } catch (e) {
+        return false;
+    }
+}
+
+function list(filePath) {
+    return loadIndex(filePath).versions;
+}
+
+function read(filePath, index) {
+    const v = loadIndex(filePath).versions[index];
+    if (!v) return null;
+    const content = zlib.gunzipSync(fs.readFileSync(objectFile(v.hash)));
+    return { ...v, content, binary: isBinary(content) };
+}
+
+/**
+ * 이름 변경/이동 시 히스토리도 새 경로로 옮깁니다. 디렉토리면 하위 파일 전부.
+ */
+function rename(fromPath, toPath) {
+    const moveOne = (from, to) => {
+        const src = loadIndex(from);
+        if (!src.versions.length) return;
+        const dest = loadIndex(to);
+        dest.versions = [...dest.versions, ...src.versions]
+            .sort((a, b) => a.timestamp - b.timestamp)
+            .slice(-MAX_HISTORY_PER_FILE);
+        saveIndex(dest);
+        saveIndex({ path: from, versions: [] });
+    };
+    const prefix = fromPath + path.sep;
+    for (const idx of allIndexes()) {
+        if (idx.path === fromPath) moveOne(fromPath, toPath);
+        else if (idx.path.startsWith(prefix)) moveOne(idx.path, path.join(toPath, idx.path.slice(prefix.length)));
+    }
+}
+
+function allIndexes() {
+    let names = [];
+    try { names = fs.readdirSync(FILES_DIR).filter(n => n.endsWith('.json')); } catch (e) {}
+    return names.map(n => loadJson(path.join(FILES_DIR, n), null)).filter(i => i && i.path && Array.isArray(i.versions));
+}
+
+// ===== 보존 정책: 기간 → 전체 용량 → 참조 없는 객체 삭제 =====
+let pruneTimer = null;
+function schedulePrune() {
+    if (pruneTimer) return;
+    pruneTimer = setTimeout(() => {
+        pruneTimer = null;
+        try { prune(); } catch (e) { console.error(`[history] 정리 실패: ${e.message}`); }
+    }, 5000);
+    if (pruneTimer.unref) pruneTimer.unref();
+}
+
+function prune() {
+    const now = Date.now();
+    const indexes = allIndexes();
+    for (const idx of indexes) {
+        const kept = idx.versions.filter(v => now - v.timestamp < MAX_AGE_MS);
+        if (kept.length !== idx.versions.length) {
+            idx.versions = kept;
+            saveIndex(idx);
+        }
+    }
+
+    // 객체 크기 수집
+    const objects = new Map(); // hash -> bytes on disk
+    let total = 0;
+    let dirs = [];
+    try { dirs = fs.readdirSync(OBJECTS_DIR); } catch (e) {}
+    for (const d of dirs) {
+        let files = [];
+        try { files = fs.readdirSync(path.join(OBJECTS_DIR, d)); } catch (e) { continue; }
+        for (const f of files) {
+            if (!f.endsWith('.gz')) continue;
+            try {
+                const size = fs.statSync(path.join(OBJECTS_DIR, d, f)).size;
+                objects.set(f.slice(0, -3), size);
+                total += size;
+            } catch (e) {}
+        }
+    }
+
+    // 용량 초과 시 가장 오래된 버전부터 제거
+    if (total > MAX_TOTAL_BYTES) {
+        const all = [];
+        for (const idx of indexes) for (const v of idx.versions) all.push({ idx, v });
+        all.sort((a, b) => a.v.timestamp - b.v.timestamp);
+        const refCount = new Map();
+        for (const { v } of all) refCount.set(v.hash, (refCount.get(v.hash) || 0) + 1);
+        const touched = new Set();
+        for (const { idx, v } of all) {
+            if (total <= MAX_TOTAL_BYTES) break;
+            idx.versions = idx.versions.filter(x => x !== v);
+            touched.add(idx);
+            const left = refCount.get(v.hash) - 1;
+            refCount.set(v.hash, left);
+            if (left === 0) total -= objects.get(v.hash) || 0;
+        }
+        for (const idx of touched) saveIndex(idx);
+    }
+
+    // 어떤 버전도 참조하지 않는 객체 삭제
+    const referenced = new Set();
+    for (const idx of indexes) for (const v of idx.versions) referenced.add(v.hash);
+    for (const hash of objects.keys()) {
+        if (!referenced.has(hash)) {
+            try { fs.unlinkSync(objectFile(hash)); } catch (e) {}
+        }
+    }
+}
+
+module.exports = {
+    MAX_HISTORY_PER_FILE,
+    MAX_SNAPSHOT_SIZE,
+    push,
+    snapshot,
+    list,
+    read,
+    rename,
+    prune,
+};
@@ -0,0 +1,192 @@
+// TermuxFM 백그라운드 작업 (명령 실행)
+// /terminal/exec 로 들어온 명령을 비동기로 띄우고 작업 ID 로 추적합니다.
+// 출력은 'output' 이벤트로 바로 흘려보내고(SSE), 끝난 작업도 최근 MAX_FINISHED 개는 종료 코드/걸린 시간과 함께 남깁니다.
+// 브라우저 탭을 닫아도 작업은 계속 돌아갑니다 — 멈추려면 signal().
+
+const fs = require('fs');
+const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
+const { StringDecoder } = require('string_decoder');
+
+const OUTPUT_LIMIT = 256 * 1024; // 작업마다 남겨 두는 최근 출력 (문자 수)
+const MAX_FINISHED = 100;
+
+const events = new EventEmitter();
+events.setMaxListeners(0);
+const jobs = new Map();
+let counter = 0;
+
+function findShell() {
+    for (const s of [process.env.SHELL, '/data/data/com.termux/files/usr/bin/bash', '/data/data/com.termux/files/usr/bin/sh', '/bin/bash', '/bin/sh']) {
+        if (s && fs.existsSync(s)) return s;
+    }
+    return 'sh';
+}
+
+function summary(job) {
+    return {
+        id: job.id,
+        command: job.command,
+        cwd: job.cwd,
+        sessionId: job.sessionId,
+        pid: job.pid,
+        status: job.status,
+        exitCode: job.exitCode,
+        signal: job.signal,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        durationMs: (job.finishedAt || Date.now()) - job.startedAt,
+        outputSize: job.outputSize,
+        truncated: job.truncated,
+    };
+}
+
+function prune() {
+    const finished = [...jobs.values()].filter(j => j.status !== 'running');
+    for (const j of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED))) jobs.delete(j.id);
+}
+
+/**
+ * 명령을 셸로 띄웁니다. 자기 프로세스 그룹을 가지므로 signal() 이 자식들까지 한꺼번에 멈춥니다.
+ * @param {string} command
+ * @param {{ cwd: string, env?: object, sessionId?: string }} opts
+ * @returns {object} 작업 요약 (id 등)
+ */
+function run(command, opts) {
+    const id = String(++counter);
+    const proc = spawn(findShell(), ['-c', command], {
+        cwd: opts.cwd,
+        env: opts.env || process.env,
+        stdio: ['ignore', 'pipe', 'pipe'],
+        detached: true,
+    });
+    const job = {
+        id,
+        command,
+        cwd: opts.cwd,
+        sessionId: opts.sessionId || null,
+        pid: proc.pid,
+        proc,
+        status: 'running',
+        exitCode: null,
+        signal: null,
+        startedAt: Date.now(),
+        finishedAt: null,
+        output: '',
+        outputSize: 0,
+        truncated: false,
+    };
+    jobs.set(id, job);
+
+    for (const stream of ['stdout', 'stderr']) {
+        const decoder = new StringDecoder('utf-8');
+        proc[stream].on('data', (chunk) => {
+            const text = decoder.write(chunk);
+            if (!text) return;
+            job.outputSize += chunk.length;
+            job.output += text;
+            if (job.output.length > OUTPUT_LIMIT) {
+                job.output = job.output.slice(-OUTPUT_LIMIT * 3 / 4);
+                job.truncated = true;
+            }
+            events.emit('output', job, stream, text);
+        });
+    }
+
+    const finish = (status, code, signal, error) => {
+        if (job.status !== 'running') return;
+        job.status = status;
+        job.exitCode = code;
+        job.signal = signal || null;
+        job.error = error || null;
+        job.finishedAt = Date.now();
+        job.proc = null;
+        events.emit('exit', job);
+        prune();
+    };
+    proc.on('error', (err) => finish('failed', null, null, err.message));
+    // 'exit' 가 아니라 'close' — 남은 출력을 다 받은 뒤에 끝난 것으로 침
+    proc.on('close', (code, signal) => finish(job.killedBy ? 'killed' : code === 0 ? 'done' : 'failed', code, signal));
+    return summary(job);
+}
+
+/**
+ * 실행 중인 작업의 프로세스 그룹에 시그널을 보냅니다.
+ */
+function signal(id, sig = 'SIGINT') {
+    const job = jobs.get(String(id));
+    if (!job) throw new Error('작업 없음');
+    if (job.status !== 'running') throw new Error('이미 끝난 작업입니다');
+    if (sig === 'SIGKILL' || sig === 'SIGTERM' || sig === 'SIGINT') job.killedBy = sig;
+    try {
+        process.kill(-job.pid, sig);
+    } catch (e) {
+        job.proc.kill(sig);
+    }
+    return summary(job);
+}
+
+function get(id) {
+    const job = jobs.get(String(id));
+    return job ? summary(job) : null;
+}
+
+function output(id) {
+    const job = jobs.get(String(id));
+    return job ? job.output : null;
+}
+
+/**
+ * @param {{ sessionId?: string }} [filter]
+ */
+function list(filter = {}) {
+    return [...jobs.values()]
+        .filter(j => !filter.sessionId || j.sessionId === filter.sessionId)
+        .map(summary)
+        .reverse();
+}
+
+// 끝난 작업 기록 지우기
+function clearFinished() {
+    let n = 0;
+    for (const [id, j] of jobs) {
+        if (j.status !== 'running') {
+            jobs.delete(id);
+            n++;
+        }
+    }
+    return n;
+}
+
+/**
+ * 작업이 끝날 때까지 기다립니다 (서버를 막지 않음).
+ * @returns {Promise<object>} 작업 요약. timeoutMs 가 지나면 아직 running 인 요약
+ */
+function wait(id, timeoutMs) {
+    const job = jobs.get(String(id));
+    if (!job || job.status !== 'running') return Promise.resolve(job ? summary(job) : null);
+    return new Promise((resolve) => {
+        const onExit = (j) => {
+            if (j !== job) return;
+            clearTimeout(timer);
+            events.off('exit', onExit);
+            resolve(summary(job));
+        };
+        const timer = setTimeout(() => {
+            events.off('exit', onExit);
+            resolve(summary(job));
+        }, timeoutMs);
+        events.on('exit', onExit);
+    });
+}
+
+module.exports = {
+    events,
+    run,
+    signal,
+    get,
+    output,
+    list,
+    clearFinished,
+    wait,
+};
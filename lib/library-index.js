@@ -0,0 +1,365 @@
+// 채팅 도서관 색인
+// 데이터 경로들의 폴더 목록(이름, 폴더 여부, .jsonl 크기/수정 시각)을 폴더별로 캐시하고 파일(~/.chat-library-index.json)에 남깁니다.
+// 요청마다 전체를 다시 훑지 않고, fs.watch 가 알려 준 폴더와 수정 시각이 바뀐 폴더만 다시 읽습니다.
+// 캐릭터/채팅/이미지 목록은 캐시된 폴더 목록에서 다시 만들고, 비싼 아바타 이름 맞추기는 후보가 그대로면 재사용합니다.
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+const VERSION = 1;
+const VALIDATE_MS = 5000; // 이 간격마다 폴더 수정 시각 확인 (감시가 안 되는 저장소 대비)
+const SETTLE_MS = 2000; // FAT/sdcardfs 의 수정 시각은 2초 단위 — 막 바뀐 폴더는 한 번 더 읽음
+const SAVE_DELAY_MS = 2000;
+const MAX_WATCHERS = 4000;
+const IMAGE_RE = /\.(png|jpg|jpeg|webp|gif)$/i;
+const NOT_CHAT_DIRS = ['images', 'thumbnails', 'characters', 'User Avatars'];
+
+const state = {
+    roots: [],
+    file: null,
+    listings: {}, // 폴더 → { mtime, readAt, missing?, entries: [{ name, dir, size?, mtime? }] }
+    used: new Set(), // 마지막으로 목록을 만들 때 읽은 폴더들
+    watchers: new Map(),
+    avatarMemo: null, // { sig, avatars }
+    derived: null, // { characters, allImages, chats: Map }
+    stale: true,
+    validatedAt: 0,
+    builtAt: 0,
+    buildMs: 0,
+    saveTimer: null,
+};
+
+function norm(s) {
+    return s.toLowerCase().replace(/[''"`]/g, '').replace(/\s+/g, '').replace(/[_\-.]/g, '').replace(/[^a-z0-9가-힣ㄱ-ㅎㅏ-ㅣ]/g, '');
+}
+
+function readListing(dir) {
+    let st;
+    try {
+        st = fs.statSync(dir);
+    } catch (e) {
+        return { mtime: 0, readAt: Date.now(), missing: true, entries: [] };
+    }
+    if (!st.isDirectory()) return { mtime: st.mtimeMs, readAt: Date.now(), missing: true, entries: [] };
+    let ents = [];
+    try { ents = fs.readdirSync(dir, { withFileTypes: true }); } catch (e) {}
+    const entries = [];
+    for (const ent of ents) {
+        const full = path.join(dir, ent.name);
+        let isDir = ent.isDirectory();
+        let s = null;
+        try {
+            // 심볼릭 링크는 가리키는 대상 기준 (깨진 링크는 버림)
+            if (ent.isSymbolicLink()) {
+                s = fs.statSync(full);
+                isDir = s.isDirectory();
+            }
+            const e = { name: ent.name, dir: isDir };
+            if (!isDir && ent.name.endsWith('.jsonl')) {
+                s = s || fs.statSync(full);
+                e.size = s.size;
+                e.mtime = s.mtimeMs;
+            }
+            entries.push(e);
+        } catch (err) {}
+    }
+    return { mtime: st.mtimeMs, readAt: Date.now(), entries };
+}
+
+function ls(dir) {
+    state.used.add(dir);
+    if (!state.listings[dir]) state.listings[dir] = readListing(dir);
+    return state.listings[dir];
+}
+
+function childDir(dir, name) {
+    if (!dir) return null;
+    return ls(dir).entries.some(e => e.dir && e.name === name) ? path.join(dir, name) : null;
+}
+
+// 아바타 후보(찾은 순서)마다 이름이 비슷한 캐릭터에 붙임 — 먼저 맞은 것이 이김
+function matchAvatars(names, candidates) {
+    const avatars = {};
+    const normed = names.map(n => [n, norm(n)]);
+    for (const fp of candidates) {
+        const bn = norm(path.basename(fp).replace(IMAGE_RE, ''));
+        for (const [cn, cnn] of normed) {
+            if (avatars[cn]) continue;
+            if (bn === cnn || (cnn.length >= 2 && bn.includes(cnn)) || (bn.length >= 2 && cnn.includes(bn))) avatars[cn] = fp;
+        }
+    }
+    return avatars;
+}
+
+// 캐시된 폴더 목록으로 캐릭터/채팅/이미지 목록을 만듦 (없는 폴더만 새로 읽음)
+function build() {
+    const started = Date.now();
+    state.used = new Set();
+    const characters = {};
+    const allImages = [];
+    const candidates = [];
+    const char = name => characters[name] || (characters[name] = { chats: [], avatar: null, images: [] });
+
+    const addChats = (chatsDir) => {
+        for (const e of ls(chatsDir).entries) {
+            if (!e.dir) continue;
+            const cp = path.join(chatsDir, e.name);
+            const c = char(e.name);
+            for (const f of ls(cp).entries) {
+                if (f.dir || f.size == null) continue;
+                c.chats.push({ name: f.name.replace('.jsonl', ''), file: f.name, path: path.join(cp, f.name), size: f.size, modified: new Date(f.mtime).toISOString() });
+            }
+        }
+    };
+    const addImagesByChar = (imagesDir) => {
+        for (const e of ls(imagesDir).entries) {
+            const fp = path.join(imagesDir, e.name);
+            if (e.dir) {
+                const c = char(e.name);
+                for (const f of ls(fp).entries) {
+                    if (f.dir || !IMAGE_RE.test(f.name)) continue;
+                    const ip = path.join(fp, f.name);
+                    allImages.push({ name: f.name, path: ip, char: e.name, dir: e.name });
+                    c.images.push({ name: f.name, path: ip });
+                }
+            } else if (IMAGE_RE.test(e.name)) {
+                allImages.push({ name: e.name, path: fp, char: '', dir: '' });
+            }
+        }
+    };
+    const addUserImages = (dir, prefix) => {
+        for (const e of ls(dir).entries) {
+            const fp = path.join(dir, e.name);
+            if (e.dir) addUserImages(fp, prefix ? `${prefix}/${e.name}` : e.name);
+            else if (IMAGE_RE.test(e.name)) {
+                allImages.push({ name: e.name, path: fp, dir: prefix || '' });
+                candidates.push(fp);
+            }
+        }
+    };
+
+    for (const root of state.roots) {
+        const chatsDir = childDir(root, 'chats');
+        if (chatsDir) addChats(chatsDir);
+        const imagesDir = childDir(root, 'images');
+        if (imagesDir) addImagesByChar(imagesDir);
+        for (const d of ['characters', 'thumbnails']) {
+            const dir = childDir(root, d);
+            if (!dir) continue;
+            for (const e of ls(dir).entries) {
+                if (!e.dir && IMAGE_RE.test(e.name)) candidates.push(path.join(dir, e.name));
+            }
+        }
+        const userImages = childDir(childDir(root, 'user'), 'images');
+        if (userImages) addUserImages(userImages, '');
+        // chats/ 없이 캐릭터 폴더가 바로 있는 백업
+        if (!chatsDir) {
+            for (const e of ls(root).entries) {
+                if (!e.dir || NOT_CHAT_DIRS.includes(e.name)) continue;
+                if (ls(path.join(root, e.name)).entries.some(f => f.name.endsWith('.jsonl'))) {
+                    addChats(root);
+                    break;
+                }
+            }
+        }
+    }
+
+    const names = Object.keys(characters);
+    const sig = crypto.createHash('sha1').update(JSON.stringify([names, candidates])).digest('hex');
+    if (!state.avatarMemo || state.avatarMemo.sig !== sig) state.avatarMemo = { sig, avatars: matchAvatars(names, candidates) };
+    for (const [cn, fp] of Object.entries(state.avatarMemo.avatars)) {
+        if (characters[cn]) characters[cn].avatar = fp;
+    }
+    // 2차 아바타: images/캐릭터명/ 첫 이미지
+    for (const root of state.roots) {
+        const imagesDir = childDir(root, 'images');
+        if (!imagesDir) continue;
+        for (const e of ls(imagesDir).entries) {
+            if (!e.dir || !characters[e.name] || characters[e.name].avatar) continue;
+            const first = ls(path.join(imagesDir, e.name)).entries.find(f => IMAGE_RE.test(f.name));
+            if (first) characters[e.name].avatar = path.join(imagesDir, e.name, first.name);
+        }
+    }
+
+    const chats = new Map();
+    for (const [cn, c] of Object.entries(characters)) {
+        for (const chat of c.chats) {
+            const key = `${cn}\n${chat.file}`;
+            if (!chats.has(key)) chats.set(key, chat);
+        }
+    }
+    // 이번에 안 쓴 폴더(지워진 캐릭터 등)는 캐시와 감시에서 뺌
+    for (const dir of Object.keys(state.listings)) {
+        if (!state.used.has(dir)) delete state.listings[dir];
+    }
+    syncWatchers();
+    state.derived = { characters, allImages, chats };
+    state.stale = false;
+    state.builtAt = Date.now();
+    state.buildMs = Date.now() - started;
+    scheduleSave();
+}
+
+function invalidate(dir) {
+    delete state.listings[dir];
+    state.stale = true;
+}
+
+function syncWatchers() {
+    for (const [dir, w] of state.watchers) {
+        if (!state.used.has(dir)) {
+            w.close();
+            state.watchers.delete(dir);
+        }
+    }
+    for (const dir of state.used) {
+        if (state.watchers.has(dir) || state.watchers.size >= MAX_WATCHERS || state.listings[dir].missing) continue;
+        try {
+            const w = fs.watch(dir, { persistent: false }, () => invalidate(dir));
+            // 폴더가 지워지는 등 감시가 끊기면 수정 시각 확인으로 돌아감
+            w.on('error', () => {
+                w.close();
+                state.watchers.delete(dir);
+                invalidate(dir);
+            });
+            state.watchers.set(dir, w);
+        } catch (e) {}
+    }
+}
+
+// 폴더 수정 시각이 바뀌었거나, 감시가 안 되는 채팅 폴더(.jsonl 크기는 폴더 시각에 안 드러남)면 다시 읽어 비교
+function validate() {
+    for (const dir of state.used) {
+        const old = state.listings[dir];
+        if (!old) {
+            state.stale = true;
+            continue;
+        }
+        let mtime = 0;
+        try { mtime = fs.statSync(dir).mtimeMs; } catch (e) {}
+        const unsettled = old.readAt - old.mtime < SETTLE_MS;
+        const unwatchedChats = !state.watchers.has(dir) && old.entries.some(e => e.size != null);
+        if (mtime === old.mtime && !unsettled && !unwatchedChats) continue;
+        const fresh = readListing(dir);
+        if (!!fresh.missing !== !!old.missing || JSON.stringify(fresh.entries) !== JSON.stringify(old.entries)) state.stale = true;
+        state.listings[dir] = fresh;
+    }
+    state.validatedAt = Date.now();
+}
+
+function scheduleSave() {
+    if (!state.file || state.saveTimer) return;
+    state.saveTimer = setTimeout(() => {
+        state.saveTimer = null;
+        save();
+    }, SAVE_DELAY_MS);
+    state.saveTimer.unref();
+}
+
+function save() {
+    if (!state.file) return;
+    const tmp = `${state.file}.${process.pid}.tmp`;
+    try {
+        fs.writeFileSync(tmp, JSON.stringify({ version: VERSION, roots: state.roots, listings: state.listings, avatarMemo: state.avatarMemo, savedAt: Date.now() }), 'utf-8');
+        fs.renameSync(tmp, state.file);
+    } catch (e) {
+        try { fs.unlinkSync(tmp); } catch (er) {}
+        console.error(`  ⚠️ 색인 저장 실패: ${e.message}`);
+    }
+}
+
+/**
+ * 색인을 엽니다. 저장된 색인이 같은 경로들 것이면 폴더 목록을 이어 쓰고, 첫 요청 때 바뀐 폴더만 다시 읽습니다.
+ * @param {string[]} roots 데이터 경로들
+ * @param {string} [file] 색인 파일 경로
+ */
+function open(roots, file) {
+    state.roots = roots.map(r => path.resolve(r));
+    state.file = file || null;
+    let saved = null;
+    try {
+        if (file && fs.existsSync(file)) saved = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (e) {}
+    if (saved && saved.version === VERSION && JSON.stringify(saved.roots) === JSON.stringify(state.roots)) {
+        state.listings = saved.listings || {};
+        state.avatarMemo = saved.avatarMemo || null;
+        state.used = new Set(Object.keys(state.listings));
+    }
+    state.stale = true;
+    state.validatedAt = 0;
+}
+
+/**
+ * 바뀐 곳만 반영합니다. force 면 확인 간격을 기다리지 않음
+ */
+function refresh(force) {
+    if (force || Date.now() - state.validatedAt >= VALIDATE_MS) validate();
+    if (state.stale || !state.derived) build();
+    return state.derived;
+}
+
+/**
+ * @returns {{ characters: object, allImages: object[] }} scan 결과 (캐릭터별 chats/images/avatar)
+ */
+function get() {
+    const d = refresh(false);
+    return { characters: d.characters, allImages: d.allImages };
+}
+
+/**
+ * 채팅 하나를 이름으로 바로 찾습니다. 색인에 없거나 파일이 사라졌으면 한 번 다시 확인
+ * @returns {{ chat: object, character: object }|null}
+ */
+function findChat(char, file) {
+    const lookup = () => {
+        const d = state.derived;
+        const chat = d && d.chats.get(`${char}\n${file}`);
+        return chat ? { chat, character: d.characters[char] } : null;
+    };
+    if (!state.derived || state.stale) refresh(false);
+    let hit = lookup();
+    if (!hit || !fs.existsSync(hit.chat.path)) {
+        refresh(true);
+        hit = lookup();
+    }
+    return hit;
+}
+
+/**
+ * 캐시를 버리고 처음부터 다시 만듭니다 (/api/reindex).
+ */
+function reindex() {
+    for (const w of state.watchers.values()) w.close();
+    state.watchers.clear();
+    state.listings = {};
+    state.avatarMemo = null;
+    state.derived = null;
+    state.validatedAt = Date.now();
+    build();
+    return stats();
+}
+
+function stats() {
+    const d = state.derived;
+    return {
+        characters: d ? Object.keys(d.characters).length : 0,
+        chats: d ? d.chats.size : 0,
+        images: d ? d.allImages.length : 0,
+        dirs: state.used.size,
+        watched: state.watchers.size,
+        builtAt: state.builtAt,
+        buildMs: state.buildMs,
+        validatedAt: state.validatedAt,
+        file: state.file,
+    };
+}
+
+module.exports = {
+    open,
+    get,
+    refresh,
+    findChat,
+    reindex,
+    stats,
+};
@@ -0,0 +1,306 @@
+// TermuxFM 로그 (SillyTavern / 도서관 / 파일매니저)
+// 모든 기록은 ~/.st-filemanager/service-logs/<source>.log 에 쌓이고, 커지면 .1 .2 .3 으로 넘어갑니다.
+//   - st, library: 서비스 관리자(supervisor)가 띄운 프로세스의 stdout/stderr
+//   - fm: 파일매니저 자신의 콘솔 출력 (단독 실행일 때만 start() 에서 process.stdout/stderr 를 가로채 함께 기록.
+//         ST 플러그인으로 돌 때는 ST 의 출력까지 섞이므로 가로채지 않음)
+// 수백 MB 짜리 기록도 전체를 읽지 않도록 끝에서부터 조각(CHUNK)씩 거꾸로 읽고,
+// 실시간 따라가기는 1초마다 크기만 보고 늘어난 부분만 읽습니다 (Android 에서 fs.watch 가 잘 안 됨).
+
+const path = require('path');
+const fs = require('fs');
+const { statePath, ensureDir } = require('./store');
+
+const LOG_DIR = statePath('service-logs');
+const SOURCES = {
+    st: { label: 'SillyTavern', icon: '🎭' },
+    library: { label: '도서관', icon: '📚' },
+    fm: { label: '파일매니저', icon: '📂' },
+};
+
+const LOG_MAX_BYTES = 5 * 1024 * 1024;
+const LOG_KEEP = 3;
+const ROTATE_INTERVAL_MS = 30 * 1000;
+const CHUNK = 64 * 1024;
+const MAX_SCAN_BYTES = 32 * 1024 * 1024; // 한 번 요청에 거꾸로 훑는 최대 크기 — 넘으면 nextBefore 로 이어서
+const MAX_LINE_BYTES = 64 * 1024; // 줄바꿈 없이 계속되는 출력(진행 표시 등)은 잘라서 한 줄로
+const FOLLOW_INTERVAL_MS = 1000;
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+function checkSource(source) {
+    if (!SOURCES[source]) throw new Error(`알 수 없는 로그: ${source}`);
+}
+
+/**
+ * @param {string} source st | library | fm
+ * @param {number} [gen] 0 = 지금 쓰는 파일, 1~3 = 넘긴 파일
+ */
+function logFile(source, gen = 0) {
+    checkSource(source);
+    const g = Math.floor(Number(gen)) || 0;
+    if (g < 0 || g > LOG_KEEP) throw new Error('잘못된 로그 파일 번호');
+    return path.join(LOG_DIR, `${source}.log${g ? `.${g}` : ''}`);
+}
+
+function listFiles(source) {
+    const files = [];
+    for (let gen = 0; gen <= LOG_KEEP; gen++) {
+        const file = logFile(source, gen);
+        try {
+            const st = fs.statSync(file);
+            files.push({ gen, name: path.basename(file), size: st.size, mtime: st.mtimeMs });
+        } catch (e) {}
+    }
+    return files;
+}
+
+function listSources() {
+    return Object.keys(SOURCES).map(name => ({ name, ...SOURCES[name], files: listFiles(name) }));
+}
+
+// 쓰는 쪽(서비스)이 O_APPEND fd 를 계속 쥐고 있으므로 rename 대신 복사 후 비움 (copytruncate)
+function rotate(source) {
+    const file = logFile(source);
+    let size = 0;
+    try { size = fs.statSync(file).size; } catch (e) { return false; }
+    if (size < LOG_MAX_BYTES) return false;
+    for (let i = LOG_KEEP - 1; i >= 1; i--) {
+        try { fs.renameSync(`${file}.${i}`, `${file}.${i + 1}`); } catch (e) {}
+    }
+    try {
+        fs.copyFileSync(file, `${file}.1`);
+        fs.truncateSync(file, 0);
+    } catch (e) {
+        return false;
+    }
+    return true;
+}
+
+function rotateAll() {
+    for (const source of Object.keys(SOURCES)) rotate(source);
+}
+
+// ===== 수준 / 필터 =====
+
+function detectLevel(line) {
+    if (/\berr(or)?\b|ERR!|\bfatal\b|\bexception\b|\buncaught\b|\bfailed\b|실패|오류|❌|^\s+at\s.+:\d+/i.test(line)) return 'error';
+    if (/\bwarn(ing)?\b|⚠/i.test(line)) return 'warn';
+    if (/\b(debug|verbose|trace)\b/i.test(line)) return 'debug';
+    return 'info';
+}
+
+/**
+ * @param {{ level?: string, q?: string, regex?: boolean }} opts level 은 최소 수준 (warn 이면 warn + error)
+ * @returns {(text: string, level: string) => boolean}
+ */
+function makeFilter(opts = {}) {
+    const min = LEVELS.indexOf(opts.level);
+    let match = null;
+    const q = String(opts.q || '');
+    if (q) {
+        if (opts.regex) {
+            let re;
+            try {
+                re = new RegExp(q, 'i');
+            } catch (e) {
+                throw new Error(`잘못된 정규식: ${e.message}`);
+            }
+            match = text => re.test(text);
+        } else {
+            const needle = q.toLowerCase();
+            match = text => text.toLowerCase().includes(needle);
+        }
+    }
+    return (text, level) => (min <= 0 || LEVELS.indexOf(level) >= min) && (!match || match(text));
+}
+
+function toLine(buf, offset) {
+    const text = buf.toString('utf-8').replace(/\r$/, '');
+    return { offset, text, level: detectLevel(text) };
+}
+
+// ===== 거꾸로 읽기 =====
+
+/**
+ * 파일 끝(또는 before 바이트 위치)에서부터 거꾸로 읽으며 필터에 맞는 줄을 limit 개 모읍니다.
+ * @param {string} source
+ * @param {{ gen?: number, before?: number, limit?: number, level?: string, q?: string, regex?: boolean }} [opts]
+ * @returns {{ lines: {offset: number, text: string, level: string}[], nextBefore: number|null, size: number, scanned: number }}
+ *   lines 는 오래된 순. nextBefore 를 before 로 다시 부르면 그 앞부분을 이어서 읽음 (null 이면 파일 처음까지 다 봄)
+ */
+function readLines(source, opts = {}) {
+    const file = logFile(source, opts.gen);
+    const filter = makeFilter(opts);
+    const limit = Math.max(1, Math.min(5000, Math.floor(Number(opts.limit)) || 200));
+    let size = 0;
+    try { size = fs.statSync(file).size; } catch (e) { return { lines: [], nextBefore: null, size: 0, scanned: 0 }; }
+    const end = opts.before != null && opts.before !== '' ? Math.max(0, Math.min(Number(opts.before) || 0, size)) : size;
+
+    const out = [];
+    let pos = end;
+    let carry = Buffer.alloc(0); // 아직 시작을 못 찾은 줄 (pos 바로 뒤에 붙는 바이트)
+    let nextBefore = null;
+    const fd = fs.openSync(file, 'r');
+    try {
+        const take = (buf, offset) => {
+            if (!buf.length) return false;
+            const line = toLine(buf, offset);
+            if (filter(line.text, line.level)) out.push(line);
+            if (out.length >= limit) {
+                nextBefore = offset;
+                return true;
+            }
+            return false;
+        };
+        let done = false;
+        while (pos > 0 && !done) {
+            if (end - pos >= MAX_SCAN_BYTES) {
+                nextBefore = pos + carry.length;
+                break;
+            }
+            const len = Math.min(CHUNK, pos);
+            pos -= len;
+            const buf = Buffer.alloc(len);
+            fs.readSync(fd, buf, 0, len, pos);
+            const data = carry.length ? Buffer.concat([buf, carry]) : buf;
+            let lineEnd = data.length;
+            while (true) {
+                const nl = lineEnd > 0 ? data.lastIndexOf(0x0a, lineEnd - 1) : -1;
+                if (nl === -1) break;
+                if (take(data.subarray(nl + 1, lineEnd), pos + nl + 1)) {
+                    done = true;
+                    break;
+                }
+                lineEnd = nl;
+            }
+            carry = data.subarray(0, lineEnd);
+            if (!done && carry.length > MAX_LINE_BYTES) {
+                done = take(carry.subarray(carry.length - MAX_LINE_BYTES), pos + carry.length - MAX_LINE_BYTES);
+                carry = Buffer.alloc(0);
+            }
+        }
+        // 파일 맨 앞 줄
+        if (!done && pos === 0 && nextBefore === null) take(carry, 0);
+    } finally {
+        fs.closeSync(fd);
+    }
+    if (nextBefore === 0) nextBefore = null;
+    return { lines: out.reverse(), nextBefore, size, scanned: end - pos };
+}
+
+// ===== 실시간 따라가기 =====
+
+/**
+ * 파일에 새로 붙는 줄을 onLines 로 넘깁니다. 파일이 줄어들면(넘김/비움) onReset 후 처음부터.
+ * @param {string} source
+ * @param {{ from?: number, level?: string, q?: string, regex?: boolean }} opts from 이 없으면 지금 끝부터
+ * @param {(lines: object[]) => void} onLines
+ * @param {() => void} [onReset]
+ * @returns {() => void} 멈추는 함수
+ */
+function follow(source, opts, onLines, onReset = () => {}) {
+    const file = logFile(source);
+    const filter = makeFilter(opts);
+    let pos = opts.from;
+    if (pos == null) {
+        try { pos = fs.statSync(file).size; } catch (e) { pos = 0; }
+    }
+    let carry = Buffer.alloc(0);
+    let busy = false;
+    const poll = () => {
+        if (busy) return;
+        busy = true;
+        try {
+            let size = 0;
+            try { size = fs.statSync(file).size; } catch (e) {}
+            if (size < pos) {
+                pos = 0;
+                carry = Buffer.alloc(0);
+                onReset();
+            }
+            if (size <= pos) return;
+            const len = Math.min(size - pos, 1024 * 1024);
+            const buf = Buffer.alloc(len);
+            const fd = fs.openSync(file, 'r');
+            try {
+                fs.readSync(fd, buf, 0, len, pos);
+            } finally {
+                fs.closeSync(fd);
+            }
+            const start = pos - carry.length;
+            const data = carry.length ? Buffer.concat([carry, buf]) : buf;
+            pos += len;
+            const lines = [];
+            let lineStart = 0;
+            let nl;
+            while ((nl = data.indexOf(0x0a, lineStart)) !== -1) {
+                if (nl > lineStart) {
+                    const line = toLine(data.subarray(lineStart, nl), start + lineStart);
+                    if (filter(line.text, line.level)) lines.push(line);
+                }
+                lineStart = nl + 1;
+            }
+            carry = Buffer.from(data.subarray(lineStart));
+            if (carry.length > MAX_LINE_BYTES) {
+                const line = toLine(carry, start + lineStart);
+                if (filter(line.text, line.level)) lines.push(line);
+                carry = Buffer.alloc(0);
+            }
+            if (lines.length) onLines(lines);
+        } catch (e) {
+            // 다음 주기에 다시
+        } finally {
+            busy = false;
+        }
+    };
+    const timer = setInterval(poll, FOLLOW_INTERVAL_MS);
+    return () => clearInterval(timer);
+}
+
+// ===== 파일매니저 자신의 출력 =====
+
+let capturing = false;
+let rotateTimer = null;
+
+/**
+ * 모든 기록의 넘김 검사를 주기적으로 돌리고, capture 면 이 프로세스의 console 출력을 fm.log 에도 씁니다.
+ * @param {{ capture?: boolean }} [opts] capture 는 단독 실행(server-worker.js)일 때만 — 프로세스 전체의 출력을 가로채므로
+ */
+function start({ capture = false } = {}) {
+    if (!rotateTimer) {
+        rotateTimer = setInterval(rotateAll, ROTATE_INTERVAL_MS);
+        rotateTimer.unref();
+    }
+    if (!capture || capturing) return;
+    capturing = true;
+    ensureDir(LOG_DIR);
+    rotate('fm');
+    const stream = fs.createWriteStream(logFile('fm'), { flags: 'a' });
+    stream.on('error', () => {});
+    stream.write(`[${new Date().toISOString()}] [fm] 시작 (PID ${process.pid})\n`);
+    for (const name of ['stdout', 'stderr']) {
+        const target = process[name];
+        const original = target.write.bind(target);
+        target.write = (chunk, encoding, cb) => {
+            try {
+                stream.write(chunk, typeof encoding === 'string' ? encoding : undefined);
+            } catch (e) {}
+            return original(chunk, encoding, cb);
+        };
+    }
+}
+
+module.exports = {
+    SOURCES,
+    LEVELS,
+    LOG_DIR,
+    logFile,
+    listFiles,
+    listSources,
+    rotate,
+    detectLevel,
+    makeFilter,
+    readLines,
+    follow,
+    start,
+};
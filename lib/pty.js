@@ -0,0 +1,205 @@
+// TermuxFM 의사 터미널(PTY)
+// nano, htop, less, 색상, 탭 완성이 되려면 셸이 진짜 터미널에 붙어 있어야 합니다.
+//   1) node-pty 가 설치돼 있으면 그것을 사용 (npm install node-pty — 빌드 도구 필요)
+//   2) 없으면 util-linux `script` 로 PTY 를 만들고, 크기 변경은 `stty -F <pts>` 로 처리
+//   3) 둘 다 없으면 예전처럼 파이프 (색상/전체 화면 프로그램은 안 됨)
+
+const fs = require('fs');
+const path = require('path');
+const { spawn, execFile } = require('child_process');
+const { EventEmitter } = require('events');
+const { StringDecoder } = require('string_decoder');
+
+let nodePty = null;
+try {
+    nodePty = require('node-pty');
+} catch (e) {}
+
+function findExecutable(name) {
+    for (const dir of (process.env.PATH || '').split(':')) {
+        if (!dir) continue;
+        const p = path.join(dir, name);
+        try {
+            fs.accessSync(p, fs.constants.X_OK);
+            return p;
+        } catch (e) {}
+    }
+    return null;
+}
+
+const SCRIPT_BIN = findExecutable('script');
+const STTY_BIN = findExecutable('stty');
+const POSIX_SH = fs.existsSync('/bin/sh') ? '/bin/sh' : (findExecutable('sh') || 'sh');
+
+function shellQuote(s) {
+    return `'${String(s).replace(/'/g, `'\\''`)}'`;
+}
+
+function clampSize(cols, rows) {
+    return {
+        cols: Math.max(2, Math.min(1000, Math.floor(Number(cols)) || 80)),
+        rows: Math.max(1, Math.min(500, Math.floor(Number(rows)) || 24)),
+    };
+}
+
+// /proc 에서 부모가 pid 인 프로세스 (script 가 띄운 셸)
+function childPidOf(pid) {
+    let names = [];
+    try { names = fs.readdirSync('/proc'); } catch (e) { return null; }
+    for (const n of names) {
+        if (!/^\d+$/.test(n)) continue;
+        try {
+            const stat = fs.readFileSync(`/proc/${n}/stat`, 'utf-8');
+            // "pid (comm) state ppid ..." — comm 에 공백/괄호가 있을 수 있어 마지막 ')' 뒤부터 자름
+            const ppid = Number(stat.slice(stat.lastIndexOf(')') + 2).split(' ')[1]);
+            if (ppid === pid) return Number(n);
+        } catch (e) {}
+    }
+    return null;
+}
+
+/**
+ * 백엔드별 프로세스를 같은 모양으로 감쌉니다.
+ * events: 'data' (string), 'exit' (code, signal), 'error'
+ */
+class Pty extends EventEmitter {
+    constructor(backend) {
+        super();
+        this.backend = backend;
+        this.pid = null;
+        this.cols = 80;
+        this.rows = 24;
+    }
+
+    // 셸 프로세스 pid (script 백엔드는 script 의 자식)
+    shellPid() {
+        return this.pid;
+    }
+
+    // 셸의 현재 작업 폴더 — 사용자가 cd 한 곳. /proc 를 못 읽으면 null
+    getCwd() {
+        const pid = this.shellPid();
+        if (!pid) return null;
+        try {
+            return fs.readlinkSync(`/proc/${pid}/cwd`);
+        } catch (e) {
+            return null;
+        }
+    }
+}
+
+function spawnNodePty(file, args, opts) {
+    const t = new Pty('node-pty');
+    const p = nodePty.spawn(file, args, { name: 'xterm-256color', cols: opts.cols, rows: opts.rows, cwd: opts.cwd, env: opts.env });
+    t.pid = p.pid;
+    p.onData((d) => t.emit('data', d));
+    p.onExit(({ exitCode, signal }) => t.emit('exit', exitCode, signal || null));
+    t.write = (d) => p.write(d);
+    t.resize = (cols, rows) => {
+        ({ cols: t.cols, rows: t.rows } = clampSize(cols, rows));
+        try { p.resize(t.cols, t.rows); } catch (e) {}
+    };
+    t.kill = (sig = 'SIGHUP') => {
+        try { p.kill(sig); } catch (e) {}
+    };
+    return t;
+}
+
+function wrapChildProcess(t, proc) {
+    t.pid = proc.pid;
+    const decoder = new StringDecoder('utf-8');
+    const onData = (chunk) => {
+        const text = decoder.write(chunk);
+        if (text) t.emit('data', text);
+    };
+    proc.stdout.on('data', onData);
+    proc.stderr.on('data', onData);
+    proc.on('error', (err) => t.emit('error', err));
+    proc.on('exit', (code, signal) => t.emit('exit', code, signal));
+    t.write = (d) => {
+        if (proc.stdin.writable) proc.stdin.write(d);
+    };
+}
+
+function spawnScript(file, args, opts) {
+    const t = new Pty('script');
+    // script 안에서 먼저 크기를 맞추고 셸로 바꿔치기(exec)
+    const cmd = `stty cols ${opts.cols} rows ${opts.rows} 2>/dev/null; exec ${[file, ...args].map(shellQuote).join(' ')}`;
+    // script 는 $SHELL -c 로 명령을 돌림 — Termux 에는 /bin/sh 가 없으므로 PATH 의 sh 를 지정
+    const proc = spawn(SCRIPT_BIN, ['-qfec', cmd, '/dev/null'], { cwd: opts.cwd, env: { ...opts.env, SHELL: POSIX_SH }, stdio: ['pipe', 'pipe', 'pipe'] });
+    wrapChildProcess(t, proc);
+
+    let tty = null;
+    const findTty = () => {
+        if (tty) return tty;
+        const child = childPidOf(proc.pid);
+        if (!child) return null;
+        try { tty = fs.readlinkSync(`/proc/${child}/fd/0`); } catch (e) {}
+        t.childPid = child;
+        return tty && tty.startsWith('/dev/') ? tty : (tty = null);
+    };
+    t.resize = (cols, rows) => {
+        ({ cols: t.cols, rows: t.rows } = clampSize(cols, rows));
+        const dev = findTty();
+        // 크기를 바꾸면 커널이 포그라운드 프로세스에 SIGWINCH 를 보냄
+        if (dev && STTY_BIN) execFile(STTY_BIN, ['-F', dev, 'cols', String(t.cols), 'rows', String(t.rows)], () => {});
+    };
+    t.shellPid = () => {
+        findTty();
+        return t.childPid || null;
+    };
+    t.kill = (sig = 'SIGHUP') => {
+        findTty();
+        if (t.childPid) {
+            try { process.kill(t.childPid, sig); } catch (e) {}
+        }
+        try { proc.kill(sig); } catch (e) {}
+    };
+    return t;
+}
+
+function spawnPipe(file, _args, opts) {
+    const t = new Pty('pipe');
+    const proc = spawn(file, [], { cwd: opts.cwd, env: { ...opts.env, TERM: 'dumb' }, stdio: ['pipe', 'pipe', 'pipe'], detached: true });
+    wrapChildProcess(t, proc);
+    t.resize = (cols, rows) => {
+        ({ cols: t.cols, rows: t.rows } = clampSize(cols, rows));
+    };
+    t.kill = (sig = 'SIGHUP') => {
+        try { process.kill(-proc.pid, sig); } catch (e) {
+            try { proc.kill(sig); } catch (e2) {}
+        }
+    };
+    return t;
+}
+
+/**
+ * 셸을 PTY 에 붙여 띄웁니다.
+ * @param {string} file 셸 경로
+ * @param {string[]} args
+ * @param {{ cwd: string, env: object, cols?: number, rows?: number }} opts
+ * @returns {Pty} write(data), resize(cols, rows), kill(signal), pid, backend
+ */
+function spawnPty(file, args, opts) {
+    const size = clampSize(opts.cols, opts.rows);
+    const o = { ...opts, ...size, env: { ...opts.env, TERM: 'xterm-256color', COLORTERM: 'truecolor' } };
+    // COLUMNS/LINES 가 환경에 고정돼 있으면 창 크기를 바꿔도 따라가지 않는 프로그램이 있음
+    delete o.env.COLUMNS;
+    delete o.env.LINES;
+    let t;
+    if (nodePty) t = spawnNodePty(file, args, o);
+    else if (SCRIPT_BIN) t = spawnScript(file, args, o);
+    else t = spawnPipe(file, args, o);
+    t.cols = size.cols;
+    t.rows = size.rows;
+    return t;
+}
+
+function backendName() {
+    return nodePty ? 'node-pty' : SCRIPT_BIN ? 'script' : 'pipe';
+}
+
+module.exports = {
+    spawnPty,
+    backendName,
+};
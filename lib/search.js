@@ -0,0 +1,210 @@
+// TermuxFM 파일 내용 검색 (grep)
+// 디렉토리를 비동기로 훑으며 텍스트 파일을 한 줄씩 읽어 찾습니다.
+// 결과는 찾는 즉시 onMatch 로 넘기므로 큰 chats/ 폴더도 이벤트 루프를 막지 않고 스트리밍됩니다.
+
+const path = require('path');
+const fs = require('fs');
+const readline = require('readline');
+
+const DEFAULT_MAX_FILE_SIZE = 50 * 1024 * 1024;
+const DEFAULT_MAX_RESULTS = 500;
+const MAX_MATCHES_PER_FILE = 50;
+const SNIPPET_WIDTH = 240;
+const SKIP_DIRS = new Set(['node_modules', '.git']);
+
+/**
+ * 간단한 glob → RegExp. `**` 는 폴더 경계를 넘고, `*` `?` 는 넘지 않음, `{a,b}` 지원.
+ * 슬래시가 없는 패턴은 파일 이름에, 있는 패턴은 검색 위치 기준 상대 경로에 맞춥니다.
+ */
+function globToRegExp(glob) {
+    let re = '';
+    let inGroup = false;
+    for (let i = 0; i < glob.length; i++) {
+        const c = glob[i];
+        if (c === '*') {
+            if (glob[i + 1] === '*') {
+                re += '.*';
+                i++;
+                if (glob[i + 1] === '/') i++;
+            } else {
+                re += '[^/]*';
+            }
+        } else if (c === '?') re += '[^/]';
+        else if (c === '{') { re += '('; inGroup = true; }
+        else if (c === '}' && inGroup) { re += ')'; inGroup = false; }
+        else if (c === ',' && inGroup) re += '|';
+        else re += c.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+    return new RegExp(`^${re}$`, 'i');
+}
+
+function compileGlobs(list) {
+    const globs = (Array.isArray(list) ? list : String(list || '').split(','))
+        .map(g => g.trim()).filter(Boolean);
+    return globs.map(g => ({ re: globToRegExp(g), full: g.includes('/') }));
+}
+
+function matchesAny(globs, relPath) {
+    const base = relPath.split('/').pop();
+    return globs.some(g => g.re.test(g.full ? relPath : base));
+}
+
+function buildMatcher(query, { regex, caseSensitive }) {
+    const source = regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    try {
+        return new RegExp(source, caseSensitive ? 'g' : 'gi');
+    } catch (err) {
+        throw new Error(`정규식 오류: ${err.message}`);
+    }
+}
+
+// 긴 줄(채팅 .jsonl 한 줄은 수십 KB)은 일치 위치 주변만 잘라서
+function snippet(line, index, length) {
+    if (line.length <= SNIPPET_WIDTH) return { text: line, start: index };
+    const from = Math.max(0, Math.min(index - Math.floor((SNIPPET_WIDTH - length) / 2), line.length - SNIPPET_WIDTH));
+    const text = (from > 0 ? '…' : '') + line.slice(from, from + SNIPPET_WIDTH) + (from + SNIPPET_WIDTH < line.length ? '…' : '');
+    return { text, start: index - from + (from > 0 ? 1 : 0) };
+}
+
+function clip(line) {
+    return line.length > SNIPPET_WIDTH ? line.slice(0, SNIPPET_WIDTH) + '…' : line;
+}
+
+async function isBinaryFile(filePath) {
+    const fh = await fs.promises.open(filePath, 'r');
+    try {
+        const buf = Buffer.alloc(8000);
+        const { bytesRead } = await fh.read(buf, 0, buf.length, 0);
+        return buf.subarray(0, bytesRead).includes(0);
+    } finally {
+        await fh.close();
+    }
+}
+
+async function searchFile(filePath, matcher, opts, emit) {
+    const stream = fs.createReadStream(filePath, { encoding: 'utf-8' });
+    const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    const context = opts.context;
+    const before = [];
+    const pendingAfter = []; // 뒤 문맥을 아직 다 못 채운 결과들
+    let lineNo = 0;
+    let count = 0;
+    try {
+        for await (const line of rl) {
+            lineNo++;
+            if (opts.isAborted()) break;
+            for (const p of pendingAfter) p.after.push(clip(line));
+            while (pendingAfter.length && pendingAfter[0].after.length >= context) emit(pendingAfter.shift());
+
+            matcher.lastIndex = 0;
+            const m = count < MAX_MATCHES_PER_FILE ? matcher.exec(line) : null;
+            if (m) {
+                count++;
+                const s = snippet(line, m.index, m[0].length);
+                const result = {
+                    line: lineNo,
+                    column: m.index + 1,
+                    text: s.text,
+                    matchStart: s.start,
+                    matchLength: Math.min(m[0].length, SNIPPET_WIDTH),
+                    before: before.slice(),
+                    after: [],
+                };
+                if (context > 0) pendingAfter.push(result);
+                else emit(result);
+            }
+            if (context > 0) {
+                before.push(clip(line));
+                if (before.length > context) before.shift();
+            }
+            if (count >= MAX_MATCHES_PER_FILE && !pendingAfter.length) break;
+        }
+    } finally {
+        rl.close();
+        stream.destroy();
+    }
+    for (const p of pendingAfter) emit(p);
+    return count;
+}
+
+/**
+ * 파일 내용 검색.
+ * @param {string} basePath 검색 시작 폴더(절대 경로)
+ * @param {object} opts
+ * @param {string} opts.query 찾을 문자열 (regex=true 면 정규식)
+ * @param {boolean} [opts.regex]
+ * @param {boolean} [opts.caseSensitive]
+ * @param {string|string[]} [opts.include] 예: "*.jsonl,*.json"
+ * @param {string|string[]} [opts.exclude] 예: "backups/**"
+ * @param {number} [opts.maxFileSize] 이보다 큰 파일은 건너뜀 (bytes)
+ * @param {number} [opts.maxResults]
+ * @param {number} [opts.context] 앞뒤로 보여줄 줄 수 (0~5)
+ * @param {boolean} [opts.hidden] 숨김 파일/폴더도 검색
+ * @param {(m: object) => void} opts.onMatch
+ * @param {(p: { files: number, scanned: number }) => void} [opts.onProgress]
+ * @param {() => boolean} [opts.isAborted] 클라이언트가 끊으면 true
+ * @returns {Promise<{ files: number, scanned: number, matches: number, truncated: boolean }>}
+ */
+async function searchContent(basePath, opts) {
+    const matcher = buildMatcher(opts.query, opts);
+    const include = compileGlobs(opts.include);
+    const exclude = compileGlobs(opts.exclude);
+    const maxFileSize = opts.maxFileSize > 0 ? opts.maxFileSize : DEFAULT_MAX_FILE_SIZE;
+    const maxResults = opts.maxResults > 0 ? opts.maxResults : DEFAULT_MAX_RESULTS;
+    const isAborted = opts.isAborted || (() => false);
+    const stats = { files: 0, scanned: 0, matches: 0, truncated: false };
+    const fileOpts = { context: Math.max(0, Math.min(5, Number(opts.context) || 0)), isAborted: () => isAborted() || stats.truncated };
+    let lastProgress = 0;
+
+    const visitFile = async (filePath, relPath) => {
+        if (include.length && !matchesAny(include, relPath)) return;
+        let stat;
+        try { stat = await fs.promises.stat(filePath); } catch (e) { return; }
+        if (!stat.isFile() || stat.size > maxFileSize || stat.size === 0) return;
+        try {
+            if (await isBinaryFile(filePath)) return;
+        } catch (e) { return; }
+        stats.scanned++;
+        let fileMatches = 0;
+        await searchFile(filePath, matcher, fileOpts, (m) => {
+            if (stats.matches >= maxResults) { stats.truncated = true; return; }
+            stats.matches++;
+            fileMatches++;
+            opts.onMatch({ path: relPath, fullPath: filePath, ...m });
+        });
+        if (fileMatches) stats.files++;
+        if (opts.onProgress && Date.now() - lastProgress > 500) {
+            lastProgress = Date.now();
+            opts.onProgress({ files: stats.files, scanned: stats.scanned, matches: stats.matches, current: relPath });
+        }
+    };
+
+    const walk = async (dir, relDir) => {
+        let handle;
+        try { handle = await fs.promises.opendir(dir); } catch (e) { return; }
+        for await (const entry of handle) {
+            if (isAborted() || stats.truncated) break;
+            if (!opts.hidden && entry.name.startsWith('.')) continue;
+            const rel = relDir ? `${relDir}/${entry.name}` : entry.name;
+            if (exclude.length && matchesAny(exclude, rel)) continue;
+            const full = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                if (!SKIP_DIRS.has(entry.name)) await walk(full, rel);
+            } else if (entry.isFile()) {
+                await visitFile(full, rel);
+            }
+        }
+    };
+
+    const stat = await fs.promises.stat(basePath);
+    if (stat.isFile()) await visitFile(basePath, path.basename(basePath));
+    else await walk(basePath, '');
+    return stats;
+}
+
+module.exports = {
+    globToRegExp,
+    compileGlobs,
+    matchesAny,
+    searchContent,
+};
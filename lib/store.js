@@ -0,0 +1,43 @@
+// TermuxFM 상태 저장소
+// 설정/세션/히스토리 등 파일매니저가 디스크에 남기는 모든 상태는 ~/.st-filemanager 아래에 둡니다.
+
+const path = require('path');
+const fs = require('fs');
+
+const HOME = process.env.HOME || '/data/data/com.termux/files/home';
+const STATE_DIR = path.join(HOME, '.st-filemanager');
+
+function statePath(...parts) {
+    return path.join(STATE_DIR, ...parts);
+}
+
+function ensureDir(dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    return dir;
+}
+
+function loadJson(file, fallback = {}) {
+    try {
+        if (fs.existsSync(file)) return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (e) {
+        console.error(`[store] JSON 읽기 실패 (${file}): ${e.message}`);
+    }
+    return fallback;
+}
+
+// 임시 파일에 쓴 뒤 rename — 쓰는 도중 종료돼도 기존 파일이 깨지지 않음
+function saveJson(file, data, mode) {
+    ensureDir(path.dirname(file));
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2), { encoding: 'utf-8', mode });
+    fs.renameSync(tmp, file);
+}
+
+module.exports = {
+    HOME,
+    STATE_DIR,
+    statePath,
+    ensureDir,
+    loadJson,
+    saveJson,
+};
@@ -0,0 +1,502 @@
+// TermuxFM 서비스 관리자 (SillyTavern / 도서관)
+// 예전 /update st-start 는 nohup 으로 띄우고 pkill -f "node.*server.js" 로 껐는데,
+// 그 패턴이 파일매니저 자신(server-worker.js)이나 다른 node 서버까지 죽일 수 있었습니다.
+// 이제는 직접 띄운 프로세스(자기 프로세스 그룹)의 pid 만 다룹니다.
+//   - 출력은 ~/.st-filemanager/service-logs/<이름>.log 에 바로 씀 (파일매니저가 재시작돼도 서비스는 계속 돎)
+//     넘김(.1 .2 .3)과 보기는 logs.js 가 맡음
+//   - health URL 을 주기적으로 찔러 응답 여부/지연을 기록
+//   - 예상치 못하게 꺼지면 1초, 2초, 4초 … 최대 5분 간격으로 다시 띄움
+//   - ~/.st-filemanager/services.json — 서비스별 { wanted, autoRestart, healthUrl, pid, cmdline, startedAt }
+//     파일매니저가 다시 뜨면 살아 있는 pid 는 다시 붙잡고(adopt), 켜져 있어야 하는데 없으면 띄움
+
+const path = require('path');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const { spawn } = require('child_process');
+const { statePath, ensureDir, loadJson, saveJson } = require('./store');
+const logs = require('./logs');
+
+const STATE_FILE = statePath('services.json');
+const TICK_MS = 10 * 1000;
+const HEALTH_TIMEOUT_MS = 4000;
+const START_GRACE_MS = 120 * 1000; // 폰에서 ST 첫 시작은 꽤 걸림 — 이 시간 동안은 응답 없어도 unhealthy 로 안 봄
+const STOP_TIMEOUT_MS = 8000; // SIGTERM 뒤 이만큼 기다렸다가 SIGKILL
+const STABLE_MS = 60 * 1000; // 이만큼 버텼으면 재시작 간격을 처음부터 다시
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 5 * 60 * 1000;
+
+const DEFINITIONS = {
+    st: { label: 'SillyTavern', icon: '🎭' },
+    library: { label: '도서관', icon: '📚' },
+};
+
+let deps = { findSTRoot: () => null, findLibraryRoot: () => null };
+const services = new Map(); // name → 실행 상태
+let saved = null;
+let timer = null;
+
+function loadSaved() {
+    if (!saved) {
+        const s = loadJson(STATE_FILE, {});
+        saved = s && typeof s === 'object' ? s : {};
+    }
+    return saved;
+}
+
+function conf(name) {
+    const s = loadSaved();
+    if (!s[name]) s[name] = { wanted: false, autoRestart: true, healthUrl: null };
+    return s[name];
+}
+
+function persist() {
+    saveJson(STATE_FILE, loadSaved());
+}
+
+function runtime(name) {
+    if (!DEFINITIONS[name]) throw new Error(`알 수 없는 서비스: ${name}`);
+    if (!services.has(name)) {
+        services.set(name, {
+            name,
+            proc: null,
+            pid: null,
+            startedAt: null,
+            status: 'stopped',
+            adopted: false,
+            stopping: false,
+            failures: 0,
+            restarts: 0,
+            restartTimer: null,
+            nextRestartAt: null,
+            lastExit: null,
+            health: null,
+            error: null,
+        });
+    }
+    return services.get(name);
+}
+
+// ===== 실행 방법 =====
+
+// config.yaml 의 port: (없으면 8000)
+function stPort(stRoot) {
+    try {
+        const m = fs.readFileSync(path.join(stRoot, 'config.yaml'), 'utf-8').match(/^port:\s*(\d+)/m);
+        if (m) return Number(m[1]);
+    } catch (e) {}
+    return 8000;
+}
+
+/**
+ * @returns {{ cwd: string, file: string, args: string[], display: string, healthUrl: string }}
+ */
+function commandFor(name) {
+    if (name === 'st') {
+        const root = deps.findSTRoot();
+        if (!root) throw new Error('SillyTavern 폴더를 찾을 수 없습니다.');
+        const port = stPort(root);
+        // start.sh 는 매번 npm install 부터 하므로 server.js 가 있으면 바로 띄움
+        if (fs.existsSync(path.join(root, 'server.js'))) {
+            return { cwd: root, file: process.execPath, args: ['server.js'], display: 'node server.js', healthUrl: `http://127.0.0.1:${port}/` };
+        }
+        return { cwd: root, file: 'bash', args: ['start.sh'], display: 'bash start.sh', healthUrl: `http://127.0.0.1:${port}/` };
+    }
+    const root = deps.findLibraryRoot();
+    if (!root) throw new Error('도서관 폴더를 찾을 수 없습니다. ~/chat-library 또는 ~/perpage 경로를 확인하세요.');
+    const port = 7860;
+    // library.js 우선 탐색
+    for (const script of ['library.js', 'server.js', 'index.js']) {
+        if (fs.existsSync(path.join(root, script))) {
+            return { cwd: root, file: process.execPath, args: [script], display: `node ${script}`, healthUrl: `http://127.0.0.1:${port}/` };
+        }
+    }
+    return { cwd: root, file: 'npm', args: ['start'], display: 'npm start', healthUrl: `http://127.0.0.1:${port}/` };
+}
+
+// ===== 기록 파일 =====
+
+function appendLog(name, line) {
+    try {
+        ensureDir(logs.LOG_DIR);
+        fs.appendFileSync(logs.logFile(name), `[${new Date().toISOString()}] [supervisor] ${line}\n`);
+    } catch (e) {}
+}
+
+// ===== 프로세스 =====
+
+function isAlive(pid) {
+    if (!pid) return false;
+    try {
+        process.kill(pid, 0);
+    } catch (e) {
+        return e.code === 'EPERM';
+    }
+    // 좀비(이미 끝났는데 아직 거둬지지 않음)는 죽은 것으로 봄
+    try {
+        const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf-8');
+        return stat.slice(stat.lastIndexOf(')') + 2, stat.lastIndexOf(')') + 3) !== 'Z';
+    } catch (e) {
+        return true;
+    }
+}
+
+function readCmdline(pid) {
+    try {
+        return fs.readFileSync(`/proc/${pid}/cmdline`, 'utf-8').replace(/\0+$/, '').replace(/\0/g, ' ');
+    } catch (e) {
+        return null;
+    }
+}
+
+// 프로세스 그룹 전체에 (npm start → node 처럼 자식이 있어도 함께)
+function killGroup(pid, sig) {
+    try {
+        process.kill(-pid, sig);
+    } catch (e) {
+        try { process.kill(pid, sig); } catch (e2) {}
+    }
+}
+
+function saveRunning(name) {
+    const svc = runtime(name);
+    const c = conf(name);
+    c.pid = svc.pid;
+    c.startedAt = svc.startedAt;
+    c.cmdline = svc.pid ? readCmdline(svc.pid) : null;
+    persist();
+}
+
+function launch(name) {
+    const svc = runtime(name);
+    const cmd = commandFor(name);
+    logs.rotate(name);
+    appendLog(name, `시작: ${cmd.display} (${cmd.cwd})`);
+    const fd = fs.openSync(logs.logFile(name), 'a');
+    let proc;
+    try {
+        proc = spawn(cmd.file, cmd.args, {
+            cwd: cmd.cwd,
+            env: process.env,
+            stdio: ['ignore', fd, fd],
+            detached: true,
+        });
+    } finally {
+        fs.closeSync(fd);
+    }
+    proc.unref();
+    svc.proc = proc;
+    svc.pid = proc.pid || null;
+    svc.startedAt = Date.now();
+    svc.status = 'starting';
+    svc.adopted = false;
+    svc.stopping = false;
+    svc.health = null;
+    svc.error = null;
+    svc.nextRestartAt = null;
+    proc.on('error', (err) => {
+        svc.error = err.message;
+        appendLog(name, `실행 실패: ${err.message}`);
+        onExit(name, proc, null, null);
+    });
+    proc.on('exit', (code, signal) => onExit(name, proc, code, signal));
+    saveRunning(name);
+}
+
+function onExit(name, proc, code, signal) {
+    const svc = runtime(name);
+    if (svc.proc !== proc) return; // 이미 정리됨 (error 뒤 exit 등)
+    const uptime = svc.startedAt ? Date.now() - svc.startedAt : 0;
+    svc.proc = null;
+    svc.pid = null;
+    svc.adopted = false;
+    svc.lastExit = { code, signal, at: Date.now(), uptimeMs: uptime };
+    saveRunning(name);
+
+    if (svc.stopping) {
+        svc.stopping = false;
+        svc.status = 'stopped';
+        appendLog(name, '종료됨');
+        return;
+    }
+    appendLog(name, `예상치 못한 종료 (code ${code}, signal ${signal || '-'})`);
+    const c = conf(name);
+    if (!c.wanted || !c.autoRestart) {
+        svc.status = 'crashed';
+        return;
+    }
+    svc.failures = uptime >= STABLE_MS ? 1 : svc.failures + 1;
+    const delay = Math.min(BACKOFF_BASE_MS * 2 ** (svc.failures - 1), BACKOFF_MAX_MS);
+    svc.status = 'backoff';
+    svc.nextRestartAt = Date.now() + delay;
+    appendLog(name, `${Math.round(delay / 1000)}초 후 다시 시작`);
+    svc.restartTimer = setTimeout(async () => {
+        svc.restartTimer = null;
+        if (!conf(name).wanted || svc.pid) return;
+        svc.restarts++;
+        try {
+            await launchUnlessExternal(name);
+        } catch (e) {
+            svc.error = e.message;
+            svc.status = 'crashed';
+            appendLog(name, `다시 시작 실패: ${e.message}`);
+        }
+    }, delay);
+    svc.restartTimer.unref();
+}
+
+// 파일매니저 재시작 전에 띄운 프로세스 — 'exit' 이벤트를 못 받으므로 tick 에서 살아 있는지 봄
+function adopt(name) {
+    const c = conf(name);
+    if (!c.pid || !isAlive(c.pid)) return false;
+    const now = readCmdline(c.pid);
+    if (c.cmdline && now !== null && now !== c.cmdline) return false; // pid 가 다른 프로세스에 재사용됨
+    const svc = runtime(name);
+    svc.proc = { adopted: true };
+    svc.pid = c.pid;
+    svc.startedAt = c.startedAt || Date.now();
+    svc.adopted = true;
+    svc.status = 'starting';
+    appendLog(name, `파일매니저 재시작 — 실행 중인 PID ${c.pid} 다시 연결`);
+    return true;
+}
+
+/**
+ * 같은 주소가 이미 응답하면(플러그인 모드의 ST, 터미널에서 띄운 도서관 등) 띄우지 않고 'external' 로 둠.
+ * 두 번 띄우면 새 쪽이 EADDRINUSE 로 죽고 재시작을 끝없이 되풀이함
+ */
+async function launchUnlessExternal(name) {
+    const svc = runtime(name);
+    const url = healthUrl(name);
+    const h = url ? await probe(url) : null;
+    if (svc.pid) return;
+    if (h && h.ok) {
+        if (svc.status !== 'external') appendLog(name, `${url} 이(가) 이미 응답함 — 파일매니저 밖에서 실행 중이라 띄우지 않음`);
+        svc.status = 'external';
+        svc.health = { ...h, url };
+        return;
+    }
+    launch(name);
+}
+
+// ===== health =====
+
+function healthUrl(name) {
+    const c = conf(name);
+    if (c.healthUrl) return c.healthUrl;
+    try {
+        return commandFor(name).healthUrl;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * URL 에 GET 을 보내 응답이 오는지 봅니다. 5xx 가 아니면 살아 있는 것으로 침 (로그인 401 도 정상).
+ * @returns {Promise<{ ok: boolean, statusCode?: number, error?: string, latencyMs: number, at: number }>}
+ */
+function probe(url) {
+    const started = Date.now();
+    return new Promise((resolve) => {
+        const done = (r) => resolve({ ...r, latencyMs: Date.now() - started, at: Date.now() });
+        let req;
+        try {
+            req = (url.startsWith('https:') ? https : http).get(url, { timeout: HEALTH_TIMEOUT_MS, rejectUnauthorized: false }, (res) => {
+                res.resume();
+                done({ ok: res.statusCode < 500, statusCode: res.statusCode });
+            });
+        } catch (e) {
+            return done({ ok: false, error: e.message });
+        }
+        req.on('timeout', () => req.destroy(new Error('응답 시간 초과')));
+        req.on('error', (e) => done({ ok: false, error: e.code || e.message }));
+    });
+}
+
+async function checkHealth(name) {
+    const svc = runtime(name);
+    const url = healthUrl(name);
+    if (!svc.pid || !url) return;
+    const h = await probe(url);
+    if (!svc.pid) return;
+    svc.health = { ...h, url };
+    if (h.ok) {
+        svc.status = 'running';
+    } else if (svc.status !== 'starting' || Date.now() - svc.startedAt > START_GRACE_MS) {
+        svc.status = 'unhealthy';
+    }
+}
+
+// 밖에서 돌던 서비스가 꺼지면 켜져 있어야 하는 경우에만 이어받아 띄움
+async function checkExternal(name) {
+    const svc = runtime(name);
+    const url = healthUrl(name);
+    const h = url ? await probe(url) : { ok: false };
+    if (svc.status !== 'external' || svc.pid) return;
+    if (h.ok) {
+        svc.health = { ...h, url };
+        return;
+    }
+    svc.status = 'stopped';
+    svc.health = null;
+    appendLog(name, '밖에서 실행 중이던 프로세스가 응답하지 않음');
+    if (conf(name).wanted) await launchUnlessExternal(name);
+}
+
+function tick() {
+    for (const name of Object.keys(DEFINITIONS)) {
+        const svc = runtime(name);
+        if (svc.adopted && !isAlive(svc.pid)) onExit(name, svc.proc, null, null);
+        if (svc.pid && !svc.stopping) checkHealth(name).catch(() => {});
+        else if (svc.status === 'external') checkExternal(name).catch(() => {});
+    }
+}
+
+// ===== 조작 =====
+
+/**
+ * 서비스를 띄웁니다. 관리 밖에서 이미 같은 포트로 돌고 있으면 에러 (두 번 띄우면 포트 충돌).
+ */
+async function startService(name) {
+    const svc = runtime(name);
+    if (svc.pid) throw new Error(`${DEFINITIONS[name].label} 이(가) 이미 실행 중입니다 (PID ${svc.pid})`);
+    const url = healthUrl(name);
+    if (url) {
+        const h = await probe(url);
+        if (h.ok) throw new Error(`${url} 이(가) 이미 응답합니다 — 파일매니저 밖에서 실행 중인 것 같습니다. 터미널에서 먼저 종료하세요.`);
+    }
+    if (svc.restartTimer) clearTimeout(svc.restartTimer);
+    svc.restartTimer = null;
+    svc.failures = 0;
+    const c = conf(name);
+    c.wanted = true;
+    launch(name);
+    persist();
+    return status(name);
+}
+
+/**
+ * SIGTERM → (STOP_TIMEOUT_MS 뒤에도 살아 있으면) SIGKILL. 끝날 때까지 기다립니다.
+ */
+async function stopService(name) {
+    const svc = runtime(name);
+    const c = conf(name);
+    c.wanted = false;
+    persist();
+    if (svc.restartTimer) {
+        clearTimeout(svc.restartTimer);
+        svc.restartTimer = null;
+        svc.nextRestartAt = null;
+        svc.status = 'stopped';
+    }
+    if (!svc.pid) return status(name);
+    const pid = svc.pid;
+    svc.stopping = true;
+    svc.status = 'stopping';
+    appendLog(name, `종료 요청 (PID ${pid})`);
+    killGroup(pid, 'SIGTERM');
+    const deadline = Date.now() + STOP_TIMEOUT_MS;
+    while (isAlive(pid) && Date.now() < deadline) await new Promise(r => setTimeout(r, 200));
+    if (isAlive(pid)) {
+        appendLog(name, 'SIGTERM 에 응답 없음 — SIGKILL');
+        killGroup(pid, 'SIGKILL');
+        await new Promise(r => setTimeout(r, 300));
+    }
+    // adopt 한 프로세스나 'exit' 가 늦게 오는 경우 여기서 마무리
+    if (svc.pid === pid) onExit(name, svc.proc, null, 'SIGTERM');
+    return status(name);
+}
+
+async function restartService(name) {
+    await stopService(name);
+    return startService(name);
+}
+
+/**
+ * @param {{ autoRestart?: boolean, healthUrl?: string|null }} patch
+ */
+function setOptions(name, patch) {
+    runtime(name);
+    const c = conf(name);
+    if (patch.autoRestart !== undefined) c.autoRestart = !!patch.autoRestart;
+    if (patch.healthUrl !== undefined) {
+        const u = String(patch.healthUrl || '').trim();
+        if (u && !/^https?:\/\/[^\s]+$/.test(u)) throw new Error('health URL 은 http:// 또는 https:// 로 시작해야 합니다');
+        c.healthUrl = u || null;
+    }
+    persist();
+    return status(name);
+}
+
+function status(name) {
+    if (name) {
+        const svc = runtime(name);
+        const c = conf(name);
+        let command = null;
+        let cwd = null;
+        let available = true;
+        try {
+            ({ display: command, cwd } = commandFor(name));
+        } catch (e) {
+            available = false;
+        }
+        return {
+            name,
+            label: DEFINITIONS[name].label,
+            icon: DEFINITIONS[name].icon,
+            available,
+            command,
+            cwd,
+            status: svc.status,
+            pid: svc.pid,
+            adopted: svc.adopted,
+            startedAt: svc.pid ? svc.startedAt : null,
+            uptimeMs: svc.pid && svc.startedAt ? Date.now() - svc.startedAt : 0,
+            wanted: !!c.wanted,
+            autoRestart: c.autoRestart !== false,
+            healthUrl: healthUrl(name),
+            customHealthUrl: c.healthUrl || null,
+            health: svc.health,
+            restarts: svc.restarts,
+            nextRestartAt: svc.nextRestartAt,
+            lastExit: svc.lastExit,
+            error: svc.error,
+            log: `${name}.log`,
+        };
+    }
+    return Object.keys(DEFINITIONS).map(n => status(n));
+}
+
+/**
+ * @param {{ findSTRoot: () => string|null, findLibraryRoot: () => string|null }} d
+ */
+function start(d) {
+    deps = { ...deps, ...d };
+    if (timer) return;
+    for (const name of Object.keys(DEFINITIONS)) {
+        runtime(name);
+        const c = conf(name);
+        if (adopt(name)) continue;
+        if (c.pid) saveRunning(name); // 남아 있던 죽은 pid 정리
+        if (c.wanted) {
+            launchUnlessExternal(name).catch((e) => {
+                runtime(name).error = e.message;
+                runtime(name).status = 'crashed';
+            });
+        }
+    }
+    timer = setInterval(tick, TICK_MS);
+    timer.unref();
+    setTimeout(tick, 1500).unref();
+}
+
+module.exports = {
+    DEFINITIONS,
+    start,
+    startService,
+    stopService,
+    restartService,
+    setOptions,
+    status,
+    probe,
+};
@@ -0,0 +1,488 @@
+// TermuxFM 폴더 동기화
+// 이름 붙인 동기화 쌍(pair)마다 source 와 target 폴더를 맞춥니다.
+//   mirror  — source 를 target 에 그대로 (target 에서 바뀐 파일은 충돌 규칙대로)
+//   two-way — 양쪽에서 바뀐 것을 서로 반영. 지난 동기화 때 모습(스냅숏)과 비교해 어느 쪽이 고치거나 지웠는지 판단
+// 비교 기준: mtime(크기 + 수정 시각, 기본) / size(크기만) / hash(내용 — 크기·시각이 스냅숏과 같으면 저장해 둔 해시를 씀)
+// 바뀐 파일만 복사하므로 chats/ 에서 새로 쓴 .jsonl 몇 개만 옮겨지고, 지운 파일은 휴지통으로 갑니다.
+// SD 카드(exFAT)는 수정 시각이 2초 단위라 그만큼 차이는 같은 것으로 봅니다.
+//   ~/.st-filemanager/sync-pairs.json       — 쌍 설정
+//   ~/.st-filemanager/sync-state/<id>.json  — 쌍별 스냅숏 { files: { rel: { s, t, hash } } }
+//   ~/.st-filemanager/sync-runs.json        — { lastRunAt: { id: iso }, runs: [...] }
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { statePath, ensureDir, loadJson, saveJson } = require('./store');
+const cron = require('./cron');
+const { compileGlobs, matchesAny } = require('./search');
+
+const PAIRS_FILE = statePath('sync-pairs.json');
+const STATE_DIR = statePath('sync-state');
+const RUNS_FILE = statePath('sync-runs.json');
+const MAX_RUNS = 100;
+const MAX_PREVIEW_ACTIONS = 2000;
+const MTIME_TOLERANCE_MS = 2000;
+const TMP_SUFFIX = '.synctmp';
+const CONFLICT_COPY_RE = / \(충돌 \d{4}-\d{2}-\d{2} \d{6}\)(\.[^/.]*)?$/;
+// 어느 쌍에서나 건너뜀 — 휴지통, 복사 중 임시 파일, 자동 백업 압축 파일(backup-schedule)
+const ALWAYS_EXCLUDE = compileGlobs(['.st-filemanager*', `*${TMP_SUFFIX}`, '.git', 'node_modules', 'st-auto-backups']);
+
+const MODES = ['mirror', 'two-way'];
+const COMPARES = ['mtime', 'size', 'hash'];
+// newer: 수정 시각이 늦은 쪽 / source·target: 그쪽이 이김 / keep-both: 진 쪽을 "(충돌 …)" 이름으로 남김 / skip: 건드리지 않음
+const CONFLICTS = ['newer', 'source', 'target', 'keep-both', 'skip'];
+
+const DEFAULT_PAIR = {
+    name: '',
+    source: '',
+    target: '',
+    mode: 'mirror',
+    compare: 'mtime',
+    conflict: 'newer',
+    propagateDeletes: true,
+    exclude: '',
+    schedule: { enabled: false, cron: '0 * * * *' },
+};
+
+let removeFn = p => fs.rmSync(p, { recursive: true, force: true });
+let timer = null;
+const active = new Map(); // pairId → { phase, done, total, current }
+
+// ===== 설정 =====
+
+function loadPairs() {
+    const d = loadJson(PAIRS_FILE, {});
+    return Array.isArray(d.pairs) ? d.pairs : [];
+}
+
+function listPairs() {
+    return loadPairs().map(p => ({ ...DEFAULT_PAIR, ...p, schedule: { ...DEFAULT_PAIR.schedule, ...p.schedule } }));
+}
+
+function getPair(id) {
+    const pair = listPairs().find(p => p.id === id);
+    if (!pair) throw new Error('동기화 쌍을 찾을 수 없습니다');
+    return pair;
+}
+
+const inside = (a, b) => a === b || a.startsWith(b + path.sep);
+
+/**
+ * 쌍을 만들거나(id 없음) 고칩니다. source/target 은 이미 검사한 절대 경로여야 합니다.
+ */
+function savePair(patch) {
+    const pairs = loadPairs();
+    const idx = patch.id ? pairs.findIndex(p => p.id === patch.id) : -1;
+    if (patch.id && idx < 0) throw new Error('동기화 쌍을 찾을 수 없습니다');
+    const cur = idx >= 0 ? { ...DEFAULT_PAIR, ...pairs[idx] } : { ...DEFAULT_PAIR, id: crypto.randomBytes(4).toString('hex'), createdAt: new Date().toISOString() };
+    const next = { ...cur };
+    if (patch.name !== undefined) next.name = String(patch.name || '').trim();
+    if (patch.source !== undefined) next.source = patch.source;
+    if (patch.target !== undefined) next.target = patch.target;
+    if (patch.mode !== undefined) {
+        if (!MODES.includes(patch.mode)) throw new Error(`알 수 없는 방식: ${patch.mode}`);
+        next.mode = patch.mode;
+    }
+    if (patch.compare !== undefined) {
+        if (!COMPARES.includes(patch.compare)) throw new Error(`알 수 없는 비교 기준: ${patch.compare}`);
+        next.compare = patch.compare;
+    }
+    if (patch.conflict !== undefined) {
+        if (!CONFLICTS.includes(patch.conflict)) throw new Error(`알 수 없는 충돌 규칙: ${patch.conflict}`);
+        next.conflict = patch.conflict;
+    }
+    if (patch.propagateDeletes !== undefined) next.propagateDeletes = !!patch.propagateDeletes;
+    if (patch.exclude !== undefined) next.exclude = Array.isArray(patch.exclude) ? patch.exclude.join(', ') : String(patch.exclude || '');
+    if (patch.schedule !== undefined) {
+        const sched = { ...DEFAULT_PAIR.schedule, ...cur.schedule, ...patch.schedule };
+        sched.enabled = !!sched.enabled;
+        sched.cron = String(sched.cron || '').trim();
+        cron.parse(sched.cron);
+        next.schedule = sched;
+    }
+    if (!next.source || !next.target) throw new Error('원본과 대상 폴더를 정하세요');
+    if (inside(next.source, next.target) || inside(next.target, next.source)) throw new Error('원본과 대상은 서로 안에 들어 있으면 안 됩니다');
+    if (!next.name) next.name = `${path.basename(next.source)} → ${path.basename(next.target)}`;
+    // 폴더나 방식이 바뀌면 예전 스냅숏은 의미가 없음
+    if (idx >= 0 && (next.source !== cur.source || next.target !== cur.target || next.mode !== cur.mode)) saveJson(stateFile(next.id), { files: {} });
+    next.updatedAt = new Date().toISOString();
+    if (idx >= 0) pairs[idx] = next;
+    else pairs.push(next);
+    saveJson(PAIRS_FILE, { pairs });
+    reschedule();
+    return getPair(next.id);
+}
+
+function deletePair(id) {
+    const pairs = loadPairs();
+    if (!pairs.some(p => p.id === id)) throw new Error('동기화 쌍을 찾을 수 없습니다');
+    saveJson(PAIRS_FILE, { pairs: pairs.filter(p => p.id !== id) });
+    try { fs.unlinkSync(stateFile(id)); } catch (e) {}
+    reschedule();
+}
+
+function stateFile(id) {
+    return path.join(STATE_DIR, `${id}.json`);
+}
+
+function loadSnapshot(id) {
+    const d = loadJson(stateFile(id), {});
+    return d.files && typeof d.files === 'object' ? d.files : {};
+}
+
+function loadRuns() {
+    return { lastRunAt: {}, runs: [], ...loadJson(RUNS_FILE, {}) };
+}
+
+// ===== 비교 =====
+
+async function scanSide(root, exclude) {
+    const files = new Map();
+    const walk = async (dir, rel) => {
+        let handle;
+        try {
+            handle = await fs.promises.opendir(dir);
+        } catch (e) {
+            if (rel) return;
+            throw new Error(`폴더를 열 수 없습니다: ${root}`);
+        }
+        for await (const ent of handle) {
+            const r = rel ? `${rel}/${ent.name}` : ent.name;
+            if (matchesAny(ALWAYS_EXCLUDE, r) || matchesAny(exclude, r)) continue;
+            const full = path.join(dir, ent.name);
+            if (ent.isDirectory()) {
+                await walk(full, r);
+            } else if (ent.isFile()) {
+                try {
+                    const st = await fs.promises.stat(full);
+                    files.set(r, { size: st.size, mtime: Math.floor(st.mtimeMs) });
+                } catch (e) {}
+            }
+        }
+    };
+    await walk(root, '');
+    return files;
+}
+
+function hashFile(file) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha1');
+        fs.createReadStream(file)
+            .on('data', chunk => hash.update(chunk))
+            .on('error', reject)
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+const sameMeta = (a, b) => !!a && !!b && a.size === b.size && Math.abs(a.mtime - b.mtime) <= MTIME_TOLERANCE_MS;
+
+function conflictName(rel, mtime) {
+    const d = new Date(mtime);
+    const pad = n => String(n).padStart(2, '0');
+    const stamp = `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}${pad(d.getMinutes())}${pad(d.getSeconds())}`;
+    const ext = path.posix.extname(rel);
+    return `${rel.slice(0, rel.length - ext.length)} (충돌 ${stamp})${ext}`;
+}
+
+/**
+ * 무엇을 할지 계산합니다 (아무것도 바꾸지 않음).
+ * 동작: { op: 'create'|'update'|'delete'|'keep-both'|'skip', to: 'target'|'source', rel, size, reason, conflict? }
+ *   to 는 쓰거나 지우는 쪽. keep-both 는 target 쪽 사본을 "(충돌 …)" 이름으로 옮긴 뒤 source 를 복사
+ */
+async function plan(pair, onProgress = () => {}) {
+    const exclude = compileGlobs(pair.exclude);
+    const base = loadSnapshot(pair.id);
+    onProgress({ phase: 'scan', current: pair.source });
+    const S = await scanSide(pair.source, exclude);
+    let T = new Map();
+    if (fs.existsSync(pair.target)) {
+        onProgress({ phase: 'scan', current: pair.target });
+        T = await scanSide(pair.target, exclude);
+    }
+    // SD 카드가 빠졌거나 폴더가 비면 "전부 지워짐"으로 보여 반대쪽까지 지우게 되므로 멈춤
+    const synced = Object.keys(base).length;
+    // 처음 동기화(스냅숏 없음)에서는 대상에만 있는 파일을 지우지 않음 — 원래 대상 폴더에 있던 것일 수 있으므로
+    const firstRun = !fs.existsSync(stateFile(pair.id));
+    if (synced && !S.size) throw new Error(`원본 폴더가 비어 있습니다 — 저장장치가 빠졌는지 확인하세요: ${pair.source}`);
+    if (synced && !T.size) throw new Error(`대상 폴더가 비어 있습니다 — 저장장치가 빠졌는지 확인하세요: ${pair.target}`);
+
+    const hashes = { source: new Map(), target: new Map() };
+    const hashOf = async (side, rel, meta, b) => {
+        const cache = hashes[side];
+        if (cache.has(rel)) return cache.get(rel);
+        const prev = b && b[side === 'source' ? 's' : 't'];
+        const h = prev && b.hash && sameMeta(prev, meta) ? b.hash : await hashFile(path.join(side === 'source' ? pair.source : pair.target, rel));
+        cache.set(rel, h);
+        return h;
+    };
+    const same = async (rel, s, t, b) => {
+        if (s.size !== t.size) return false;
+        if (pair.compare === 'size') return true;
+        if (pair.compare === 'mtime') return Math.abs(s.mtime - t.mtime) <= MTIME_TOLERANCE_MS;
+        return (await hashOf('source', rel, s, b)) === (await hashOf('target', rel, t, b));
+    };
+    // 지난 동기화 이후 한쪽이 바뀌었는지
+    const changed = async (side, rel, meta, b) => {
+        const prev = b[side === 'source' ? 's' : 't'];
+        if (sameMeta(prev, meta)) return false;
+        if (pair.compare === 'size') return !prev || prev.size !== meta.size;
+        if (pair.compare === 'hash' && b.hash && prev && prev.size === meta.size) return (await hashOf(side, rel, meta, b)) !== b.hash;
+        return true;
+    };
+
+    const actions = [];
+    const unchanged = [];
+    const kept = []; // mirror 에서 지우지 않고 남겨 둔 대상 쪽 파일 (스냅숏에 대상 쪽만 기록)
+    const rels = [...new Set([...S.keys(), ...T.keys()])].sort();
+    const twoWay = pair.mode === 'two-way';
+    let done = 0;
+    const copyTo = (to, rel, meta, reason, conflict) => actions.push({ op: (to === 'target' ? T : S).has(rel) ? 'update' : 'create', to, rel, size: meta.size, mtime: meta.mtime, reason, conflict });
+    const resolveConflict = (rel, s, t, reason) => {
+        const policy = pair.conflict;
+        const winner = policy === 'newer' ? (s.mtime >= t.mtime ? 'source' : 'target') : policy;
+        if (winner === 'source') return copyTo('target', rel, s, reason, policy);
+        if (winner === 'target') {
+            if (twoWay) return copyTo('source', rel, t, reason, policy);
+            return actions.push({ op: 'skip', to: 'target', rel, size: t.size, reason: `${reason} — 대상 쪽을 그대로 둠`, conflict: policy });
+        }
+        if (winner === 'keep-both') return actions.push({ op: 'keep-both', to: 'target', rel, size: s.size, mtime: s.mtime, targetMtime: t.mtime, renameTo: conflictName(rel, t.mtime), reason, conflict: policy });
+        actions.push({ op: 'skip', to: 'target', rel, size: s.size, reason: `${reason} — 건너뜀`, conflict: policy });
+    };
+
+    for (const rel of rels) {
+        if (++done % 200 === 0) onProgress({ phase: 'compare', done, total: rels.length, current: rel });
+        const s = S.get(rel), t = T.get(rel), b = base[rel];
+        if (s && t) {
+            if (await same(rel, s, t, b)) {
+                unchanged.push(rel);
+                continue;
+            }
+            const cs = b ? await changed('source', rel, s, b) : true;
+            const ct = b ? await changed('target', rel, t, b) : true;
+            if (!ct) copyTo('target', rel, s, '원본이 바뀜');
+            else if (!cs && twoWay) copyTo('source', rel, t, '대상이 바뀜');
+            else resolveConflict(rel, s, t, b ? (cs ? '양쪽 다 바뀜' : '대상 쪽에서 바뀜') : '처음 비교 — 내용이 다름');
+        } else if (s) {
+            if (twoWay && b && pair.propagateDeletes && !(await changed('source', rel, s, b))) {
+                actions.push({ op: 'delete', to: 'source', rel, size: s.size, reason: '대상 쪽에서 지움' });
+            } else {
+                copyTo('target', rel, s, b ? '대상 쪽에서 지웠지만 원본에 있음' : '새 파일');
+            }
+        } else if (t) {
+            if (twoWay && !b) {
+                copyTo('source', rel, t, '새 파일');
+            } else if (!twoWay && CONFLICT_COPY_RE.test(rel)) {
+                // mirror 에서 keep-both 로 남긴 대상 쪽 사본은 지우지 않음
+            } else if (!twoWay && (firstRun || (b && !b.s))) {
+                // 처음 동기화 전부터 대상에만 있던 파일은 이번에도 다음에도 그대로 둠
+                kept.push(rel);
+            } else if (!pair.propagateDeletes) {
+                if (twoWay) copyTo('source', rel, t, '원본 쪽에서 지웠지만 지운 파일은 반영하지 않음');
+            } else if (b && (await changed('target', rel, t, b)) && ['target', 'skip', 'keep-both'].includes(pair.conflict)) {
+                actions.push({ op: 'skip', to: 'target', rel, size: t.size, reason: '원본에서 지웠지만 대상 쪽이 바뀜 — 그대로 둠', conflict: pair.conflict });
+            } else {
+                actions.push({ op: 'delete', to: 'target', rel, size: t.size, reason: b ? '원본 쪽에서 지움' : '원본에 없음' });
+            }
+        }
+    }
+
+    const counts = { create: 0, update: 0, delete: 0, 'keep-both': 0, skip: 0, conflicts: 0, bytes: 0, unchanged: unchanged.length, kept: kept.length };
+    for (const a of actions) {
+        counts[a.op]++;
+        if (a.conflict) counts.conflicts++;
+        if (a.op !== 'delete' && a.op !== 'skip') counts.bytes += a.size;
+    }
+    return { actions, counts, unchanged, kept, S, T, base, hashes };
+}
+
+// ===== 실행 =====
+
+// 임시 이름으로 복사한 뒤 바꿔 끼움 — 도중에 끊겨도 반쯤 쓴 채팅 파일이 남지 않음
+async function copyOver(src, dest, mtime) {
+    await fs.promises.mkdir(path.dirname(dest), { recursive: true });
+    const tmp = dest + TMP_SUFFIX;
+    try {
+        await fs.promises.copyFile(src, tmp);
+        const t = new Date(mtime);
+        await fs.promises.utimes(tmp, t, t);
+        await fs.promises.rename(tmp, dest);
+    } catch (e) {
+        try { fs.unlinkSync(tmp); } catch (er) {}
+        throw e;
+    }
+}
+
+async function statMeta(p) {
+    const st = await fs.promises.stat(p);
+    return { size: st.size, mtime: Math.floor(st.mtimeMs) };
+}
+
+function recordRun(run) {
+    const state = loadRuns();
+    state.runs = [run, ...state.runs].slice(0, MAX_RUNS);
+    state.lastRunAt = { ...state.lastRunAt, [run.pairId]: run.finishedAt };
+    saveJson(RUNS_FILE, state);
+}
+
+/**
+ * 미리 보기 — 만들고/고치고/지울 파일 목록
+ */
+async function preview(id) {
+    const pair = getPair(id);
+    const p = await plan(pair);
+    return { pair, counts: p.counts, actions: p.actions.slice(0, MAX_PREVIEW_ACTIONS), truncated: p.actions.length > MAX_PREVIEW_ACTIONS };
+}
+
+/**
+ * 동기화를 한 번 실행합니다.
+ * @param {string} id
+ * @param {{ trigger?: 'manual'|'schedule' }} [opts]
+ */
+async function run(id, { trigger = 'manual' } = {}) {
+    const pair = getPair(id);
+    if (active.has(id)) throw new Error('이미 동기화 중입니다');
+    const progress = { phase: 'scan', done: 0, total: 0, current: '' };
+    active.set(id, progress);
+    const result = { pairId: id, name: pair.name, trigger, startedAt: new Date().toISOString(), status: 'ok', counts: null, copiedBytes: 0, errors: [] };
+    try {
+        const p = await plan(pair, u => Object.assign(progress, u));
+        const snapshot = {};
+        const keepHash = rel => p.hashes.source.get(rel) || p.hashes.target.get(rel) || (p.base[rel] && p.base[rel].hash);
+        for (const rel of p.unchanged) {
+            snapshot[rel] = { s: p.S.get(rel), t: p.T.get(rel) };
+            if (pair.compare === 'hash' && keepHash(rel)) snapshot[rel].hash = keepHash(rel);
+        }
+        for (const rel of p.kept) snapshot[rel] = { t: p.T.get(rel) };
+        const abs = (side, rel) => path.join(side === 'target' ? pair.target : pair.source, ...rel.split('/'));
+        const work = p.actions.filter(a => a.op !== 'skip');
+        Object.assign(progress, { phase: 'copy', done: 0, total: work.length });
+        for (const a of p.actions) {
+            if (a.op === 'skip') {
+                // 다음에도 충돌로 보이도록 예전 스냅숏을 그대로 둠
+                if (p.base[a.rel]) snapshot[a.rel] = p.base[a.rel];
+                continue;
+            }
+            progress.current = a.rel;
+            try {
+                if (a.op === 'delete') {
+                    removeFn(abs(a.to, a.rel));
+                } else {
+                    const from = a.to === 'target' ? 'source' : 'target';
+                    if (a.op === 'keep-both') {
+                        // 대상 쪽 사본을 충돌 이름으로 옮김. two-way 면 양쪽에 다 있도록 원본 쪽에도 복사
+                        await fs.promises.rename(abs('target', a.rel), abs('target', a.renameTo));
+                        if (pair.mode === 'two-way') {
+                            await copyOver(abs('target', a.renameTo), abs('source', a.renameTo), a.targetMtime);
+                            snapshot[a.renameTo] = { s: await statMeta(abs('source', a.renameTo)), t: await statMeta(abs('target', a.renameTo)) };
+                        }
+                    }
+                    await copyOver(abs(from, a.rel), abs(a.to, a.rel), a.mtime);
+                    result.copiedBytes += a.size;
+                    snapshot[a.rel] = { s: await statMeta(abs('source', a.rel)), t: await statMeta(abs('target', a.rel)) };
+                    if (pair.compare === 'hash') snapshot[a.rel].hash = p.hashes[from].get(a.rel) || await hashFile(abs(a.to, a.rel));
+                }
+            } catch (e) {
+                if (p.base[a.rel]) snapshot[a.rel] = p.base[a.rel];
+                result.errors.push({ rel: a.rel, op: a.op, error: e.message });
+            }
+            progress.done++;
+        }
+        ensureDir(STATE_DIR);
+        saveJson(stateFile(id), { files: snapshot, syncedAt: new Date().toISOString() });
+        result.counts = p.counts;
+        if (result.errors.length) result.status = 'partial';
+    } catch (err) {
+        result.status = 'error';
+        result.error = err.message;
+        console.error(`[sync] ${pair.name} 실패: ${err.message}`);
+    } finally {
+        active.delete(id);
+        result.finishedAt = new Date().toISOString();
+        result.errors = result.errors.slice(0, 50);
+        recordRun(result);
+        reschedule();
+    }
+    return result;
+}
+
+// ===== 예약 =====
+
+function nextDue(pair, lastRunAt) {
+    if (!pair.schedule.enabled) return null;
+    const base = lastRunAt ? Date.parse(lastRunAt) : Date.parse(pair.updatedAt || pair.createdAt) || Date.now();
+    return cron.nextRun(pair.schedule.cron, base);
+}
+
+function reschedule() {
+    if (timer) clearTimeout(timer);
+    timer = null;
+    const { lastRunAt } = loadRuns();
+    let soonest = null;
+    for (const pair of listPairs()) {
+        let due = null;
+        try { due = nextDue(pair, lastRunAt[pair.id]); } catch (e) {}
+        if (due && (!soonest || due < soonest)) soonest = due;
+    }
+    if (!soonest) return;
+    // 시계 변경/절전 대비로 최대 10분마다 다시 확인
+    const delay = Math.max(1000, Math.min(soonest.getTime() - Date.now(), 10 * 60 * 1000));
+    timer = setTimeout(async () => {
+        timer = null;
+        const runs = loadRuns();
+        let ran = false;
+        for (const pair of listPairs()) {
+            let due = null;
+            try { due = nextDue(pair, runs.lastRunAt[pair.id]); } catch (e) {}
+            if (due && due.getTime() <= Date.now() && !active.has(pair.id)) {
+                ran = true;
+                await run(pair.id, { trigger: 'schedule' }).catch(() => {});
+            }
+        }
+        if (!ran) reschedule();
+    }, delay);
+    if (timer.unref) timer.unref();
+}
+
+/**
+ * @param {{ remove: (absPath: string) => void }} deps 지우기 (휴지통으로)
+ */
+function start(deps) {
+    if (deps && deps.remove) removeFn = deps.remove;
+    reschedule();
+}
+
+function status() {
+    const runs = loadRuns();
+    return {
+        pairs: listPairs().map(pair => {
+            let next = null;
+            try { next = nextDue(pair, runs.lastRunAt[pair.id]); } catch (e) {}
+            return {
+                ...pair,
+                running: active.get(pair.id) || null,
+                nextRun: next ? next.toISOString() : null,
+                lastRun: runs.runs.find(r => r.pairId === pair.id) || null,
+            };
+        }),
+    };
+}
+
+function listRuns(id) {
+    const runs = loadRuns().runs;
+    return id ? runs.filter(r => r.pairId === id) : runs;
+}
+
+module.exports = {
+    MODES,
+    COMPARES,
+    CONFLICTS,
+    listPairs,
+    getPair,
+    savePair,
+    deletePair,
+    preview,
+    run,
+    start,
+    status,
+    listRuns,
+};
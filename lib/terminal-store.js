@@ -0,0 +1,169 @@
+// TermuxFM 터미널 세션 저장
+// 파일매니저가 업데이트/재시작돼도 터미널 탭과 작업 폴더, 지난 출력을 되살릴 수 있게 디스크에 남깁니다.
+//   ~/.st-filemanager/terminals.json         — { sessions: [{ id, cwd, log, createdAt }], execSessions: { id: { cwd, prevCwd } } }
+//   ~/.st-filemanager/terminal-logs/*.log     — 세션별 출력 기록 (ANSI 포함 원본, 커지면 .old 로 넘김)
+//   ~/.st-filemanager/terminal-history.json   — 입력한 명령 목록 (여러 기기에서 공유)
+
+const path = require('path');
+const fs = require('fs');
+const { statePath, ensureDir, loadJson, saveJson } = require('./store');
+
+const STATE_FILE = statePath('terminals.json');
+const LOG_DIR = statePath('terminal-logs');
+const HISTORY_FILE = statePath('terminal-history.json');
+
+const LOG_MAX_BYTES = 8 * 1024 * 1024; // 이보다 커지면 <이름>.old 로 옮기고 새로 씀
+const MAX_LOGS = 60; // 오래된 기록부터 정리
+const MAX_HISTORY = 500;
+const LOG_NAME_RE = /^[\w.-]+\.log(\.old)?$/;
+
+function loadState() {
+    const s = loadJson(STATE_FILE, {});
+    return {
+        sessions: Array.isArray(s.sessions) ? s.sessions : [],
+        execSessions: s.execSessions && typeof s.execSessions === 'object' ? s.execSessions : {},
+    };
+}
+
+function saveState(state) {
+    saveJson(STATE_FILE, state);
+}
+
+// ===== 출력 기록 =====
+
+function logPath(name) {
+    if (!LOG_NAME_RE.test(String(name || ''))) throw new Error('잘못된 기록 이름');
+    return path.join(LOG_DIR, name);
+}
+
+function newLogName(id) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    return `${stamp}-term${id}.log`;
+}
+
+/**
+ * 세션 출력 기록을 (이어서) 씁니다.
+ * @param {string} name newLogName() 으로 만든 이름
+ * @returns {{ name: string, write: (text: string) => void, close: () => void }}
+ */
+function openLog(name) {
+    ensureDir(LOG_DIR);
+    const file = logPath(name);
+    let size = 0;
+    try { size = fs.statSync(file).size; } catch (e) {}
+    let stream = fs.createWriteStream(file, { flags: 'a' });
+    stream.on('error', () => {});
+    return {
+        name,
+        write(text) {
+            if (!stream) return;
+            const buf = Buffer.from(text, 'utf-8');
+            if (size + buf.length > LOG_MAX_BYTES) {
+                stream.end();
+                try { fs.renameSync(file, `${file}.old`); } catch (e) {}
+                stream = fs.createWriteStream(file, { flags: 'a' });
+                stream.on('error', () => {});
+                size = 0;
+            }
+            stream.write(buf);
+            size += buf.length;
+        },
+        close() {
+            if (stream) stream.end();
+            stream = null;
+        },
+    };
+}
+
+/**
+ * @param {Set<string>} [active] 지금 쓰고 있는 기록 이름
+ */
+function listLogs(active = new Set()) {
+    let names = [];
+    try { names = fs.readdirSync(LOG_DIR); } catch (e) {}
+    return names
+        .filter(n => LOG_NAME_RE.test(n))
+        .map((name) => {
+            const st = fs.statSync(path.join(LOG_DIR, name));
+            const m = name.match(/-term(\d+)\.log/);
+            return { name, sessionId: m ? m[1] : null, size: st.size, mtime: st.mtimeMs, active: active.has(name) };
+        })
+        .sort((a, b) => b.mtime - a.mtime);
+}
+
+// 파일 끝에서 maxBytes 만큼만 읽음 (큰 기록도 전체를 메모리에 올리지 않음)
+function readLogTail(name, maxBytes = 256 * 1024) {
+    const file = logPath(name);
+    const { size } = fs.statSync(file);
+    const len = Math.min(size, maxBytes);
+    const buf = Buffer.alloc(len);
+    const fd = fs.openSync(file, 'r');
+    try {
+        fs.readSync(fd, buf, 0, len, size - len);
+    } finally {
+        fs.closeSync(fd);
+    }
+    let text = buf.toString('utf-8');
+    // 중간에서 잘렸으면 첫 줄(깨졌을 수 있는 글자/이스케이프)은 버림
+    if (len < size) text = text.slice(text.indexOf('\n') + 1);
+    return { text, size, truncated: len < size };
+}
+
+function deleteLog(name) {
+    fs.unlinkSync(logPath(name));
+}
+
+function pruneLogs(active = new Set()) {
+    const logs = listLogs(active).filter(l => !l.active);
+    for (const l of logs.slice(MAX_LOGS)) {
+        try { fs.unlinkSync(path.join(LOG_DIR, l.name)); } catch (e) {}
+    }
+}
+
+function stripAnsi(text) {
+    return text
+        .replace(/\x1b\[[0-9;?]*[ -/]*[@-~]/g, '')
+        .replace(/\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)/g, '')
+        .replace(/\x1b[()][A-Z0-9]/g, '')
+        .replace(/\x1b[>=<78]/g, '')
+        .replace(/\r+\n/g, '\n')
+        .replace(/[^\n]*\r(?!\n)/g, '')
+        .replace(/\x07/g, '');
+}
+
+// ===== 명령 히스토리 =====
+
+function loadHistory() {
+    const h = loadJson(HISTORY_FILE, []);
+    return Array.isArray(h) ? h : [];
+}
+
+function addHistory(command) {
+    const cmd = String(command || '').replace(/[\r\n]+$/, '');
+    if (!cmd.trim()) return loadHistory();
+    const list = loadHistory().filter(c => c !== cmd);
+    list.push(cmd);
+    const trimmed = list.slice(-MAX_HISTORY);
+    saveJson(HISTORY_FILE, trimmed);
+    return trimmed;
+}
+
+function clearHistory() {
+    saveJson(HISTORY_FILE, []);
+}
+
+module.exports = {
+    loadState,
+    saveState,
+    newLogName,
+    openLog,
+    logPath,
+    listLogs,
+    readLogTail,
+    deleteLog,
+    pruneLogs,
+    stripAnsi,
+    loadHistory,
+    addHistory,
+    clearHistory,
+};
@@ -0,0 +1,460 @@
+// TermuxFM 전송 작업 (복사/이동)
+// 여러 항목을 한 작업으로 복사하거나 옮기고, 작업 ID 로 진행률을 추적합니다('progress' 이벤트 → SSE).
+// 이동은 rename 을 먼저 시도하고, 장치가 다르면(EXDEV — 홈 ↔ /storage) 복사 → 검증(크기+sha1) → 원본 삭제로 바꿉니다.
+// 같은 이름이 있으면 conflict 정책대로: skip | overwrite | rename | ask (ask 는 답이 올 때까지 작업을 멈춤)
+// 덮어쓰기 전 파일은 히스토리에 남기고, 폴더끼리 덮어쓰면 안쪽으로 합칩니다.
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const history = require('./history');
+
+const MAX_FINISHED = 30;
+const MAX_ERRORS = 50;
+const PROGRESS_INTERVAL_MS = 250;
+const TMP_SUFFIX = '.st-transfer-tmp';
+const OPS = ['copy', 'move'];
+const POLICIES = ['skip', 'overwrite', 'rename', 'ask'];
+
+const events = new EventEmitter();
+events.setMaxListeners(0);
+const jobs = new Map();
+let counter = 0;
+// 겹치는 대상(파일/폴더 종류가 다른 항목)을 치우는 함수 — index.js 가 휴지통으로 보내도록 바꿔 끼움
+let removeItem = p => fs.rmSync(p, { recursive: true, force: true });
+
+/**
+ * @param {{ remove?: (absPath: string) => void }} opts
+ */
+function init(opts = {}) {
+    if (opts.remove) removeItem = opts.remove;
+}
+
+class CancelledError extends Error {
+    constructor() {
+        super('취소됨');
+        this.cancelled = true;
+    }
+}
+
+function summary(job) {
+    return {
+        id: job.id,
+        op: job.op,
+        destDir: job.destDir,
+        names: job.items.slice(0, 5).map(i => i.name),
+        itemCount: job.items.length,
+        conflict: job.conflict,
+        status: job.status,
+        progress: { ...job.progress },
+        pending: job.pending,
+        done: job.done,
+        skipped: job.skipped,
+        errors: job.errors.slice(0, MAX_ERRORS),
+        errorCount: job.errors.length,
+        crossDevice: job.crossDevice,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        durationMs: (job.finishedAt || Date.now()) - job.startedAt,
+    };
+}
+
+function isActive(job) {
+    return job.status === 'scanning' || job.status === 'running' || job.status === 'waiting';
+}
+
+function prune() {
+    const finished = [...jobs.values()].filter(j => !isActive(j));
+    for (const j of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED))) jobs.delete(j.id);
+}
+
+function emitProgress(job, force) {
+    if (!force && Date.now() - job.lastEmit < PROGRESS_INTERVAL_MS) return;
+    job.lastEmit = Date.now();
+    events.emit('progress', job);
+}
+
+function checkCancel(job) {
+    if (job.cancelled) throw new CancelledError();
+}
+
+function inside(p, dir) {
+    return p === dir || p.startsWith(dir + path.sep);
+}
+
+// "name.txt" → "name (2).txt", "name (3).txt" ...
+function uniqueName(dir, name) {
+    const ext = path.extname(name);
+    const base = ext ? name.slice(0, -ext.length) : name;
+    for (let i = 2; ; i++) {
+        const candidate = `${base} (${i})${ext}`;
+        if (!fs.existsSync(path.join(dir, candidate))) return candidate;
+    }
+}
+
+async function lstatOrNull(p) {
+    try {
+        return await fs.promises.lstat(p);
+    } catch (e) {
+        return null;
+    }
+}
+
+// 파일 수/바이트 합계 (진행률 분모)
+async function measure(p, st) {
+    if (!st.isDirectory()) return { files: 1, bytes: st.isFile() ? st.size : 0 };
+    const total = { files: 0, bytes: 0 };
+    let names = [];
+    try { names = await fs.promises.readdir(p); } catch (e) { return total; }
+    for (const n of names) {
+        const full = path.join(p, n);
+        const s = await lstatOrNull(full);
+        if (!s) continue;
+        const t = await measure(full, s);
+        total.files += t.files;
+        total.bytes += t.bytes;
+    }
+    return total;
+}
+
+async function hashFile(p) {
+    const h = crypto.createHash('sha1');
+    await pipeline(fs.createReadStream(p), h);
+    return h.digest('hex');
+}
+
+// 같은 이름이 있을 때 어떻게 할지 — ask 면 답이 올 때까지 기다림
+async function decide(job, src, dest, srcStat, destStat) {
+    const policy = job.applyAll || job.conflict;
+    if (policy !== 'ask') return policy;
+    job.status = 'waiting';
+    job.pending = {
+        src,
+        dest,
+        isDirectory: srcStat.isDirectory(),
+        destIsDirectory: destStat.isDirectory(),
+        srcSize: srcStat.size,
+        destSize: destStat.size,
+        srcMtime: srcStat.mtimeMs,
+        destMtime: destStat.mtimeMs,
+    };
+    const action = await new Promise((resolve) => {
+        job.answer = resolve;
+        events.emit('ask', job);
+    });
+    job.answer = null;
+    job.pending = null;
+    checkCancel(job);
+    job.status = 'running';
+    emitProgress(job, true);
+    return action;
+}
+
+// 파일 하나를 임시 파일로 받아 바꿔치기 (수정 시각 유지). verify 면 원본 sha1 을 함께 돌려줌
+async function copyFile(job, src, dest, st, verify) {
+    const tmp = dest + TMP_SUFFIX;
+    const hash = verify ? crypto.createHash('sha1') : null;
+    const meter = new Transform({
+        transform(chunk, enc, cb) {
+            if (hash) hash.update(chunk);
+            job.progress.bytes += chunk.length;
+            emitProgress(job);
+            cb(null, chunk);
+        },
+    });
+    const ac = new AbortController();
+    job.abort = () => ac.abort();
+    try {
+        await pipeline(fs.createReadStream(src), meter, fs.createWriteStream(tmp, { mode: st.mode }), { signal: ac.signal });
+        await fs.promises.utimes(tmp, st.atime, st.mtime);
+        await fs.promises.rename(tmp, dest);
+    } catch (e) {
+        try { fs.unlinkSync(tmp); } catch (er) {}
+        if (job.cancelled) throw new CancelledError();
+        throw e;
+    } finally {
+        job.abort = null;
+    }
+    return hash ? hash.digest('hex') : null;
+}
+
+async function copyLink(src, dest) {
+    const target = await fs.promises.readlink(src);
+    await fs.promises.symlink(target, dest);
+}
+
+/**
+ * 항목 하나 (폴더면 안쪽까지). forced 는 폴더를 합칠 때 안쪽 충돌에 그대로 쓰는 정책
+ * @returns {Promise<string|null>} 실제로 쓴 대상 경로 (건너뛰었으면 null)
+ */
+async function transferItem(job, src, dest, forced) {
+    checkCancel(job);
+    const st = await fs.promises.lstat(src);
+    job.progress.current = src;
+    const moving = job.op === 'move';
+    let destStat = await lstatOrNull(dest);
+
+    // 같은 항목 (대소문자만 바꾸는 이름 변경 등)
+    if (destStat && destStat.ino === st.ino && destStat.dev === st.dev) {
+        if (moving) {
+            await fs.promises.rename(src, dest);
+            job.progress.files += (await measure(dest, st)).files;
+            return dest;
+        }
+        dest = path.join(path.dirname(dest), uniqueName(path.dirname(dest), path.basename(dest)));
+        destStat = null;
+    }
+
+    let merge = false;
+    if (destStat) {
+        const action = forced || await decide(job, src, dest, st, destStat);
+        if (action === 'skip') {
+            const t = await measure(src, st);
+            job.progress.files += t.files;
+            job.progress.bytes += t.bytes;
+            job.skipped += t.files;
+            emitProgress(job);
+            return null;
+        }
+        if (action === 'rename') {
+            dest = path.join(path.dirname(dest), uniqueName(path.dirname(dest), path.basename(dest)));
+        } else if (action === 'overwrite') {
+            if (st.isDirectory() && destStat.isDirectory()) {
+                merge = true;
+            } else if (st.isDirectory() || destStat.isDirectory()) {
+                // 파일 ↔ 폴더는 합칠 수 없으니 있던 쪽을 치움
+                removeItem(dest);
+            } else if (st.isSymbolicLink() || destStat.isSymbolicLink()) {
+                // 링크는 그 자리에 새로 만들어야 하고(있으면 EEXIST), 링크 위에 쓰면 가리키던 파일이 바뀌므로 있던 쪽을 치움
+                removeItem(dest);
+            } else {
+                history.snapshot(dest, job.op);
+            }
+        } else {
+            throw new Error(`알 수 없는 충돌 처리: ${action}`);
+        }
+    }
+
+    if (moving && !merge) {
+        try {
+            await fs.promises.rename(src, dest);
+            const t = await measure(dest, st);
+            job.progress.files += t.files;
+            job.progress.bytes += t.bytes;
+            emitProgress(job);
+            return dest;
+        } catch (e) {
+            if (e.code !== 'EXDEV') throw e;
+            job.crossDevice = true;
+        }
+    }
+
+    if (st.isDirectory()) {
+        if (!merge) await fs.promises.mkdir(dest, { mode: st.mode });
+        let names = await fs.promises.readdir(src);
+        for (const n of names) {
+            try {
+                await transferItem(job, path.join(src, n), path.join(dest, n), merge ? 'overwrite' : forced);
+            } catch (e) {
+                if (e.cancelled) throw e;
+                if (job.errors.length < MAX_ERRORS * 2) job.errors.push({ path: path.join(src, n), error: e.message });
+            }
+        }
+        try { await fs.promises.utimes(dest, st.atime, st.mtime); } catch (e) {}
+        // 옮긴 뒤 비었으면 원본 폴더 제거 (건너뛴/실패한 항목이 있으면 남음)
+        if (moving) {
+            names = await fs.promises.readdir(src).catch(() => []);
+            if (!names.length) await fs.promises.rmdir(src).catch(() => {});
+        }
+    } else if (st.isSymbolicLink()) {
+        await copyLink(src, dest);
+        if (moving) await fs.promises.unlink(src);
+        job.progress.files++;
+    } else if (st.isFile()) {
+        const srcHash = await copyFile(job, src, dest, st, moving);
+        if (moving) {
+            // 장치를 넘어 옮길 때: 다 쓰인 사본을 다시 읽어 확인한 뒤에만 원본을 지움
+            const check = await fs.promises.stat(dest);
+            if (check.size !== st.size || await hashFile(dest) !== srcHash) {
+                throw new Error('복사본 검증 실패 — 원본을 남겨 둡니다');
+            }
+            await fs.promises.unlink(src);
+        }
+        job.progress.files++;
+    } else {
+        // 소켓/장치 파일 등
+        job.progress.files++;
+        job.skipped++;
+    }
+    emitProgress(job);
+    return dest;
+}
+
+async function runJob(job) {
+    try {
+        for (const item of job.items) {
+            const st = await lstatOrNull(item.src);
+            if (st) {
+                const t = await measure(item.src, st);
+                job.progress.totalFiles += t.files;
+                job.progress.totalBytes += t.bytes;
+            }
+            checkCancel(job);
+        }
+        job.status = 'running';
+        emitProgress(job, true);
+        await fs.promises.mkdir(job.destDir, { recursive: true });
+        for (const item of job.items) {
+            checkCancel(job);
+            const dest = path.join(job.destDir, item.name);
+            try {
+                if (!fs.existsSync(item.src)) throw new Error('원본을 찾을 수 없습니다');
+                if (inside(job.destDir, item.src)) {
+                    throw new Error('폴더를 자기 안으로 옮기거나 복사할 수 없습니다');
+                }
+                const wrote = await transferItem(job, item.src, dest, null);
+                if (wrote) {
+                    // 되돌리기 기록도 새 경로로 따라감
+                    if (job.op === 'move') history.rename(item.src, wrote);
+                    job.done.push({ src: item.src, dest: wrote });
+                }
+            } catch (e) {
+                if (e.cancelled) throw e;
+                job.errors.push({ path: item.src, error: e.message });
+            }
+        }
+        job.status = job.errors.length && !job.done.length ? 'error' : 'done';
+    } catch (e) {
+        if (e.cancelled) job.status = 'cancelled';
+        else {
+            job.status = 'error';
+            job.errors.push({ path: job.progress.current, error: e.message });
+        }
+    }
+    job.progress.current = null;
+    job.finishedAt = Date.now();
+    events.emit('exit', job);
+    prune();
+}
+
+/**
+ * 전송 작업을 시작합니다. 바로 돌아오고, 작업은 백그라운드로 진행됩니다.
+ * @param {{ op: 'copy'|'move', items: Array<{ src: string, name?: string }>, destDir: string, conflict?: string }} opts 경로는 모두 절대 경로
+ * @returns {object} 작업 요약
+ */
+function start(opts) {
+    if (!OPS.includes(opts.op)) throw new Error('op 는 copy 또는 move');
+    const conflict = opts.conflict || 'ask';
+    if (!POLICIES.includes(conflict)) throw new Error(`충돌 처리는 ${POLICIES.join(', ')} 중 하나`);
+    if (!Array.isArray(opts.items) || !opts.items.length) throw new Error('옮길 항목이 없습니다');
+    const items = opts.items.map(i => ({ src: i.src, name: i.name || path.basename(i.src) }));
+    for (const i of items) {
+        if (!i.name || i.name === '.' || i.name === '..' || i.name.includes('/')) throw new Error(`잘못된 이름: ${i.name}`);
+    }
+    const id = String(++counter);
+    const job = {
+        id,
+        op: opts.op,
+        items,
+        destDir: opts.destDir,
+        conflict,
+        applyAll: null,
+        status: 'scanning',
+        progress: { files: 0, totalFiles: 0, bytes: 0, totalBytes: 0, current: null },
+        pending: null,
+        answer: null,
+        abort: null,
+        cancelled: false,
+        crossDevice: false,
+        done: [],
+        skipped: 0,
+        errors: [],
+        startedAt: Date.now(),
+        finishedAt: null,
+        lastEmit: 0,
+    };
+    jobs.set(id, job);
+    runJob(job);
+    return summary(job);
+}
+
+function get(id) {
+    const job = jobs.get(String(id));
+    return job ? summary(job) : null;
+}
+
+function list() {
+    return [...jobs.values()].map(summary).reverse();
+}
+
+/**
+ * ask 로 멈춘 작업에 답합니다.
+ * @param {string} id
+ * @param {'skip'|'overwrite'|'rename'} action
+ * @param {boolean} [applyToAll] 남은 충돌에도 같은 답
+ */
+function answer(id, action, applyToAll) {
+    const job = jobs.get(String(id));
+    if (!job) throw new Error('작업을 찾을 수 없습니다');
+    if (job.status !== 'waiting' || !job.answer) throw new Error('답을 기다리는 작업이 아닙니다');
+    if (!['skip', 'overwrite', 'rename'].includes(action)) throw new Error('skip, overwrite, rename 중 하나');
+    if (applyToAll) job.applyAll = action;
+    job.answer(action);
+    return summary(job);
+}
+
+function cancel(id) {
+    const job = jobs.get(String(id));
+    if (!job) throw new Error('작업을 찾을 수 없습니다');
+    if (!isActive(job)) return summary(job);
+    job.cancelled = true;
+    if (job.abort) job.abort();
+    if (job.answer) job.answer('skip');
+    return summary(job);
+}
+
+// 끝난 작업 기록 지우기
+function clearFinished() {
+    let n = 0;
+    for (const [id, j] of jobs) {
+        if (!isActive(j)) {
+            jobs.delete(id);
+            n++;
+        }
+    }
+    return n;
+}
+
+/**
+ * 작업이 끝날 때까지 기다립니다 (/move, /copy 처럼 한 번에 답하는 API 용).
+ * @returns {Promise<object>} 작업 요약
+ */
+function wait(id) {
+    const job = jobs.get(String(id));
+    if (!job || !isActive(job)) return Promise.resolve(job ? summary(job) : null);
+    return new Promise((resolve) => {
+        const onExit = (j) => {
+            if (j !== job) return;
+            events.off('exit', onExit);
+            resolve(summary(job));
+        };
+        events.on('exit', onExit);
+    });
+}
+
+module.exports = {
+    events,
+    init,
+    start,
+    get,
+    list,
+    answer,
+    cancel,
+    clearFinished,
+    wait,
+    summary,
+    isActive,
+};
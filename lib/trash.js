@@ -0,0 +1,247 @@
+// TermuxFM 휴지통
+// /delete, /batch-delete 는 파일을 바로 지우지 않고 휴지통으로 옮깁니다.
+//   <휴지통>/files/<id>/<원래 이름>  — 항목 본체
+//   <휴지통>/info/<id>.json          — { id, name, originalPath, deletedAt, size, isDirectory }
+// 휴지통은 같은 저장장치 안에 둡니다 (홈은 ~/.st-filemanager/trash, SD/내장공유저장소는
+// <마운트>/.st-filemanager-trash). 그래야 큰 폴더도 rename 한 번으로 끝납니다.
+
+const path = require('path');
+const fs = require('fs');
+const { statePath, ensureDir, loadJson, saveJson } = require('./store');
+
+const HOME_TRASH = statePath('trash');
+const STORAGE_TRASH_NAME = '.st-filemanager-trash';
+const SETTINGS_FILE = statePath('trash-settings.json');
+const DEFAULT_SETTINGS = { maxAgeDays: 30, maxSizeMB: 2048 };
+// 보존 기간을 짧게 잡아도 이보다 최근에 버린 항목은 지우지 않음
+const GRACE_MS = 24 * 3600 * 1000;
+
+function getSettings() {
+    return { ...DEFAULT_SETTINGS, ...loadJson(SETTINGS_FILE, {}) };
+}
+
+function saveSettings(patch) {
+    const next = getSettings();
+    if (patch.maxAgeDays !== undefined) next.maxAgeDays = Math.max(0, Number(patch.maxAgeDays) || 0);
+    if (patch.maxSizeMB !== undefined) next.maxSizeMB = Math.max(0, Number(patch.maxSizeMB) || 0);
+    saveJson(SETTINGS_FILE, next);
+    return next;
+}
+
+// /storage/emulated/0/... → /storage/emulated/0/.st-filemanager-trash
+// /storage/XXXX-XXXX/...  → /storage/XXXX-XXXX/.st-filemanager-trash
+function trashRootFor(absPath) {
+    const parts = absPath.split('/').filter(Boolean);
+    if (parts[0] === 'storage' && parts[1] === 'emulated' && parts.length > 3) {
+        return path.join('/storage/emulated', parts[2], STORAGE_TRASH_NAME);
+    }
+    if (parts[0] === 'storage' && parts[1] && parts[1] !== 'emulated' && parts[1] !== 'self' && parts.length > 2) {
+        return path.join('/storage', parts[1], STORAGE_TRASH_NAME);
+    }
+    return HOME_TRASH;
+}
+
+function knownTrashRoots() {
+    const roots = [HOME_TRASH];
+    const probe = (dir) => {
+        const t = path.join(dir, STORAGE_TRASH_NAME);
+        try { if (fs.statSync(t).isDirectory()) roots.push(t); } catch (e) {}
+    };
+    let mounts = [];
+    try { mounts = fs.readdirSync('/storage'); } catch (e) {}
+    for (const m of mounts) {
+        if (m === 'self') continue;
+        if (m === 'emulated') {
+            let users = [];
+            try { users = fs.readdirSync('/storage/emulated'); } catch (e) {}
+            for (const u of users) probe(path.join('/storage/emulated', u));
+        } else {
+            probe(path.join('/storage', m));
+        }
+    }
+    return roots;
+}
+
+// 휴지통 자체나 그 안을 지우는 건 영구 삭제로 처리
+function isTrashPath(absPath) {
+    return knownTrashRoots().some(root => absPath === root || absPath.startsWith(root + path.sep));
+}
+
+// 휴지통을 품은 상위 폴더 (홈, ~/.st-filemanager, 저장장치 루트 등) — 지우면 휴지통까지 사라지므로 지우지 않음
+function containsTrash(absPath) {
+    return knownTrashRoots().some(root => root.startsWith(absPath + path.sep));
+}
+
+function diskUsage(p) {
+    let st;
+    try { st = fs.lstatSync(p); } catch (e) { return 0; }
+    if (!st.isDirectory()) return st.size;
+    let total = 0;
+    let names = [];
+    try { names = fs.readdirSync(p); } catch (e) {}
+    for (const n of names) total += diskUsage(path.join(p, n));
+    return total;
+}
+
+// rename 이 장치 경계(EXDEV)에서 실패하면 복사 후 원본 삭제
+function moveItem(src, dest) {
+    try {
+        fs.renameSync(src, dest);
+    } catch (err) {
+        if (err.code !== 'EXDEV') throw err;
+        fs.cpSync(src, dest, { recursive: true, preserveTimestamps: true, verbatimSymlinks: true });
+        fs.rmSync(src, { recursive: true, force: true });
+    }
+}
+
+function newId() {
+    return Date.now().toString(36) + '_' + Math.random().toString(36).slice(2, 8);
+}
+
+/**
+ * 항목을 휴지통으로 옮깁니다.
+ * @param {string} absPath 절대 경로
+ * @returns {object} 휴지통 메타데이터
+ */
+function moveToTrash(absPath) {
+    const stat = fs.lstatSync(absPath);
+    const root = trashRootFor(absPath);
+    const id = newId();
+    const name = path.basename(absPath);
+    const holder = ensureDir(path.join(root, 'files', id));
+    ensureDir(path.join(root, 'info'));
+    const meta = {
+        id,
+        name,
+        originalPath: absPath,
+        deletedAt: Date.now(),
+        size: diskUsage(absPath),
+        isDirectory: stat.isDirectory(),
+    };
+    try {
+        moveItem(absPath, path.join(holder, name));
+    } catch (err) {
+        try { fs.rmSync(holder, { recursive: true, force: true }); } catch (e) {}
+        throw err;
+    }
+    saveJson(path.join(root, 'info', `${id}.json`), meta);
+    return meta;
+}
+
+function list() {
+    const items = [];
+    for (const root of knownTrashRoots()) {
+        let names = [];
+        try { names = fs.readdirSync(path.join(root, 'info')); } catch (e) { continue; }
+        for (const n of names) {
+            if (!n.endsWith('.json')) continue;
+            const meta = loadJson(path.join(root, 'info', n), null);
+            if (meta && meta.id) items.push({ ...meta, trashRoot: root });
+        }
+    }
+    items.sort((a, b) => b.deletedAt - a.deletedAt);
+    return items;
+}
+
+function find(id) {
+    return list().find(i => i.id === id) || null;
+}
+
+function purgeEntry(entry) {
+    fs.rmSync(path.join(entry.trashRoot, 'files', entry.id), { recursive: true, force: true });
+    try { fs.unlinkSync(path.join(entry.trashRoot, 'info', `${entry.id}.json`)); } catch (e) {}
+}
+
+// "name.txt" → "name (1).txt", "name (2).txt" ...
+function uniqueName(dir, name) {
+    const ext = path.extname(name);
+    const base = ext ? name.slice(0, -ext.length) : name;
+    for (let i = 1; ; i++) {
+        const candidate = `${base} (${i})${ext}`;
+        if (!fs.existsSync(path.join(dir, candidate))) return candidate;
+    }
+}
+
+/**
+ * 휴지통 항목을 원래 위치(또는 targetDir)로 되돌립니다.
+ * @param {string} id
+ * @param {{ conflict?: 'rename'|'overwrite'|'skip', targetDir?: string }} opts
+ */
+function restore(id, opts = {}) {
+    const entry = find(id);
+    if (!entry) throw new Error('휴지통에 없는 항목입니다');
+    const conflict = opts.conflict || 'rename';
+    const destDir = opts.targetDir || path.dirname(entry.originalPath);
+    let dest = path.join(destDir, entry.name);
+    ensureDir(destDir);
+
+    if (fs.existsSync(dest)) {
+        if (conflict === 'skip') return { id, skipped: true, path: dest };
+        if (conflict === 'overwrite') {
+            // 덮어쓸 기존 항목도 바로 지우지 않고 휴지통으로
+            moveToTrash(dest);
+        } else {
+            dest = path.join(destDir, uniqueName(destDir, entry.name));
+        }
+    }
+    moveItem(path.join(entry.trashRoot, 'files', entry.id, entry.name), dest);
+    purgeEntry(entry);
+    return { id, path: dest, renamed: path.basename(dest) !== entry.name };
+}
+
+function purge(id) {
+    const entry = find(id);
+    if (!entry) return false;
+    purgeEntry(entry);
+    return true;
+}
+
+function empty() {
+    const items = list();
+    for (const entry of items) purgeEntry(entry);
+    return items.length;
+}
+
+// 보존 정책: 기간이 지난 항목만 삭제 (GRACE_MS 보다 최근 항목은 그대로).
+// 용량으로는 지우지 않음 — 큰 항목을 버리자마자 사라지면 안 되므로 usage().over 로 경고만
+function enforce() {
+    const { maxAgeDays } = getSettings();
+    if (!(maxAgeDays > 0)) return 0;
+    const now = Date.now();
+    const maxAge = Math.max(GRACE_MS, maxAgeDays * 86400000);
+    let removed = 0;
+    for (const entry of list()) {
+        if (now - entry.deletedAt > maxAge) {
+            purgeEntry(entry);
+            removed++;
+        }
+    }
+    return removed;
+}
+
+/**
+ * 휴지통 전체 크기와 최대 용량(maxSizeMB) 초과 여부
+ * @returns {{ totalSize: number, limit: number, over: boolean }} limit 0 = 제한 없음
+ */
+function usage() {
+    const { maxSizeMB } = getSettings();
+    const totalSize = list().reduce((s, e) => s + (e.size || 0), 0);
+    const limit = maxSizeMB > 0 ? maxSizeMB * 1024 * 1024 : 0;
+    return { totalSize, limit, over: limit > 0 && totalSize > limit };
+}
+
+module.exports = {
+    getSettings,
+    saveSettings,
+    isTrashPath,
+    containsTrash,
+    moveToTrash,
+    moveItem,
+    uniqueName,
+    list,
+    restore,
+    purge,
+    empty,
+    enforce,
+    usage,
+};
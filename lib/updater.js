@@ -0,0 +1,389 @@
+// TermuxFM 업데이트 (git)
+// 예전 /update 는 git pull && npm install 을 그냥 돌려서, 충돌이 나거나 깨진 커밋이 오면 되돌릴 방법이 없었습니다.
+//   1) check  — git fetch 후 들어올 커밋/바뀐 파일/로컬 수정 여부를 미리 보여 줌 (아무것도 바꾸지 않음)
+//   2) apply  — 로컬 수정은 stash 로 치워 두고, 업데이트 전 커밋을 기록한 뒤 fast-forward 만 함 (merge 커밋/충돌 없음)
+//               package.json 이 바뀌었을 때만 npm install. stash 는 다시 적용하고, 충돌하면 stash 에 남겨 둠
+//   3) rollback — 기록해 둔 업데이트 전 커밋으로 되돌림
+// 대상: fm(파일매니저), st, library, 그리고 ST 의 third-party 확장(ext:<이름>)·서버 플러그인(plugin:<이름>)
+//   ~/.st-filemanager/updates.json — 업데이트/되돌리기 기록
+
+const path = require('path');
+const fs = require('fs');
+const { execFile } = require('child_process');
+const { statePath, loadJson, saveJson } = require('./store');
+
+const HISTORY_FILE = statePath('updates.json');
+const MAX_HISTORY = 50;
+const GIT_TIMEOUT_MS = 90 * 1000;
+const NPM_TIMEOUT_MS = 10 * 60 * 1000;
+const MAX_COMMITS = 100;
+const PACKAGE_FILES = ['package.json', 'package-lock.json', 'npm-shrinkwrap.json'];
+
+const TARGETS = {
+    fm: { label: '파일매니저', icon: '📂' },
+    st: { label: 'SillyTavern', icon: '🎭' },
+    library: { label: '도서관', icon: '📚' },
+};
+const EXTENSION_KINDS = {
+    ext: { label: '확장', dir: ['public', 'scripts', 'extensions', 'third-party'] },
+    plugin: { label: '서버 플러그인', dir: ['plugins'] },
+};
+
+let deps = { fmRoot: null, findSTRoot: () => null, findLibraryRoot: () => null };
+const busy = new Set();
+
+function configure(d) {
+    deps = { ...deps, ...d };
+}
+
+/**
+ * 명령 실행. 실패하면 stdout/stderr 를 붙인 Error
+ * @returns {Promise<string>} stdout
+ */
+function run(file, args, cwd, timeout = GIT_TIMEOUT_MS) {
+    return new Promise((resolve, reject) => {
+        execFile(file, args, {
+            cwd,
+            timeout,
+            maxBuffer: 16 * 1024 * 1024,
+            // 인증 창을 띄우려고 멈춰 있지 않게
+            env: { ...process.env, GIT_TERMINAL_PROMPT: '0', LC_ALL: 'C' },
+        }, (err, stdout, stderr) => {
+            if (err) {
+                if (err.code === 'ENOENT') return reject(new Error(`${file} 이(가) 없습니다 (pkg install ${file === 'npm' ? 'nodejs' : file})`));
+                const e = new Error((stderr || stdout || err.message).trim());
+                e.stdout = stdout;
+                e.stderr = stderr;
+                return reject(e);
+            }
+            resolve(stdout);
+        });
+    });
+}
+
+const git = (cwd, ...args) => run('git', args, cwd).then(s => s.trim());
+
+// ===== 대상 =====
+
+function extensionDirs() {
+    const stRoot = deps.findSTRoot();
+    if (!stRoot) return [];
+    const out = [];
+    for (const [kind, def] of Object.entries(EXTENSION_KINDS)) {
+        const base = path.join(stRoot, ...def.dir);
+        let names = [];
+        try { names = fs.readdirSync(base); } catch (e) {}
+        for (const name of names.sort()) {
+            const dir = path.join(base, name);
+            if (fs.existsSync(path.join(dir, '.git'))) out.push({ id: `${kind}:${name}`, kind, name, path: dir });
+        }
+    }
+    return out;
+}
+
+/**
+ * @param {string} id fm | st | library | ext:<이름> | plugin:<이름>
+ * @returns {{ id: string, label: string, path: string, kind: string }}
+ */
+function resolveTarget(id) {
+    id = String(id || '');
+    if (TARGETS[id]) {
+        const dir = id === 'fm' ? deps.fmRoot : id === 'st' ? deps.findSTRoot() : deps.findLibraryRoot();
+        if (!dir) throw new Error(`${TARGETS[id].label} 폴더를 찾을 수 없습니다.`);
+        return { id, label: TARGETS[id].label, path: dir, kind: id };
+    }
+    const m = id.match(/^(ext|plugin):([^/\\]+)$/);
+    if (!m || m[2] === '.' || m[2] === '..') throw new Error(`알 수 없는 업데이트 대상: ${id}`);
+    const found = extensionDirs().find(e => e.id === id);
+    if (!found) throw new Error(`${EXTENSION_KINDS[m[1]].label} '${m[2]}' 을(를) 찾을 수 없습니다 (git 저장소가 아님)`);
+    return { id, label: found.name, path: found.path, kind: m[1] };
+}
+
+// ===== 기록 =====
+
+function loadHistory() {
+    const h = loadJson(HISTORY_FILE, []);
+    return Array.isArray(h) ? h : [];
+}
+
+function recordHistory(entry) {
+    const list = loadHistory();
+    list.unshift(entry);
+    saveJson(HISTORY_FILE, list.slice(0, MAX_HISTORY));
+}
+
+function listHistory(target) {
+    return loadHistory().filter(h => !target || h.target === target);
+}
+
+// 되돌릴 수 있는 가장 최근 업데이트
+function lastUpdate(target) {
+    return loadHistory().find(h => h.target === target && h.action === 'update' && h.status === 'done' && h.from !== h.to) || null;
+}
+
+// ===== 상태 보기 =====
+
+async function repoInfo(dir) {
+    if (!fs.existsSync(path.join(dir, '.git'))) throw new Error('git 저장소가 아닙니다 (git clone 으로 설치한 경우만 업데이트 가능)');
+    const head = await git(dir, 'rev-parse', 'HEAD');
+    const branch = await git(dir, 'rev-parse', '--abbrev-ref', 'HEAD');
+    let upstream = null;
+    try {
+        upstream = await git(dir, 'rev-parse', '--abbrev-ref', '--symbolic-full-name', '@{u}');
+    } catch (e) {}
+    let remoteUrl = null;
+    try {
+        remoteUrl = await git(dir, 'remote', 'get-url', upstream ? upstream.split('/')[0] : 'origin');
+    } catch (e) {}
+    return { head, branch, upstream, remoteUrl };
+}
+
+// 추적 중인 파일의 수정만 (새로 만든 파일은 fast-forward 를 막지 않으므로 stash 하지 않음)
+async function localChanges(dir) {
+    // 줄 앞 공백도 상태 칸이므로 trim 하지 않음
+    const out = (await run('git', ['status', '--porcelain', '--untracked-files=no'], dir)).replace(/\n+$/, '');
+    return out ? out.split('\n').map(l => ({ status: l.slice(0, 2).trim(), path: l.slice(3) })) : [];
+}
+
+function parseCommits(out) {
+    return out ? out.split('\n').map((l) => {
+        const [hash, short, author, at, subject] = l.split('\x1f');
+        return { hash, short, author, at: Number(at) * 1000, subject };
+    }) : [];
+}
+
+function parseNameStatus(out) {
+    return out ? out.split('\n').map((l) => {
+        const parts = l.split('\t');
+        return { status: parts[0][0], path: parts[parts.length - 1] };
+    }) : [];
+}
+
+async function commitsBetween(dir, from, to) {
+    return parseCommits(await git(dir, 'log', `--format=%H%x1f%h%x1f%an%x1f%at%x1f%s`, '-n', String(MAX_COMMITS), `${from}..${to}`));
+}
+
+async function filesBetween(dir, from, to) {
+    return parseNameStatus(await git(dir, 'diff', '--name-status', from, to));
+}
+
+/**
+ * 가져올 것만 확인합니다 (git fetch 만 하고 작업 폴더는 그대로).
+ */
+async function check(id, { fetch = true } = {}) {
+    const t = resolveTarget(id);
+    const info = await repoInfo(t.path);
+    const result = {
+        target: t.id,
+        label: t.label,
+        path: t.path,
+        ...info,
+        remoteHead: null,
+        ahead: 0,
+        behind: 0,
+        commits: [],
+        files: [],
+        packageChanged: false,
+        dirty: await localChanges(t.path),
+        lastUpdate: lastUpdate(t.id),
+        checkedAt: Date.now(),
+    };
+    if (!info.upstream) {
+        result.error = `브랜치 '${info.branch}' 에 연결된 원격 브랜치가 없습니다`;
+        return result;
+    }
+    if (fetch) await git(t.path, 'fetch', '--quiet');
+    result.remoteHead = await git(t.path, 'rev-parse', '@{u}');
+    const [ahead, behind] = (await git(t.path, 'rev-list', '--left-right', '--count', 'HEAD...@{u}')).split(/\s+/).map(Number);
+    result.ahead = ahead;
+    result.behind = behind;
+    if (behind) {
+        result.commits = await commitsBetween(t.path, 'HEAD', '@{u}');
+        result.files = parseNameStatus(await git(t.path, 'diff', '--name-status', 'HEAD...@{u}'));
+        result.packageChanged = result.files.some(f => PACKAGE_FILES.includes(f.path));
+    }
+    return result;
+}
+
+// ===== 바꾸기 =====
+
+async function withLock(id, fn) {
+    if (busy.has(id)) throw new Error('이미 업데이트/되돌리기가 진행 중입니다');
+    busy.add(id);
+    try {
+        return await fn();
+    } finally {
+        busy.delete(id);
+    }
+}
+
+async function stashPush(dir, log) {
+    const before = await git(dir, 'rev-parse', '-q', '--verify', 'refs/stash').catch(() => '');
+    // stash 도 커밋이라 이름/메일이 필요함 — Termux 에선 git 설정을 안 해 둔 경우가 많음
+    await git(dir, '-c', 'user.name=TermuxFM', '-c', 'user.email=termuxfm@localhost', 'stash', 'push', '-m', `termuxfm-update ${new Date().toISOString()}`);
+    const after = await git(dir, 'rev-parse', '-q', '--verify', 'refs/stash').catch(() => '');
+    if (!after || after === before) return null;
+    log.push(`📦 로컬 수정을 stash 에 보관 (${after.slice(0, 7)})`);
+    return after;
+}
+
+// stash 를 다시 적용. 충돌하면 작업 폴더를 새 커밋 상태로 두고 stash 는 남김
+async function stashRestore(dir, sha, log) {
+    const list = (await git(dir, 'stash', 'list', '--format=%H')).split('\n');
+    const index = list.indexOf(sha);
+    if (index === -1) return true;
+    try {
+        await git(dir, 'stash', 'apply', `stash@{${index}}`);
+        await git(dir, 'stash', 'drop', `stash@{${index}}`);
+        log.push('📦 로컬 수정을 다시 적용함');
+        return true;
+    } catch (e) {
+        await git(dir, 'reset', '--hard', 'HEAD').catch(() => {});
+        log.push(`⚠️ 로컬 수정이 새 버전과 충돌해 적용하지 못했습니다. stash@{${index}} (${sha.slice(0, 7)}) 에 남아 있습니다`);
+        log.push(`   직접 적용: cd "${dir}" && git stash pop`);
+        return false;
+    }
+}
+
+async function npmInstall(dir, log) {
+    if (!fs.existsSync(path.join(dir, 'package.json'))) return;
+    log.push('$ npm install --production');
+    try {
+        const out = await run('npm', ['install', '--production', '--no-audit', '--no-fund'], dir, NPM_TIMEOUT_MS);
+        if (out.trim()) log.push(out.trim());
+    } catch (e) {
+        log.push(`⚠️ npm install 실패: ${e.message}`);
+    }
+}
+
+/**
+ * fast-forward 업데이트. 로컬에만 있는 커밋이 있으면(갈라짐) 건드리지 않고 에러.
+ * @param {{ stash?: boolean }} [opts] stash: false 면 로컬 수정이 있을 때 에러
+ * @returns {Promise<{ updated: boolean, from: string, to: string, log: string, stashConflict?: boolean, packageChanged?: boolean }>}
+ */
+function apply(id, { stash = true } = {}) {
+    const t = resolveTarget(id);
+    return withLock(t.id, async () => {
+        const log = [];
+        const c = await check(t.id);
+        if (c.error) throw new Error(c.error);
+        log.push(`🔍 ${t.label}: ${c.branch} (${c.head.slice(0, 7)}) ← ${c.upstream} (${c.remoteHead.slice(0, 7)})`);
+        if (!c.behind) {
+            log.push('✅ 이미 최신입니다');
+            return { updated: false, from: c.head, to: c.head, log: log.join('\n') };
+        }
+        if (c.ahead) throw new Error(`로컬에만 있는 커밋이 ${c.ahead}개 있어 자동 업데이트할 수 없습니다 (터미널에서 직접 git pull 하세요)`);
+        if (c.dirty.length && !stash) throw new Error(`수정된 파일이 ${c.dirty.length}개 있습니다`);
+
+        const entry = { id: Date.now().toString(36), target: t.id, label: t.label, action: 'update', at: Date.now(), from: c.head, to: null, stash: null, status: 'running' };
+        try {
+            if (c.dirty.length) entry.stash = await stashPush(t.path, log);
+            log.push(`$ git merge --ff-only ${c.upstream}  (커밋 ${c.behind}개)`);
+            try {
+                await git(t.path, 'merge', '--ff-only', '@{u}');
+            } catch (e) {
+                if (entry.stash) await stashRestore(t.path, entry.stash, log);
+                throw e;
+            }
+            entry.to = await git(t.path, 'rev-parse', 'HEAD');
+            log.push(`✅ ${c.head.slice(0, 7)} → ${entry.to.slice(0, 7)}`);
+            if (entry.stash && !(await stashRestore(t.path, entry.stash, log))) entry.stashConflict = true;
+            if (c.packageChanged) await npmInstall(t.path, log);
+            else log.push('📦 package.json 변경 없음 — npm install 건너뜀');
+            entry.status = 'done';
+        } catch (e) {
+            entry.status = 'error';
+            entry.error = e.message;
+            log.push(`❌ ${e.message}`);
+        }
+        entry.log = log.join('\n');
+        recordHistory(entry);
+        if (entry.status === 'error') throw Object.assign(new Error(entry.error), { log: entry.log });
+        return { updated: true, from: entry.from, to: entry.to, log: entry.log, stashConflict: !!entry.stashConflict, packageChanged: c.packageChanged };
+    });
+}
+
+/**
+ * 마지막 업데이트 전 커밋으로 되돌립니다. 로컬 수정은 apply 처럼 stash 로 보관 후 다시 적용.
+ */
+function rollback(id) {
+    const t = resolveTarget(id);
+    return withLock(t.id, async () => {
+        const last = lastUpdate(t.id);
+        if (!last) throw new Error('되돌릴 업데이트 기록이 없습니다');
+        const log = [];
+        const head = await git(t.path, 'rev-parse', 'HEAD');
+        // 업데이트 전 커밋이 지금 커밋의 조상이어야 함 (그 사이 다른 곳으로 옮겨 갔으면 위험)
+        try {
+            await git(t.path, 'merge-base', '--is-ancestor', last.from, head);
+        } catch (e) {
+            throw new Error(`업데이트 전 커밋 ${last.from.slice(0, 7)} 이(가) 지금 브랜치에 없습니다`);
+        }
+        const packageChanged = (await filesBetween(t.path, last.from, head)).some(f => PACKAGE_FILES.includes(f.path));
+        const entry = { id: Date.now().toString(36), target: t.id, label: t.label, action: 'rollback', at: Date.now(), from: head, to: last.from, of: last.id, stash: null, status: 'running' };
+        try {
+            if ((await localChanges(t.path)).length) entry.stash = await stashPush(t.path, log);
+            log.push(`$ git reset --hard ${last.from.slice(0, 7)}`);
+            await git(t.path, 'reset', '--hard', last.from);
+            log.push(`⏪ ${head.slice(0, 7)} → ${last.from.slice(0, 7)}`);
+            if (entry.stash && !(await stashRestore(t.path, entry.stash, log))) entry.stashConflict = true;
+            if (packageChanged) await npmInstall(t.path, log);
+            entry.status = 'done';
+        } catch (e) {
+            entry.status = 'error';
+            entry.error = e.message;
+            log.push(`❌ ${e.message}`);
+        }
+        entry.log = log.join('\n');
+        recordHistory(entry);
+        // 이 업데이트는 되돌렸으므로 다음 되돌리기 대상에서 빠지게 표시
+        if (entry.status === 'done') {
+            const list = loadHistory();
+            const orig = list.find(h => h.id === last.id);
+            if (orig) {
+                orig.status = 'rolled-back';
+                saveJson(HISTORY_FILE, list);
+            }
+        }
+        if (entry.status === 'error') throw Object.assign(new Error(entry.error), { log: entry.log });
+        return { from: entry.from, to: entry.to, log: entry.log, stashConflict: !!entry.stashConflict };
+    });
+}
+
+// ===== 목록 =====
+
+/**
+ * 업데이트할 수 있는 대상 (fetch 하지 않음 — 빠름)
+ */
+async function listTargets() {
+    const describe = async (id, label, icon, dir, kind) => {
+        const item = { id, label, icon, kind, path: dir, available: !!dir, git: false, busy: busy.has(id), lastUpdate: lastUpdate(id) };
+        if (!dir) return item;
+        try {
+            Object.assign(item, await repoInfo(dir), { git: true });
+            item.subject = await git(dir, 'log', '-1', '--format=%s');
+        } catch (e) {
+            item.error = e.message;
+        }
+        return item;
+    };
+    const targets = [];
+    for (const [id, def] of Object.entries(TARGETS)) {
+        let dir = null;
+        try { dir = resolveTarget(id).path; } catch (e) {}
+        targets.push(await describe(id, def.label, def.icon, dir, id));
+    }
+    const extensions = [];
+    for (const e of extensionDirs()) extensions.push(await describe(e.id, e.name, e.kind === 'ext' ? '🧩' : '🔌', e.path, e.kind));
+    return { targets, extensions };
+}
+
+module.exports = {
+    configure,
+    resolveTarget,
+    listTargets,
+    check,
+    apply,
+    rollback,
+    listHistory,
+};
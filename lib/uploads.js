@@ -0,0 +1,207 @@
+// TermuxFM 이어받기 가능한 분할 업로드
+// 큰 파일은 조각(chunk) 단위로 받아 ~/.st-filemanager-tmp/uploads 에 모읍니다.
+//   <id>.part  — 지금까지 받은 내용
+//   <id>.json  — { id, dest, size, lastModified, offset, createdAt, updatedAt }
+// 연결이 끊겨도 같은 파일(대상 경로 + 크기 + 수정 시각)로 다시 init 하면 받은 곳부터 이어서 받습니다.
+// 하루 넘게 손대지 않은 세션은 gc() 가 지웁니다.
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { HOME, ensureDir, loadJson, saveJson } = require('./store');
+const { moveItem } = require('./trash');
+
+const UPLOAD_DIR = path.join(HOME, '.st-filemanager-tmp', 'uploads');
+const MAX_CHUNK_SIZE = 16 * 1024 * 1024;
+const SESSION_MAX_AGE = 24 * 3600 * 1000;
+
+const busy = new Set(); // 같은 세션에 조각이 동시에 들어오는 것 방지
+
+function metaFile(id) {
+    return path.join(UPLOAD_DIR, `${id}.json`);
+}
+
+function partFile(id) {
+    return path.join(UPLOAD_DIR, `${id}.part`);
+}
+
+function checkId(id) {
+    if (typeof id !== 'string' || !/^[a-f0-9]{16}$/.test(id)) throw new Error('잘못된 업로드 ID');
+    return id;
+}
+
+function uploadError(message, status, extra = {}) {
+    const err = new Error(message);
+    err.status = status;
+    Object.assign(err, extra);
+    return err;
+}
+
+// 메타데이터보다 .part 가 짧으면(비정상 종료 등) 실제 파일 크기를 믿음
+function load(id) {
+    const meta = loadJson(metaFile(checkId(id)), null);
+    if (!meta) throw uploadError('업로드 세션이 없거나 만료되었습니다', 404);
+    let actual = 0;
+    try { actual = fs.statSync(partFile(id)).size; } catch (e) {}
+    if (actual < meta.offset) meta.offset = actual;
+    return meta;
+}
+
+function allSessions() {
+    let names = [];
+    try { names = fs.readdirSync(UPLOAD_DIR).filter(n => n.endsWith('.json')); } catch (e) {}
+    return names.map(n => loadJson(path.join(UPLOAD_DIR, n), null)).filter(m => m && m.id);
+}
+
+function publicSession(meta, resumed = false) {
+    return { uploadId: meta.id, offset: meta.offset, size: meta.size, resumed, chunkSize: MAX_CHUNK_SIZE };
+}
+
+/**
+ * 업로드 세션을 시작하거나, 같은 파일의 끊긴 세션이 있으면 그걸 이어갑니다.
+ * @param {{ dest: string, size: number, lastModified?: number }} opts dest 는 최종 절대 경로
+ */
+function init({ dest, size, lastModified }) {
+    size = Number(size);
+    if (!Number.isSafeInteger(size) || size < 0) throw uploadError('잘못된 파일 크기', 400);
+    lastModified = Number(lastModified) || 0;
+
+    const existing = allSessions().find(m => m.dest === dest && m.size === size && m.lastModified === lastModified);
+    if (existing) {
+        const meta = load(existing.id);
+        return publicSession(meta, meta.offset > 0);
+    }
+
+    ensureDir(UPLOAD_DIR);
+    // 남은 공간이 모자라면 시작부터 거부 (폰 저장공간이 꽉 차면 Termux 전체가 불안정해짐)
+    try {
+        const st = fs.statfsSync(UPLOAD_DIR);
+        if (st.bavail * st.bsize < size) throw uploadError(`저장 공간 부족 (필요: ${size} bytes)`, 507);
+    } catch (err) {
+        if (err.status) throw err;
+    }
+
+    const id = crypto.randomBytes(8).toString('hex');
+    fs.writeFileSync(partFile(id), '');
+    const meta = { id, dest, size, lastModified, offset: 0, createdAt: Date.now(), updatedAt: Date.now() };
+    saveJson(metaFile(id), meta);
+    return publicSession(meta);
+}
+
+function status(id) {
+    return publicSession(load(id));
+}
+
+/**
+ * 조각 하나를 씁니다. offset 이 서버가 기억하는 위치와 다르면 409 + 현재 offset 을 돌려줘서
+ * 클라이언트가 거기서부터 다시 보내게 합니다.
+ * @param {string} id
+ * @param {number} offset 이 조각의 시작 위치
+ * @param {Buffer} buf
+ * @param {string} [sha256] 조각의 SHA-256 (hex) — 주면 검증
+ */
+function writeChunk(id, offset, buf, sha256) {
+    const meta = load(id);
+    if (busy.has(id)) throw uploadError('이 업로드에 다른 조각을 받는 중입니다', 429);
+    offset = Number(offset);
+    if (offset !== meta.offset) throw uploadError('offset 불일치', 409, { offset: meta.offset });
+    if (!Buffer.isBuffer(buf) || buf.length === 0) throw uploadError('빈 조각', 400);
+    if (offset + buf.length > meta.size) throw uploadError('파일 크기를 넘는 조각', 400);
+    if (sha256) {
+        const actual = crypto.createHash('sha256').update(buf).digest('hex');
+        if (actual !== String(sha256).toLowerCase()) throw uploadError('조각 체크섬 불일치 — 다시 보내주세요', 422, { offset: meta.offset });
+    }
+
+    busy.add(id);
+    try {
+        const fd = fs.openSync(partFile(id), 'r+');
+        try {
+            fs.writeSync(fd, buf, 0, buf.length, offset);
+            // 이전에 일부만 쓰고 끊긴 꼬리가 있으면 잘라냄
+            fs.ftruncateSync(fd, offset + buf.length);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        meta.offset = offset + buf.length;
+        meta.updatedAt = Date.now();
+        saveJson(metaFile(id), meta);
+    } finally {
+        busy.delete(id);
+    }
+    return publicSession(meta);
+}
+
+/**
+ * 다 받은 파일을 최종 위치로 옮깁니다.
+ * @param {string} id
+ * @param {{ sha256?: string, onBeforeWrite?: (dest: string) => void }} opts
+ *   sha256 을 주면 전체 파일 해시를 검증, onBeforeWrite 는 덮어쓰기 직전 호출 (히스토리 기록용)
+ * @returns {Promise<{ dest: string, size: number, sha256: string }>}
+ */
+async function complete(id, opts = {}) {
+    const meta = load(id);
+    if (meta.offset !== meta.size) throw uploadError(`아직 다 받지 않았습니다 (${meta.offset}/${meta.size})`, 409, { offset: meta.offset });
+
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of fs.createReadStream(partFile(id))) hash.update(chunk);
+    const digest = hash.digest('hex');
+    if (opts.sha256 && String(opts.sha256).toLowerCase() !== digest) {
+        // 어느 조각이 깨졌는지 알 수 없으므로 처음부터 다시
+        cancel(id);
+        throw uploadError('파일 체크섬 불일치 — 처음부터 다시 업로드하세요', 422);
+    }
+
+    // 덮어쓸 수 없는 자리면 히스토리를 남기기 전에 거부
+    if (fs.existsSync(meta.dest) && fs.statSync(meta.dest).isDirectory()) {
+        throw uploadError('같은 이름의 폴더가 있습니다', 409);
+    }
+    ensureDir(path.dirname(meta.dest));
+    if (opts.onBeforeWrite) opts.onBeforeWrite(meta.dest);
+    moveItem(partFile(id), meta.dest);
+    try { fs.unlinkSync(metaFile(id)); } catch (e) {}
+    return { dest: meta.dest, size: meta.size, sha256: digest };
+}
+
+function cancel(id) {
+    checkId(id);
+    try { fs.unlinkSync(partFile(id)); } catch (e) {}
+    try { fs.unlinkSync(metaFile(id)); } catch (e) {}
+}
+
+// 오래 방치된 세션과 짝 잃은 .part 파일 정리
+function gc(maxAge = SESSION_MAX_AGE) {
+    const now = Date.now();
+    let removed = 0;
+    const live = new Set();
+    for (const meta of allSessions()) {
+        if (now - (meta.updatedAt || meta.createdAt || 0) > maxAge && !busy.has(meta.id)) {
+            cancel(meta.id);
+            removed++;
+        } else {
+            live.add(meta.id);
+        }
+    }
+    let names = [];
+    try { names = fs.readdirSync(UPLOAD_DIR); } catch (e) {}
+    for (const n of names) {
+        if (!n.endsWith('.part') || live.has(n.slice(0, -5))) continue;
+        try {
+            if (now - fs.statSync(path.join(UPLOAD_DIR, n)).mtimeMs > maxAge) {
+                fs.unlinkSync(path.join(UPLOAD_DIR, n));
+                removed++;
+            }
+        } catch (e) {}
+    }
+    return removed;
+}
+
+module.exports = {
+    MAX_CHUNK_SIZE,
+    init,
+    status,
+    writeChunk,
+    complete,
+    cancel,
+    gc,
+};
@@ -0,0 +1,190 @@
+// 아주 작은 WebSocket 서버 구현 (RFC 6455, 외부 패키지 없이)
+// 터미널처럼 키 입력과 출력이 양방향으로 자주 오가는 곳에서 씁니다.
+// 지원: 텍스트/바이너리 메시지, 조각난(continuation) 프레임, ping/pong, close. 확장(permessage-deflate)은 지원 안 함
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_SIZE = 16 * 1024 * 1024;
+const OP = { CONT: 0x0, TEXT: 0x1, BINARY: 0x2, CLOSE: 0x8, PING: 0x9, PONG: 0xa };
+
+function encodeFrame(opcode, payload) {
+    const len = payload.length;
+    let head;
+    if (len < 126) {
+        head = Buffer.alloc(2);
+        head[1] = len;
+    } else if (len < 65536) {
+        head = Buffer.alloc(4);
+        head[1] = 126;
+        head.writeUInt16BE(len, 2);
+    } else {
+        head = Buffer.alloc(10);
+        head[1] = 127;
+        head.writeBigUInt64BE(BigInt(len), 2);
+    }
+    head[0] = 0x80 | opcode;
+    return Buffer.concat([head, payload]);
+}
+
+class WebSocketConnection extends EventEmitter {
+    constructor(socket) {
+        super();
+        this.socket = socket;
+        this.open = true;
+        this._buf = Buffer.alloc(0);
+        this._fragments = null; // { opcode, parts: [], size }
+        socket.setNoDelay(true);
+        socket.on('data', (chunk) => this._onData(chunk));
+        socket.on('close', () => this._closed(1006, ''));
+        socket.on('error', () => this._closed(1006, ''));
+    }
+
+    _onData(chunk) {
+        this._buf = this._buf.length ? Buffer.concat([this._buf, chunk]) : chunk;
+        while (this.open) {
+            const b = this._buf;
+            if (b.length < 2) return;
+            const fin = (b[0] & 0x80) !== 0;
+            const opcode = b[0] & 0x0f;
+            const masked = (b[1] & 0x80) !== 0;
+            let len = b[1] & 0x7f;
+            let pos = 2;
+            if (len === 126) {
+                if (b.length < 4) return;
+                len = b.readUInt16BE(2);
+                pos = 4;
+            } else if (len === 127) {
+                if (b.length < 10) return;
+                const big = b.readBigUInt64BE(2);
+                if (big > BigInt(MAX_MESSAGE_SIZE)) return this.close(1009, 'message too big');
+                len = Number(big);
+                pos = 10;
+            }
+            // 클라이언트 → 서버 프레임은 반드시 마스킹됨
+            if (!masked) return this.close(1002, 'unmasked frame');
+            if (b.length < pos + 4 + len) return;
+            const mask = b.subarray(pos, pos + 4);
+            const payload = Buffer.from(b.subarray(pos + 4, pos + 4 + len));
+            for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+            this._buf = b.subarray(pos + 4 + len);
+            this._onFrame(fin, opcode, payload);
+        }
+    }
+
+    _onFrame(fin, opcode, payload) {
+        if (opcode === OP.CLOSE) {
+            const code = payload.length >= 2 ? payload.readUInt16BE(0) : 1005;
+            this.close(code === 1005 ? 1000 : code);
+            return;
+        }
+        if (opcode === OP.PING) {
+            this._write(OP.PONG, payload);
+            return;
+        }
+        if (opcode === OP.PONG) {
+            this.emit('pong');
+            return;
+        }
+        if (opcode === OP.CONT) {
+            if (!this._fragments) return this.close(1002, 'unexpected continuation');
+            this._fragments.parts.push(payload);
+            this._fragments.size += payload.length;
+        } else if (opcode === OP.TEXT || opcode === OP.BINARY) {
+            this._fragments = { opcode, parts: [payload], size: payload.length };
+        } else {
+            return this.close(1002, 'unknown opcode');
+        }
+        if (this._fragments.size > MAX_MESSAGE_SIZE) return this.close(1009, 'message too big');
+        if (!fin) return;
+        const { opcode: op, parts } = this._fragments;
+        this._fragments = null;
+        const data = parts.length === 1 ? parts[0] : Buffer.concat(parts);
+        this.emit('message', op === OP.TEXT ? data.toString('utf-8') : data, op === OP.BINARY);
+    }
+
+    _write(opcode, payload) {
+        if (!this.open || this.socket.destroyed) return false;
+        return this.socket.write(encodeFrame(opcode, payload));
+    }
+
+    /**
+     * 문자열은 텍스트, Buffer 는 바이너리 메시지로 보냅니다.
+     * @returns {boolean} false 면 소켓 버퍼가 찼음 (socket 'drain' 을 기다릴 것)
+     */
+    send(data) {
+        return Buffer.isBuffer(data) ? this._write(OP.BINARY, data) : this._write(OP.TEXT, Buffer.from(String(data), 'utf-8'));
+    }
+
+    ping() {
+        this._write(OP.PING, Buffer.alloc(0));
+    }
+
+    close(code = 1000, reason = '') {
+        if (!this.open) return;
+        const body = Buffer.alloc(2 + Buffer.byteLength(reason));
+        body.writeUInt16BE(code, 0);
+        body.write(reason, 2);
+        this._write(OP.CLOSE, body);
+        this._closed(code, reason);
+        this.socket.end();
+    }
+
+    _closed(code, reason) {
+        if (!this.open) return;
+        this.open = false;
+        this.emit('close', code, reason);
+    }
+}
+
+// Origin 이 있으면 Host 와 같아야 함 (다른 사이트에서 터미널에 붙는 것 방지)
+function sameOrigin(req) {
+    const origin = req.headers.origin;
+    if (!origin) return true;
+    try {
+        return new URL(origin).host === req.headers.host;
+    } catch (e) {
+        return false;
+    }
+}
+
+function reject(socket, status, message) {
+    socket.end(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+}
+
+/**
+ * http 'upgrade' 요청을 WebSocket 으로 받습니다.
+ * @param {import('http').IncomingMessage} req
+ * @param {import('net').Socket} socket
+ * @param {Buffer} head
+ * @returns {WebSocketConnection|null} 핸드셰이크가 잘못됐으면 null (소켓은 이미 닫힘)
+ */
+function accept(req, socket, head) {
+    const key = req.headers['sec-websocket-key'];
+    if ((req.headers.upgrade || '').toLowerCase() !== 'websocket' || !key) {
+        reject(socket, 400, 'Bad Request');
+        return null;
+    }
+    if (!sameOrigin(req)) {
+        reject(socket, 403, 'Forbidden');
+        return null;
+    }
+    const acceptKey = crypto.createHash('sha1').update(key + GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${acceptKey}`,
+        '', '',
+    ].join('\r\n'));
+    const ws = new WebSocketConnection(socket);
+    if (head && head.length) ws._onData(head);
+    return ws;
+}
+
+module.exports = {
+    accept,
+    reject,
+    WebSocketConnection,
+};
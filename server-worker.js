@@ -15,7 +15,7 @@ app.get('/', (_req, res) => res.redirect('/fm'));
 
 // Load plugin routes
 const plugin = require('./index.js');
-plugin.init(app);
+plugin.init(app, { standalone: true });
 
 app.listen(PORT, '0.0.0.0', () => {
     console.log(`  ║   http://localhost:${PORT}/fm               ║`);
@@ -3,17 +3,26 @@ const http = require('http');
 const fs = require('fs');
 const path = require('path');
 const url = require('url');
+const auth = require('./lib/auth');
+const dupes = require('./lib/dupes');
+const libraryIndex = require('./lib/library-index');
+const chatSearch = require('./lib/chat-search');
+const chatReader = require('./lib/chat-reader');
+const chatExport = require('./lib/chat-export');
 
 const PORT = process.env.PORT || 7860;
 const DATA_ROOTS = (process.env.CHAT_LIBRARY_PATH || '').split(':').filter(Boolean);
 const HOME = process.env.HOME || '/data/data/com.termux/files/home';
 const TAGS_FILE = path.join(HOME, '.chat-library-tags.json');
 const SETTINGS_FILE = path.join(HOME, '.chat-library-settings.json');
+const INDEX_FILE = path.join(HOME, '.chat-library-index.json');
+const SEARCH_FILE = path.join(HOME, '.chat-library-search.json');
+const CHAT_PAGE = 100; // /api/chat 한 번에 돌려주는 메시지 수 (limit 기본값)
+const CHAT_PAGE_MAX = 1000;
 
 function loadJson(f) { try { if (fs.existsSync(f)) return JSON.parse(fs.readFileSync(f,'utf-8')); } catch(e){} return {}; }
 function saveJson(f,d) { try { fs.writeFileSync(f,JSON.stringify(d,null,2),'utf-8'); } catch(e){} }
 function isDir(p) { try { return fs.statSync(p).isDirectory(); } catch(e) { return false; } }
-function sub(root,name) { const p=path.join(root,name); return fs.existsSync(p)?p:null; }
 function safeReaddir(dir) { try { return fs.readdirSync(dir); } catch(e) { return []; } }
 
 // ── 경로 탐색 ──
@@ -127,118 +136,16 @@ function findDataRoot() {
     return found;
 }
 
-// ── 스캔 ──
-function scanAllData(roots) {
-    const characters = {};
-    const allImages = [];
-    for (const root of roots) {
-        const chatsDir = sub(root,'chats');
-        if (chatsDir) scanChatsDir(chatsDir, characters);
-        const imagesDir = sub(root,'images');
-        if (imagesDir) scanImagesDirByChar(imagesDir, allImages, characters);
-        for (const d of ['characters','thumbnails']) { const dir=sub(root,d); if(dir) scanAvatarDir(dir,characters); }
-        const uImgDir = sub(root,'user/images');
-        if (uImgDir) scanImagesDir(uImgDir, allImages, characters);
-        if (!chatsDir) {
-            for (const name of safeReaddir(root)) {
-                const fp=path.join(root,name);
-                if (!isDir(fp)||['images','thumbnails','characters','User Avatars'].includes(name)) continue;
-                if (safeReaddir(fp).some(f=>f.endsWith('.jsonl'))) { scanChatsDir(root,characters); break; }
-            }
-        }
-    }
-    // 2차 아바타: images/캐릭터명/ 첫 이미지
-    for (const root of roots) {
-        const imagesDir=sub(root,'images'); if(!imagesDir)continue;
-        for (const name of safeReaddir(imagesDir)) {
-            const fp=path.join(imagesDir,name);
-            if(!isDir(fp))continue;
-            if(characters[name]&&!characters[name].avatar){
-                const imgs=safeReaddir(fp).filter(f=>/\.(png|jpg|jpeg|webp|gif)$/i.test(f));
-                if(imgs.length>0) characters[name].avatar=path.join(fp,imgs[0]);
-            }
-        }
-    }
-    return {characters,allImages};
-}
-
-function scanChatsDir(chatsDir,characters){
-    for(const name of safeReaddir(chatsDir)){
-        const cp=path.join(chatsDir,name); if(!isDir(cp))continue;
-        if(!characters[name])characters[name]={chats:[],avatar:null,images:[]};
-        for(const file of safeReaddir(cp).filter(f=>f.endsWith('.jsonl'))){
-            try{
-                const fp=path.join(cp,file),stat=fs.statSync(fp);
-                characters[name].chats.push({name:file.replace('.jsonl',''),file,path:fp,size:stat.size,modified:stat.mtime.toISOString()});
-            }catch(e){}
-        }
-    }
-}
-
-function norm(s){return s.toLowerCase().replace(/[''"`]/g,'').replace(/\s+/g,'').replace(/[_\-\.]/g,'').replace(/[^a-z0-9가-힣ㄱ-ㅎㅏ-ㅣ]/g,'');}
-
-function scanAvatarDir(dir,characters){
-    for(const name of safeReaddir(dir)){
-        if(!/\.(png|jpg|jpeg|webp|gif)$/i.test(name))continue;
-        const fp=path.join(dir,name); if(isDir(fp))continue;
-        const bn=norm(name.replace(/\.(png|jpg|jpeg|webp|gif)$/i,''));
-        for(const cn of Object.keys(characters)){
-            const cnn=norm(cn);
-            if(bn===cnn||(cnn.length>=2&&bn.includes(cnn))||(bn.length>=2&&cnn.includes(bn))){
-                if(!characters[cn].avatar)characters[cn].avatar=fp;
-            }
-        }
-    }
-}
-
-function scanImagesDirByChar(imagesDir,allImages,characters){
-    for(const name of safeReaddir(imagesDir)){
-        const fp=path.join(imagesDir,name);
-        if(isDir(fp)){
-            if(!characters[name])characters[name]={chats:[],avatar:null,images:[]};
-            for(const f of safeReaddir(fp).filter(f=>/\.(png|jpg|jpeg|webp|gif)$/i.test(f))){
-                const ip=path.join(fp,f);
-                allImages.push({name:f,path:ip,char:name,dir:name});
-                if(!characters[name].images)characters[name].images=[];
-                characters[name].images.push({name:f,path:ip});
-            }
-        }else if(/\.(png|jpg|jpeg|webp|gif)$/i.test(name)){
-            allImages.push({name,path:fp,char:'',dir:''});
-        }
-    }
-}
-
-function scanImagesDir(imgDir,allImages,characters){
-    const walk=(dir,prefix)=>{
-        for(const name of safeReaddir(dir)){
-            const fp=path.join(dir,name);
-            if(isDir(fp)){walk(fp,prefix?`${prefix}/${name}`:name);}
-            else if(/\.(png|jpg|jpeg|webp|gif)$/i.test(name)){
-                allImages.push({name,path:fp,dir:prefix||''});
-                const bn=norm(name.replace(/\.(png|jpg|jpeg|webp|gif)$/i,''));
-                for(const cn of Object.keys(characters)){
-                    const cnn=norm(cn);
-                    if(bn===cnn||(bn.includes(cnn)&&cnn.length>=2)||(cnn.includes(bn)&&bn.length>=2)){
-                        if(!characters[cn].avatar)characters[cn].avatar=fp;
-                    }
-                }
-            }
-        }
-    };
-    walk(imgDir,'');
-}
-
-function parseChatFile(fp){return fs.readFileSync(fp,'utf-8').trim().split('\n').map(l=>{try{return JSON.parse(l.trim())}catch(e){return null}}).filter(Boolean);}
 
 const CLEANUP=[
     {f:/(?:```?\w*[\r\n]?)?<(thought|cot|thinking|CoT|think|starter)[\s\S]*?<\/(thought|cot|thinking|CoT|think|starter)>(?:[\r\n]?```?)?/gi,r:''},
     {f:/<pic>[\s\S]*?<\/pic>/gi,r:''},{f:/<imageInfo>[\s\S]*?<\/imageInfo>/gi,r:''},
     {f:/<pic\s+prompt="[^"]*"\s*>/gi,r:''},{f:/<\/pic>/gi,r:''},
     {f:/➛/g,r:''},{f:/🥨 Sex Position[\s\S]*?(?=```)/g,r:''},
-    {f:/\[OOC:[\s\S]*?\]/gi,r:''},{f:/<OOC>[\s\S]*?<\/OOC>/gi,r:''},
+    {f:/\[OOC:[\s\S]*?\]/gi,r:'',ooc:true},{f:/<OOC>[\s\S]*?<\/OOC>/gi,r:'',ooc:true},
     {f:/<extra_prompt>[\s\S]*?<\/extra_prompt>/gi,r:''},
 ];
-function clean(t){if(!t)return'';let c=t;for(const r of CLEANUP)c=c.replace(r.f,r.r);return c.replace(/\n{3,}/g,'\n\n').trim();}
+function clean(t,rules=CLEANUP){if(!t)return'';let c=t;for(const r of rules)c=c.replace(r.f,r.r);return c.replace(/\n{3,}/g,'\n\n').trim();}
 
 const MIME={'.html':'text/html; charset=utf-8','.css':'text/css; charset=utf-8','.js':'application/javascript; charset=utf-8','.json':'application/json; charset=utf-8','.png':'image/png','.jpg':'image/jpeg','.jpeg':'image/jpeg','.webp':'image/webp','.gif':'image/gif','.svg':'image/svg+xml'};
 function serve(fp,res){try{const d=fs.readFileSync(fp);res.writeHead(200,{'Content-Type':MIME[path.extname(fp).toLowerCase()]||'application/octet-stream'});res.end(d);}catch(e){res.writeHead(404);res.end('Not Found');}}
@@ -310,16 +217,45 @@ function getOrCreateTerminal(id, cwd) {
 console.log('\n  📚 Chat Library\n  ─────────────────\n  경로 탐색 중...\n');
 const dataRoots = findDataRoot();
 console.log(`\n  총 ${dataRoots.length}개 경로\n`);
+// 캐릭터/채팅/이미지 목록은 색인에서 (바뀐 폴더만 다시 읽음)
+libraryIndex.open(dataRoots, INDEX_FILE);
+// 전체 검색 색인 — 메시지는 뷰어와 같은 clean() 을 거친 글로
+chatSearch.open({file:SEARCH_FILE,clean});
+// 중복 채팅 — 색인의 채팅 목록으로 비교하고, 목록(경로·크기·수정 시각)이 그대로면 지난 결과를 다시 씀
+let dupesCache=null;
+async function findDuplicateChats(){
+    const files=[];
+    for(const c of Object.values(libraryIndex.get().characters))for(const ch of c.chats)files.push({path:ch.path,size:ch.size,mtime:Date.parse(ch.modified)});
+    const key=files.map(f=>`${f.path}\0${f.size}\0${f.mtime}`).sort().join('\n');
+    if(dupesCache&&dupesCache.key===key)return dupesCache.result;
+    const result=await dupes.find(dataRoots,{kind:'chats',files});
+    dupesCache={key,result};
+    return result;
+}
 
 http.createServer(async(req,res)=>{
     const p=url.parse(req.url,true),pn=p.pathname;
     res.setHeader('Access-Control-Allow-Origin','*');
     res.setHeader('Access-Control-Allow-Methods','GET,POST,OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers','Content-Type');
+    res.setHeader('Access-Control-Allow-Headers','Content-Type, Authorization');
     if(req.method==='OPTIONS'){res.writeHead(200);res.end();return;}
 
+    // ── 인증 (파일매니저와 같은 ~/.st-filemanager/auth.json 공유) ──
+    if(pn==='/api/auth/status'){json(res,auth.status(req));return;}
+    if(pn==='/api/auth/login'&&req.method==='POST'){
+        let pw='';try{pw=JSON.parse(await body(req)).password||'';}catch(e){}
+        const r=auth.login(req,pw);
+        if(!r.ok){res.writeHead(r.retryAfter?429:401,{'Content-Type':'application/json; charset=utf-8'});res.end(JSON.stringify({error:r.error,retryAfter:r.retryAfter}));return;}
+        res.setHeader('Set-Cookie',auth.sessionCookie(r.token));json(res,{ok:true,token:r.token});return;
+    }
+    if(pn==='/api/auth/logout'){res.setHeader('Set-Cookie',auth.clearCookie());json(res,{ok:true});return;}
+    if(!auth.checkRequest(req)){
+        if(pn.startsWith('/api/')){res.writeHead(401,{'Content-Type':'application/json; charset=utf-8'});res.end(JSON.stringify({error:'로그인이 필요합니다',authRequired:true}));return;}
+        res.writeHead(401,{'Content-Type':'text/html; charset=utf-8'});res.end(auth.loginPageHtml('/api/auth/login'));return;
+    }
+
     if(pn==='/api/scan'){
-        const{characters,allImages}=scanAllData(dataRoots);
+        const{characters,allImages}=libraryIndex.get();
         const tags=loadJson(TAGS_FILE);
         const cl={};
         for(const[n,d]of Object.entries(characters)){
@@ -327,25 +263,129 @@ http.createServer(async(req,res)=>{
                 avatar:d.avatar?`/api/image?path=${encodeURIComponent(d.avatar)}`:null,
                 tags:tags[n]||[],chats:d.chats.map(c=>({name:c.name,file:c.file,size:c.size,modified:c.modified}))};
         }
-        json(res,{characters:cl,imageCount:allImages.length,roots:dataRoots});return;
+        json(res,{characters:cl,imageCount:allImages.length,roots:dataRoots,index:libraryIndex.stats()});return;
     }
+    // 예전 /api/chat 과 같은 오류 — 캐릭터가 없으면 'not found', 채팅 파일이 없으면 'no file'
+    const chatMissing=cn=>libraryIndex.get().characters[cn]?'no file':'not found';
+    // 스와이프(다시 생성한 답) — swipe_texts[k] 는 clean() 한 글, swipe_info[k] 는 그 답의 보낸/생성 시각. 지금 고른 것은 swipe_id
+    const swipesOf=m=>({
+        swipe_texts:m.swipes.map(t=>clean(typeof t==='string'?t:'')),
+        swipe_info:m.swipes.map((_,k)=>{const i=Array.isArray(m.swipe_info)&&m.swipe_info[k]||{};
+            return{send_date:i.send_date||null,gen_started:i.gen_started||null,gen_finished:i.gen_finished||null,model:i.extra&&i.extra.model||null};}),
+    });
+    // ?from=N&limit=L (from 이 음수면 끝에서부터) | ?around=N&limit=L | ?before=N&limit=L — 셋 다 없으면 전부 (예전 뷰어 호환)
+    // index 는 메시지 번호 (비어 있지 않은 줄 순서, 0번은 보통 헤더). 필요한 줄만 읽으므로 큰 채팅도 가벼움
     if(pn==='/api/chat'){
+        const q=p.query,cn=q.char,fn=q.file;
+        if(!cn||!fn){json(res,{error:'need char+file'});return;}
+        const hit=libraryIndex.findChat(cn,fn);if(!hit){json(res,{error:chatMissing(cn)});return;}
+        const{chat,character:cd}=hit;
+        try{
+            const total=(await chatReader.lineIndex(chat.path)).starts.length;
+            const limit=Math.min(CHAT_PAGE_MAX,Math.max(1,parseInt(q.limit)||CHAT_PAGE));
+            let from=0,to=total;
+            if(q.around!=null){from=Math.max(0,Math.min(total-limit,(parseInt(q.around)||0)-Math.floor(limit/2)));to=from+limit;}
+            else if(q.before!=null){to=Math.max(0,parseInt(q.before)||0);from=Math.max(0,to-limit);}
+            else if(q.from!=null||q.limit!=null){from=parseInt(q.from)||0;if(from<0)from=Math.max(0,total+from);to=from+limit;}
+            const withSwipes=q.swipes==='1';
+            const{lines}=await chatReader.readLines(chat.path,from,to);
+            const msgs=lines.filter(l=>l.data).map(({index,data:m})=>({
+                index,name:m.name||(m.is_user?'User':cn),is_user:!!m.is_user,
+                mes:clean(m.mes||''),send_date:m.send_date||m.create_date||'',
+                extra:m.extra?{image:m.extra.image||null,title:m.extra.title||null}:null,
+                swipe_id:m.swipe_id,swipes:m.swipes?m.swipes.length:0,
+                ...(withSwipes&&Array.isArray(m.swipes)&&m.swipes.length>1?swipesOf(m):{}),
+            }));
+            to=Math.min(to,total);
+            json(res,{char:cn,file:chat.file,name:chat.name,messages:msgs,total,from,to,hasBefore:from>0,hasAfter:to<total,
+                avatar:cd.avatar?`/api/image?path=${encodeURIComponent(cd.avatar)}`:null});
+        }catch(e){res.writeHead(500,{'Content-Type':'application/json; charset=utf-8'});res.end(JSON.stringify({error:e.message}));}
+        return;
+    }
+    // 잘못 고른 스와이프 번호는 내려받기 전에 알려 줌 (문제 없으면 null)
+    const badSelection=async(chat,sel)=>{
+        for(const[i,k]of sel){
+            const l=(await chatReader.readLines(chat.path,i,i+1)).lines[0];
+            if(!l||!chatReader.selectSwipe(l.data,k))return`${i}번 메시지에 ${k}번 스와이프가 없습니다.`;
+        }
+        return null;
+    };
+    // 다른 스와이프를 본문으로 고른 채팅을 .jsonl 로 — ?select=3:2,7:0 (메시지번호:스와이프번호). 안 고른 줄은 원래 글 그대로
+    if(pn==='/api/chat/export'){
         const cn=p.query.char,fn=p.query.file;
         if(!cn||!fn){json(res,{error:'need char+file'});return;}
-        const{characters}=scanAllData(dataRoots);
-        const cd=characters[cn];if(!cd){json(res,{error:'not found'});return;}
-        const chat=cd.chats.find(c=>c.file===fn);if(!chat){json(res,{error:'no file'});return;}
-        const msgs=parseChatFile(chat.path).map(m=>({
-            name:m.name||(m.is_user?'User':cn),is_user:!!m.is_user,
-            mes:clean(m.mes||''),send_date:m.send_date||m.create_date||'',
-            extra:m.extra?{image:m.extra.image||null,title:m.extra.title||null}:null,
-            swipe_id:m.swipe_id,swipes:m.swipes?m.swipes.length:0,
-        }));
-        json(res,{char:cn,file:chat.file,name:chat.name,messages:msgs,
-            avatar:cd.avatar?`/api/image?path=${encodeURIComponent(cd.avatar)}`:null});return;
+        const hit=libraryIndex.findChat(cn,fn);if(!hit){json(res,{error:chatMissing(cn)});return;}
+        const{chat}=hit;
+        let sel;
+        try{sel=chatReader.parseSelection(p.query.select);}
+        catch(e){res.writeHead(400,{'Content-Type':'application/json; charset=utf-8'});res.end(JSON.stringify({error:e.message}));return;}
+        try{
+            const total=(await chatReader.lineIndex(chat.path)).starts.length;
+            const bad=await badSelection(chat,sel);
+            if(bad){res.writeHead(400,{'Content-Type':'application/json; charset=utf-8'});res.end(JSON.stringify({error:bad}));return;}
+            const name=chat.file.replace(/\.jsonl$/i,'')+(sel.size?' (스와이프)':'')+'.jsonl';
+            res.writeHead(200,{'Content-Type':'application/x-ndjson; charset=utf-8',
+                'Content-Disposition':`attachment; filename="chat.jsonl"; filename*=UTF-8''${encodeURIComponent(name)}`});
+            for(let from=0;from<total;from+=CHAT_PAGE_MAX){
+                const{lines}=await chatReader.readLines(chat.path,from,from+CHAT_PAGE_MAX,{raw:true});
+                let out='';
+                for(const l of lines){
+                    const k=sel.get(l.index);
+                    out+=(k!=null?JSON.stringify(chatReader.selectSwipe(l.data,k)):l.raw)+'\n';
+                }
+                if(!res.write(out))await new Promise(r=>res.once('drain',r));
+            }
+            res.end();
+        }catch(e){
+            if(res.headersSent){res.destroy(e);return;}
+            res.writeHead(500,{'Content-Type':'application/json; charset=utf-8'});res.end(JSON.stringify({error:e.message}));
+        }
+        return;
+    }
+    // 내보내기 — /api/export?char=…&file=…&format=html|md|txt|epub (file 없으면 그 캐릭터의 채팅 전부를 zip 하나로)
+    // clean=0 이면 CLEANUP(생각/그림 태그 등)을 지우지 않음, ooc=1 이면 OOC 는 남김, user=0 이면 사용자 메시지 빼기
+    // split=date|count&per=200 은 장 나누기 (EPUB 은 기본 count), select=3:2 는 /api/chat/export 와 같은 스와이프 선택
+    if(pn==='/api/export'){
+        const q=p.query,cn=q.char,fn=q.file,format=q.format||'html';
+        const fail=(code,msg)=>{res.writeHead(code,{'Content-Type':'application/json; charset=utf-8'});res.end(JSON.stringify({error:msg}));};
+        if(!cn){fail(400,'need char');return;}
+        if(!chatExport.FORMATS[format]){fail(400,`지원하지 않는 형식: ${format} (html, md, txt, epub)`);return;}
+        const cd=libraryIndex.get().characters[cn];if(!cd){fail(404,'not found');return;}
+        const rules=CLEANUP.filter(r=>r.ooc?q.ooc!=='1':q.clean!=='0');
+        const opts={clean:t=>clean(t,rules),user:q.user!=='0',split:q.split==='date'||q.split==='count'?q.split:null,per:parseInt(q.per)||0,
+            charName:cn,avatar:cd.avatar,roots:dataRoots};
+        const attach=name=>`attachment; filename="export${path.extname(name)}"; filename*=UTF-8''${encodeURIComponent(name)}`;
+        try{opts.select=chatReader.parseSelection(q.select);}catch(e){fail(400,e.message);return;}
+        if(fn){
+            const hit=libraryIndex.findChat(cn,fn);if(!hit){fail(404,chatMissing(cn));return;}
+            try{
+                const bad=await badSelection(hit.chat,opts.select);
+                if(bad){fail(400,bad);return;}
+                const r=await chatExport.render(hit.chat,format,opts);
+                res.writeHead(200,{'Content-Type':r.type,'Content-Disposition':attach(r.filename),'Content-Length':r.buffer.length});
+                res.end(r.buffer);
+            }catch(e){fail(500,e.message);}
+            return;
+        }
+        const chats=cd.chats.slice().sort((a,b)=>a.file.localeCompare(b.file));
+        if(!chats.length){fail(404,'채팅이 없습니다.');return;}
+        res.writeHead(200,{'Content-Type':'application/zip','Content-Disposition':attach(`${chatExport.safeName(cn)} (${format}).zip`)});
+        try{await chatExport.renderAll(chats,format,opts,res);}
+        catch(e){console.error('  내보내기 실패:',e.message);res.destroy(e);}
+        return;
+    }
+    // 채팅 요약 — 헤더(첫 줄), 메시지 수, 첫/마지막 메시지 날짜. 메시지 본문은 읽지 않음
+    if(pn==='/api/chat/meta'){
+        const cn=p.query.char,fn=p.query.file;
+        if(!cn||!fn){json(res,{error:'need char+file'});return;}
+        const hit=libraryIndex.findChat(cn,fn);if(!hit){json(res,{error:chatMissing(cn)});return;}
+        const{chat,character:cd}=hit;
+        try{json(res,{char:cn,file:chat.file,name:chat.name,avatar:cd.avatar?`/api/image?path=${encodeURIComponent(cd.avatar)}`:null,...await chatReader.meta(chat.path)});}
+        catch(e){res.writeHead(500,{'Content-Type':'application/json; charset=utf-8'});res.end(JSON.stringify({error:e.message}));}
+        return;
     }
     if(pn==='/api/images'){
-        const{allImages}=scanAllData(dataRoots);
+        const{allImages}=libraryIndex.get();
         const cf=p.query.char;
         let fl=allImages;
         if(cf)fl=allImages.filter(i=>(i.dir||'').toLowerCase().includes(cf.toLowerCase())||i.name.toLowerCase().includes(cf.toLowerCase()));
@@ -369,6 +409,30 @@ http.createServer(async(req,res)=>{
         if(req.method==='POST'){try{const d=JSON.parse(await body(req)),c=loadJson(SETTINGS_FILE);Object.assign(c,d);saveJson(SETTINGS_FILE,c);json(res,{ok:true});}catch(e){res.writeHead(400);json(res,{error:'bad'});}return;}
     }
     if(pn==='/api/roots'){json(res,{roots:dataRoots});return;}
+    // 전체 검색 — ?q=검색어 (띄어쓰기 AND, OR, -제외, "구절", word*) &char=&tags=a,b&from=YYYY-MM-DD&to=&role=user|char&limit=&offset=
+    if(pn==='/api/search'){
+        const q=p.query,list=v=>[].concat(v||[]).flatMap(x=>String(x).split(',')).map(x=>x.trim()).filter(Boolean);
+        try{json(res,await chatSearch.search(q.q,{char:list(q.char),tags:list(q.tags),tagMap:loadJson(TAGS_FILE),from:q.from,to:q.to,role:q.role,limit:q.limit,offset:q.offset}));}
+        catch(e){res.writeHead(400,{'Content-Type':'application/json; charset=utf-8'});res.end(JSON.stringify({error:e.message}));}
+        return;
+    }
+    // 색인 상태 / 처음부터 다시 만들기 (평소에는 바뀐 폴더만 자동으로 다시 읽음)
+    if(pn==='/api/index'){json(res,{...libraryIndex.stats(),search:chatSearch.stats()});return;}
+    if(pn==='/api/reindex'){
+        if(req.method!=='POST'){res.writeHead(405);res.end();return;}
+        try{const r=libraryIndex.reindex();json(res,{...r,search:await chatSearch.rebuild()});}catch(e){res.writeHead(500,{'Content-Type':'application/json; charset=utf-8'});res.end(JSON.stringify({error:e.message}));}
+        return;
+    }
+    // 여러 백업 경로에 겹쳐 들어간 같은 채팅 (내용이 완전히 같은 .jsonl). 정리는 파일매니저의 👯 중복 찾기에서
+    if(pn==='/api/duplicates'){
+        try{
+            const r=await findDuplicateChats();
+            const rootOf=fp=>dataRoots.find(rt=>fp.startsWith(path.resolve(rt)+path.sep))||'';
+            json(res,{wasted:r.wasted,files:r.files,groups:r.groups.map(g=>({size:g.size,hash:g.hash,keep:g.keep,
+                files:g.files.map(f=>({char:path.basename(path.dirname(f.path)),file:path.basename(f.path),path:f.path,root:rootOf(f.path),modified:new Date(f.mtime).toISOString()}))}))});
+        }catch(e){res.writeHead(500,{'Content-Type':'application/json; charset=utf-8'});res.end(JSON.stringify({error:e.message}));}
+        return;
+    }
 
     // ── 터미널 API ──
     if(pn==='/api/terminal/spawn'){
@@ -469,4 +533,6 @@ http.createServer(async(req,res)=>{
     console.log(`  🌐 http://localhost:${PORT}`);
     for(const r of dataRoots)console.log(`  📂 ${r}`);
     console.log('\n  💡 경로 지정: CHAT_LIBRARY_PATH=/경로 node server.js\n');
+    // 첫 검색이 오래 걸리지 않게 미리 색인
+    chatSearch.sync().catch(e=>console.error(`  ⚠️ 검색 색인 실패: ${e.message}`));
 });
@@ -0,0 +1,147 @@
+// lib/archive.js — 만들고 다시 풀었을 때 내용이 그대로인지
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const archive = require('../lib/archive');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'fm-archive-'));
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const src = path.join(tmp, 'src');
+fs.mkdirSync(path.join(src, 'chats', '앨리스'), { recursive: true });
+fs.mkdirSync(path.join(src, 'empty'));
+fs.writeFileSync(path.join(src, 'chats', '앨리스', '첫 대화.jsonl'), '{"user_name":"u"}\n{"mes":"안녕"}\n');
+fs.writeFileSync(path.join(src, 'big.bin'), Buffer.alloc(300 * 1024, 7));
+fs.writeFileSync(path.join(src, 'config.yaml'), 'port: 8000\n');
+
+function readTree(dir, rel = '') {
+    const out = {};
+    for (const e of fs.readdirSync(path.join(dir, rel), { withFileTypes: true })) {
+        const r = path.posix.join(rel, e.name);
+        if (e.isDirectory()) Object.assign(out, { [r + '/']: true }, readTree(dir, r));
+        else out[r] = fs.readFileSync(path.join(dir, r)).toString('base64');
+    }
+    return out;
+}
+
+async function create(format) {
+    const file = path.join(tmp, `out${archive.extensionFor(format)}`);
+    await archive.createArchive(format, [{ abs: src, name: 'src' }], fs.createWriteStream(file));
+    return file;
+}
+
+for (const format of ['zip', 'tar.gz', 'tar']) {
+    test(`${format}: 만들고 풀면 내용이 그대로`, async () => {
+        const file = await create(format);
+        assert.equal(archive.detectFormat(file), format);
+
+        const { entries } = await archive.listArchive(file);
+        const names = entries.map(e => e.name.replace(/\/$/, ''));
+        assert.ok(names.includes('src/chats/앨리스/첫 대화.jsonl'));
+        assert.equal(entries.find(e => e.name.endsWith('big.bin')).size, 300 * 1024);
+
+        const dest = path.join(tmp, `x-${format}`);
+        const r = await archive.extractArchive(file, dest);
+        assert.equal(r.extracted, 3);
+        assert.deepEqual(r.skipped, []);
+        assert.deepEqual(readTree(path.join(dest, 'src')), readTree(src));
+    });
+}
+
+test('only 는 고른 경로(폴더면 안쪽까지)만 풀고, overwrite:false 면 있는 파일은 건너뜀', async () => {
+    const file = await create('zip');
+    const dest = path.join(tmp, 'only');
+    const r = await archive.extractArchive(file, dest, { only: ['src/chats'] });
+    assert.equal(r.extracted, 1);
+    assert.ok(!fs.existsSync(path.join(dest, 'src', 'config.yaml')));
+
+    const again = await archive.extractArchive(file, dest, { only: ['src/chats'], overwrite: false });
+    assert.equal(again.extracted, 0);
+    assert.equal(again.skipped.length, 1);
+});
+
+test('덮어쓰기 직전에 onBeforeWrite 를 부름', async () => {
+    const file = await create('tar.gz');
+    const dest = path.join(tmp, 'hook');
+    await archive.extractArchive(file, dest);
+    fs.writeFileSync(path.join(dest, 'src', 'config.yaml'), 'port: 9000\n');
+    const seen = [];
+    await archive.extractArchive(file, dest, { only: ['src/config.yaml'], onBeforeWrite: d => seen.push(fs.readFileSync(d, 'utf-8')) });
+    assert.deepEqual(seen, ['port: 9000\n']);
+    assert.equal(fs.readFileSync(path.join(dest, 'src', 'config.yaml'), 'utf-8'), 'port: 8000\n');
+});
+
+test('압축 밖을 가리키는 이름은 풀지 않음', async () => {
+    const file = path.join(tmp, 'evil.tar');
+    const w = archive.createWriter('tar', fs.createWriteStream(file));
+    await w.addBuffer('../escape.txt', Buffer.from('x'));
+    await w.finish();
+    const dest = path.join(tmp, 'evil');
+    const r = await archive.extractArchive(file, dest);
+    assert.equal(r.extracted, 0);
+    assert.equal(r.skipped.length, 1);
+    assert.ok(!fs.existsSync(path.join(tmp, 'escape.txt')));
+});
+
+test('이미 있는 링크 폴더를 타고 밖에 폴더를 만들지 않음', async () => {
+    const outside = path.join(tmp, 'outside');
+    const dest = path.join(tmp, 'linked');
+    fs.mkdirSync(outside);
+    fs.mkdirSync(dest);
+    fs.symlinkSync(outside, path.join(dest, 'link'));
+    const file = path.join(tmp, 'link.tar');
+    const w = archive.createWriter('tar', fs.createWriteStream(file));
+    await w.addBuffer('link/a/b/file.txt', Buffer.from('x'));
+    await w.finish();
+    const r = await archive.extractArchive(file, dest);
+    assert.equal(r.extracted, 0);
+    assert.match(r.skipped[0].reason, /심볼릭 링크/);
+    assert.deepEqual(fs.readdirSync(outside), []);
+});
+
+test('tar — 쓰지 못한 엔트리만 건너뛰고 나머지는 풂', async () => {
+    const file = await create('tar.gz');
+    const dest = path.join(tmp, 'partial');
+    fs.mkdirSync(path.join(dest, 'src', `config.yaml.partial-${process.pid}`), { recursive: true }); // 임시 파일을 열 수 없게
+    const r = await archive.extractArchive(file, dest);
+    assert.equal(r.extracted, 2);
+    assert.deepEqual(r.skipped.map(s => s.name), ['src/config.yaml']);
+    assert.ok(!fs.existsSync(path.join(dest, 'src', 'config.yaml')));
+});
+
+test('잘린 tar.gz — 실패로 끝나고 쓰던 임시 파일은 남기지 않음', async () => {
+    const whole = fs.readFileSync(await create('tar.gz'));
+    const file = path.join(tmp, 'cut.tar.gz');
+    fs.writeFileSync(file, whole.subarray(0, Math.floor(whole.length / 2)));
+    const dest = path.join(tmp, 'cut');
+    await assert.rejects(archive.extractArchive(file, dest));
+    assert.deepEqual(Object.keys(readTree(dest)).filter(n => n.includes('.partial-')), []);
+});
+
+test('zip — 받는 쪽이 끊기면 addFile 이 실패하고 읽던 파일도 닫음', async () => {
+    const noisy = path.join(tmp, 'noisy.bin');
+    fs.writeFileSync(noisy, require('crypto').randomBytes(2 * 1024 * 1024)); // 압축이 안 되는 내용
+    let writes = 0;
+    const out = new (require('stream').Writable)({
+        highWaterMark: 1024,
+        write(chunk, enc, cb) { cb(++writes > 3 ? new Error('끊김') : null); },
+    });
+    out.on('error', () => {});
+    const w = archive.createWriter('zip', out);
+    const openFds = () => fs.readdirSync('/proc/self/fd').length;
+    const before = openFds();
+    await assert.rejects(w.addFile(noisy, 'noisy.txt', fs.statSync(noisy)));
+    await new Promise(r => setTimeout(r, 50));
+    assert.equal(openFds(), before);
+});
+
+test('formatFromName / extensionFor', () => {
+    assert.equal(archive.formatFromName('a.ZIP'), 'zip');
+    assert.equal(archive.formatFromName('a.tgz'), 'tar.gz');
+    assert.equal(archive.formatFromName('a.tar.gz'), 'tar.gz');
+    assert.equal(archive.formatFromName('a.tar'), 'tar');
+    assert.equal(archive.formatFromName('a.jsonl'), null);
+    assert.equal(archive.extensionFor('tar.gz'), '.tar.gz');
+});
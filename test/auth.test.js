@@ -0,0 +1,98 @@
+// lib/auth.js — 비밀번호 설정·확인, 세션 토큰 만료/변조, 잠금과 늘어나는 대기 시간, 설정 전 localhost 만, Origin 확인
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'fm-auth-'));
+process.env.HOME = tmp; // 설정은 ~/.st-filemanager/auth.json
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const auth = require('../lib/auth');
+const { STATE_DIR } = require('../lib/store');
+
+const AUTH_FILE = path.join(STATE_DIR, 'auth.json');
+const req = (ip, headers = {}) => ({ socket: { remoteAddress: ip }, headers });
+const bearer = (token, ip = '192.168.0.7') => req(ip, { authorization: `Bearer ${token}` });
+
+// 저장된 서명 키로 원하는 내용의 토큰을 만듦
+function forge(data) {
+    const { secret } = JSON.parse(fs.readFileSync(AUTH_FILE, 'utf-8'));
+    const payload = Buffer.from(JSON.stringify(data)).toString('base64url');
+    return `${payload}.${crypto.createHmac('sha256', secret).update(payload).digest('base64url')}`;
+}
+
+test('비밀번호 설정 전에는 같은 기기에서 온 요청만 통과', () => {
+    assert.equal(auth.isConfigured(), false);
+    assert.equal(auth.checkRequest(req('127.0.0.1')), true);
+    assert.equal(auth.checkRequest(req('::ffff:127.0.0.1')), true);
+    assert.equal(auth.checkRequest(req('192.168.0.7')), false);
+    assert.equal(auth.status(req('::1')).setupAllowed, true);
+    assert.equal(auth.status(req('192.168.0.7')).setupAllowed, false);
+    assert.match(auth.login(req('127.0.0.1'), '1234').error, /설정되지 않았습니다/);
+});
+
+test('setPassword — 짧으면 거부, 평문 없이 scrypt 해시로 저장', () => {
+    assert.throws(() => auth.setPassword('123'), /4자 이상/);
+    auth.setPassword('1234');
+    const saved = fs.readFileSync(AUTH_FILE, 'utf-8');
+    const cfg = JSON.parse(saved);
+    assert.equal(cfg.kdf, 'scrypt');
+    assert.ok(!saved.includes('1234'));
+    assert.equal(cfg.hash, crypto.scryptSync('1234', Buffer.from(cfg.salt, 'hex'), 64).toString('hex'));
+    assert.equal(fs.statSync(AUTH_FILE).mode & 0o777, 0o600);
+    assert.equal(auth.verifyPassword('1234'), true);
+    assert.equal(auth.verifyPassword('12345'), false);
+    assert.equal(auth.checkRequest(req('127.0.0.1')), false); // 설정한 뒤에는 localhost 도 로그인해야 함
+});
+
+test('토큰 — Bearer·쿠키로 통과, 변조·만료·비밀번호 변경 뒤에는 거부', () => {
+    auth.setPassword('1234');
+    const { ok, token } = auth.login(req('10.0.0.1'), '1234');
+    assert.equal(ok, true);
+    assert.equal(auth.checkRequest(bearer(token)), true);
+    assert.equal(auth.checkRequest(req('10.0.0.1', { cookie: `a=b; ${auth.COOKIE_NAME}=${encodeURIComponent(token)}` })), true);
+
+    const [payload, sig] = token.split('.');
+    const longer = Buffer.from(JSON.stringify({ iat: 0, exp: Date.now() + 1e12 })).toString('base64url');
+    assert.equal(auth.checkRequest(bearer(`${longer}.${sig}`)), false);
+    assert.equal(auth.checkRequest(bearer(`${payload}.${sig.slice(1)}x`)), false);
+    assert.equal(auth.checkRequest(bearer(forge({ iat: 0, exp: Date.now() - 1000 }))), false);
+    assert.equal(auth.checkRequest(bearer(forge({ iat: 0, exp: Date.now() + 60000 }))), true);
+    assert.equal(auth.checkRequest(bearer('nonsense')), false);
+
+    auth.setPassword('5678');
+    assert.equal(auth.checkRequest(bearer(token)), false);
+});
+
+test('5번 틀리면 그 IP 만 잠그고, 다시 잠길 때마다 대기 시간이 두 배', (t) => {
+    auth.setPassword('1234');
+    let now = Date.now();
+    t.mock.method(Date, 'now', () => now);
+    const ip = req('10.0.0.66');
+    for (let i = 1; i < 5; i++) assert.match(auth.login(ip, 'wrong').error, new RegExp(`${5 - i}회 남음`));
+    const locked = auth.login(ip, 'wrong');
+    assert.equal(locked.retryAfter, 300);
+    assert.equal(auth.login(ip, '1234').ok, false); // 잠긴 동안은 맞는 비밀번호도 거부
+    assert.equal(auth.status(ip).locked, true);
+    assert.equal(auth.login(req('10.0.0.67'), '1234').ok, true);
+
+    now += 301 * 1000;
+    for (let i = 0; i < 4; i++) auth.login(ip, 'wrong');
+    assert.equal(auth.login(ip, 'wrong').retryAfter, 600);
+
+    now += 601 * 1000;
+    assert.equal(auth.login(ip, '1234').ok, true);
+    assert.match(auth.login(ip, 'wrong').error, /4회 남음/); // 성공하면 실패 횟수가 처음부터
+});
+
+test('sameOrigin — Origin 이 없거나 Host 와 같을 때만', () => {
+    assert.equal(auth.sameOrigin(req('1.2.3.4', { host: 'phone.local:8000' })), true);
+    assert.equal(auth.sameOrigin(req('1.2.3.4', { host: 'phone.local:8000', origin: 'http://phone.local:8000' })), true);
+    assert.equal(auth.sameOrigin(req('1.2.3.4', { host: 'Phone.local:80', origin: 'http://phone.local' })), true);
+    assert.equal(auth.sameOrigin(req('1.2.3.4', { host: 'phone.local:8000', origin: 'http://evil.example' })), false);
+    assert.equal(auth.sameOrigin(req('1.2.3.4', { host: 'phone.local:8000', origin: 'http://phone.local:9000' })), false);
+    assert.equal(auth.sameOrigin(req('1.2.3.4', { origin: 'null' })), false);
+});
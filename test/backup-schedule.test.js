@@ -0,0 +1,85 @@
+// lib/backup-schedule.js — 일별/주별로 남길 백업 고르기, 도서관용 사본은 사본 폴더가 바뀌었을 때만
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'fm-schedule-'));
+process.env.HOME = tmp; // 설정과 실행 기록은 ~/.st-filemanager
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const schedule = require('../lib/backup-schedule');
+
+const HOUR = 3600 * 1000;
+let counter = 0;
+
+// 만든 시각(mtime)이 정해진 백업 파일들
+function archiveDir(times) {
+    const dir = path.join(tmp, `rotate${++counter}`);
+    fs.mkdirSync(dir);
+    const names = times.map((t, i) => {
+        const name = `st-auto-${i}.tar.gz`;
+        fs.writeFileSync(path.join(dir, name), 'x');
+        fs.utimesSync(path.join(dir, name), t / 1000, t / 1000);
+        return name;
+    });
+    return { dir, names, left: () => fs.readdirSync(dir).sort() };
+}
+
+// 2024-06-12(수) 04:00 로컬 시간에서 days 일 전, hour 시
+const day = (days, hour = 4) => new Date(2024, 5, 12 - days, hour).getTime();
+
+test('rotate — 날짜마다 최신 하나씩 keepDaily 일, 주(월요일 시작)마다 최신 하나씩 keepWeekly 주', () => {
+    // 0: 06-12, 1: 06-12 새벽, 2: 06-11, 3: 06-10(월), 4: 06-09(일), 5: 06-08, 6: 06-04, 7: 05-28, 8: 05-21
+    const a = archiveDir([day(0), day(0, 2), day(1), day(2), day(3), day(4), day(8), day(15), day(22)]);
+    fs.writeFileSync(path.join(a.dir, 'st-auto-x.tar.gz.partial'), '');
+    fs.writeFileSync(path.join(a.dir, 'mine.txt'), '');
+    const removed = schedule.rotate(a.dir, 3, 2);
+    assert.deepEqual(removed.sort(), ['st-auto-1.tar.gz', 'st-auto-5.tar.gz', 'st-auto-6.tar.gz', 'st-auto-7.tar.gz', 'st-auto-8.tar.gz']);
+    assert.deepEqual(a.left(), ['mine.txt', 'st-auto-0.tar.gz', 'st-auto-2.tar.gz', 'st-auto-3.tar.gz', 'st-auto-4.tar.gz', 'st-auto-x.tar.gz.partial']);
+});
+
+test('rotate — 주별이 일별보다 멀리 남기고, 둘 다 0 이어도 가장 최근 것은 남김', () => {
+    const a = archiveDir([day(0), day(1), day(8), day(15), day(22)]);
+    schedule.rotate(a.dir, 1, 3);
+    assert.deepEqual(a.left(), ['st-auto-0.tar.gz', 'st-auto-2.tar.gz', 'st-auto-3.tar.gz']);
+
+    const b = archiveDir([day(0, 1), day(0, 3), day(5)]);
+    schedule.rotate(b.dir, 0, 0);
+    assert.deepEqual(b.left(), ['st-auto-1.tar.gz']);
+    assert.deepEqual(schedule.rotate(path.join(tmp, 'none'), 1, 1), []);
+});
+
+test('사본은 백업 범위가 아니라 사본 폴더가 바뀌었을 때 갱신', async () => {
+    const stRoot = path.join(tmp, 'st');
+    const user = path.join(stRoot, 'data', 'default-user');
+    const dest = path.join(tmp, 'Backup');
+    const write = (rel, text) => {
+        fs.mkdirSync(path.dirname(path.join(user, rel)), { recursive: true });
+        fs.writeFileSync(path.join(user, rel), text);
+    };
+    write('chats/앨리스/a.jsonl', '{"mes":"1"}\n');
+    write('worlds/w.json', '{}');
+    schedule.start({ findSTRoot: () => stRoot });
+    schedule.saveSettings({ destDir: dest, mirror: true, scope: { users: ['default-user'], categories: ['worlds'], config: false } });
+
+    const first = await schedule.runOnce();
+    assert.equal(first.status, 'ok');
+    assert.equal(first.mirrored, 2);
+
+    const idle = await schedule.runOnce();
+    assert.equal(idle.status, 'skipped');
+    assert.equal(idle.mirrored, undefined);
+
+    // 백업 범위(worlds) 밖인 채팅만 바뀜 → 백업은 건너뛰어도 사본은 갱신
+    write('chats/앨리스/a.jsonl', '{"mes":"1"}\n{"mes":"2"}\n');
+    const chatOnly = await schedule.runOnce();
+    assert.equal(chatOnly.status, 'skipped');
+    assert.equal(chatOnly.mirrored, 1);
+    assert.equal(fs.readFileSync(path.join(dest, 'chats', '앨리스', 'a.jsonl'), 'utf-8'), '{"mes":"1"}\n{"mes":"2"}\n');
+
+    // 사본 위치를 바꾸면 새 위치로 다시
+    schedule.saveSettings({ destDir: path.join(tmp, 'Backup2') });
+    assert.equal((await schedule.runOnce()).mirrored, 2);
+});
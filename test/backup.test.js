@@ -0,0 +1,87 @@
+// lib/backup.js — 범위 고르기, 복원 미리보기(diff), 덮어쓴 파일의 히스토리
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'fm-backup-'));
+process.env.HOME = tmp; // 히스토리는 ~/.st-filemanager 에
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const backup = require('../lib/backup');
+const history = require('../lib/history');
+
+const st = path.join(tmp, 'SillyTavern');
+const write = (rel, text) => {
+    fs.mkdirSync(path.dirname(path.join(st, rel)), { recursive: true });
+    fs.writeFileSync(path.join(st, rel), text);
+};
+write('config.yaml', 'port: 8000\n');
+write('data/default-user/chats/앨리스/a.jsonl', '{"mes":"하나"}\n');
+write('data/default-user/chats/앨리스/b.jsonl', '{"mes":"둘"}\n');
+write('data/default-user/characters/앨리스.png', 'png');
+write('data/default-user/settings.json', '{}');
+write('data/other/chats/밥/c.jsonl', '{"mes":"셋"}\n');
+write('data/_storage/x', 'internal');
+
+let made;
+test.before(async () => {
+    made = await backup.createBackup(st, {}, { destDir: path.join(tmp, 'out') });
+});
+
+test('listUsers 는 _ 로 시작하는 내부 폴더를 뺌', () => {
+    assert.deepEqual(backup.listUsers(st), ['default-user', 'other']);
+});
+
+test('resolveScope — 사용자·범위별 경로, 없는 사용자는 오류', () => {
+    const r = backup.resolveScope(st, { users: ['default-user'], categories: ['chats'], config: false });
+    assert.deepEqual(r.sources.map(s => s.name), ['data/default-user/chats']);
+    assert.deepEqual(backup.resolveScope(st, {}).sources.map(s => s.name), ['data', 'config.yaml']);
+    assert.throws(() => backup.resolveScope(st, { users: ['nobody'] }), /없는 사용자/);
+    assert.throws(() => backup.resolveScope(st, { categories: ['nope'] }), /알 수 없는 범위/);
+});
+
+test('만든 백업의 manifest 에 파일마다 크기와 해시', async () => {
+    assert.equal(made.fileCount, 7);
+    const m = await backup.readManifest(made.backupPath);
+    assert.equal(m.files['data/default-user/chats/앨리스/a.jsonl'].size, Buffer.byteLength('{"mes":"하나"}\n'));
+    assert.match(m.files['config.yaml'].sha256, /^[0-9a-f]{64}$/);
+});
+
+test('diff — 새 파일 / 덮어써질 파일 / 같은 파일을 가르고 아무것도 쓰지 않음', async () => {
+    fs.unlinkSync(path.join(st, 'data/default-user/chats/앨리스/b.jsonl'));
+    write('data/default-user/chats/앨리스/a.jsonl', '{"mes":"바뀜"}\n');
+    write('config.yaml', 'port: 9000\n'); // 크기는 같고 내용만 다름
+
+    const d = await backup.diff(made.backupPath, st);
+    assert.equal(d.hasManifest, true);
+    assert.deepEqual(d.summary, { new: 1, changed: 2, same: 4, blocked: 0 });
+    const byPath = Object.fromEntries(d.changes.map(c => [c.path, c.status]));
+    assert.deepEqual(byPath, {
+        'config.yaml': 'changed',
+        'data/default-user/chats/앨리스/a.jsonl': 'changed',
+        'data/default-user/chats/앨리스/b.jsonl': 'new',
+    });
+    assert.ok(!fs.existsSync(path.join(st, 'data/default-user/chats/앨리스/b.jsonl')));
+    const liveSize = Object.fromEntries(d.changes.map(c => [c.path, c.liveSize]));
+    assert.equal(liveSize['data/default-user/chats/앨리스/a.jsonl'], Buffer.byteLength('{"mes":"바뀜"}\n'));
+    assert.equal(liveSize['data/default-user/chats/앨리스/b.jsonl'], undefined);
+
+    const chats = d.groups.find(g => g.group === 'data/default-user/chats');
+    assert.deepEqual({ new: chats.new, changed: chats.changed, same: chats.same }, { new: 1, changed: 1, same: 0 });
+
+    const only = await backup.diff(made.backupPath, st, { only: ['data/other'] });
+    assert.deepEqual(only.summary, { new: 0, changed: 0, same: 1, blocked: 0 });
+});
+
+test('restore — 내용이 다른 파일만 쓰기 전에 히스토리에 남김', async () => {
+    const r = await backup.restore(made.backupPath, st, { only: ['data/default-user/chats', 'data/other'] });
+    assert.equal(r.extracted, 3);
+    assert.equal(r.snapshots, 1);
+    const a = path.join(st, 'data/default-user/chats/앨리스/a.jsonl');
+    assert.equal(fs.readFileSync(a, 'utf-8'), '{"mes":"하나"}\n');
+    assert.equal(history.read(a, 0).content.toString(), '{"mes":"바뀜"}\n');
+    assert.equal(history.list(path.join(st, 'data/other/chats/밥/c.jsonl')).length, 0);
+    assert.equal(fs.readFileSync(path.join(st, 'config.yaml'), 'utf-8'), 'port: 9000\n');
+});
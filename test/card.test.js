@@ -0,0 +1,98 @@
+// lib/card.js — chara/ccv3 읽기 → 쓰기 → 읽기, 이미지 청크는 바이트 그대로
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const card = require('../lib/card');
+const { crc32 } = require('../lib/crc32');
+
+function chunk(type, data) {
+    const head = Buffer.alloc(8);
+    head.writeUInt32BE(data.length, 0);
+    head.write(type, 4, 'latin1');
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(Buffer.concat([head.subarray(4), data])), 0);
+    return Buffer.concat([head, data, crc]);
+}
+
+// 2×2 RGB PNG (+ 카드와 상관없는 tEXt 하나, 그 밖의 청크)
+function makePng(extra = []) {
+    const ihdr = Buffer.alloc(13);
+    ihdr.writeUInt32BE(2, 0);
+    ihdr.writeUInt32BE(2, 4);
+    ihdr[8] = 8; // 8bit
+    ihdr[9] = 2; // RGB
+    const rows = Buffer.from([0, 255, 0, 0, 0, 255, 0, 0, 0, 0, 255, 255, 255, 255]);
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        chunk('IHDR', ihdr),
+        chunk('tEXt', Buffer.from('Software\0test', 'latin1')),
+        ...extra,
+        chunk('IDAT', zlib.deflateSync(rows)),
+        chunk('IEND', Buffer.alloc(0)),
+    ]);
+}
+
+const textOf = (png, keyword) => {
+    const c = card.readChunks(png).find(ch => ch.type === 'tEXt' && ch.data.toString('latin1').startsWith(keyword + '\0'));
+    return c ? JSON.parse(Buffer.from(c.data.toString('latin1', keyword.length + 1), 'base64').toString('utf-8')) : null;
+};
+const nonCard = png => card.readChunks(png).filter(c => !/^(chara|ccv3)\0/.test(c.data.toString('latin1', 0, 6)))
+    .map(c => png.subarray(c.start, c.end).toString('hex'));
+
+const v2 = {
+    spec: 'chara_card_v2', spec_version: '2.0', name: '옛 이름',
+    data: { name: '앨리스', description: '호기심 많은 😀 소녀', first_mes: '안녕!', tags: ['모험'], extensions: { world: 'w' } },
+};
+
+test('카드 없는 PNG', () => {
+    assert.deepEqual(card.readCard(makePng()), { card: null, spec: null, sources: [] });
+});
+
+test('V2 카드를 쓰면 chara(V2)·ccv3(V3) 둘 다, 읽을 때는 ccv3 우선', () => {
+    const out = card.writeCard(makePng(), structuredClone(v2));
+    const r = card.readCard(out);
+    assert.deepEqual(r.sources.sort(), ['ccv3', 'chara']);
+    assert.equal(r.spec, 'v3');
+    assert.equal(r.card.spec_version, '3.0');
+    assert.deepEqual(r.card.data, v2.data);
+
+    const chara = textOf(out, 'chara');
+    assert.equal(chara.spec, 'chara_card_v2');
+    assert.equal(chara.name, '앨리스'); // V1 호환 필드도 data 에 맞춤
+    assert.equal(chara.first_mes, '안녕!');
+});
+
+test('읽기 → 쓰기 → 읽기 — 카드는 같고, 이미지·다른 청크는 바이트 그대로', () => {
+    const png = makePng([chunk('pHYs', Buffer.from('00000b1300000b1301', 'hex'))]);
+    const first = card.writeCard(png, structuredClone(v2));
+    const read1 = card.readCard(first).card;
+    const second = card.writeCard(first, structuredClone(read1));
+    const read2 = card.readCard(second);
+
+    assert.deepEqual(read2.card.data, read1.data);
+    assert.deepEqual(read2.sources.sort(), ['ccv3', 'chara']); // 예전 카드 청크는 빼고 새로 하나씩
+    assert.deepEqual(second, card.writeCard(second, structuredClone(read2.card)));
+    assert.deepEqual(nonCard(second), nonCard(png));
+    const idat = p => card.readChunks(p).find(c => c.type === 'IDAT').data;
+    assert.deepEqual(idat(second), idat(png));
+});
+
+test('V1 카드(data 없음)는 chara 만, base64 없이 JSON 을 넣은 카드도 읽음', () => {
+    const out = card.writeCard(makePng(), { name: '밥', description: 'v1' });
+    const r = card.readCard(out);
+    assert.deepEqual(r.sources, ['chara']);
+    assert.equal(r.spec, 'v1');
+    assert.equal(r.card.name, '밥');
+
+    const raw = makePng([chunk('tEXt', Buffer.from('chara\0{"name":"raw"}', 'latin1'))]);
+    assert.equal(card.readCard(raw).card.name, 'raw');
+});
+
+test('PNG 가 아니거나 잘렸거나, 카드가 객체가 아니면 거부', () => {
+    assert.throws(() => card.readCard(Buffer.from('not a png')), /PNG 파일이 아닙니다/);
+    const png = makePng();
+    assert.throws(() => card.readCard(png.subarray(0, png.length - 20)), /잘렸습니다|IEND/);
+    assert.throws(() => card.writeCard(png, [1, 2]), /올바르지 않습니다/);
+    const broken = makePng([chunk('tEXt', Buffer.from('chara\0!!!', 'latin1'))]);
+    assert.throws(() => card.readCard(broken), /해석할 수 없습니다/);
+});
@@ -0,0 +1,91 @@
+// lib/chat-export.js — HTML/Markdown/텍스트/EPUB 만들기, 그림 찾기, 스와이프 선택과 사용자 메시지 빼기
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const archive = require('../lib/archive');
+const chatExport = require('../lib/chat-export');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'fm-export-'));
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const PIC = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+const imgDir = path.join(tmp, 'user', 'images', '앨리스');
+fs.mkdirSync(imgDir, { recursive: true });
+fs.writeFileSync(path.join(imgDir, 'pic.png'), PIC);
+fs.writeFileSync(path.join(imgDir, '50%.png'), PIC);
+
+function chatFile(name, lines) {
+    const file = path.join(tmp, name);
+    fs.writeFileSync(file, lines.map(l => JSON.stringify(l)).join('\n') + '\n');
+    return { path: file, file: name, name: name.replace(/\.jsonl$/, '') };
+}
+
+const chat = chatFile('첫 대화.jsonl', [
+    { user_name: 'u', character_name: '앨리스' },
+    { name: 'u', is_user: true, mes: '안녕 *웃으며* <b>', send_date: '2024-06-05T12:00:00.000Z' },
+    { name: '앨리스', is_user: false, mes: '첫 답', swipes: ['첫 답', '두 번째 답'], send_date: '2024-06-05T12:01:00.000Z',
+        extra: { image: '/user/images/%EC%95%A8%EB%A6%AC%EC%8A%A4/pic.png', title: '사진' } },
+    { name: '앨리스', is_user: false, mes: '반쯤', send_date: '2024-06-06T12:00:00.000Z', extra: { image: 'user/images/앨리스/50%.png' } },
+]);
+
+const opts = (more = {}) => ({ clean: t => t, charName: '앨리스', roots: [tmp], ...more });
+const base64 = PIC.toString('base64');
+
+test('resolveImage — 인코딩된 주소, 인코딩 안 된 %, 폴더 밖·외부 주소는 거부', () => {
+    assert.deepEqual(chatExport.resolveImage('/user/images/%EC%95%A8%EB%A6%AC%EC%8A%A4/pic.png?t=1', [tmp]), { file: path.join(imgDir, 'pic.png') });
+    assert.deepEqual(chatExport.resolveImage('user/images/앨리스/50%.png', [tmp]), { file: path.join(imgDir, '50%.png') });
+    assert.equal(chatExport.resolveImage('../../etc/passwd', [imgDir]), null);
+    assert.equal(chatExport.resolveImage('https://example.com/a.png', [tmp]), null);
+    assert.deepEqual(chatExport.resolveImage('data:image/png;base64,AAAA', [tmp]), { data: 'data:image/png;base64,AAAA' });
+});
+
+test('html — 그림은 파일 안에, 글은 이스케이프하고 *행동* 만 살림', async () => {
+    const r = await chatExport.render(chat, 'html', opts());
+    const html = r.buffer.toString('utf-8');
+    assert.equal(r.filename, '첫 대화.html');
+    assert.equal(r.count, 3);
+    assert.match(html, /안녕 <em>웃으며<\/em> &lt;b&gt;/);
+    assert.equal(html.split(`data:image/png;base64,${base64}`).length - 1, 2);
+    assert.ok(!html.includes(tmp));
+});
+
+test('md — 기기 경로 대신 그림을 data: 로 넣음', async () => {
+    const md = (await chatExport.render(chat, 'md', opts())).buffer.toString('utf-8');
+    assert.ok(md.includes(`![사진](data:image/png;base64,${base64})`));
+    assert.ok(!md.includes(tmp));
+});
+
+test('txt — user=false 면 사용자 메시지를 빼고, select 로 고른 스와이프가 본문', async () => {
+    const r = await chatExport.render(chat, 'txt', opts({ user: false, select: new Map([[2, 1]]) }));
+    const txt = r.buffer.toString('utf-8');
+    assert.equal(r.count, 2);
+    assert.ok(!txt.includes('안녕'));
+    assert.ok(txt.includes('두 번째 답'));
+    assert.ok(!txt.includes('첫 답'));
+});
+
+test('epub — mimetype 이 맨 앞, 날짜별 장, 같은 그림은 한 번만', async () => {
+    const twice = chatFile('두 번.jsonl', [...fs.readFileSync(chat.path, 'utf-8').trim().split('\n').map(JSON.parse),
+        { name: '앨리스', mes: '또', send_date: '2024-06-06T13:00:00.000Z', extra: { image: '/user/images/앨리스/pic.png' } }]);
+    const r = await chatExport.render(twice, 'epub', opts({ split: 'date' }));
+    const file = path.join(tmp, 'out.epub');
+    fs.writeFileSync(file, r.buffer);
+    const { entries } = await archive.listArchive(file);
+    const names = entries.map(e => e.name);
+    assert.equal(names[0], 'mimetype');
+    assert.equal((await archive.readEntry(file, 'mimetype')).toString(), 'application/epub+zip');
+    assert.ok(names.includes('OEBPS/ch2.xhtml') && !names.includes('OEBPS/ch3.xhtml'));
+    assert.deepEqual(names.filter(n => n.startsWith('OEBPS/images/')), ['OEBPS/images/img1.png', 'OEBPS/images/img2.png']);
+    assert.match((await archive.readEntry(file, 'OEBPS/ch1.xhtml')).toString(), /<h2>2024-06-0\d<\/h2>/);
+});
+
+test('renderAll — 채팅마다 파일 하나씩, 같은 이름은 (2) 를 붙여 zip 하나로', async () => {
+    const other = { ...chatFile('둘째.jsonl', [{ mes: '다른 채팅' }]), name: '첫 대화' };
+    const file = path.join(tmp, 'all.zip');
+    await chatExport.renderAll([chat, other], 'txt', opts(), fs.createWriteStream(file));
+    const { entries } = await archive.listArchive(file);
+    assert.deepEqual(entries.map(e => e.name), ['첫 대화.txt', '첫 대화 (2).txt']);
+    await assert.rejects(chatExport.render(chat, 'pdf', opts()), /지원하지 않는 형식/);
+});
@@ -0,0 +1,84 @@
+// lib/chat-reader.js — 줄 위치 색인, 구간 읽기, 채팅 요약
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const reader = require('../lib/chat-reader');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'fm-reader-'));
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+function chatFile(name, text) {
+    const file = path.join(tmp, name);
+    fs.writeFileSync(file, text);
+    return file;
+}
+
+const header = { user_name: 'u', character_name: '앨리스', create_date: '2024-06-01' };
+const msgs = [
+    { name: 'u', is_user: true, mes: '안녕', send_date: 'June 5, 2024 3:45pm' },
+    { name: '앨리스', is_user: false, mes: '반가워', send_date: '2024-06-05T16:00:00.000Z' },
+    { name: 'u', is_user: true, mes: '끝', send_date: 1717603200 },
+];
+
+test('빈 줄·공백 줄은 번호를 차지하지 않고, CRLF 와 마지막 줄바꿈 없음도 처리', async () => {
+    const text = [header, msgs[0]].map(l => JSON.stringify(l)).join('\r\n') + '\r\n\r\n   \n' + JSON.stringify(msgs[1]) + '\n{broken\n' + JSON.stringify(msgs[2]);
+    const file = chatFile('mixed.jsonl', text);
+    const idx = await reader.lineIndex(file);
+    assert.equal(idx.starts.length, 5);
+
+    const { total, lines } = await reader.readLines(file, 0, 10, { raw: true });
+    assert.equal(total, 5);
+    assert.deepEqual(lines.map(l => l.index), [0, 1, 2, 3, 4]);
+    assert.equal(lines[1].data.mes, '안녕');
+    assert.equal(lines[1].raw, JSON.stringify(msgs[0]));
+    assert.equal(lines[2].data.mes, '반가워');
+    assert.equal(lines[3].data, null); // 풀 수 없는 줄도 번호는 차지
+    assert.equal(lines[4].data.mes, '끝');
+});
+
+test('readLines 는 [from, to) 구간만, 범위를 벗어나면 잘라 냄', async () => {
+    const file = chatFile('range.jsonl', [header, ...msgs].map(l => JSON.stringify(l)).join('\n') + '\n');
+    const mid = await reader.readLines(file, 1, 3);
+    assert.deepEqual(mid.lines.map(l => l.data.mes), ['안녕', '반가워']);
+    assert.equal(mid.lines[0].raw, undefined);
+    assert.deepEqual((await reader.readLines(file, 3, 99)).lines.map(l => l.index), [3]);
+    assert.deepEqual((await reader.readLines(file, 7, 9)).lines, []);
+    assert.deepEqual((await reader.readLines(file, -5, 1)).lines.map(l => l.index), [0]);
+});
+
+test('읽기 단위(1MB)를 넘나드는 긴 줄도 그대로', async () => {
+    const long = 'ㄱ'.repeat(250 * 1024); // 줄마다 약 750KB
+    const lines = [header, ...[0, 1, 2].map(i => ({ mes: `${i}${long}` }))];
+    const file = chatFile('long.jsonl', lines.map(l => JSON.stringify(l)).join('\n') + '\n');
+    const { total, lines: got } = await reader.readLines(file, 1, 4);
+    assert.equal(total, 4);
+    assert.deepEqual(got.map(l => l.data.mes), lines.slice(1).map(l => l.mes));
+});
+
+test('파일이 바뀌면 색인을 다시 만듦', async () => {
+    const file = chatFile('grow.jsonl', JSON.stringify(header) + '\n');
+    assert.equal((await reader.lineIndex(file)).starts.length, 1);
+    fs.appendFileSync(file, JSON.stringify(msgs[0]) + '\n');
+    assert.equal((await reader.lineIndex(file)).starts.length, 2);
+});
+
+test('meta — 헤더, 메시지 수, 첫/마지막 날짜', async () => {
+    const file = chatFile('meta.jsonl', [header, ...msgs].map(l => JSON.stringify(l)).join('\n'));
+    const m = await reader.meta(file);
+    assert.deepEqual(m.header, header);
+    assert.equal(m.messageCount, 3);
+    assert.equal(m.firstIndex, 1);
+    assert.equal(m.firstDate, new Date(2024, 5, 5, 15, 45).toISOString());
+    assert.equal(m.lastDate, new Date(1717603200 * 1000).toISOString());
+});
+
+test('parseDate — ISO, 초/밀리초, ST 의 "June 5, 2024 3:45pm"', () => {
+    assert.equal(reader.parseDate('2024-06-05T16:00:00.000Z'), Date.UTC(2024, 5, 5, 16));
+    assert.equal(reader.parseDate(1717603200), 1717603200000);
+    assert.equal(reader.parseDate(1717603200000), 1717603200000);
+    assert.equal(reader.parseDate('June 5, 2024 12:05am'), new Date(2024, 5, 5, 0, 5).getTime());
+    assert.equal(reader.parseDate('nonsense'), null);
+    assert.equal(reader.parseDate(''), null);
+});
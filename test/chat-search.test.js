@@ -0,0 +1,118 @@
+// lib/chat-search.js — 검색어 풀기(AND/OR/-제외/"구절"/접두어), 한글 조사, 점수순, 페이지만큼만 읽기
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const libraryIndex = require('../lib/library-index');
+const chatSearch = require('../lib/chat-search');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'fm-search-'));
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+function writeChat(char, file, messages) {
+    const dir = path.join(tmp, 'chats', char);
+    fs.mkdirSync(dir, { recursive: true });
+    const lines = [{ user_name: 'u', character_name: char }, ...messages.map((m, i) => ({
+        name: m.user ? 'u' : char, is_user: !!m.user, mes: m.text, send_date: m.date || `2024-03-0${1 + (i % 9)}T12:00:00.000Z`,
+    }))];
+    fs.writeFileSync(path.join(dir, file), lines.map(l => JSON.stringify(l)).join('\n') + '\n');
+}
+
+writeChat('앨리스', 'a.jsonl', [
+    { text: '우리는 성으로 갔다', user: true },
+    { text: '성에서 용을 만났어요' },
+    { text: 'The dragon was hiking alone' },
+    { text: 'a hiker and a dragon', user: true, date: '2024-05-01T12:00:00.000Z' },
+]);
+writeChat('밥', 'b.jsonl', [
+    { text: '용은 하늘을 날았다' },
+    { text: 'We went hiking, dragon or not' },
+    { text: '정확히 같은 구절 입니다' },
+]);
+
+libraryIndex.open([tmp], null);
+chatSearch.open({ clean: t => String(t || '').replace(/\(OOC:[^)]*\)/g, '') });
+
+const texts = r => r.hits.map(h => h.snippet.replace(/<\/?mark>/g, ''));
+
+test('띄어 쓴 낱말은 모두 들어 있어야 함', async () => {
+    const r = await chatSearch.search('dragon hiking');
+    assert.deepEqual(texts(r).sort(), ['The dragon was hiking alone', 'We went hiking, dragon or not']);
+});
+
+test('OR, -제외', async () => {
+    assert.equal((await chatSearch.search('hiker OR hiking')).total, 3);
+    const r = await chatSearch.search('dragon -hiking');
+    assert.deepEqual(texts(r), ['a hiker and a dragon']);
+});
+
+test('영어 접두어 hik* 와 단어 경계', async () => {
+    assert.equal((await chatSearch.search('hik*')).total, 3);
+    assert.equal((await chatSearch.search('hik')).total, 0);
+});
+
+test('한글은 조사가 붙어도 찾고, "구절" 은 이어진 그대로만', async () => {
+    const r = await chatSearch.search('성');
+    assert.deepEqual(texts(r).sort(), ['성에서 용을 만났어요', '우리는 성으로 갔다']);
+    assert.equal((await chatSearch.search('용')).total, 2);
+    assert.equal((await chatSearch.search('"같은 구절"')).total, 1);
+    assert.equal((await chatSearch.search('"구절 같은"')).total, 0);
+});
+
+test('결과에는 캐릭터·파일·메시지 번호(헤더가 0번)와 <mark> 발췌', async () => {
+    const [hit] = (await chatSearch.search('하늘')).hits;
+    assert.equal(hit.char, '밥');
+    assert.equal(hit.file, 'b.jsonl');
+    assert.equal(hit.index, 1);
+    assert.equal(hit.is_user, false);
+    assert.match(hit.snippet, /<mark>하늘<\/mark>/);
+    assert.equal(hit.link, undefined);
+});
+
+test('거르기: char, role, 날짜', async () => {
+    assert.equal((await chatSearch.search('dragon', { char: '밥' })).total, 1);
+    assert.deepEqual(texts(await chatSearch.search('dragon', { role: 'user' })), ['a hiker and a dragon']);
+    assert.deepEqual(texts(await chatSearch.search('dragon', { from: '2024-04-01' })), ['a hiker and a dragon']);
+    await assert.rejects(chatSearch.search('dragon', { to: '어제' }), /YYYY-MM-DD/);
+    await assert.rejects(chatSearch.search('  '), /검색어/);
+});
+
+test('clean() 으로 지운 부분은 찾지 않음', async () => {
+    writeChat('캐럴', 'c.jsonl', [{ text: '보이는 글 (OOC: 숨은낱말)' }]);
+    libraryIndex.refresh(true);
+    assert.equal((await chatSearch.search('보이는')).total, 1);
+    assert.equal((await chatSearch.search('숨은낱말')).total, 0);
+});
+
+test('많이 나오는 메시지가 먼저', async () => {
+    writeChat('데이브', 'd.jsonl', [{ text: 'zephyr once' }, { text: 'zephyr zephyr zephyr here' }]);
+    libraryIndex.refresh(true);
+    const r = await chatSearch.search('zephyr');
+    assert.deepEqual(texts(r), ['zephyr zephyr zephyr here', 'zephyr once']);
+    assert.ok(r.hits[0].score > r.hits[1].score);
+});
+
+test('후보 채팅이 많으면 점수 높은 채팅부터 페이지가 찰 만큼만 읽고, 뒤 페이지를 달라면 더 읽음', async () => {
+    for (let i = 0; i < 130; i++) {
+        const rich = i % 26 === 0; // 다섯 채팅만 낱말이 여러 번
+        writeChat('많음', `m${i}.jsonl`, [{ text: rich ? 'quokka quokka quokka quokka' : `quokka number ${i}` }, { text: 'filler text' }]);
+    }
+    libraryIndex.refresh(true);
+    const r = await chatSearch.search('quokka', { limit: 5 });
+    assert.equal(r.candidates, 130);
+    assert.ok(r.scanned < r.candidates);
+    assert.equal(r.partial, true);
+    assert.equal(r.more, true);
+    assert.ok(r.total >= r.hits.length);
+    assert.deepEqual(r.hits.map(h => h.file).sort(), ['m0.jsonl', 'm104.jsonl', 'm26.jsonl', 'm52.jsonl', 'm78.jsonl']);
+
+    // 예전처럼 100개에서 끊기지 않고 마지막 페이지까지
+    const last = await chatSearch.search('quokka', { offset: 125, limit: 10 });
+    assert.equal(last.scanned, 130);
+    assert.equal(last.partial, false);
+    assert.equal(last.more, false);
+    assert.equal(last.total, 130);
+    assert.equal(last.matchedChats, 130);
+    assert.equal(last.hits.length, 5);
+});
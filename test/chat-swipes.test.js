@@ -0,0 +1,30 @@
+// lib/chat-reader.js — 스와이프 고르기와 select=3:2 풀기 (/api/chat/export, /api/export 가 씀)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const reader = require('../lib/chat-reader');
+
+test('selectSwipe — 본문·번호·생성 정보를 바꾸고 원본은 그대로', () => {
+    const m = {
+        mes: 'A', swipe_id: 0, swipes: ['A', 'B'], send_date: 'd0',
+        swipe_info: [{ send_date: 'd0' }, { send_date: 'd1', gen_started: 'g1', extra: { model: 'x' } }],
+    };
+    const out = reader.selectSwipe(m, 1);
+    assert.equal(out.mes, 'B');
+    assert.equal(out.swipe_id, 1);
+    assert.equal(out.send_date, 'd1');
+    assert.deepEqual(out.extra, { model: 'x' });
+    assert.equal(m.mes, 'A');
+    assert.equal(reader.selectSwipe(m, 2), null);
+    assert.equal(reader.selectSwipe({ mes: 'A' }, 0), null);
+    assert.equal(reader.selectSwipe(m, 0.5), null);
+    assert.equal(reader.selectSwipe({ mes: 'A', swipes: ['A', 'B'] }, 1).send_date, undefined); // swipe_info 가 없으면 날짜는 그대로
+});
+
+test('parseSelection — "메시지:스와이프" 목록', () => {
+    assert.deepEqual([...reader.parseSelection('3:2, 7:0')], [[3, 2], [7, 0]]);
+    assert.equal(reader.parseSelection('').size, 0);
+    assert.equal(reader.parseSelection(undefined).size, 0);
+    assert.deepEqual([...reader.parseSelection('3:2,3:1,')], [[3, 1]]); // 같은 메시지는 마지막 것, 끝 쉼표는 무시
+    assert.throws(() => reader.parseSelection('3-2'), /형식/);
+    assert.throws(() => reader.parseSelection('3:-1'), /형식/);
+});
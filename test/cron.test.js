@@ -0,0 +1,52 @@
+// lib/cron.js — 다음 실행 시각: 간격, 일 OR 요일, 7=일요일, 있을 수 없는 날짜
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const cron = require('../lib/cron');
+
+// 로컬 시간 (cron 은 로컬 시간으로 돎)
+const at = (y, mo, d, h = 0, mi = 0) => new Date(y, mo - 1, d, h, mi);
+const next = (expr, from) => cron.nextRun(expr, from);
+
+test('매일 04:00 — 같은 분은 건너뛰고 다음 날로', () => {
+    assert.deepEqual(next('0 4 * * *', at(2024, 6, 5, 3, 59)), at(2024, 6, 5, 4, 0));
+    assert.deepEqual(next('0 4 * * *', at(2024, 6, 5, 4, 0)), at(2024, 6, 6, 4, 0));
+    assert.deepEqual(next('0 4 * * *', at(2024, 12, 31, 5)), at(2025, 1, 1, 4, 0));
+});
+
+test('*/n 과 범위/n', () => {
+    assert.deepEqual(next('*/15 * * * *', at(2024, 6, 5, 10, 7)), at(2024, 6, 5, 10, 15));
+    assert.deepEqual(next('*/15 * * * *', at(2024, 6, 5, 10, 45)), at(2024, 6, 5, 11, 0));
+    assert.deepEqual([...cron.parse('0-30/10 * * * *').minutes], [0, 10, 20, 30]);
+    assert.deepEqual([...cron.parse('5/20 * * * *').minutes], [5, 25, 45]);
+    assert.deepEqual(next('0 */6 * * *', at(2024, 6, 5, 13)), at(2024, 6, 5, 18));
+});
+
+test('일과 요일을 둘 다 주면 하나만 맞아도 실행', () => {
+    // 13일 또는 금요일 — 2024-06-07(금), 06-13(목), 06-14(금)
+    assert.deepEqual(next('0 0 13 * 5', at(2024, 6, 1)), at(2024, 6, 7));
+    assert.deepEqual(next('0 0 13 * 5', at(2024, 6, 7)), at(2024, 6, 13));
+    assert.deepEqual(next('0 0 13 * 5', at(2024, 6, 13)), at(2024, 6, 14));
+    // 일만 주면 그 날짜만 (31일이 없는 달은 건너뜀)
+    assert.deepEqual(next('30 12 31 * *', at(2024, 6, 1)), at(2024, 7, 31, 12, 30));
+});
+
+test('요일 7 과 0 은 모두 일요일, @weekly 도 일요일 0시', () => {
+    assert.deepEqual(next('0 9 * * 7', at(2024, 6, 5)), at(2024, 6, 9, 9));
+    assert.deepEqual(next('0 9 * * 0', at(2024, 6, 5)), at(2024, 6, 9, 9));
+    assert.deepEqual(next('0 9 * * 5-7', at(2024, 6, 8, 10)), at(2024, 6, 9, 9));
+    assert.deepEqual(next('@weekly', at(2024, 6, 5)), at(2024, 6, 9));
+});
+
+test('있을 수 없는 날짜는 null, 윤일은 4년 안에 찾음', () => {
+    assert.equal(next('0 0 30 2 *', at(2024, 1, 1)), null);
+    assert.equal(next('0 0 31 4 *', at(2024, 1, 1)), null);
+    assert.deepEqual(next('0 0 29 2 *', at(2024, 3, 1)), at(2028, 2, 29));
+});
+
+test('잘못된 표현식은 거부', () => {
+    assert.throws(() => cron.parse('60 * * * *'), /분 범위 오류/);
+    assert.throws(() => cron.parse('* * *'), /5개 필드/);
+    assert.throws(() => cron.parse('5-1 * * * *'), /범위 오류/);
+    assert.throws(() => cron.parse('*/0 * * * *'), /범위 오류/);
+    assert.throws(() => cron.parse('* * * * mon'), /요일 필드 오류/);
+});
@@ -0,0 +1,97 @@
+// lib/history.js — 덮어쓰기 전 내용 기록, 같은 내용은 한 번만, 되돌리기, 이름 바꾸면 따라감, 오래된 버전 정리
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'fm-history-'));
+process.env.HOME = tmp; // 기록은 ~/.st-filemanager/history
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const history = require('../lib/history');
+const { STATE_DIR } = require('../lib/store');
+
+const OBJECTS_DIR = path.join(STATE_DIR, 'history', 'objects');
+const work = path.join(tmp, 'work');
+fs.mkdirSync(work, { recursive: true });
+
+function put(rel, content) {
+    const p = path.join(work, rel);
+    fs.mkdirSync(path.dirname(p), { recursive: true });
+    fs.writeFileSync(p, content);
+    return p;
+}
+
+function objectCount() {
+    let n = 0;
+    for (const d of fs.readdirSync(OBJECTS_DIR)) n += fs.readdirSync(path.join(OBJECTS_DIR, d)).filter(f => f.endsWith('.gz')).length;
+    return n;
+}
+
+test('snapshot — 지금 내용을 버전으로 남기고, 없는 파일·폴더·큰 파일은 건너뜀', () => {
+    const file = put('a.txt', '첫 내용');
+    assert.equal(history.snapshot(file, 'write'), true);
+    const [v] = history.list(file);
+    assert.equal(v.source, 'write');
+    assert.equal(v.size, Buffer.byteLength('첫 내용'));
+    assert.equal(history.read(file, 0).content.toString(), '첫 내용');
+    assert.equal(history.read(file, 0).binary, false);
+    assert.equal(history.read(file, 5), null);
+
+    assert.equal(history.snapshot(path.join(work, 'none.txt')), false);
+    assert.equal(history.snapshot(work), false);
+    const big = put('big.bin', Buffer.alloc(history.MAX_SNAPSHOT_SIZE + 1));
+    assert.equal(history.snapshot(big), false);
+    assert.deepEqual(history.list(big), []);
+});
+
+test('같은 내용 — 바로 앞 버전과 같으면 건너뛰고, 다른 파일과 같아도 객체는 하나', () => {
+    const file = put('dedup.txt', '같은 글');
+    assert.equal(history.snapshot(file), true);
+    assert.equal(history.snapshot(file), false);
+    const before = objectCount();
+    const other = put('other.txt', '같은 글');
+    assert.equal(history.snapshot(other), true);
+    assert.equal(objectCount(), before);
+    assert.equal(history.push(file, Buffer.from([0, 1, 2]), 'upload'), true);
+    assert.equal(history.read(file, 1).binary, true);
+});
+
+test('되돌리기 — 예전 버전 내용을 그대로, 버전 수는 MAX_HISTORY_PER_FILE 까지', () => {
+    const file = put('many.txt', 'v0');
+    for (let i = 0; i < history.MAX_HISTORY_PER_FILE + 5; i++) history.push(file, `v${i}`);
+    const versions = history.list(file);
+    assert.equal(versions.length, history.MAX_HISTORY_PER_FILE);
+    assert.equal(history.read(file, 0).content.toString(), 'v5');
+    fs.writeFileSync(file, history.read(file, 3).content);
+    assert.equal(fs.readFileSync(file, 'utf-8'), 'v8');
+});
+
+test('rename — 파일과 폴더 아래 기록이 새 경로로 옮겨 감', () => {
+    const one = put('dir/one.txt', '1');
+    const two = put('dir/sub/two.txt', '2');
+    history.snapshot(one);
+    history.snapshot(two);
+    history.rename(path.join(work, 'dir'), path.join(work, 'moved'));
+    assert.deepEqual(history.list(one), []);
+    assert.equal(history.read(path.join(work, 'moved', 'one.txt'), 0).content.toString(), '1');
+    assert.equal(history.read(path.join(work, 'moved', 'sub', 'two.txt'), 0).content.toString(), '2');
+});
+
+test('prune — 90일 지난 버전과 아무도 쓰지 않는 객체를 지움', (t) => {
+    const file = put('old.txt', '오래된 것');
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now - 91 * 24 * 3600 * 1000);
+    history.snapshot(file);
+    t.mock.restoreAll();
+    history.push(file, '최근 것');
+    const hash = crypto.createHash('sha256').update('오래된 것').digest('hex');
+    const obj = path.join(OBJECTS_DIR, hash.slice(0, 2), `${hash}.gz`);
+    assert.ok(fs.existsSync(obj));
+    history.prune();
+    assert.equal(history.list(file).length, 1);
+    assert.equal(history.read(file, 0).content.toString(), '최근 것');
+    assert.ok(!fs.existsSync(obj));
+});
@@ -0,0 +1,164 @@
+// lib/sync.js — mirror/two-way 에서 언제 지우고, 충돌은 어떻게 푸는지
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'fm-sync-'));
+process.env.HOME = tmp; // 쌍 설정과 스냅숏은 ~/.st-filemanager 에
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const sync = require('../lib/sync');
+
+const T0 = Math.floor(Date.now() / 1000) - 100000; // 초 단위 기준 시각
+let counter = 0;
+
+function makePair(options = {}) {
+    const dir = path.join(tmp, `pair${++counter}`);
+    const roots = { source: path.join(dir, 'src'), target: path.join(dir, 'dst') };
+    fs.mkdirSync(roots.source, { recursive: true });
+    fs.mkdirSync(roots.target, { recursive: true });
+    const pair = sync.savePair({ source: roots.source, target: roots.target, ...options });
+    const file = (side, rel) => path.join(roots[side], ...rel.split('/'));
+    return {
+        id: pair.id,
+        // at: T0 로부터 몇 초 뒤에 고쳤는지 (2초 넘게 차이 나야 다른 시각)
+        put(side, rel, text, at = 0) {
+            fs.mkdirSync(path.dirname(file(side, rel)), { recursive: true });
+            fs.writeFileSync(file(side, rel), text);
+            fs.utimesSync(file(side, rel), T0 + at, T0 + at);
+        },
+        rm: (side, rel) => fs.unlinkSync(file(side, rel)),
+        read: (side, rel) => (fs.existsSync(file(side, rel)) ? fs.readFileSync(file(side, rel), 'utf-8') : null),
+        list: side => fs.readdirSync(roots[side]).sort(),
+        ops: async () => (await sync.preview(pair.id)).actions.map(a => `${a.op}:${a.to}:${a.rel}`).sort(),
+        run: () => sync.run(pair.id),
+    };
+}
+
+test('mirror 첫 동기화 — 대상에만 있던 파일은 지우지 않고 계속 남겨 둠', async () => {
+    const p = makePair({ mode: 'mirror' });
+    p.put('source', 'chats/a.jsonl', 'A');
+    p.put('target', 'mine.txt', '원래 대상에 있던 파일');
+    const prev = await sync.preview(p.id);
+    assert.deepEqual(prev.actions.map(a => `${a.op}:${a.rel}`), ['create:chats/a.jsonl']);
+    assert.equal(prev.counts.kept, 1);
+    assert.equal((await p.run()).status, 'ok');
+
+    // 원본에서 지운 파일은 대상에서도 지우지만, 처음부터 대상에만 있던 파일은 그대로
+    p.rm('source', 'chats/a.jsonl');
+    p.put('source', 'chats/b.jsonl', 'B');
+    assert.deepEqual(await p.ops(), ['create:target:chats/b.jsonl', 'delete:target:chats/a.jsonl']);
+    await p.run();
+    assert.equal(p.read('target', 'mine.txt'), '원래 대상에 있던 파일');
+    assert.equal(p.read('target', 'chats/a.jsonl'), null);
+});
+
+test('mirror — 동기화 뒤에 대상에 생긴 파일은 지우고, propagateDeletes 를 끄면 그대로', async () => {
+    const p = makePair({ mode: 'mirror' });
+    p.put('source', 'a.txt', 'A');
+    await p.run();
+    p.put('target', 'late.txt', '나중에 생김');
+    assert.deepEqual(await p.ops(), ['delete:target:late.txt']);
+
+    sync.savePair({ id: p.id, propagateDeletes: false });
+    assert.deepEqual(await p.ops(), []);
+});
+
+test('자동 백업 폴더(st-auto-backups)와 휴지통은 어느 쪽에서도 건드리지 않음', async () => {
+    const p = makePair({ mode: 'mirror' });
+    p.put('source', 'a.txt', 'A');
+    await p.run();
+    p.put('target', 'st-auto-backups/st-backup-1.tar.gz', 'zip');
+    p.put('source', '.st-filemanager-trash/x', 'x');
+    assert.deepEqual(await p.ops(), []);
+});
+
+test('mirror 충돌 — 대상 쪽만 바뀌었을 때 규칙별', async () => {
+    const expect = {
+        newer: ['skip:target:a.txt'], // 대상이 더 최근 → 대상 쪽을 그대로 둠
+        source: ['update:target:a.txt'],
+        target: ['skip:target:a.txt'],
+        'keep-both': ['keep-both:target:a.txt'],
+        skip: ['skip:target:a.txt'],
+    };
+    for (const [conflict, ops] of Object.entries(expect)) {
+        const p = makePair({ mode: 'mirror', conflict });
+        p.put('source', 'a.txt', 'v1');
+        await p.run();
+        p.put('target', 'a.txt', 'v1 + 대상에서 고침', 100);
+        assert.deepEqual(await p.ops(), ops, conflict);
+    }
+});
+
+test('mirror keep-both — 대상 쪽 사본을 "(충돌 …)" 이름으로 남기고 다음에도 지우지 않음', async () => {
+    const p = makePair({ mode: 'mirror', conflict: 'keep-both' });
+    p.put('source', 'a.txt', 'v1');
+    await p.run();
+    p.put('source', 'a.txt', '원본 v2', 50);
+    p.put('target', 'a.txt', '대상 v2', 100);
+    await p.run();
+    const names = p.list('target');
+    assert.equal(names.length, 2);
+    assert.equal(p.read('target', 'a.txt'), '원본 v2');
+    const copy = names.find(n => n.includes('(충돌 '));
+    assert.equal(p.read('target', copy), '대상 v2');
+    assert.deepEqual(await p.ops(), []);
+});
+
+test('two-way — 새 파일은 양쪽으로, 지운 것과 고친 것도 반대쪽에 반영', async () => {
+    const p = makePair({ mode: 'two-way' });
+    p.put('source', 's.txt', 'S');
+    p.put('target', 't.txt', 'T');
+    p.put('source', 'both.txt', 'same');
+    p.put('target', 'both.txt', 'same');
+    assert.deepEqual(await p.ops(), ['create:source:t.txt', 'create:target:s.txt']);
+    await p.run();
+    assert.deepEqual(p.list('source'), ['both.txt', 's.txt', 't.txt']);
+
+    p.rm('target', 's.txt');
+    p.put('target', 't.txt', 'T2', 50);
+    assert.deepEqual(await p.ops(), ['delete:source:s.txt', 'update:source:t.txt']);
+    await p.run();
+    assert.deepEqual(p.list('source'), ['both.txt', 't.txt']);
+    assert.equal(p.read('source', 't.txt'), 'T2');
+});
+
+test('two-way — 지웠지만 반대쪽에서 고친 파일은 되살리고, 양쪽 다 고치면 최근 쪽이 이김', async () => {
+    const p = makePair({ mode: 'two-way', conflict: 'newer' });
+    p.put('source', 'a.txt', 'v1');
+    p.put('source', 'b.txt', 'v1');
+    await p.run();
+
+    p.rm('target', 'a.txt');
+    p.put('source', 'a.txt', '원본에서 고침', 50);
+    p.put('source', 'b.txt', '원본 v2', 50);
+    p.put('target', 'b.txt', '대상 v2 (더 최근)', 100);
+    assert.deepEqual(await p.ops(), ['create:target:a.txt', 'update:source:b.txt']);
+    await p.run();
+    assert.equal(p.read('target', 'a.txt'), '원본에서 고침');
+    assert.equal(p.read('source', 'b.txt'), '대상 v2 (더 최근)');
+
+    sync.savePair({ id: p.id, propagateDeletes: false });
+    p.rm('source', 'a.txt');
+    assert.deepEqual(await p.ops(), ['create:source:a.txt']);
+});
+
+test('한 번 동기화한 뒤 한쪽 폴더가 비면(저장장치 빠짐) 아무것도 하지 않음', async () => {
+    const p = makePair({ mode: 'mirror' });
+    p.put('source', 'a.txt', 'A');
+    await p.run();
+    p.rm('target', 'a.txt');
+    await assert.rejects(sync.preview(p.id), /대상 폴더가 비어 있습니다/);
+    const r = await p.run();
+    assert.equal(r.status, 'error');
+    assert.equal(p.read('source', 'a.txt'), 'A');
+});
+
+test('savePair — 잘못된 설정은 거부', () => {
+    const dir = path.join(tmp, 'bad');
+    assert.throws(() => sync.savePair({ source: dir, target: path.join(dir, 'in') }), /서로 안에/);
+    assert.throws(() => sync.savePair({ source: dir, target: `${dir}2`, mode: 'copy' }), /알 수 없는 방식/);
+    assert.throws(() => sync.savePair({ source: dir, target: `${dir}2`, conflict: 'ask' }), /알 수 없는 충돌 규칙/);
+});
@@ -0,0 +1,133 @@
+// lib/transfer.js — 같은 이름이 있을 때 skip / overwrite / rename / ask, 폴더 합치기, 링크 덮어쓰기
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'fm-transfer-'));
+process.env.HOME = tmp; // 덮어쓴 파일의 히스토리는 ~/.st-filemanager 에
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const transfer = require('../lib/transfer');
+const history = require('../lib/history');
+
+const removed = [];
+transfer.init({ remove: (p) => { removed.push(p); fs.rmSync(p, { recursive: true, force: true }); } });
+
+let counter = 0;
+function setup() {
+    const dir = path.join(tmp, `case${++counter}`);
+    const src = path.join(dir, 'src');
+    const dest = path.join(dir, 'dest');
+    fs.mkdirSync(path.join(src, 'folder', 'sub'), { recursive: true });
+    fs.mkdirSync(path.join(dest, 'folder'), { recursive: true });
+    fs.writeFileSync(path.join(src, 'a.txt'), '새 a');
+    fs.writeFileSync(path.join(src, 'folder', 'x.txt'), '새 x');
+    fs.writeFileSync(path.join(src, 'folder', 'sub', 'y.txt'), '새 y');
+    fs.writeFileSync(path.join(dest, 'a.txt'), '원래 a');
+    fs.writeFileSync(path.join(dest, 'folder', 'x.txt'), '원래 x');
+    fs.writeFileSync(path.join(dest, 'folder', 'keep.txt'), '원래 keep');
+    const read = (...p) => fs.readFileSync(path.join(dest, ...p), 'utf-8');
+    return { dir, src, dest, read };
+}
+
+async function runJob(op, c, conflict, names = ['a.txt', 'folder']) {
+    const job = transfer.start({ op, items: names.map(n => ({ src: path.join(c.src, n) })), destDir: c.dest, conflict });
+    return transfer.wait(job.id);
+}
+
+test('skip — 같은 이름은 건드리지 않음 (폴더면 안쪽까지 통째로)', async () => {
+    const c = setup();
+    const r = await runJob('copy', c, 'skip');
+    assert.equal(r.status, 'done');
+    assert.equal(c.read('a.txt'), '원래 a');
+    assert.equal(c.read('folder', 'x.txt'), '원래 x');
+    assert.ok(!fs.existsSync(path.join(c.dest, 'folder', 'sub')));
+    assert.equal(r.skipped, 3);
+});
+
+test('overwrite — 파일은 히스토리에 남기고 덮어쓰며, 폴더는 안쪽으로 합침', async () => {
+    const c = setup();
+    const r = await runJob('copy', c, 'overwrite');
+    assert.equal(r.status, 'done');
+    assert.equal(c.read('a.txt'), '새 a');
+    assert.equal(c.read('folder', 'x.txt'), '새 x');
+    assert.equal(c.read('folder', 'keep.txt'), '원래 keep');
+    assert.equal(c.read('folder', 'sub', 'y.txt'), '새 y');
+    assert.ok(!fs.existsSync(path.join(c.dest, 'folder', 'folder')));
+    assert.equal(history.read(path.join(c.dest, 'a.txt'), 0).content.toString(), '원래 a');
+    assert.equal(fs.readFileSync(path.join(c.src, 'a.txt'), 'utf-8'), '새 a');
+});
+
+test('rename — "이름 (2)" 처럼 새 이름으로', async () => {
+    const c = setup();
+    const r = await runJob('copy', c, 'rename');
+    assert.deepEqual(r.done.map(d => path.basename(d.dest)).sort(), ['a (2).txt', 'folder (2)']);
+    assert.equal(c.read('a.txt'), '원래 a');
+    assert.equal(c.read('a (2).txt'), '새 a');
+    assert.equal(c.read('folder (2)', 'sub', 'y.txt'), '새 y');
+});
+
+test('move + overwrite — 합친 뒤 빈 원본 폴더는 지움', async () => {
+    const c = setup();
+    const r = await runJob('move', c, 'overwrite');
+    assert.equal(r.status, 'done');
+    assert.equal(c.read('folder', 'sub', 'y.txt'), '새 y');
+    assert.deepEqual(fs.readdirSync(c.src), []);
+});
+
+test('move + skip — 건너뛴 항목은 원본에 남음', async () => {
+    const c = setup();
+    await runJob('move', c, 'skip');
+    assert.ok(fs.existsSync(path.join(c.src, 'a.txt')));
+    assert.ok(fs.existsSync(path.join(c.src, 'folder', 'sub', 'y.txt')));
+    assert.equal(c.read('a.txt'), '원래 a');
+});
+
+test('ask — 답이 올 때까지 멈추고, "남은 충돌에도 적용" 은 다음 충돌에 그대로', async () => {
+    const c = setup();
+    const job = transfer.start({ op: 'copy', items: [{ src: path.join(c.src, 'a.txt') }, { src: path.join(c.src, 'folder') }], destDir: c.dest, conflict: 'ask' });
+    const asked = [];
+    const onAsk = (j) => {
+        if (j.id !== job.id) return;
+        asked.push(path.basename(j.pending.dest));
+        transfer.answer(job.id, asked.length === 1 ? 'skip' : 'overwrite', asked.length > 1);
+    };
+    transfer.events.on('ask', onAsk);
+    const r = await transfer.wait(job.id);
+    transfer.events.off('ask', onAsk);
+    assert.deepEqual(asked, ['a.txt', 'folder']);
+    assert.equal(r.status, 'done');
+    assert.equal(c.read('a.txt'), '원래 a');
+    assert.equal(c.read('folder', 'x.txt'), '새 x');
+});
+
+test('파일 ↔ 폴더, 링크로 덮어쓰기 — 있던 쪽을 치운 뒤 새로 (링크가 가리키던 파일은 그대로)', async () => {
+    const c = setup();
+    const target = path.join(c.dir, 'target.txt');
+    fs.writeFileSync(target, '링크 대상');
+    fs.symlinkSync(target, path.join(c.src, 'link'));
+    fs.writeFileSync(path.join(c.dest, 'link'), '원래 파일');
+    fs.symlinkSync(target, path.join(c.dest, 'b.txt'));
+    fs.writeFileSync(path.join(c.src, 'b.txt'), '새 b');
+    fs.writeFileSync(path.join(c.src, 'folder2'), '이름이 같은 파일');
+    fs.mkdirSync(path.join(c.dest, 'folder2'));
+
+    removed.length = 0;
+    const r = await runJob('copy', c, 'overwrite', ['link', 'b.txt', 'folder2']);
+    assert.deepEqual(r.errors, []);
+    assert.equal(fs.readlinkSync(path.join(c.dest, 'link')), target);
+    assert.ok(fs.lstatSync(path.join(c.dest, 'b.txt')).isFile());
+    assert.equal(c.read('b.txt'), '새 b');
+    assert.equal(fs.readFileSync(target, 'utf-8'), '링크 대상');
+    assert.equal(c.read('folder2'), '이름이 같은 파일');
+    assert.deepEqual(removed.map(p => path.basename(p)).sort(), ['b.txt', 'folder2', 'link']);
+});
+
+test('잘못된 요청은 바로 거부', () => {
+    assert.throws(() => transfer.start({ op: 'link', items: [{ src: '/x' }], destDir: tmp }), /copy 또는 move/);
+    assert.throws(() => transfer.start({ op: 'copy', items: [{ src: '/x' }], destDir: tmp, conflict: 'merge' }), /충돌 처리/);
+    assert.throws(() => transfer.start({ op: 'copy', items: [], destDir: tmp }), /옮길 항목/);
+    assert.throws(() => transfer.start({ op: 'copy', items: [{ src: '/x', name: '../y' }], destDir: tmp }), /잘못된 이름/);
+});
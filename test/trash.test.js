@@ -0,0 +1,107 @@
+// lib/trash.js — 휴지통으로 옮기기, 되돌릴 때 같은 이름 처리, 기간으로만 비우기
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'fm-trash-'));
+process.env.HOME = tmp; // 휴지통은 ~/.st-filemanager/trash
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const trash = require('../lib/trash');
+const { STATE_DIR } = require('../lib/store');
+
+const HOUR = 3600 * 1000;
+const work = path.join(tmp, 'work');
+
+function put(rel, text) {
+    const p = path.join(work, rel);
+    fs.mkdirSync(path.dirname(p), { recursive: true });
+    fs.writeFileSync(p, text);
+    return p;
+}
+
+function clear() {
+    trash.empty();
+    fs.rmSync(work, { recursive: true, force: true });
+}
+
+// 버린 시각을 과거로 돌림
+function age(entry, ms) {
+    const info = path.join(entry.trashRoot, 'info', `${entry.id}.json`);
+    const meta = JSON.parse(fs.readFileSync(info, 'utf-8'));
+    meta.deletedAt = Date.now() - ms;
+    fs.writeFileSync(info, JSON.stringify(meta));
+}
+
+test('moveToTrash — 원래 자리에서 없어지고 목록에 원래 경로·크기와 함께', () => {
+    clear();
+    const file = put('chats/a.jsonl', '12345');
+    put('folder/x.txt', 'xx');
+    const meta = trash.moveToTrash(file);
+    const dirMeta = trash.moveToTrash(path.join(work, 'folder'));
+    assert.ok(!fs.existsSync(file));
+    assert.equal(meta.size, 5);
+    assert.equal(dirMeta.isDirectory, true);
+    const items = trash.list();
+    assert.deepEqual(items.map(i => i.originalPath).sort(), [path.join(work, 'chats/a.jsonl'), path.join(work, 'folder')]);
+    assert.equal(trash.usage().totalSize, 7);
+});
+
+test('restore — 같은 이름이 있으면 rename / skip / overwrite(있던 쪽도 휴지통으로)', () => {
+    clear();
+    const file = put('a.txt', '버린 것');
+    const id = () => trash.list().find(i => i.name === 'a.txt' && i.originalPath === file).id;
+
+    trash.moveToTrash(file);
+    put('a.txt', '새로 만든 것');
+    const skipped = trash.restore(id(), { conflict: 'skip' });
+    assert.equal(skipped.skipped, true);
+    assert.equal(fs.readFileSync(file, 'utf-8'), '새로 만든 것');
+
+    const renamed = trash.restore(id());
+    assert.equal(renamed.renamed, true);
+    assert.equal(path.basename(renamed.path), 'a (1).txt');
+    assert.equal(fs.readFileSync(renamed.path, 'utf-8'), '버린 것');
+    assert.equal(trash.list().length, 0);
+
+    trash.moveToTrash(file);
+    put('a.txt', '세 번째');
+    trash.restore(id(), { conflict: 'overwrite' });
+    assert.equal(fs.readFileSync(file, 'utf-8'), '새로 만든 것');
+    const left = trash.list();
+    assert.equal(left.length, 1); // 덮어써진 쪽이 휴지통에
+    assert.equal(fs.readFileSync(path.join(left[0].trashRoot, 'files', left[0].id, 'a.txt'), 'utf-8'), '세 번째');
+    assert.throws(() => trash.restore('nope'), /휴지통에 없는/);
+});
+
+test('enforce — 기간이 지난 것만 지우고, 기간을 짧게 잡아도 GRACE_MS(24시간) 안의 항목은 남김', () => {
+    clear();
+    for (const n of ['new', 'mid', 'old']) trash.moveToTrash(put(`${n}.txt`, n));
+    const byName = Object.fromEntries(trash.list().map(i => [i.name, i]));
+    age(byName['mid.txt'], 13 * HOUR);
+    age(byName['old.txt'], 25 * HOUR);
+
+    trash.saveSettings({ maxAgeDays: 0.5, maxSizeMB: 0.000001 }); // 12시간, 용량은 넘김
+    assert.equal(trash.usage().over, true);
+    assert.equal(trash.enforce(), 1);
+    assert.deepEqual(trash.list().map(i => i.name).sort(), ['mid.txt', 'new.txt']);
+
+    trash.saveSettings({ maxAgeDays: 0 }); // 0 이면 기간으로도 지우지 않음
+    age(trash.list()[0], 1000 * HOUR);
+    assert.equal(trash.enforce(), 0);
+    assert.equal(trash.list().length, 2);
+});
+
+test('isTrashPath 는 휴지통과 그 안만, containsTrash 는 휴지통을 품은 상위 폴더', () => {
+    const root = path.join(STATE_DIR, 'trash');
+    assert.equal(trash.isTrashPath(root), true);
+    assert.equal(trash.isTrashPath(path.join(root, 'files', 'x')), true);
+    assert.equal(trash.isTrashPath(STATE_DIR), false);
+    assert.equal(trash.isTrashPath(tmp), false);
+    assert.equal(trash.containsTrash(STATE_DIR), true);
+    assert.equal(trash.containsTrash(tmp), true);
+    assert.equal(trash.containsTrash(root), false);
+    assert.equal(trash.containsTrash(work), false);
+});
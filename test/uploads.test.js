@@ -0,0 +1,116 @@
+// lib/uploads.js — 조각 업로드: offset 불일치, 조각 체크섬, 끊긴 세션 이어받기, 마무리, 오래된 세션 정리
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'fm-uploads-'));
+process.env.HOME = tmp; // 받는 중인 조각은 ~/.st-filemanager-tmp/uploads
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const uploads = require('../lib/uploads');
+
+const UPLOAD_DIR = path.join(tmp, '.st-filemanager-tmp', 'uploads');
+const DAY = 24 * 3600 * 1000;
+const sha = buf => crypto.createHash('sha256').update(buf).digest('hex');
+const data = Buffer.from('0123456789abcdef');
+let counter = 0;
+const newDest = () => path.join(tmp, 'out', `file${++counter}.bin`);
+
+// 상태 코드가 붙은 에러인지 확인
+function rejectsWith(fn, status, extra = {}) {
+    let caught;
+    try { fn(); } catch (err) { caught = err; }
+    assert.ok(caught, '에러가 나야 함');
+    assert.equal(caught.status, status, caught.message);
+    for (const [k, v] of Object.entries(extra)) assert.equal(caught[k], v);
+}
+
+test('offset 이 다르면 409 와 함께 서버가 기억하는 offset', () => {
+    const s = uploads.init({ dest: newDest(), size: data.length });
+    uploads.writeChunk(s.uploadId, 0, data.subarray(0, 6));
+    rejectsWith(() => uploads.writeChunk(s.uploadId, 0, data.subarray(0, 6)), 409, { offset: 6 });
+    rejectsWith(() => uploads.writeChunk(s.uploadId, 10, data.subarray(10)), 409, { offset: 6 });
+    rejectsWith(() => uploads.writeChunk(s.uploadId, 6, Buffer.alloc(20)), 400);
+    assert.equal(uploads.status(s.uploadId).offset, 6);
+});
+
+test('조각 체크섬이 틀리면 422 이고 offset 은 그대로', () => {
+    const s = uploads.init({ dest: newDest(), size: data.length });
+    const chunk = data.subarray(0, 8);
+    rejectsWith(() => uploads.writeChunk(s.uploadId, 0, chunk, sha(Buffer.from('other'))), 422, { offset: 0 });
+    assert.equal(uploads.status(s.uploadId).offset, 0);
+    assert.equal(fs.statSync(path.join(UPLOAD_DIR, `${s.uploadId}.part`)).size, 0);
+    assert.equal(uploads.writeChunk(s.uploadId, 0, chunk, sha(chunk).toUpperCase()).offset, 8);
+});
+
+test('같은 파일(경로·크기·수정 시각)로 다시 init 하면 받은 곳부터 이어받음', () => {
+    const dest = newDest();
+    const first = uploads.init({ dest, size: data.length, lastModified: 1000 });
+    assert.equal(first.resumed, false);
+    uploads.writeChunk(first.uploadId, 0, data.subarray(0, 5));
+    const again = uploads.init({ dest, size: data.length, lastModified: 1000 });
+    assert.equal(again.uploadId, first.uploadId);
+    assert.equal(again.resumed, true);
+    assert.equal(again.offset, 5);
+    assert.notEqual(uploads.init({ dest, size: data.length, lastModified: 2000 }).uploadId, first.uploadId);
+
+    // .part 가 기록보다 짧으면(비정상 종료) 실제 크기부터
+    fs.truncateSync(path.join(UPLOAD_DIR, `${first.uploadId}.part`), 3);
+    assert.equal(uploads.init({ dest, size: data.length, lastModified: 1000 }).offset, 3);
+});
+
+test('complete — 다 받아야 하고, 전체 체크섬을 확인한 뒤 제자리로', async () => {
+    const dest = newDest();
+    const s = uploads.init({ dest, size: data.length });
+    uploads.writeChunk(s.uploadId, 0, data.subarray(0, 10));
+    await assert.rejects(uploads.complete(s.uploadId), e => e.status === 409 && e.offset === 10);
+    uploads.writeChunk(s.uploadId, 10, data.subarray(10));
+    const r = await uploads.complete(s.uploadId, { sha256: sha(data) });
+    assert.equal(r.sha256, sha(data));
+    assert.deepEqual(fs.readFileSync(dest), data);
+    assert.throws(() => uploads.status(s.uploadId), e => e.status === 404);
+
+    const bad = uploads.init({ dest: newDest(), size: data.length });
+    uploads.writeChunk(bad.uploadId, 0, data);
+    await assert.rejects(uploads.complete(bad.uploadId, { sha256: sha(Buffer.from('x')) }), e => e.status === 422);
+    assert.throws(() => uploads.status(bad.uploadId), e => e.status === 404); // 처음부터 다시
+});
+
+test('complete — 같은 이름의 폴더가 있으면 히스토리를 남기기 전에 409', async () => {
+    const dest = newDest();
+    fs.mkdirSync(dest, { recursive: true });
+    const s = uploads.init({ dest, size: data.length });
+    uploads.writeChunk(s.uploadId, 0, data);
+    const seen = [];
+    await assert.rejects(uploads.complete(s.uploadId, { onBeforeWrite: d => seen.push(d) }), e => e.status === 409);
+    assert.deepEqual(seen, []);
+    assert.ok(fs.statSync(dest).isDirectory());
+    assert.equal(uploads.status(s.uploadId).offset, data.length);
+});
+
+test('gc — 하루 넘게 손대지 않은 세션과 짝 잃은 .part 를 지움', () => {
+    const fresh = uploads.init({ dest: newDest(), size: data.length });
+    const stale = uploads.init({ dest: newDest(), size: data.length });
+    const metaFile = path.join(UPLOAD_DIR, `${stale.uploadId}.json`);
+    const meta = JSON.parse(fs.readFileSync(metaFile, 'utf-8'));
+    meta.updatedAt = Date.now() - 2 * DAY;
+    fs.writeFileSync(metaFile, JSON.stringify(meta));
+    const orphan = path.join(UPLOAD_DIR, 'ffffffffffffffff.part');
+    const youngOrphan = path.join(UPLOAD_DIR, 'eeeeeeeeeeeeeeee.part');
+    fs.writeFileSync(orphan, 'x');
+    fs.writeFileSync(youngOrphan, 'x');
+    const old = (Date.now() - 2 * DAY) / 1000;
+    fs.utimesSync(orphan, old, old);
+
+    const before = fs.readdirSync(UPLOAD_DIR).length;
+    assert.equal(uploads.gc(), 2);
+    assert.equal(fs.readdirSync(UPLOAD_DIR).length, before - 3); // 오래된 세션(.json + .part)과 짝 잃은 .part
+    assert.throws(() => uploads.status(stale.uploadId), e => e.status === 404);
+    assert.equal(uploads.status(fresh.uploadId).offset, 0);
+    assert.ok(!fs.existsSync(orphan));
+    assert.ok(fs.existsSync(youngOrphan)); // 막 만든 .part 는 메타데이터를 쓰는 중일 수 있어 남김
+    assert.throws(() => uploads.status('../etc'), /잘못된 업로드 ID/);
+});